@@ -14,6 +14,9 @@ async function createAIToolsTracker() {
   
   console.log('🚀 Creating AI Tools Tracker Dashboard...\n');
   
+  // Group every step so a failure can be rolled back as a whole
+  copilot.startSession('ai-tools-tracker-demo');
+  
   try {
     // Step 1: Create project with renv and git
     console.log('Step 1: Creating Quarto project...');
@@ -225,7 +228,15 @@ readme_url = \`https://raw.githubusercontent.com/\${repo_select}/main/README.md\
     
   } catch (error) {
     console.error('❌ Error creating AI Tools Tracker:', error.message);
+    try {
+      const undone = copilot.rollback('ai-tools-tracker-demo');
+      console.error(`↩️  Rolled back ${undone.length} step(s)`);
+    } catch (rollbackError) {
+      console.error('⚠️  Rollback failed:', rollbackError.message);
+    }
     process.exit(1);
+  } finally {
+    copilot.endSession();
   }
 }
 
@@ -0,0 +1,893 @@
+const path = require('path');
+const yaml = require('yaml');
+const CopilotQuarto = require('./index');
+const { JsonLinesSink } = require('./logging');
+const { MANIFEST_PATH, writeManifest } = require('./manifest');
+const { ValidationError, ToolNotFoundError, formatError } = require('./errors');
+
+const GLOBAL_OPTIONS = [
+  ['--dry-run', 'Show the diff and planned commands without changing anything'],
+  ['-i, --interactive', 'Prompt for missing required parameters'],
+  ['--profile <name>', 'Apply a profile from the project config'],
+  ['--config <file>', 'Use this config file instead of the nearest .copilot-quarto.json/.yml'],
+  ['--allow-outside-workspace', 'Let path parameters point outside the workspace root'],
+  ['--log-json <file|->', 'Append every tool event as JSON lines (- for stderr)'],
+  ['-h, --help', 'Show help']
+];
+
+/**
+ * Pad the first column of a two-column listing
+ * @param {Array<Array<string>>} rows
+ * @returns {Array<string>}
+ */
+function formatColumns(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`.trimEnd());
+}
+
+/**
+ * Help for the CLI as a whole
+ * @returns {string}
+ */
+function formatMainHelp() {
+  return [
+    'Usage: copilot-quarto <command> [options]',
+    '',
+    'Commands:',
+    ...formatColumns([
+      ['list', 'List the available tools'],
+      ['describe <tool>', 'Show the parameters of a tool'],
+      ['run <tool> [--param value ...]', 'Run a tool'],
+      ['run-recipe <file> [--set name=value]', 'Run a YAML recipe of tool calls'],
+      ['manifest [--format <copilot|openai|anthropic>]', 'Print tool definitions generated from the code'],
+      ['manifest --write | --check', 'Regenerate or check .github/copilot-tools.json'],
+      ['history [--limit n] [--tool <name>] [--json]', 'Show the recorded tool runs'],
+      ['replay <id...> | --from <id> | --session <name> [--all]', 'Re-run recorded runs (--into <dir> for a fresh directory)'],
+      ['--undo [count] [--force]', 'Undo the last tool runs'],
+      ['--rollback <session> [--force]', 'Undo every run of a session'],
+      ['--plugins', 'Show which plugin contributed which tool'],
+      ['config', 'Show the project config and active profile'],
+      ['credentials [list]', 'Show where each secret comes from (values are never printed)'],
+      ['credentials set <name> [--stdin] | delete <name>', 'Manage the encrypted credential store'],
+      ['--mcp', 'Serve the tools over MCP (stdio)'],
+      ['--agent [port] [--host <host>]', 'Serve the Copilot Extensions agent endpoint (on 127.0.0.1 unless --host is given)'],
+      ['<tool> \'<json>\'', 'Run a tool with JSON parameters']
+    ]),
+    '',
+    'Options:',
+    ...formatColumns(GLOBAL_OPTIONS)
+  ].join('\n');
+}
+
+/**
+ * Placeholder shown after a parameter flag, e.g. `<string>` or `<public|private>`
+ * @param {Object} schema - Property schema
+ * @returns {string}
+ */
+function valueHint(schema) {
+  if (schema.enum) {
+    return `<${schema.enum.join('|')}>`;
+  }
+  if (schema.type === 'boolean') {
+    return '';
+  }
+  if (schema.type === 'array') {
+    return `<${(schema.items && schema.items.type) || 'value'}> ...`;
+  }
+  return `<${schema.type || 'value'}>`;
+}
+
+/**
+ * Help for one tool, generated from its parameter schema
+ * @param {CopilotQuarto} copilot
+ * @param {string} toolName
+ * @returns {string}
+ */
+function formatToolHelp(copilot, toolName) {
+  const tool = requireTool(copilot, toolName);
+  const schema = copilot.registry.getSchema(toolName) || {};
+  const required = schema.required || [];
+  const properties = Object.entries(schema.properties || {});
+
+  const configured = copilot.registry.withConfigDefaults(toolName, {});
+  const rows = properties.map(([name, property]) => {
+    const notes = [
+      required.includes(name) ? '(required)' : null,
+      property.description || null,
+      configured[name] !== undefined ? `(config: ${property.writeOnly ? '***' : JSON.stringify(configured[name])})` : null,
+      property.default !== undefined ? `(default: ${JSON.stringify(property.default)})` : null
+    ].filter(Boolean);
+    return [`--${name} ${valueHint(property)}`.trimEnd(), notes.join(' ')];
+  });
+
+  const source = copilot.registry.getToolSource(toolName);
+  return [
+    `Usage: copilot-quarto run ${toolName} [options]`,
+    '',
+    tool.description,
+    ...(source && source !== 'built-in' ? ['', `Provided by plugin: ${source}`] : []),
+    '',
+    'Parameters:',
+    ...(rows.length ? formatColumns(rows) : ['  (none)']),
+    '',
+    'Options:',
+    ...formatColumns(GLOBAL_OPTIONS)
+  ].join('\n');
+}
+
+/**
+ * @param {CopilotQuarto} copilot
+ * @param {string} toolName
+ * @returns {CopilotQuartoTool}
+ */
+function requireTool(copilot, toolName) {
+  const tool = toolName && copilot.registry.tools.get(toolName);
+  if (!tool) {
+    throw new ToolNotFoundError(`Tool '${toolName}' not found`, {
+      hint: 'Run `copilot-quarto list` to see the available tools.',
+      details: { tool: toolName }
+    });
+  }
+  return tool;
+}
+
+/**
+ * Convert a command-line string to the type the schema asks for. Values that
+ * cannot be converted are left as strings for schema validation to report.
+ * @param {string|boolean} value - `true` for a flag given without a value
+ * @param {Object} schema - Property schema
+ * @returns {*}
+ */
+function coerceValue(value, schema = {}) {
+  if (value === true) {
+    return schema.type === 'boolean' || !schema.type ? true : value;
+  }
+
+  switch (schema.type) {
+  case 'boolean':
+    if (['true', 'yes', '1'].includes(value)) {
+      return true;
+    }
+    return ['false', 'no', '0'].includes(value) ? false : value;
+  case 'integer':
+  case 'number':
+    return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  case 'array':
+    if (value.trim().startsWith('[')) {
+      return yaml.parse(value);
+    }
+    return value.split(',').map(item => coerceValue(item.trim(), schema.items));
+  case 'object':
+    return yaml.parse(value);
+  default:
+    return value;
+  }
+}
+
+/**
+ * Parse `--param value`, `--param=value`, `--flag` and `--no-flag` into tool
+ * parameters typed according to the schema. Kebab-case names are accepted for
+ * snake_case parameters, and repeating an array flag appends to it.
+ * @param {Object} schema - Tool parameter schema
+ * @param {Array<string>} argv - Arguments after the tool name
+ * @param {string} [toolName] - For error messages
+ * @returns {Object}
+ */
+function parseToolArgs(schema = {}, argv = [], toolName = 'the tool') {
+  const properties = schema.properties || {};
+  const params = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      throw new ValidationError(`Unexpected argument '${arg}'`, [{ field: null, message: `unexpected argument '${arg}'` }], {
+        hint: `Pass parameters as --name value; run \`copilot-quarto describe ${toolName}\` to list them.`
+      });
+    }
+
+    let [flag, value] = arg.slice(2).split(/=(.*)/s);
+    let negated = false;
+    let name = findParameter(properties, flag);
+    if (!name && flag.startsWith('no-')) {
+      name = findParameter(properties, flag.slice(3));
+      negated = Boolean(name);
+    }
+    if (!name) {
+      throw new ValidationError(`Unknown parameter --${flag} for ${toolName}`, [{ field: flag, message: 'is not a parameter of this tool' }], {
+        hint: `Run \`copilot-quarto describe ${toolName}\` to list its parameters.`
+      });
+    }
+
+    const property = properties[name];
+    if (negated) {
+      params[name] = false;
+      continue;
+    }
+    if (value === undefined) {
+      const next = argv[index + 1];
+      if (property.type !== 'boolean' && next !== undefined && !next.startsWith('--')) {
+        value = next;
+        index++;
+      } else if (property.type === 'boolean' && ['true', 'false'].includes(next)) {
+        value = next;
+        index++;
+      } else {
+        value = true;
+      }
+    }
+
+    const coerced = coerceValue(value, property);
+    if (property.type === 'array' && Array.isArray(params[name])) {
+      params[name] = params[name].concat(coerced);
+    } else {
+      params[name] = coerced;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * @param {Object} properties
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function findParameter(properties, flag) {
+  return [flag, flag.replace(/-/g, '_')].find(name => Object.prototype.hasOwnProperty.call(properties, name));
+}
+
+/**
+ * Build an inquirer question suited to a parameter's type
+ * @param {string} name
+ * @param {Object} property - Property schema
+ * @returns {Object}
+ */
+function buildQuestion(name, property = {}) {
+  const question = {
+    name,
+    message: property.description ? `${name} (${property.description})` : name,
+    default: property.default
+  };
+
+  if (property.enum) {
+    return { ...question, type: 'list', choices: property.enum };
+  }
+
+  switch (property.type) {
+  case 'boolean':
+    return { ...question, type: 'confirm' };
+  case 'integer':
+  case 'number':
+    return {
+      ...question,
+      type: 'number',
+      validate: value => !Number.isNaN(value) || `${name} must be a number`
+    };
+  case 'array':
+    if (property.items && property.items.enum) {
+      return { ...question, type: 'checkbox', choices: property.items.enum };
+    }
+    return {
+      ...question,
+      type: 'input',
+      message: `${question.message}, comma-separated`,
+      filter: value => coerceValue(value, property)
+    };
+  case 'object':
+    return {
+      ...question,
+      type: 'editor',
+      message: `${question.message}, as YAML or JSON`,
+      filter: value => yaml.parse(value),
+      validate: value => value !== null && typeof value === 'object' || `${name} must be a mapping`
+    };
+  default:
+    return {
+      ...question,
+      type: property.writeOnly ? 'password' : 'input',
+      validate: value => value.trim() !== '' || `${name} is required`
+    };
+  }
+}
+
+/**
+ * Ask for every required parameter that is still missing
+ * @param {Object} schema - Tool parameter schema
+ * @param {Object} params - Parameters given so far
+ * @param {Object} [options]
+ * @param {Function} [options.prompt] - inquirer-compatible prompt function
+ * @returns {Promise<Object>} Parameters including the answers
+ */
+async function promptForMissing(schema = {}, params = {}, options = {}) {
+  const properties = schema.properties || {};
+  const questions = (schema.required || [])
+    .filter(name => params[name] === undefined)
+    .map(name => buildQuestion(name, properties[name]));
+
+  if (questions.length === 0) {
+    return params;
+  }
+
+  const prompt = options.prompt || require('inquirer').prompt;
+  return { ...params, ...await prompt(questions) };
+}
+
+/**
+ * Print the outcome of a tool or recipe run
+ * @param {Object} result
+ * @param {Object} io
+ */
+function printResult(result, io) {
+  if (result.dry_run) {
+    io.out(result.diff || 'No file changes.');
+    result.planned_commands.forEach(command => io.out(`Would run (${command.type}): ${command.command}`));
+    return;
+  }
+  io.out(`Result: ${JSON.stringify(result, null, 2)}`);
+}
+
+/**
+ * Split the options every command accepts from the command's own arguments
+ * @param {Array<string>} argv
+ * @returns {{args: Array<string>, dryRun: boolean, interactive: boolean, help: boolean, logJson: string|null,
+ *   profile: string|null, configPath: string|null, allowOutsideWorkspace: boolean}}
+ */
+function parseGlobalOptions(argv) {
+  const options = {
+    args: [],
+    dryRun: false,
+    interactive: false,
+    help: false,
+    logJson: null,
+    profile: null,
+    configPath: null,
+    allowOutsideWorkspace: false
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '-i' || arg === '--interactive') {
+      options.interactive = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--log-json') {
+      options.logJson = argv[++index];
+    } else if (arg === '--profile') {
+      options.profile = argv[++index];
+    } else if (arg === '--config') {
+      options.configPath = argv[++index];
+    } else if (arg === '--allow-outside-workspace') {
+      options.allowOutsideWorkspace = true;
+    } else {
+      options.args.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @param {Object} [options]
+ * @param {CopilotQuarto} [options.copilot] - Instance to use instead of a new one
+ * @param {Function} [options.prompt] - inquirer-compatible prompt function
+ * @param {stream.Readable} [options.stdin=process.stdin] - Read by `credentials set --stdin`
+ * @param {stream.Writable} [options.stdout=process.stdout]
+ * @param {stream.Writable} [options.stderr=process.stderr]
+ * @returns {Promise<number|undefined>} Exit code, or undefined while a server keeps running
+ */
+async function main(argv, options = {}) {
+  const stdout = options.stdout || process.stdout;
+  const stderr = options.stderr || process.stderr;
+  const io = {
+    out: text => stdout.write(`${text}\n`),
+    err: text => stderr.write(`${text}\n`)
+  };
+  const { args, dryRun, interactive, help, logJson, profile, configPath, allowOutsideWorkspace } = parseGlobalOptions(argv);
+  const [command, ...rest] = args;
+
+  if (help && (command === undefined || command === 'help')) {
+    io.out(formatMainHelp());
+    return 0;
+  }
+
+  let copilot = options.copilot;
+  try {
+    // MCP uses stdout for the protocol and forwards logs as notifications
+    copilot = copilot || new CopilotQuarto({
+      stateDir: path.join(process.cwd(), '.copilot-quarto'),
+      console: command === '--mcp' || logJson === '-' ? false : {},
+      profile: profile || undefined,
+      configPath: configPath || undefined
+    });
+  } catch (error) {
+    // Usually a broken config file, or a plugin that failed to load or collides with another tool
+    io.err(`Error ${formatError(error)}`);
+    return 1;
+  }
+  if (logJson) {
+    new JsonLinesSink(logJson === '-' ? process.stderr : logJson).attach(copilot.registry);
+  }
+
+  try {
+    return await dispatch(copilot, command, rest, {
+      dryRun, interactive, help, allowOutsideWorkspace, prompt: options.prompt, stdin: options.stdin, io
+    });
+  } catch (error) {
+    io.err(`Error ${formatError(error)}`);
+    if (error.rolled_back) {
+      io.err(`↩️  Rolled back ${error.rolled_back.length} step(s)`);
+    }
+    return 1;
+  }
+}
+
+/**
+ * Run one command
+ * @param {CopilotQuarto} copilot
+ * @param {string} command
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Object} options - Parsed global options plus prompt, stdin and io
+ * @returns {Promise<number|undefined>}
+ */
+async function dispatch(copilot, command, args, options) {
+  const { dryRun, io } = options;
+
+  switch (command) {
+  case 'help':
+    io.out(args[0] ? formatToolHelp(copilot, args[0]) : formatMainHelp());
+    return 0;
+
+  case 'list':
+    io.out(formatColumns(copilot.listTools().map(tool => [
+      tool.source === 'built-in' ? tool.name : `${tool.name} [${tool.source}]`,
+      tool.description
+    ])).join('\n'));
+    return 0;
+
+  case 'describe':
+    io.out(formatToolHelp(copilot, args[0]));
+    return 0;
+
+  case 'run':
+    return await runTool(copilot, args[0], args.slice(1), options);
+
+  case '--mcp': {
+    // Serve the registry over stdio for MCP hosts
+    const { startMcpServer } = require('./mcp-server');
+    await startMcpServer(copilot);
+    return 0;
+  }
+
+  case '--agent': {
+    // Serve the Copilot Extensions agent endpoint over HTTP
+    const { CopilotAgentServer } = require('./copilot-agent');
+    // Only local clients can reach the agent unless a public host is asked for
+    const { positional, values } = parseCommandArgs(args, ['--host']);
+    const port = Number(positional[0] || process.env.PORT || 3000);
+    const host = values.host || '127.0.0.1';
+    const { url } = await new CopilotAgentServer(copilot).listen(port, host);
+    io.out(`Copilot agent listening on ${url}`);
+    return undefined;
+  }
+
+  case 'run-recipe': {
+    // run-recipe <file> [--set name=value ...] [--dry-run]
+    const { positional, sets } = parseCommandArgs(args, []);
+    const result = await withInterrupt(signal => copilot.runRecipe(positional[0], {
+      inputs: sets,
+      dryRun,
+      allowOutsideWorkspace: options.allowOutsideWorkspace,
+      signal,
+      onStep: step => io.out([
+        step.status === 'succeeded' ? '✅' : step.status === 'skipped' ? '⏭️ ' : '❌',
+        `${step.id} (${step.tool})${step.error ? `: ${step.error}` : ''}`
+      ].join(' '))
+    }));
+    if (result.dry_run) {
+      printResult(result, io);
+    }
+    return result.success ? 0 : 1;
+  }
+
+  case 'manifest':
+    return runManifest(copilot, args, io);
+
+  case 'config':
+    printConfig(copilot, io);
+    return 0;
+
+  case 'credentials':
+    return await runCredentials(copilot, args, options);
+
+  case 'history':
+    printHistory(copilot, args, io);
+    return 0;
+
+  case 'replay':
+    return await runReplay(copilot, args, options);
+
+  case '--undo':
+  case '--rollback': {
+    const force = args.includes('--force');
+    const target = args.find(arg => arg !== '--force');
+    const undone = command === '--undo' ?
+      copilot.undo(Number(target || 1), { force }) :
+      copilot.rollback(target, { force });
+    undone.forEach(run => {
+      const verb = run.remaining.length > 0 ? 'Partly undid' : 'Undid';
+      io.out(`↩️  ${verb} ${run.tool} (${run.files.length} file(s))`);
+      run.remaining.forEach(item => io.err(`⚠️  Left ${item.path}: ${item.reason}`));
+    });
+    if (undone.length === 0) {
+      io.out('Nothing to undo');
+    }
+    return 0;
+  }
+
+  case '--plugins':
+    if (copilot.plugins.length === 0) {
+      io.out('No plugins loaded');
+    }
+    copilot.plugins.forEach(plugin => {
+      io.out(`${plugin.name} (${plugin.specifier})`);
+      plugin.tools.forEach(name => io.out(`  - ${name}`));
+    });
+    return 0;
+
+  case undefined:
+    if (options.interactive) {
+      return await runTool(copilot, undefined, [], options);
+    }
+    printStatus(copilot, io);
+    return 0;
+
+  default:
+    // Legacy form: <tool> '<json>'
+    if (options.help) {
+      io.out(formatToolHelp(copilot, command));
+      return 0;
+    }
+    return await runTool(copilot, command, args, options);
+  }
+}
+
+/**
+ * Run a task with an AbortSignal that Ctrl-C aborts, so the command the
+ * tool is running is stopped instead of left behind
+ * @param {Function} task - Called with the signal
+ * @returns {Promise<*>}
+ */
+async function withInterrupt(task) {
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.once('SIGINT', onInterrupt);
+  try {
+    return await task(controller.signal);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Run a tool from `--param value` flags or a JSON argument, prompting for
+ * missing required parameters in interactive mode
+ * @param {CopilotQuarto} copilot
+ * @param {string} [toolName] - Prompted for in interactive mode when omitted
+ * @param {Array<string>} args
+ * @param {Object} options
+ * @returns {Promise<number>}
+ */
+async function runTool(copilot, toolName, args, options) {
+  const { io } = options;
+  const prompt = options.prompt || (options.interactive ? require('inquirer').prompt : null);
+
+  if (!toolName && prompt) {
+    ({ toolName } = await prompt([{
+      name: 'toolName',
+      type: 'list',
+      message: 'Tool to run',
+      choices: copilot.getAvailableTools()
+    }]));
+  }
+  requireTool(copilot, toolName);
+
+  if (options.help) {
+    io.out(formatToolHelp(copilot, toolName));
+    return 0;
+  }
+
+  const schema = copilot.registry.getSchema(toolName);
+  let params = args.length === 1 && args[0].trim().startsWith('{') ?
+    JSON.parse(args[0]) :
+    parseToolArgs(schema, args, toolName);
+
+  if (options.interactive) {
+    params = await promptForMissing(schema, copilot.registry.withConfigDefaults(toolName, params), { prompt });
+  }
+
+  printResult(await withInterrupt(signal => copilot.execute(toolName, params, {
+    dryRun: options.dryRun,
+    allowOutsideWorkspace: options.allowOutsideWorkspace,
+    signal
+  })), io);
+  return 0;
+}
+
+/**
+ * Print, regenerate (--write) or check (--check) the tool manifest
+ * @param {CopilotQuarto} copilot
+ * @param {Array<string>} args
+ * @param {Object} io
+ * @returns {number}
+ */
+function runManifest(copilot, args, io) {
+  if (args.includes('--write')) {
+    writeManifest(copilot.getToolDefinitions('copilot', { builtInOnly: true }));
+    io.out(`Wrote ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+    return 0;
+  }
+
+  if (args.includes('--check')) {
+    const validation = copilot.validateImplementation();
+    const problems = [
+      ...validation.missing.map(name => `${name}: is in the manifest but no tool declares it`),
+      ...validation.drift
+        .filter(entry => entry.field !== 'name')
+        .map(entry => `${entry.tool}: ${entry.field} ${entry.message}`),
+      ...validation.extra.map(name => `${name}: is missing from the manifest`)
+    ];
+    if (problems.length === 0) {
+      io.out(`✅ ${path.relative(process.cwd(), MANIFEST_PATH)} matches the ${validation.implemented} tools`);
+      return 0;
+    }
+    problems.forEach(problem => io.err(`❌ ${problem}`));
+    io.err('Run `copilot-quarto manifest --write` to regenerate the manifest from the code.');
+    return 1;
+  }
+
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex === -1 ? 'copilot' : args[formatIndex + 1];
+  io.out(JSON.stringify(copilot.getToolDefinitions(format), null, 2));
+  return 0;
+}
+
+/**
+ * Print the project config in effect
+ * @param {CopilotQuarto} copilot
+ * @param {Object} io
+ */
+function printConfig(copilot, io) {
+  const config = copilot.config;
+  if (!config || !config.path) {
+    io.out('No .copilot-quarto.json or .copilot-quarto.yml found from here upward');
+    return;
+  }
+  io.out(`Config: ${config.path}`);
+  io.out(`Profile: ${config.profile || '(none)'}${config.profiles.length ? ` (available: ${config.profiles.join(', ')})` : ''}`);
+  io.out(yaml.stringify({ defaults: config.defaults, tools: config.tools, plugins: config.plugins }).trimEnd());
+}
+
+/**
+ * Split `--flag value` pairs from positional arguments
+ * @param {Array<string>} args
+ * @param {Array<string>} flags - Flags that take a value
+ * @returns {{positional: Array<string>, values: Object, sets: Object}} `sets` collects `--set name=value`
+ */
+function parseCommandArgs(args, flags) {
+  const parsed = { positional: [], values: {}, sets: {} };
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--set' && args[index + 1]) {
+      const [key, ...value] = args[++index].split('=');
+      parsed.sets[key] = yaml.parse(value.join('='));
+    } else if (flags.includes(arg)) {
+      parsed.values[arg.slice(2)] = args[++index];
+    } else if (arg.startsWith('--')) {
+      parsed.values[arg.slice(2)] = true;
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Print recorded runs, most recent last
+ * @param {CopilotQuarto} copilot
+ * @param {Array<string>} args
+ * @param {Object} io
+ */
+function printHistory(copilot, args, io) {
+  const { values } = parseCommandArgs(args, ['--limit', '--tool', '--session', '--since']);
+  const entries = copilot.requireHistory().list({
+    tool: values.tool,
+    session: values.session,
+    since: values.since,
+    limit: Number(values.limit || 20)
+  });
+
+  if (values.json) {
+    entries.forEach(entry => io.out(JSON.stringify(entry)));
+    return;
+  }
+  if (entries.length === 0) {
+    io.out('No runs recorded yet');
+    return;
+  }
+  for (const entry of entries) {
+    io.out([
+      entry.id.slice(0, 8),
+      entry.timestamp.replace('T', ' ').slice(0, 19),
+      `${entry.status === 'succeeded' ? '✅' : '❌'} ${entry.tool}${entry.dry_run ? ' (dry run)' : ''}`,
+      `${entry.duration_ms}ms`,
+      `${entry.files.length} file(s)`
+    ].join('  '));
+    if (entry.error) {
+      io.out(`          [${entry.error.code}] ${entry.error.message}`);
+    }
+  }
+}
+
+/**
+ * Replay recorded runs, in place or in another directory
+ * @param {CopilotQuarto} copilot
+ * @param {Array<string>} args
+ * @param {Object} options
+ * @returns {Promise<number>}
+ */
+async function runReplay(copilot, args, options) {
+  const { io } = options;
+  const { positional, values, sets } = parseCommandArgs(args, ['--from', '--session', '--into']);
+  let selection = positional;
+  if (values.from) {
+    selection = { from: values.from };
+  } else if (values.session) {
+    selection = { session: values.session };
+  } else if (positional.length === 0) {
+    throw new ValidationError('replay needs a run id, --from <id> or --session <name>', [], {
+      hint: 'Run `copilot-quarto history` to see the recorded runs.'
+    });
+  }
+
+  const replay = await copilot.replay(selection, {
+    cwd: values.into,
+    dryRun: options.dryRun,
+    allowOutsideWorkspace: options.allowOutsideWorkspace,
+    includeAll: Boolean(values.all),
+    overrides: sets
+  });
+  for (const run of replay.runs) {
+    io.out(`${run.status === 'succeeded' ? '✅' : '❌'} ${run.id.slice(0, 8)} ${run.tool}${run.error ? `: [${run.code}] ${run.error}` : ''}`);
+    if (run.result && run.result.dry_run) {
+      printResult(run.result, io);
+    }
+  }
+  io.out(`Replayed ${replay.runs.length} run(s) in ${replay.cwd}`);
+  return replay.success ? 0 : 1;
+}
+
+/**
+ * List credential sources, or set/delete a secret in the encrypted store.
+ * `set` prompts for the value, or reads it from stdin with `--stdin`, so it
+ * never appears in the shell history or the process list.
+ * @param {CopilotQuarto} copilot
+ * @param {Array<string>} args
+ * @param {Object} options
+ * @returns {Promise<number>}
+ */
+async function runCredentials(copilot, args, options) {
+  const { io } = options;
+  const { positional, values } = parseCommandArgs(args, []);
+  const [action = 'list', name, ...extra] = positional;
+  const store = copilot.credentials.store;
+
+  switch (action) {
+  case 'list':
+    io.out(formatColumns(copilot.credentials.describe().map(entry => [entry.name, entry.source || '(not set)'])).join('\n'));
+    return 0;
+
+  case 'set': {
+    requireCredentialName(name, action);
+    if (extra.length > 0) {
+      throw new ValidationError('credentials set does not take the value as an argument', [], {
+        hint: `Run \`copilot-quarto credentials set ${name}\` to be prompted, or pipe the value into \`--stdin\`.`
+      });
+    }
+    let secret;
+    if (values.stdin) {
+      secret = (await readStream(options.stdin || process.stdin)).replace(/\r?\n$/, '');
+    } else {
+      const prompt = options.prompt || require('inquirer').prompt;
+      secret = (await prompt([buildQuestion(name, { type: 'string', writeOnly: true })]))[name];
+    }
+    if (!secret) {
+      throw new ValidationError(`No value given for ${name}`, [], {
+        hint: 'Enter the secret at the prompt, or pipe it into `--stdin`.'
+      });
+    }
+    store.set(name, secret);
+    io.out(`Stored ${name} in ${path.relative(process.cwd(), store.path)}`);
+    return 0;
+  }
+
+  case 'delete':
+    requireCredentialName(name, action);
+    io.out(store.delete(name) ? `Deleted ${name}` : `${name} is not in the store`);
+    return 0;
+
+  default:
+    throw new ValidationError(`Unknown credentials action '${action}'`, [], {
+      hint: 'Use `credentials list`, `credentials set <name>` or `credentials delete <name>`.'
+    });
+  }
+}
+
+/**
+ * Read a stream to its end as UTF-8 text
+ * @param {stream.Readable} input
+ * @returns {Promise<string>}
+ */
+function readStream(input) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    input.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    input.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    input.on('error', reject);
+  });
+}
+
+/**
+ * @param {string} [name]
+ * @param {string} action
+ */
+function requireCredentialName(name, action) {
+  if (!name) {
+    throw new ValidationError(`credentials ${action} needs a secret name`, [], {
+      hint: `e.g. \`copilot-quarto credentials ${action} GITHUB_TOKEN\``
+    });
+  }
+}
+
+/**
+ * Print the tool list and implementation status (no arguments)
+ * @param {CopilotQuarto} copilot
+ * @param {Object} io
+ */
+function printStatus(copilot, io) {
+  io.out(`Available tools: ${copilot.getAvailableTools().join(', ')}`);
+
+  const validation = copilot.validateImplementation();
+  io.out('\nImplementation status:');
+  io.out(`✅ Implemented: ${validation.implemented}/${validation.defined}`);
+
+  if (validation.missing.length > 0) {
+    io.out(`❌ Missing: ${validation.missing.join(', ')}`);
+  }
+
+  if (validation.extra.length > 0) {
+    io.out(`ℹ️  Extra: ${validation.extra.join(', ')}`);
+  }
+
+  if (!validation.inSync) {
+    io.out(`⚠️  Manifest drift: ${validation.drift.length} difference(s); run \`copilot-quarto manifest --check\``);
+  }
+
+  copilot.plugins.forEach(plugin => {
+    io.out(`🧩 Plugin ${plugin.name}: ${plugin.tools.join(', ')}`);
+  });
+  io.out('\nRun `copilot-quarto --help` for usage.');
+}
+
+module.exports = {
+  main,
+  parseToolArgs,
+  coerceValue,
+  promptForMissing,
+  buildQuestion,
+  formatToolHelp,
+  formatMainHelp
+};
@@ -0,0 +1,192 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('yaml');
+const { ToolError, FileNotFoundError, InvalidContentError } = require('./errors');
+
+// Looked for in each directory from the working directory up to the root
+const CONFIG_FILES = ['.copilot-quarto.json', '.copilot-quarto.yml', '.copilot-quarto.yaml'];
+
+// Selects a profile when none is passed explicitly
+const PROFILE_ENV = 'COPILOT_QUARTO_PROFILE';
+
+/**
+ * Find the nearest config file, starting in a directory and walking upward
+ * @param {string} [startDir=process.cwd()]
+ * @returns {string|null}
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let directory = path.resolve(startDir);
+  for (;;) {
+    const found = CONFIG_FILES
+      .map(name => path.join(directory, name))
+      .find(candidate => fs.existsSync(candidate));
+    if (found) {
+      return found;
+    }
+    const parent = path.dirname(directory);
+    if (parent === directory) {
+      return null;
+    }
+    directory = parent;
+  }
+}
+
+/**
+ * Parse a config file (JSON or YAML)
+ * @param {string} configPath
+ * @returns {Object}
+ */
+function readConfigFile(configPath) {
+  let content;
+  try {
+    content = yaml.parse(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    throw new InvalidContentError(`Could not parse ${configPath}: ${error.message}`, {
+      hint: 'The config file must be valid JSON or YAML.',
+      details: { path: configPath },
+      cause: error
+    });
+  }
+
+  if (typeof content !== 'object' || Array.isArray(content)) {
+    throw new InvalidContentError(`${configPath} must contain a mapping`, { details: { path: configPath } });
+  }
+  return content;
+}
+
+/**
+ * Load the project config and resolve the active profile.
+ *
+ * ```yaml
+ * profile: work              # used when no profile is selected
+ * defaults:                  # for every tool that has the parameter
+ *   quarto_yml_path: _quarto.yml
+ * tools:                     # for one tool only
+ *   quarto_generate_custom_scss:
+ *     font_family: Inter
+ * profiles:
+ *   personal:
+ *     defaults: { github_owner: me }
+ * plugins: [./tools/acme.js]
+ * credentials:              # secrets, or the environment variable holding one
+ *   GITHUB_TOKEN: { env: WORK_GITHUB_TOKEN }
+ * workspace:                # where tools may read and write (defaults to the config's directory)
+ *   root: .
+ *   allow: [../shared-assets]
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Where the upward search starts
+ * @param {string} [options.configPath] - Use this file instead of searching
+ * @param {string} [options.profile] - Profile name (defaults to $COPILOT_QUARTO_PROFILE, then `profile:` in the file)
+ * @returns {{path: string|null, directory: string|null, profile: string|null, profiles: Array<string>,
+ *   defaults: Object, tools: Object, plugins: Array<string>, credentials: Object,
+ *   workspace: {root: string, allow: Array<string>}|null}}
+ */
+function loadConfig(options = {}) {
+  const configPath = options.configPath ?
+    path.resolve(options.cwd || process.cwd(), options.configPath) :
+    findConfigFile(options.cwd);
+  if (!configPath) {
+    return emptyConfig();
+  }
+  if (!fs.existsSync(configPath)) {
+    throw new FileNotFoundError(`Config file not found: ${configPath}`, { details: { path: configPath } });
+  }
+
+  const content = readConfigFile(configPath);
+  const directory = path.dirname(configPath);
+  const profiles = content.profiles || {};
+  const profile = options.profile || process.env[PROFILE_ENV] || content.profile || null;
+
+  if (profile && !profiles[profile]) {
+    throw new ToolError(`Profile '${profile}' is not defined in ${configPath}`, {
+      code: 'PROFILE_NOT_FOUND',
+      hint: Object.keys(profiles).length ?
+        `Available profiles: ${Object.keys(profiles).join(', ')}.` :
+        'Add it under `profiles:` in the config file.',
+      details: { profile, path: configPath }
+    });
+  }
+  const selected = profile ? profiles[profile] : {};
+
+  return {
+    path: configPath,
+    directory,
+    profile,
+    profiles: Object.keys(profiles),
+    defaults: { ...content.defaults, ...selected.defaults },
+    tools: mergeToolDefaults(content.tools, selected.tools),
+    // Relative plugin paths are relative to the config file
+    plugins: (content.plugins || []).map(entry => entry.startsWith('.') ? path.resolve(directory, entry) : entry),
+    credentials: { ...content.credentials, ...selected.credentials },
+    workspace: resolveWorkspace(directory, { ...content.workspace, ...selected.workspace })
+  };
+}
+
+/**
+ * Config used when no file is found
+ * @returns {Object}
+ */
+function emptyConfig() {
+  return { path: null, directory: null, profile: null, profiles: [], defaults: {}, tools: {}, plugins: [], credentials: {}, workspace: null };
+}
+
+/**
+ * Workspace settings with paths made absolute, relative to the config file
+ * @param {string} directory - Directory of the config file
+ * @param {Object} settings - `workspace:` from the file
+ * @returns {{root: string, allow: Array<string>}}
+ */
+function resolveWorkspace(directory, settings) {
+  const root = path.resolve(directory, settings.root || '.');
+  return {
+    root,
+    allow: (settings.allow || []).map(entry => path.resolve(directory, entry))
+  };
+}
+
+/**
+ * Merge per-tool defaults, the profile's taking precedence
+ * @param {Object} [base]
+ * @param {Object} [override]
+ * @returns {Object}
+ */
+function mergeToolDefaults(base, override) {
+  const merged = { ...base };
+  for (const [toolName, values] of Object.entries(override || {})) {
+    merged[toolName] = { ...merged[toolName], ...values };
+  }
+  return merged;
+}
+
+/**
+ * Fill in config defaults for parameters the caller left out. Shared
+ * `defaults` only apply to parameters the tool's schema declares; per-tool
+ * values always apply.
+ * @param {Object|null} config - Result of loadConfig
+ * @param {string} toolName
+ * @param {Object} [schema] - Tool parameter schema
+ * @param {Object} params
+ * @returns {Object}
+ */
+function applyConfigDefaults(config, toolName, schema, params = {}) {
+  if (!config) {
+    return params;
+  }
+
+  const properties = (schema && schema.properties) || {};
+  const shared = Object.fromEntries(
+    Object.entries(config.defaults).filter(([name]) => Object.prototype.hasOwnProperty.call(properties, name))
+  );
+  const defined = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+  return { ...shared, ...config.tools[toolName], ...defined };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PROFILE_ENV,
+  findConfigFile,
+  loadConfig,
+  applyConfigDefaults
+};
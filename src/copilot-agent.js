@@ -0,0 +1,509 @@
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const COPILOT_API_URL = 'https://api.githubcopilot.com/chat/completions';
+
+// Conversations are small JSON documents; anything larger is refused with 413
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const SYSTEM_PROMPT = 'You are copilot-quarto, an assistant that builds and publishes Quarto ' +
+  'dashboards and websites. Call the provided tools to act on the user\'s project; ' +
+  'ask for missing details instead of guessing file paths.';
+
+/**
+ * Verify a Copilot request signature (ECDSA with SHA-256, base64 DER)
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} signature - Value of the Github-Public-Key-Signature header
+ * @param {string} publicKey - PEM encoded public key
+ * @returns {boolean}
+ */
+function verifySignature(payload, signature, publicKey) {
+  if (!payload || !signature || !publicKey) {
+    return false;
+  }
+  try {
+    return crypto.verify('sha256', Buffer.from(payload), publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a server-sent event
+ * @param {Object|Array|string} data
+ * @param {string} [event] - Event name; omitted for plain message chunks
+ * @returns {string}
+ */
+function formatEvent(data, event) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`;
+}
+
+/**
+ * Ask the Copilot LLM which tools to call for the conversation
+ * @param {Array<Object>} messages - Conversation from the Copilot request
+ * @param {Array<Object>} tools - Tools in OpenAI function-calling format
+ * @param {Object} context - `{ token }` from the X-GitHub-Token header
+ * @returns {Promise<{content: string, tool_calls: Array<Object>}>}
+ */
+async function copilotPlanner(messages, tools, context) {
+  const response = await axios.post(COPILOT_API_URL, {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      ...messages.map(({ role, content }) => ({ role, content }))
+    ],
+    tools,
+    stream: false
+  }, {
+    headers: {
+      'Authorization': `Bearer ${context.token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const message = response.data.choices[0].message;
+  return {
+    content: message.content || '',
+    tool_calls: message.tool_calls || []
+  };
+}
+
+/**
+ * HTTP server speaking the GitHub Copilot Extensions agent protocol.
+ *
+ * Each POST carries the chat conversation. Tool calls proposed by the planner
+ * are sent back as `copilot_confirmation` events; the tool only runs once the
+ * user accepts, which arrives as `copilot_confirmations` on the next request.
+ * Responses are streamed as chat completion chunks over SSE.
+ */
+class CopilotAgentServer {
+  /**
+   * @param {CopilotQuarto} copilot - Initialised CopilotQuarto instance
+   * @param {Object} [options]
+   * @param {string} [options.publicKey] - PEM key used to verify request signatures
+   * @param {Object<string, string>} [options.publicKeys] - PEM keys by Github-Public-Key-Identifier
+   * @param {boolean} [options.verifySignatures=true] - Disable only for local development
+   * @param {boolean} [options.requireConfirmation=true] - Ask before running each tool call
+   * @param {Function} [options.planner] - Replaces the Copilot LLM call; see copilotPlanner
+   * @param {number} [options.maxBodyBytes=1048576] - Largest request body accepted
+   */
+  constructor(copilot, options = {}) {
+    this.copilot = copilot;
+    this.publicKey = options.publicKey || process.env.COPILOT_AGENT_PUBLIC_KEY || null;
+    this.publicKeys = options.publicKeys || {};
+    this.verifySignatures = options.verifySignatures !== false;
+    this.requireConfirmation = options.requireConfirmation !== false;
+    this.planner = options.planner || copilotPlanner;
+    this.maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+        }
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0]
+   * @param {string} [host='127.0.0.1']
+   * @returns {Promise<{port: number, url: string}>}
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve({ port: address.port, url: `http://${host}:${address.port}` });
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Pick the public key for a request
+   * @param {string} [identifier]
+   * @returns {string|null}
+   */
+  resolvePublicKey(identifier) {
+    if (identifier && this.publicKeys[identifier]) {
+      return this.publicKeys[identifier];
+    }
+    return this.publicKey;
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Allow': 'POST', 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Method not allowed' }));
+      return;
+    }
+
+    const body = await readBody(req, this.maxBodyBytes);
+    if (!body) {
+      res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+      res.end(JSON.stringify({ error: `Request body is larger than ${this.maxBodyBytes} bytes` }));
+      return;
+    }
+
+    if (this.verifySignatures) {
+      const publicKey = this.resolvePublicKey(req.headers['github-public-key-identifier']);
+      if (!verifySignature(body, req.headers['github-public-key-signature'], publicKey)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid request signature' }));
+        return;
+      }
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Invalid JSON body: ${error.message}` }));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const stream = new AgentResponseStream(res);
+    try {
+      await this.respond(payload.messages || [], stream, {
+        token: req.headers['x-github-token']
+      });
+    } catch (error) {
+      stream.error(error);
+    }
+    stream.done();
+  }
+
+  /**
+   * Produce the streamed reply for a conversation
+   * @param {Array<Object>} messages
+   * @param {AgentResponseStream} stream
+   * @param {Object} context
+   */
+  async respond(messages, stream, context) {
+    const lastMessage = messages[messages.length - 1] || {};
+    const confirmations = lastMessage.copilot_confirmations || [];
+
+    if (confirmations.length > 0) {
+      for (const { state, confirmation } of confirmations) {
+        if (state === 'accepted') {
+          await this.runToolCall(confirmation, stream);
+        } else {
+          stream.text(`Skipped \`${confirmation.tool}\`.\n`);
+        }
+      }
+      return;
+    }
+
+    const plan = await this.planner(messages, this.getFunctionDefinitions(), context);
+    if (plan.content) {
+      stream.text(plan.content);
+    }
+
+    for (const toolCall of plan.tool_calls || []) {
+      const call = parseToolCall(toolCall);
+      if (this.requireConfirmation) {
+        stream.confirmation({
+          type: 'action',
+          title: `Run ${call.tool}?`,
+          message: `copilot-quarto wants to run \`${call.tool}\` with:\n\n` +
+            `\`\`\`json\n${JSON.stringify(call.arguments, null, 2)}\n\`\`\``,
+          confirmation: call
+        });
+      } else {
+        await this.runToolCall(call, stream);
+      }
+    }
+  }
+
+  /**
+   * Execute a confirmed tool call and stream the outcome
+   * @param {{id: string, tool: string, arguments: Object}} call
+   * @param {AgentResponseStream} stream
+   */
+  async runToolCall(call, stream) {
+    try {
+      const result = await this.copilot.execute(call.tool, call.arguments || {});
+      stream.text(`\`${call.tool}\` finished:\n\n\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\`\n`);
+    } catch (error) {
+      stream.error(error, call.tool);
+    }
+  }
+
+  /**
+   * Describe registered tools in OpenAI function-calling format
+   * @returns {Array<Object>}
+   */
+  getFunctionDefinitions() {
+    return this.copilot.getToolDefinitions('openai');
+  }
+}
+
+/**
+ * Writes agent protocol events to an SSE response
+ */
+class AgentResponseStream {
+  constructor(res) {
+    this.res = res;
+    this.id = `copilot-quarto-${crypto.randomUUID()}`;
+    this.created = Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Write a chat completion chunk
+   * @param {Object} delta
+   * @param {string|null} [finishReason]
+   */
+  chunk(delta, finishReason = null) {
+    this.res.write(formatEvent({
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: 'copilot-quarto',
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    }));
+  }
+
+  /**
+   * Stream assistant text
+   * @param {string} content
+   */
+  text(content) {
+    this.chunk({ role: 'assistant', content });
+  }
+
+  /**
+   * Ask the user to confirm an action
+   * @param {Object} confirmation - `{ type, title, message, confirmation }`
+   */
+  confirmation(confirmation) {
+    this.res.write(formatEvent(confirmation, 'copilot_confirmation'));
+  }
+
+  /**
+   * Report an error to the Copilot client
+   * @param {Error} error
+   * @param {string} [identifier] - Tool or component that failed
+   */
+  error(error, identifier = 'copilot-quarto') {
+    this.res.write(formatEvent([{
+      type: 'agent',
+      code: error.code || 'AGENT_ERROR',
+      message: error.message,
+      identifier
+    }], 'copilot_errors'));
+  }
+
+  /**
+   * Finish the stream
+   */
+  done() {
+    this.chunk({}, 'stop');
+    this.res.write(formatEvent('[DONE]'));
+    this.res.end();
+  }
+}
+
+/**
+ * Normalise an OpenAI-style tool call
+ * @param {Object} toolCall
+ * @returns {{id: string, tool: string, arguments: Object}}
+ */
+function parseToolCall(toolCall) {
+  const fn = toolCall.function || {};
+  let args = fn.arguments || {};
+  if (typeof args === 'string') {
+    args = args.trim() ? JSON.parse(args) : {};
+  }
+  return {
+    id: toolCall.id || crypto.randomUUID(),
+    tool: fn.name,
+    arguments: args
+  };
+}
+
+/**
+ * Read a request body into a Buffer, stopping once it exceeds the limit
+ * @param {http.IncomingMessage} req
+ * @param {number} limit - Largest body in bytes
+ * @returns {Promise<Buffer|null>} The body, or null when it is too large
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      resolve(null);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        // Keep draining the request but stop buffering it
+        chunks.length = 0;
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse an SSE body into `{ event, data }` entries
+ * @param {string} text
+ * @returns {Array<{event: string, data: *}>}
+ */
+function parseEventStream(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event: ')) {
+        event = line.slice(7);
+      } else if (line.startsWith('data: ')) {
+        dataLines.push(line.slice(6));
+      }
+    }
+    const raw = dataLines.join('\n');
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      // [DONE] and other plain payloads stay as strings
+    }
+    return { event, data };
+  });
+}
+
+/**
+ * Local stand-in for the Copilot platform: signs requests like GitHub does
+ * and collects the streamed reply, so the agent can be exercised without
+ * a real Copilot Extension installation.
+ */
+class LocalCopilotClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Agent URL
+   * @param {string} options.privateKey - PEM private key matching the agent's public key
+   * @param {string} [options.keyIdentifier='local']
+   * @param {string} [options.token='local-token'] - Sent as X-GitHub-Token
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.privateKey = options.privateKey;
+    this.keyIdentifier = options.keyIdentifier || 'local';
+    this.token = options.token || 'local-token';
+  }
+
+  /**
+   * Generate an ECDSA P-256 key pair in PEM format
+   * @returns {{publicKey: string, privateKey: string}}
+   */
+  static generateKeyPair() {
+    return crypto.generateKeyPairSync('ec', {
+      namedCurve: 'prime256v1',
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  }
+
+  /**
+   * Send a conversation and collect the reply
+   * @param {Array<Object>} messages
+   * @returns {Promise<{status: number, events: Array<Object>, text: string, confirmations: Array<Object>, errors: Array<Object>, body: string}>}
+   */
+  async send(messages) {
+    const body = JSON.stringify({ messages });
+    const signature = crypto.sign('sha256', Buffer.from(body), this.privateKey).toString('base64');
+    const { status, text } = await postRaw(this.url, body, {
+      'Content-Type': 'application/json',
+      'Github-Public-Key-Identifier': this.keyIdentifier,
+      'Github-Public-Key-Signature': signature,
+      'X-GitHub-Token': this.token
+    });
+
+    const events = status === 200 ? parseEventStream(text) : [];
+    return {
+      status,
+      events,
+      text: events
+        .filter(entry => entry.event === 'message' && entry.data && entry.data.choices)
+        .map(entry => entry.data.choices[0].delta.content || '')
+        .join(''),
+      confirmations: events.filter(entry => entry.event === 'copilot_confirmation').map(entry => entry.data),
+      errors: events.filter(entry => entry.event === 'copilot_errors').flatMap(entry => entry.data),
+      body: status === 200 ? undefined : text
+    };
+  }
+
+  /**
+   * Answer a confirmation the agent asked for
+   * @param {Object} confirmation - Event data from a copilot_confirmation event
+   * @param {'accepted'|'dismissed'} [state='accepted']
+   * @param {Array<Object>} [history=[]] - Earlier messages in the conversation
+   * @returns {Promise<Object>} Same shape as send()
+   */
+  confirm(confirmation, state = 'accepted', history = []) {
+    return this.send([
+      ...history,
+      {
+        role: 'user',
+        content: '',
+        copilot_confirmations: [{ state, confirmation: confirmation.confirmation }]
+      }
+    ]);
+  }
+}
+
+/**
+ * POST a raw body and buffer the response
+ * @param {string} url
+ * @param {string} body
+ * @param {Object} headers
+ * @returns {Promise<{status: number, text: string}>}
+ */
+function postRaw(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: 'POST', headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  CopilotAgentServer,
+  LocalCopilotClient,
+  verifySignature,
+  parseEventStream,
+  copilotPlanner
+};
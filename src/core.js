@@ -1,15 +1,37 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { execSync, spawn } = require('child_process');
-const chalk = require('chalk');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { validateSchema, formatValidationError } = require('./schema');
+const { ExecutionContext } = require('./execution-context');
+const { defaultRenderer } = require('./logging');
+const { applyConfigDefaults } = require('./config');
+const { CredentialProvider } = require('./credentials');
+const { ToolError, ToolNotFoundError, ValidationError, toToolError } = require('./errors');
+
+// Tracks which run the currently executing code belongs to, so log events
+// from shared tool instances carry the right run id
+const currentRun = new AsyncLocalStorage();
 
 /**
  * Base class for all Copilot Quarto tools
  */
 class CopilotQuartoTool {
-  constructor(name, description) {
+  /**
+   * @param {string} name - Tool name used by hosts and the CLI
+   * @param {string} description - What the tool does, shown to models and users
+   * @param {Object} [schemas]
+   * @param {Object} [schemas.parameters] - JSON schema of the parameters
+   * @param {Object} [schemas.output] - JSON schema of the result
+   */
+  constructor(name, description, schemas = {}) {
     this.name = name;
     this.description = description;
+    this.parameters = schemas.parameters || null;
+    this.outputSchema = schemas.output || null;
+    this.events = null;
   }
 
   /**
@@ -24,6 +46,7 @@ class CopilotQuartoTool {
   /**
    * Execute the tool with given parameters
    * @param {Object} params - Tool parameters
+   * @param {ExecutionContext} [context] - Filesystem and command runner for this run
    * @returns {Promise<Object>} Execution result
    */
   async execute(params) {
@@ -35,7 +58,7 @@ class CopilotQuartoTool {
    * @param {string} message 
    */
   log(message) {
-    console.log(chalk.blue(`[${this.name}]`), message);
+    this.report('tool:log', { level: 'info', message });
   }
 
   /**
@@ -43,7 +66,7 @@ class CopilotQuartoTool {
    * @param {string} message 
    */
   error(message) {
-    console.error(chalk.red(`[${this.name}] ERROR:`), message);
+    this.report('tool:log', { level: 'error', message });
   }
 
   /**
@@ -51,44 +74,407 @@ class CopilotQuartoTool {
    * @param {string} message 
    */
   success(message) {
-    console.log(chalk.green(`[${this.name}] SUCCESS:`), message);
+    this.report('tool:log', { level: 'notice', message });
+  }
+
+  /**
+   * Report progress of a long-running step
+   * @param {number} progress - Units done so far
+   * @param {number} [total] - Total units, if known
+   * @param {string} [message] 
+   */
+  progress(progress, total, message) {
+    this.report('tool:progress', { progress, total, message });
+  }
+
+  /**
+   * Emit a tool event on the registry, or print it when the tool is used standalone
+   * @param {string} event 
+   * @param {Object} payload 
+   */
+  report(event, payload) {
+    const run = currentRun.getStore();
+    const data = {
+      runId: run ? run.runId : null,
+      tool: this.name,
+      ...payload,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.events) {
+      // The registry redacts secrets; a plain emitter gets the data as is
+      this.events.emit(event, this.events.redact ? this.events.redact(data) : data);
+    } else {
+      defaultRenderer.render(event, data);
+    }
   }
 }
 
 /**
- * Tool registry and executor
+ * Tool registry and executor.
+ *
+ * Emits an event for every stage of a run; each payload carries `runId`,
+ * `tool` and `timestamp`:
+ * - `tool:start` - `{ params, dryRun, session }`
+ * - `tool:log` - `{ level, message }` from log/error/success
+ * - `tool:progress` - `{ progress, total, message }`; output of commands run
+ *   through `context.exec` also carries `stream` and `command`
+ * - `tool:end` - `{ durationMs, result }`
+ * - `tool:error` - `{ durationMs, error, code, hint, errors }`
+ *
+ * Secrets known to the credential provider, and parameters whose schema is
+ * `writeOnly`, are redacted from every event, result and error.
  */
-class CopilotQuartoToolRegistry {
+class CopilotQuartoToolRegistry extends EventEmitter {
   constructor() {
+    super();
     this.tools = new Map();
+    this.schemas = new Map();
+    this.sources = new Map();
+    this.journal = null;
+    this.history = null;
+    this.workspace = null;
+    this.config = null;
+    this.credentials = new CredentialProvider();
   }
 
   /**
    * Register a tool
    * @param {CopilotQuartoTool} tool 
+   * @param {Object} [schema] - JSON schema for the tool parameters (defaults to the one the tool declares)
+   * @param {string} [source='built-in'] - Plugin that contributed the tool
+   * @throws {ToolError} TOOL_NAME_COLLISION when the name is already taken
    */
-  register(tool) {
+  register(tool, schema, source = 'built-in') {
+    if (this.tools.has(tool.name)) {
+      throw new ToolError(`Tool '${tool.name}' from ${source} collides with the tool from ${this.sources.get(tool.name)}`, {
+        code: 'TOOL_NAME_COLLISION',
+        hint: 'Rename the tool in the plugin, or remove one of the plugins providing it.',
+        details: { tool: tool.name, source, existing: this.sources.get(tool.name) }
+      });
+    }
+    tool.events = this;
     this.tools.set(tool.name, tool);
+    this.sources.set(tool.name, source);
+    if (schema || tool.parameters) {
+      this.schemas.set(tool.name, schema || tool.parameters);
+    }
+  }
+
+  /**
+   * Name of the plugin that contributed a tool, or 'built-in'
+   * @param {string} toolName 
+   * @returns {string|undefined}
+   */
+  getToolSource(toolName) {
+    return this.sources.get(toolName);
+  }
+
+  /**
+   * Record the file changes of every run so they can be undone
+   * @param {ExecutionJournal|null} journal 
+   */
+  setJournal(journal) {
+    this.journal = journal;
+  }
+
+  /**
+   * Record every run, real or dry, with its parameters and outcome
+   * @param {ExecutionHistory|null} history 
+   */
+  setHistory(history) {
+    this.history = history;
+  }
+
+  /**
+   * Resolve path parameters against a workspace root and reject paths outside it
+   * @param {Workspace|null} workspace 
+   */
+  setWorkspace(workspace) {
+    this.workspace = workspace;
+  }
+
+  /**
+   * Workspace a run uses, if any
+   * @param {Object} options - Execute options
+   * @returns {Workspace|null}
+   */
+  workspaceFor(options) {
+    if (!this.workspace) {
+      return null;
+    }
+    return options.workspaceRoot ? this.workspace.withRoot(options.workspaceRoot) : this.workspace;
+  }
+
+  /**
+   * Use a project config's values as parameter defaults
+   * @param {Object|null} config - Result of loadConfig
+   */
+  setConfig(config) {
+    this.config = config;
+  }
+
+  /**
+   * Use a credential provider for the secrets tools request
+   * @param {CredentialProvider} credentials 
+   */
+  setCredentials(credentials) {
+    this.credentials = credentials;
+  }
+
+  /**
+   * Copy of a value with every known secret replaced by `***`
+   * @param {*} value 
+   * @returns {*}
+   */
+  redact(value) {
+    return this.credentials.redact(value);
+  }
+
+  /**
+   * Redact the values of `writeOnly` parameters (tokens, API keys) from now on
+   * @param {string} toolName 
+   * @param {Object} params 
+   */
+  registerSecretParams(toolName, params) {
+    const properties = (this.schemas.get(toolName) || {}).properties || {};
+    Object.entries(params)
+      .filter(([name]) => properties[name] && properties[name].writeOnly)
+      .forEach(([, value]) => this.credentials.redactor.add(value));
+  }
+
+  /**
+   * Parameters with the project config's defaults filled in
+   * @param {string} toolName 
+   * @param {Object} params 
+   * @returns {Object}
+   */
+  withConfigDefaults(toolName, params) {
+    return applyConfigDefaults(this.config, toolName, this.schemas.get(toolName), params);
+  }
+
+  /**
+   * Set the JSON schema used to validate a tool's parameters
+   * @param {string} toolName 
+   * @param {Object} schema 
+   */
+  setSchema(toolName, schema) {
+    this.schemas.set(toolName, schema);
+  }
+
+  /**
+   * Get the JSON schema for a tool's parameters
+   * @param {string} toolName 
+   * @returns {Object|undefined}
+   */
+  getSchema(toolName) {
+    return this.schemas.get(toolName);
+  }
+
+  /**
+   * Validate parameters against the tool's schema and its own checks
+   * @param {string} toolName 
+   * @param {Object} params 
+   * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, params: Object}}
+   */
+  validate(toolName, params) {
+    const tool = this.tools.get(toolName);
+    if (!tool) {
+      throw new ToolNotFoundError(`Tool '${toolName}' not found`, {
+        hint: 'Run `copilot-quarto list` to see the available tools.',
+        details: { tool: toolName }
+      });
+    }
+
+    const schema = this.schemas.get(toolName);
+    const result = schema ?
+      validateSchema(schema, params) :
+      { valid: true, errors: [], params: { ...params } };
+
+    // Tools may add semantic checks the schema cannot express
+    if (result.valid) {
+      const toolValidation = tool.validateParams(result.params);
+      if (!toolValidation.valid) {
+        result.valid = false;
+        result.errors = toolValidation.errors.map(error =>
+          typeof error === 'string' ? { field: null, message: error } : error
+        );
+      }
+    }
+
+    return result;
   }
 
   /**
    * Execute a tool by name
    * @param {string} toolName 
    * @param {Object} params 
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Return a diff and planned commands instead of applying them
+   * @param {VirtualFileSystem} [options.fs] - Filesystem layer shared across several runs
+   * @param {string} [options.session] - Journal session the run belongs to
+   * @param {string} [options.runId] - Id used in events (generated when omitted)
+   * @param {string} [options.replayOf] - History id of the run this one replays
+   * @param {boolean} [options.allowOutsideWorkspace=false] - Accept path parameters outside the workspace
+   * @param {string} [options.workspaceRoot] - Resolve path parameters against this root instead
+   * @param {AbortSignal} [options.signal] - Cancel the run; commands it started are stopped
    * @returns {Promise<Object>}
    */
-  async execute(toolName, params) {
+  async execute(toolName, params, options = {}) {
     const tool = this.tools.get(toolName);
     if (!tool) {
-      throw new Error(`Tool '${toolName}' not found`);
+      throw new ToolNotFoundError(`Tool '${toolName}' not found`, {
+        hint: 'Run `copilot-quarto list` to see the available tools.',
+        details: { tool: toolName }
+      });
     }
 
-    const validation = tool.validateParams(params);
+    const runId = options.runId || crypto.randomUUID();
+    const startedAt = Date.now();
+    // Config values are defaults: anything the caller passes wins
+    params = this.withConfigDefaults(toolName, params);
+    this.registerSecretParams(toolName, params);
+    this.credentials.collectKnown();
+    this.emitRunEvent('tool:start', runId, toolName, {
+      params,
+      dryRun: Boolean(options.dryRun),
+      session: options.session || null
+    });
+
+    const workspace = this.workspaceFor(options);
+    const validation = this.validate(toolName, params);
     if (!validation.valid) {
-      throw new Error(`Parameter validation failed: ${validation.errors.join(', ')}`);
+      const error = new ValidationError(
+        `Parameter validation failed: ${validation.errors.map(formatValidationError).join(', ')}`,
+        validation.errors,
+        { hint: `Run \`copilot-quarto describe ${toolName}\` to see the expected parameters.` }
+      );
+      this.credentials.redactError(error);
+      this.emitRunEvent('tool:error', runId, toolName, {
+        durationMs: Date.now() - startedAt,
+        ...this.describeError(error),
+        errors: error.errors
+      });
+      this.recordHistory({ id: runId, tool: toolName, params, startedAt, options, workspace, error });
+      throw error;
+    }
+
+    const context = new ExecutionContext({
+      ...options,
+      runId,
+      credentials: this.credentials,
+      workspace,
+      report: (event, payload) => this.emitRunEvent(event, runId, toolName, payload)
+    });
+    let result;
+    try {
+      context.throwIfCancelled();
+      const toolParams = workspace ?
+        workspace.resolveParams(this.schemas.get(toolName), validation.params, {
+          allowOutside: options.allowOutsideWorkspace
+        }) :
+        validation.params;
+      result = await currentRun.run({ runId, tool: toolName }, () => tool.execute(toolParams, context));
+    } catch (thrown) {
+      const error = this.credentials.redactError(toToolError(thrown));
+      this.recordRun(toolName, context, options.session, true);
+      this.emitRunEvent('tool:error', runId, toolName, {
+        durationMs: Date.now() - startedAt,
+        ...this.describeError(error)
+      });
+      this.recordHistory({ id: runId, tool: toolName, params, startedAt, options, workspace, context, error });
+      throw error;
+    }
+
+    if (!context.dryRun) {
+      this.recordRun(toolName, context, options.session, false);
+    } else {
+      result = {
+        success: result ? result.success !== false : true,
+        dry_run: true,
+        tool: toolName,
+        result,
+        ...context.getPlan()
+      };
     }
 
-    return await tool.execute(params);
+    result = this.redact(result);
+    this.emitRunEvent('tool:end', runId, toolName, { durationMs: Date.now() - startedAt, result });
+    this.recordHistory({ id: runId, tool: toolName, params, startedAt, options, workspace, context, result });
+    return result;
+  }
+
+  /**
+   * Event fields describing a failure
+   * @param {ToolError} error 
+   * @returns {{error: string, code: string, hint: string|null}}
+   */
+  describeError(error) {
+    return { error: error.message, code: error.code, hint: error.hint };
+  }
+
+  /**
+   * Emit a registry-level run event
+   * @param {string} event 
+   * @param {string} runId 
+   * @param {string} toolName 
+   * @param {Object} payload 
+   */
+  emitRunEvent(event, runId, toolName, payload) {
+    this.emit(event, this.redact({ runId, tool: toolName, ...payload, timestamp: new Date().toISOString() }));
+  }
+
+  /**
+   * Store the changes of a real run in the journal
+   * @param {string} toolName 
+   * @param {ExecutionContext} context 
+   * @param {string} [session] 
+   * @param {boolean} failed 
+   */
+  recordRun(toolName, context, session, failed) {
+    if (this.journal && !context.dryRun) {
+      this.journal.record({
+        tool: toolName,
+        session,
+        failed,
+        fs: context.fs,
+        secrets: this.credentials.redactor.secrets,
+        commands: this.redact(context.commands)
+      });
+    }
+  }
+
+  /**
+   * Append a finished run to the history
+   * @param {Object} run 
+   * @param {string} run.id 
+   * @param {string} run.tool 
+   * @param {Object} run.params - Parameters after config defaults
+   * @param {number} run.startedAt 
+   * @param {Object} run.options - Options the run was executed with
+   * @param {Workspace|null} [run.workspace] - Relative paths in the params are relative to its root
+   * @param {ExecutionContext} [run.context] - Missing when validation failed
+   * @param {Object} [run.result] 
+   * @param {ToolError} [run.error] 
+   */
+  recordHistory({ id, tool, params, startedAt, options, workspace, context, result, error }) {
+    if (!this.history) {
+      return;
+    }
+    this.history.record({
+      id,
+      tool,
+      params: this.redact(params),
+      status: error ? 'failed' : 'succeeded',
+      durationMs: Date.now() - startedAt,
+      dryRun: options.dryRun,
+      session: options.session,
+      cwd: workspace ? workspace.root : process.cwd(),
+      files: context ? context.fs.getChanges().map(change => ({ path: change.path, action: change.action })) : [],
+      result,
+      error,
+      replayOf: options.replayOf
+    });
   }
 
   /**
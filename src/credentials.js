@@ -0,0 +1,409 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { AuthError } = require('./errors');
+
+// Passphrase for the encrypted local store
+const CREDENTIALS_KEY_ENV = 'COPILOT_QUARTO_CREDENTIALS_KEY';
+
+// Replaces secret values in logs, results and errors
+const REDACTED = '***';
+
+// Shorter values are too likely to occur by accident to be redacted
+const MIN_SECRET_LENGTH = 4;
+
+// Credentials the built-in tools ask for, with the environment variables
+// read for each and how to obtain one
+const CREDENTIALS = {
+  GITHUB_TOKEN: {
+    env: ['GITHUB_TOKEN', 'GH_TOKEN'],
+    hint: 'Create a token with the repo scope at https://github.com/settings/tokens and export it as GITHUB_TOKEN'
+  },
+  OPENAI_API_KEY: {
+    env: ['OPENAI_API_KEY'],
+    hint: 'Create a key at https://platform.openai.com/api-keys and export it as OPENAI_API_KEY'
+  }
+};
+
+/**
+ * Replaces known secret values wherever they appear
+ */
+class Redactor {
+  constructor() {
+    this.secrets = new Set();
+  }
+
+  /**
+   * Start redacting a value
+   * @param {string} value
+   */
+  add(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(value);
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  redactText(text) {
+    let redacted = text;
+    // Longest first, so a secret containing another is replaced whole
+    for (const secret of [...this.secrets].sort((a, b) => b.length - a.length)) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+  }
+
+  /**
+   * Copy of a string, array or plain object with every secret replaced.
+   * Other values (Buffers, class instances) are returned as they are.
+   * @param {*} value
+   * @returns {*}
+   */
+  redact(value) {
+    if (this.secrets.size === 0) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Redact an error's message, hint, details and stack in place
+   * @param {Error} error
+   * @returns {Error} The same error
+   */
+  redactError(error) {
+    if (this.secrets.size === 0) {
+      return error;
+    }
+    error.message = this.redactText(error.message);
+    if (error.stack) {
+      error.stack = this.redactText(error.stack);
+    }
+    if (error.hint) {
+      error.hint = this.redactText(error.hint);
+    }
+    if (error.details) {
+      error.details = this.redact(error.details);
+    }
+    if (error.cause instanceof Error) {
+      error.cause.message = this.redactText(error.cause.message);
+    }
+    return error;
+  }
+}
+
+/**
+ * Secrets kept in a file encrypted with AES-256-GCM. The key is derived
+ * from the passphrase in $COPILOT_QUARTO_CREDENTIALS_KEY.
+ */
+class EncryptedCredentialStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Store file, usually .copilot-quarto/credentials.enc
+   * @param {string} [options.passphrase] - Defaults to $COPILOT_QUARTO_CREDENTIALS_KEY
+   */
+  constructor(options) {
+    this.path = options.path;
+    this.passphrase = options.passphrase;
+    this.cache = null;
+  }
+
+  /**
+   * @returns {string|undefined}
+   */
+  getPassphrase() {
+    return this.passphrase || process.env[CREDENTIALS_KEY_ENV] || undefined;
+  }
+
+  /**
+   * Whether the store can be read: it exists and a passphrase is set
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return fs.existsSync(this.path) && Boolean(this.getPassphrase());
+  }
+
+  /**
+   * Decrypt every stored secret
+   * @returns {Object} Secret values by name
+   * @throws {AuthError} CREDENTIAL_STORE_LOCKED when the passphrase is missing or wrong
+   */
+  read() {
+    if (this.cache) {
+      return this.cache;
+    }
+    if (!fs.existsSync(this.path)) {
+      return {};
+    }
+
+    const passphrase = this.requirePassphrase();
+    const stored = fs.readJsonSync(this.path);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, stored.salt), Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+      this.cache = JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new AuthError(`Could not decrypt ${this.path}`, {
+        code: 'CREDENTIAL_STORE_LOCKED',
+        hint: `Check that ${CREDENTIALS_KEY_ENV} holds the passphrase the store was written with.`,
+        details: { path: this.path },
+        cause: error
+      });
+    }
+    return this.cache;
+  }
+
+  /**
+   * Encrypt and save every secret
+   * @param {Object} secrets - Secret values by name
+   */
+  write(secrets) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(this.requirePassphrase(), salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    fs.ensureDirSync(path.dirname(this.path));
+    fs.writeFileSync(this.path, JSON.stringify({
+      version: 1,
+      salt,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2), { mode: 0o600 });
+    this.cache = { ...secrets };
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string|undefined}
+   */
+  get(name) {
+    return this.read()[name];
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} value
+   */
+  set(name, value) {
+    this.write({ ...this.read(), [name]: value });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether the secret existed
+   */
+  delete(name) {
+    const secrets = { ...this.read() };
+    if (!(name in secrets)) {
+      return false;
+    }
+    delete secrets[name];
+    this.write(secrets);
+    return true;
+  }
+
+  /**
+   * @returns {Array<string>} Stored secret names
+   */
+  list() {
+    return Object.keys(this.read());
+  }
+
+  /**
+   * @returns {string}
+   */
+  requirePassphrase() {
+    const passphrase = this.getPassphrase();
+    if (!passphrase) {
+      throw new AuthError('The encrypted credential store needs a passphrase', {
+        code: 'CREDENTIAL_STORE_LOCKED',
+        hint: `Export ${CREDENTIALS_KEY_ENV} with the passphrase to encrypt the store with.`,
+        details: { path: this.path }
+      });
+    }
+    return passphrase;
+  }
+}
+
+/**
+ * @param {string} passphrase
+ * @param {string} salt - Base64
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32);
+}
+
+/**
+ * Central source of secrets for tools.
+ *
+ * Secrets are looked up, in order, from values injected by the host, the
+ * environment, the `credentials:` section of the project config and the
+ * encrypted local store. Every value handed out is remembered so it can be
+ * redacted from logs, results and errors.
+ */
+class CredentialProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.credentials] - Values injected by the host, by name
+   * @param {Object} [options.config] - `credentials:` from the project config; each entry is
+   *   a value or `{ env: NAME }` to read another environment variable
+   * @param {EncryptedCredentialStore} [options.store]
+   * @param {Object} [options.env=process.env]
+   */
+  constructor(options = {}) {
+    this.injected = new Map(Object.entries(options.credentials || {}));
+    this.config = options.config || {};
+    this.store = options.store || null;
+    this.env = options.env || process.env;
+    this.redactor = new Redactor();
+    this.injected.forEach(value => this.redactor.add(value));
+  }
+
+  /**
+   * Inject a secret, e.g. a token the host obtained for the user
+   * @param {string} name
+   * @param {string} value
+   */
+  set(name, value) {
+    this.injected.set(name, value);
+    this.redactor.add(value);
+  }
+
+  /**
+   * Find a secret without failing when it is missing
+   * @param {string} name - e.g. GITHUB_TOKEN
+   * @returns {{value: string, source: string}|null}
+   */
+  resolve(name) {
+    if (this.injected.has(name)) {
+      return { value: this.injected.get(name), source: 'host' };
+    }
+
+    const envNames = CREDENTIALS[name] ? CREDENTIALS[name].env : [name];
+    const envName = envNames.find(candidate => this.env[candidate]);
+    if (envName) {
+      return { value: this.env[envName], source: `env:${envName}` };
+    }
+
+    const configured = this.config[name];
+    if (configured && typeof configured === 'object' && configured.env) {
+      if (this.env[configured.env]) {
+        return { value: this.env[configured.env], source: `config:env:${configured.env}` };
+      }
+    } else if (configured) {
+      return { value: String(configured), source: 'config' };
+    }
+
+    if (this.store && this.store.isAvailable()) {
+      const stored = this.store.get(name);
+      if (stored !== undefined) {
+        return { value: stored, source: 'store' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a secret, registering it for redaction
+   * @param {string} name
+   * @returns {string|undefined}
+   */
+  get(name) {
+    const found = this.resolve(name);
+    if (!found) {
+      return undefined;
+    }
+    this.redactor.add(found.value);
+    return found.value;
+  }
+
+  /**
+   * Get a secret that the tool cannot run without
+   * @param {string} name
+   * @returns {string}
+   * @throws {AuthError} AUTH_MISSING_TOKEN when no source has it
+   */
+  require(name) {
+    const value = this.get(name);
+    if (value === undefined) {
+      const known = CREDENTIALS[name];
+      throw new AuthError(`${name} is required but was not found`, {
+        code: 'AUTH_MISSING_TOKEN',
+        hint: `${known ? known.hint : `Export ${name}`}, or store it with \`copilot-quarto credentials set ${name}\`.`,
+        details: { credential: name }
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Where each known or stored secret would come from; values are never included
+   * @returns {Array<{name: string, source: string|null}>}
+   */
+  describe() {
+    const names = new Set([
+      ...Object.keys(CREDENTIALS),
+      ...this.injected.keys(),
+      ...Object.keys(this.config),
+      ...(this.store && this.store.isAvailable() ? this.store.list() : [])
+    ]);
+    return [...names].map(name => {
+      const found = this.resolve(name);
+      return { name, source: found ? found.source : null };
+    });
+  }
+
+  /**
+   * Register every secret the provider can see, so values that reach a
+   * tool some other way are still redacted
+   */
+  collectKnown() {
+    for (const name of new Set([...Object.keys(CREDENTIALS), ...Object.keys(this.config)])) {
+      const found = this.resolve(name);
+      if (found && found.source !== 'store') {
+        this.redactor.add(found.value);
+      }
+    }
+  }
+
+  /**
+   * @param {*} value
+   * @returns {*} Copy with known secrets replaced
+   */
+  redact(value) {
+    return this.redactor.redact(value);
+  }
+
+  /**
+   * @param {Error} error
+   * @returns {Error} The same error, redacted in place
+   */
+  redactError(error) {
+    return this.redactor.redactError(error);
+  }
+}
+
+module.exports = {
+  CREDENTIALS,
+  CREDENTIALS_KEY_ENV,
+  REDACTED,
+  Redactor,
+  EncryptedCredentialStore,
+  CredentialProvider
+};
@@ -0,0 +1,521 @@
+const { ValidationError, InvalidContentError } = require('./errors');
+const { formatAttributes, formatCell } = require('./qmd');
+
+const CONTAINER_KEYS = ['rows', 'columns'];
+// Card options Quarto reads from `#|` lines of a cell
+const CELL_CARD_OPTIONS = ['title', 'padding', 'expandable'];
+
+/**
+ * Which kind of containers a page or container holds
+ * @param {Object} node
+ * @param {string} where - Spec path, for error messages
+ * @returns {string|null} 'rows', 'columns' or null when it holds cards
+ * @throws {ValidationError} When it holds both, or rows and cards
+ */
+function containerKey(node, where) {
+  const keys = CONTAINER_KEYS.filter(key => node[key] !== undefined);
+  if (keys.length > 1 || (keys.length === 1 && node.cards !== undefined)) {
+    throw new ValidationError(`${where} can hold rows, columns or cards, but only one of them`, [
+      { field: where, message: `has ${[...keys, ...(node.cards !== undefined ? ['cards'] : [])].join(' and ')}` }
+    ]);
+  }
+  if (keys.length === 1 && !Array.isArray(node[keys[0]])) {
+    throw new ValidationError(`${where}.${keys[0]} must be a list`, [
+      { field: `${where}.${keys[0]}`, message: 'must be an array' }
+    ]);
+  }
+  return keys[0] || null;
+}
+
+/**
+ * `.fill` or `.flow` for an explicit fill setting
+ * @param {boolean} [fill]
+ * @returns {Array<string>}
+ */
+function fillClasses(fill) {
+  if (fill === undefined) {
+    return [];
+  }
+  return [fill ? 'fill' : 'flow'];
+}
+
+/**
+ * Keep only attributes that were given
+ * @param {Object} attributes
+ * @returns {Object}
+ */
+function definedAttributes(attributes) {
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Orientation of a dashboard's top-level containers, from its front matter
+ * @param {QmdDocument} document
+ * @returns {string} 'rows' or 'columns'
+ */
+function dashboardOrientation(document) {
+  const metadata = document.metadata();
+  const format = metadata.format && typeof metadata.format === 'object' ? metadata.format.dashboard : null;
+  const orientation = (format && typeof format === 'object' && format.orientation) || metadata.orientation;
+  return orientation === 'columns' ? 'columns' : 'rows';
+}
+
+/**
+ * A cell label based on a title that no cell in the document uses yet
+ * @param {QmdDocument} document
+ * @param {string} prefix - e.g. 'valuebox'
+ * @param {string} title
+ * @param {Set<string>} [reserved] - Labels about to be used; the new one is added
+ * @returns {string} e.g. 'valuebox-revenue', or 'valuebox-revenue-2' when taken
+ */
+function uniqueLabel(document, prefix, title, reserved = new Set()) {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const base = slug ? `${prefix}-${slug}` : prefix;
+  const taken = new Set([...reserved, ...document.blocks.filter(block => block.type === 'cell').map(cell => cell.label)]);
+  document.blocks.filter(block => block.id).forEach(block => taken.add(block.id));
+  let label = base;
+  for (let index = 2; taken.has(label); index++) {
+    label = `${base}-${index}`;
+  }
+  reserved.add(label);
+  return label;
+}
+
+/**
+ * Markup of a Quarto value box. R and Python boxes are cells with
+ * `content: valuebox` that compute the value; OJS boxes are `.valuebox`
+ * divs showing it with an inline `${...}` expression.
+ * @param {Object} box
+ * @param {string} box.title
+ * @param {string} box.value - Expression in the engine's language
+ * @param {string} [box.engine='r'] - 'r', 'python' or 'ojs'
+ * @param {string} [box.icon] - Bootstrap icon name, e.g. 'currency-dollar'
+ * @param {string} [box.color] - Theme color such as 'primary' or 'danger', or a CSS color
+ * @param {string} [box.label] - Cell label (div id for OJS)
+ * @returns {string}
+ * @throws {ValidationError} For an engine without value boxes
+ */
+function formatValueBox(box) {
+  const { title, value, engine = 'r', label } = box;
+  const icon = box.icon ? String(box.icon).replace(/^bi-/, '') : undefined;
+  const color = box.color;
+
+  switch (engine) {
+  case 'r':
+  case 'python':
+    return formatCell(engine, `${engine === 'r' ? 'list' : 'dict'}(\n  value = ${value}\n)`, definedAttributes({
+      label,
+      content: 'valuebox',
+      title,
+      icon,
+      color
+    }));
+  case 'ojs':
+    return [
+      `::: ${formatAttributes({ id: label, classes: ['valuebox'], attributes: definedAttributes({ icon, color }) })}`,
+      title,
+      '',
+      `\${${value}}`,
+      ':::'
+    ].join('\n') + '\n';
+  default:
+    throw new ValidationError(`Value boxes cannot be computed in ${engine}`, [
+      { field: 'engine', message: 'must be r, python or ojs' }
+    ]);
+  }
+}
+
+// Input types and the functions that create them in each engine
+const INPUT_FUNCTIONS = {
+  select: { ojs: 'Inputs.select', r: 'selectInput', python: 'ui.input_select' },
+  radio: { ojs: 'Inputs.radio', r: 'radioButtons', python: 'ui.input_radio_buttons' },
+  checkbox: { ojs: 'Inputs.checkbox', r: 'checkboxGroupInput', python: 'ui.input_checkbox_group' },
+  range: { ojs: 'Inputs.range', r: 'sliderInput', python: 'ui.input_slider' },
+  text: { ojs: 'Inputs.text', r: 'textInput', python: 'ui.input_text' },
+  date: { ojs: 'Inputs.date', r: 'dateInput', python: 'ui.input_date' },
+  toggle: { ojs: 'Inputs.toggle', r: 'checkboxInput', python: 'ui.input_switch' }
+};
+
+/**
+ * A JSON-like value as a literal of the engine's language; strings given
+ * for `options` are expressions and are used as they are
+ * @param {string} engine - 'ojs', 'r' or 'python'
+ * @param {*} value
+ * @returns {string}
+ */
+function formatLiteral(engine, value) {
+  if (Array.isArray(value)) {
+    const items = value.map(item => formatLiteral(engine, item)).join(', ');
+    return engine === 'r' ? `c(${items})` : `[${items}]`;
+  }
+  if (typeof value === 'boolean') {
+    return { ojs: String(value), r: value ? 'TRUE' : 'FALSE', python: value ? 'True' : 'False' }[engine];
+  }
+  if (value === null || value === undefined) {
+    return { ojs: 'null', r: 'NULL', python: 'None' }[engine];
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * How other cells read an input's current value
+ * @param {string} engine
+ * @param {string} name
+ * @returns {string} `name` in OJS, `input$name` in R Shiny, `input.name()` in Python Shiny
+ */
+function inputReference(engine, name) {
+  return { ojs: name, r: `input$${name}`, python: `input.${name}()` }[engine];
+}
+
+/**
+ * Code creating one dashboard input: an OJS `Inputs.*` view or a Shiny input
+ * @param {string} engine - 'ojs', 'r' (Shiny) or 'python' (Shiny for Python)
+ * @param {Object} input
+ * @param {string} input.name - Variable (OJS) or input id (Shiny)
+ * @param {string} input.type - One of INPUT_FUNCTIONS
+ * @param {string} [input.label]
+ * @param {Array|string} [input.options] - Choices, or an expression giving them
+ * @param {*} [input.value] - Initial value
+ * @param {number} [input.min]
+ * @param {number} [input.max]
+ * @param {number} [input.step]
+ * @returns {string}
+ */
+function formatInput(engine, input) {
+  const { name, type, label = name, options = [], value, min = 0, max = 100, step } = input;
+  const fn = INPUT_FUNCTIONS[type][engine];
+  const choices = typeof options === 'string' ? options : formatLiteral(engine, options);
+  const literal = item => formatLiteral(engine, item);
+
+  if (engine === 'ojs') {
+    const settings = definedAttributes({
+      label: literal(label),
+      value: value !== undefined ? literal(value) : undefined,
+      step: type === 'range' && step !== undefined ? literal(step) : undefined
+    });
+    const object = `{${Object.entries(settings).map(([key, item]) => `${key}: ${item}`).join(', ')}}`;
+    const first = { select: choices, radio: choices, checkbox: choices, range: `[${min}, ${max}]` }[type];
+    return `viewof ${name} = ${fn}(${first ? `${first}, ` : ''}${object})`;
+  }
+
+  const named = (key, item) => (engine === 'r' ? `${key} = ${item}` : `${key}=${item}`);
+  const args = [literal(name), literal(label)];
+  switch (type) {
+  case 'select':
+  case 'radio':
+  case 'checkbox':
+    args.push(named('choices', choices));
+    if (value !== undefined) {
+      args.push(named('selected', literal(value)));
+    }
+    break;
+  case 'range':
+    args.push(named('min', literal(min)), named('max', literal(max)), named('value', literal(value !== undefined ? value : min)));
+    if (step !== undefined) {
+      args.push(named('step', literal(step)));
+    }
+    break;
+  default:
+    if (value !== undefined) {
+      args.push(named('value', literal(value)));
+    }
+  }
+  return `${fn}(${args.join(', ')})`;
+}
+
+/**
+ * Index of the fence closing the div opened at `start`, or `end` when it is not closed
+ * @param {Array<Object>} blocks
+ * @param {number} start - Index of an opening div fence
+ * @param {number} end
+ * @returns {number}
+ */
+function closingFence(blocks, start, end) {
+  let depth = 0;
+  for (let index = start; index < end; index++) {
+    if (blocks[index].type === 'div') {
+      depth += blocks[index].closing ? -1 : 1;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+  return end;
+}
+
+/**
+ * Writes the body of a Quarto dashboard from a nested spec.
+ *
+ * Pages become `#` headings, rows and columns `##` headings (and `###` and
+ * deeper for nested ones, alternating orientation), and cards either
+ * existing cells, found by label, or `.card` divs with Markdown content.
+ * Sidebars and toolbars are carried over, and everything else in the old
+ * body that no card refers to is kept in a last container, so rewriting a
+ * layout never loses content.
+ *
+ * Spec:
+ *
+ *     {
+ *       pages: [{ title, orientation, scrolling, icon, rows | columns }],  // or rows | columns at the top
+ *       rows: [{ title, height, width, fill, tabset, cards | columns }],
+ *       cards: [{ label | content, title, width, height, fill, padding, expandable }]
+ *     }
+ */
+class DashboardLayout {
+  /**
+   * @param {QmdDocument} document - The dashboard; its cells are the cards' content
+   * @param {Object} spec
+   * @param {Object} [options]
+   * @param {string} [options.orientation] - Expected orientation of the top-level containers
+   * @throws {ValidationError} When the spec is inconsistent
+   */
+  constructor(document, spec, options = {}) {
+    this.document = document;
+    this.spec = spec;
+    this.pages = spec.pages || [spec];
+    if (!Array.isArray(this.pages) || this.pages.length === 0) {
+      throw new ValidationError('A dashboard needs at least one page', [{ field: 'pages', message: 'must not be empty' }]);
+    }
+
+    const keys = this.pages.map((page, index) => containerKey(page, spec.pages ? `pages[${index}]` : 'layout'));
+    if (keys.some(key => key === null)) {
+      throw new ValidationError('Each dashboard page needs rows or columns', [
+        { field: spec.pages ? `pages[${keys.indexOf(null)}]` : 'layout', message: 'has no rows or columns' }
+      ]);
+    }
+    this.pageKeys = keys;
+    this.orientation = spec.orientation || keys[0];
+    if (options.orientation && options.orientation !== this.orientation) {
+      throw new ValidationError(`The layout is laid out in ${this.orientation}, not ${options.orientation}`, [
+        { field: 'orientation', message: `must match the top-level containers (${this.orientation})` }
+      ]);
+    }
+
+    this.cells = new Map(document.cells().filter(cell => cell.label).map(cell => [cell.label, cell]));
+    this.inputContainers = this.collectInputContainers();
+    this.placed = new Set();
+    this.contents = new Set();
+    this.cards = [];
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.keepUnplaced=true] - Keep content no card refers to, in a last container
+   * @returns {{body: string, cards: Array<Object>, unplaced: Array<Object>}}
+   * @throws {ValidationError|InvalidContentError} CHUNK_NOT_FOUND when a card's label is not in the document
+   */
+  render(options = {}) {
+    const parts = [];
+    const titles = this.spec.pages ? this.pages.map(page => page.title) : [];
+    const pageOf = container => (titles.includes(container.page) ? container.page : null);
+
+    // Global sidebars and toolbars, and page ones whose page is gone
+    parts.push(...this.inputContainers
+      .filter(container => container.level === 1 || !this.spec.pages || pageOf(container) === null)
+      .map(container => container.text));
+
+    this.pages.forEach((page, index) => {
+      const key = this.pageKeys[index];
+      const where = this.spec.pages ? `pages[${index}]` : 'layout';
+      if (this.spec.pages) {
+        const attributes = definedAttributes({
+          orientation: key !== this.orientation ? key : undefined,
+          scrolling: page.scrolling,
+          icon: page.icon
+        });
+        const attrs = formatAttributes({ id: page.id, attributes });
+        parts.push(`# ${page.title || `Page ${index + 1}`}${attrs ? ` ${attrs}` : ''}`);
+        parts.push(...this.inputContainers
+          .filter(container => container.level === 2 && pageOf(container) === page.title)
+          .map(container => container.text));
+      }
+      page[key].forEach((container, position) => {
+        parts.push(...this.renderContainer(container, key, 2, `${where}.${key}[${position}]`, page.title || null));
+      });
+    });
+
+    const unplaced = this.collectUnplaced();
+    if (unplaced.length > 0 && options.keepUnplaced !== false) {
+      const key = this.pageKeys[this.pageKeys.length - 1];
+      parts.push(`## ${key === 'rows' ? 'Row' : 'Column'} {#unplaced}`, ...unplaced.map(item => item.text));
+    }
+
+    return {
+      body: `${parts.join('\n\n')}\n`,
+      cards: this.cards,
+      unplaced: unplaced.map(item => ({
+        type: item.type,
+        ...(item.type === 'cell' ? { label: item.label } : {}),
+        line: item.line
+      }))
+    };
+  }
+
+  /**
+   * @param {Object} container
+   * @param {string} key - 'rows' or 'columns'
+   * @param {number} level - Heading level
+   * @param {string} where - Spec path
+   * @param {string|null} page - Page title
+   * @returns {Array<string>} Markdown parts
+   */
+  renderContainer(container, key, level, where, page) {
+    if (level > 6) {
+      throw new ValidationError(`${where} is nested too deeply`, [
+        { field: where, message: 'dashboards allow at most four levels of rows and columns' }
+      ]);
+    }
+    const attrs = formatAttributes({
+      id: container.id,
+      classes: [...(container.tabset ? ['tabset'] : []), ...fillClasses(container.fill)],
+      attributes: definedAttributes({ height: container.height, width: container.width })
+    });
+    const title = container.title || (key === 'rows' ? 'Row' : 'Column');
+    const parts = [`${'#'.repeat(level)} ${title}${attrs ? ` ${attrs}` : ''}`];
+
+    const childKey = containerKey(container, where);
+    if (childKey === key) {
+      throw new ValidationError(`${where} cannot hold ${key}; ${key} hold ${key === 'rows' ? 'columns' : 'rows'}`, [
+        { field: `${where}.${key}`, message: `use ${key === 'rows' ? 'columns' : 'rows'} or cards` }
+      ]);
+    }
+    if (childKey) {
+      container[childKey].forEach((child, index) => {
+        parts.push(...this.renderContainer(child, childKey, level + 1, `${where}.${childKey}[${index}]`, page));
+      });
+    } else {
+      (container.cards || []).forEach((card, index) => {
+        parts.push(this.renderCard(card, `${where}.cards[${index}]`, page));
+      });
+    }
+    return parts;
+  }
+
+  /**
+   * A card is an existing cell (with `label`) or a `.card` div of Markdown
+   * @param {Object} card
+   * @param {string} where - Spec path
+   * @param {string|null} page
+   * @returns {string}
+   */
+  renderCard(card, where, page) {
+    const sizing = definedAttributes({ width: card.width, height: card.height });
+    this.cards.push({ title: card.title || null, label: card.label || null, page });
+
+    if (card.label === undefined) {
+      const content = String(card.content || '').trim();
+      if (content) {
+        this.contents.add(content);
+      }
+      const attrs = formatAttributes({
+        classes: ['card', ...fillClasses(card.fill)],
+        attributes: definedAttributes({
+          title: card.title,
+          ...sizing,
+          padding: card.padding,
+          expandable: card.expandable
+        })
+      });
+      return [`::: ${attrs}`, ...(content ? [content] : []), ':::'].join('\n');
+    }
+
+    const cell = this.cells.get(card.label);
+    if (!cell) {
+      throw new InvalidContentError(`${where} refers to cell '${card.label}', which is not in the document`, {
+        code: 'CHUNK_NOT_FOUND',
+        hint: this.cells.size > 0 ? `Available: ${[...this.cells.keys()].join(', ')}` : 'The document has no labelled cells.',
+        details: { available: [...this.cells.keys()] }
+      });
+    }
+    if (this.placed.has(card.label)) {
+      throw new ValidationError(`Cell '${card.label}' is used by more than one card`, [
+        { field: `${where}.label`, message: 'each cell can only be placed once' }
+      ]);
+    }
+    this.placed.add(card.label);
+
+    for (const key of CELL_CARD_OPTIONS) {
+      if (card[key] !== undefined && JSON.stringify(cell.options[key]) !== JSON.stringify(card[key])) {
+        cell.setOption(key, card[key]);
+      }
+    }
+    const text = String(cell).replace(/\r?\n$/, '');
+    if (Object.keys(sizing).length === 0 && card.fill === undefined) {
+      return text;
+    }
+    // Sizing and fill belong on a card div around the cell
+    const attrs = formatAttributes({ classes: ['card', ...fillClasses(card.fill)], attributes: sizing });
+    return [`::: ${attrs}`, text, ':::'].join('\n');
+  }
+
+  /**
+   * Sidebars and toolbars of the old body (`# {.sidebar}`, `## {.toolbar}`);
+   * they hold inputs rather than cards and are carried over as they are,
+   * global ones at the top and page ones at the top of their page
+   * @returns {Array<{level: number, page: string|null, blocks: Array<Object>, text: string}>}
+   */
+  collectInputContainers() {
+    const containers = [];
+    const visit = (sections, page) => {
+      for (const section of sections) {
+        if (section.heading.classes.some(name => name === 'sidebar' || name === 'toolbar')) {
+          const blocks = this.document.blocks.slice(section.start, section.end);
+          containers.push({ level: section.level, page, blocks, text: blocks.map(String).join('').trim() });
+        } else {
+          visit(section.children, section.level === 1 ? section.title : page);
+        }
+      }
+    };
+    visit(this.document.sections(), null);
+    return containers;
+  }
+
+  /**
+   * Content of the old body that no card placed: other cells, prose, plain
+   * code blocks and fenced divs such as value boxes and tabsets, which are
+   * kept whole. Headings outside divs, and card divs around placed content,
+   * belong to the old layout.
+   * @returns {Array<{type: string, label?: string|null, line: number, text: string}>}
+   */
+  collectUnplaced() {
+    const kept = new Set(this.inputContainers.flatMap(container => container.blocks));
+    const blocks = this.document.blocks.filter(block => !kept.has(block));
+    const unplaced = [];
+    const visit = (start, end) => {
+      for (let index = start; index < end; index++) {
+        const block = blocks[index];
+        const text = String(block).trim();
+        if (block.type === 'div' && !block.closing) {
+          const close = closingFence(blocks, index, end);
+          const inner = blocks.slice(index + 1, close);
+          const placed = inner.some(item => item.type === 'cell' && item.label && this.placed.has(item.label));
+          if (close < end && !placed && !this.contents.has(inner.map(String).join('').trim())) {
+            unplaced.push({ type: 'div', line: block.line, text: blocks.slice(index, close + 1).map(String).join('').trim() });
+          } else {
+            // A card of the old layout: what it held may still need a place
+            visit(index + 1, close);
+          }
+          index = close;
+        } else if (block.type === 'cell' && block.executable) {
+          if (!block.label || !this.placed.has(block.label)) {
+            unplaced.push({ type: 'cell', label: block.label, line: block.line, text });
+          }
+        } else if ((block.type === 'text' || block.type === 'cell') && text && !this.contents.has(text)) {
+          unplaced.push({ type: 'text', line: block.line, text });
+        }
+      }
+    };
+    visit(0, blocks.length);
+    return unplaced;
+  }
+}
+
+module.exports = {
+  DashboardLayout,
+  dashboardOrientation,
+  uniqueLabel,
+  formatValueBox,
+  INPUT_FUNCTIONS,
+  formatInput,
+  inputReference
+};
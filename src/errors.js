@@ -0,0 +1,234 @@
+/**
+ * Error hierarchy shared by the registry and every tool.
+ *
+ * Each error carries a stable machine-readable `code` so callers can branch
+ * on the kind of failure instead of matching message text, and a `hint`
+ * telling the user how to fix it.
+ */
+class ToolError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Overrides the class default code
+   * @param {string} [options.hint] - Remediation hint for the user
+   * @param {Object} [options.details] - Extra machine-readable data
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || this.constructor.code;
+    this.hint = options.hint || null;
+    this.details = options.details || {};
+  }
+
+  /**
+   * Plain representation for JSON output (CLI, MCP, agents)
+   * @returns {{name: string, code: string, message: string, hint: string|null, details: Object}}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      hint: this.hint,
+      details: this.details
+    };
+  }
+}
+ToolError.code = 'TOOL_FAILED';
+
+/**
+ * Parameters did not match the tool's schema; `errors` lists each field
+ */
+class ValidationError extends ToolError {
+  constructor(message, errors = [], options = {}) {
+    super(message, {
+      hint: 'Check the parameters against the tool schema.',
+      ...options
+    });
+    this.errors = errors;
+    this.details = { ...this.details, errors };
+  }
+}
+ValidationError.code = 'VALIDATION_FAILED';
+
+/**
+ * No tool is registered under the requested name
+ */
+class ToolNotFoundError extends ToolError {}
+ToolNotFoundError.code = 'TOOL_NOT_FOUND';
+
+/**
+ * An external program (quarto, R, git) is not installed or not on PATH
+ */
+class MissingDependencyError extends ToolError {}
+MissingDependencyError.code = 'MISSING_DEPENDENCY';
+
+/**
+ * Credentials are missing or were rejected
+ */
+class AuthError extends ToolError {}
+AuthError.code = 'AUTH_FAILED';
+
+/**
+ * A remote API (GitHub, OpenAI, a download URL) returned an error
+ */
+class RemoteApiError extends ToolError {}
+RemoteApiError.code = 'REMOTE_API_ERROR';
+
+/**
+ * A file or directory the tool needs does not exist
+ */
+class FileNotFoundError extends ToolError {}
+FileNotFoundError.code = 'FILE_NOT_FOUND';
+
+/**
+ * A file is in a state the tool refuses to overwrite
+ */
+class FileConflictError extends ToolError {}
+FileConflictError.code = 'FILE_CONFLICT';
+
+/**
+ * Content supplied to or returned from a tool could not be understood
+ */
+class InvalidContentError extends ToolError {}
+InvalidContentError.code = 'INVALID_CONTENT';
+
+/**
+ * A path parameter points outside the workspace, directly or through a symlink
+ */
+class PathOutsideWorkspaceError extends ToolError {}
+PathOutsideWorkspaceError.code = 'PATH_OUTSIDE_WORKSPACE';
+
+/**
+ * An external command ran but exited with an error
+ */
+class CommandFailedError extends ToolError {}
+CommandFailedError.code = 'COMMAND_FAILED';
+
+/**
+ * The run was cancelled through its AbortSignal
+ */
+class CancelledError extends ToolError {}
+CancelledError.code = 'CANCELLED';
+
+// Install hints for the programs tools shell out to
+const DEPENDENCY_HINTS = {
+  quarto: 'Install Quarto from https://quarto.org/docs/get-started/ and make sure `quarto` is on PATH.',
+  r: 'Install R from https://cran.r-project.org/ and make sure `R` is on PATH.',
+  rscript: 'Install R from https://cran.r-project.org/ and make sure `Rscript` is on PATH.',
+  git: 'Install git from https://git-scm.com/downloads and make sure `git` is on PATH.'
+};
+
+/**
+ * Convert a failed process run into a MissingDependencyError or CommandFailedError
+ * @param {Error|Object} error - Spawn error, or `{ message, status, stderr, timeout }` for a run that failed
+ * @param {string} command - Command line that was run
+ * @returns {ToolError}
+ */
+function fromExecError(error, command) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+
+  const program = command.trim().split(/\s+/)[0];
+  const stderr = error.stderr ? error.stderr.toString() : '';
+  const notFound = error.code === 'ENOENT' || error.status === 127 ||
+    /command not found|not recognized as an internal or external command/i.test(`${error.message}\n${stderr}`);
+
+  if (notFound) {
+    return new MissingDependencyError(`${program} is not installed or not in PATH`, {
+      hint: DEPENDENCY_HINTS[program.toLowerCase()] || `Install ${program} and make sure it is on PATH.`,
+      details: { dependency: program, command },
+      cause: error
+    });
+  }
+
+  if (error.timeout) {
+    return new CommandFailedError(`Command timed out after ${error.timeout} ms: ${command}`, {
+      code: 'COMMAND_TIMEOUT',
+      hint: 'The program may be waiting for input or a slow download; try again or run it by hand.',
+      details: { command, timeout: error.timeout, stderr },
+      cause: error
+    });
+  }
+
+  return new CommandFailedError(`Command failed (exit code ${error.status}): ${command}`, {
+    hint: stderr.trim() ? `The command reported: ${stderr.trim().split('\n').slice(-3).join(' ')}` : null,
+    details: { command, exitCode: error.status, stderr },
+    cause: error
+  });
+}
+
+/**
+ * Convert an HTTP client failure (Octokit or axios) into an AuthError or RemoteApiError
+ * @param {Error} error
+ * @param {string} service - Name of the remote service, e.g. 'GitHub'
+ * @returns {ToolError}
+ */
+function fromHttpError(error, service) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+
+  const status = error.status || (error.response && error.response.status);
+  const apiMessage = (error.response && error.response.data &&
+    (error.response.data.message || (error.response.data.error && error.response.data.error.message))) ||
+    error.message;
+
+  if (status === 401 || status === 403) {
+    return new AuthError(`${service} rejected the credentials: ${apiMessage}`, {
+      hint: `Check that the ${service} token is valid and has the required scopes.`,
+      details: { service, status },
+      cause: error
+    });
+  }
+
+  return new RemoteApiError(`${service} API error${status ? ` (${status})` : ''}: ${apiMessage}`, {
+    hint: status >= 500 || !status ? `${service} may be unavailable; try again later.` : null,
+    details: { service, status },
+    cause: error
+  });
+}
+
+/**
+ * Wrap any error in a ToolError so callers always get a code
+ * @param {Error} error
+ * @returns {ToolError}
+ */
+function toToolError(error) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+  return new ToolError(error.message, { cause: error });
+}
+
+/**
+ * Render an error for people: `[CODE] message`, followed by the hint if any
+ * @param {Error} error
+ * @returns {string}
+ */
+function formatError(error) {
+  const code = error.code && typeof error.code === 'string' ? `[${error.code}] ` : '';
+  return error.hint ? `${code}${error.message}\nHint: ${error.hint}` : `${code}${error.message}`;
+}
+
+module.exports = {
+  ToolError,
+  ValidationError,
+  ToolNotFoundError,
+  MissingDependencyError,
+  AuthError,
+  RemoteApiError,
+  FileNotFoundError,
+  FileConflictError,
+  InvalidContentError,
+  PathOutsideWorkspaceError,
+  CommandFailedError,
+  CancelledError,
+  fromExecError,
+  fromHttpError,
+  toToolError,
+  formatError
+};
@@ -0,0 +1,122 @@
+const { VirtualFileSystem } = require('./vfs');
+const { CredentialProvider } = require('./credentials');
+const { runProcess, formatCommand } = require('./process-runner');
+const { CancelledError } = require('./errors');
+
+/**
+ * Per-run state handed to a tool as the second argument of execute().
+ *
+ * Tools read and write files through `context.fs` and run external
+ * programs through `context.exec`, so the same code path either applies
+ * changes or, in dry-run mode, only records what it would have done.
+ */
+class ExecutionContext {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Record changes without applying them
+   * @param {VirtualFileSystem} [options.fs] - Share a filesystem layer between runs
+   * @param {string} [options.runId] - Id of the run, as used in registry events
+   * @param {CredentialProvider} [options.credentials] - Where secrets come from (defaults to the environment)
+   * @param {Workspace} [options.workspace] - Directory tree the run may touch (path parameters are already
+   *   resolved against it)
+   * @param {AbortSignal} [options.signal] - Cancels the run's commands when aborted
+   * @param {Function} [options.report] - Receives `(event, payload)` for output streamed from commands
+   */
+  constructor(options = {}) {
+    this.runId = options.runId || null;
+    this.dryRun = Boolean(options.dryRun);
+    this.fs = options.fs || new VirtualFileSystem({ dryRun: this.dryRun });
+    this.credentials = options.credentials || new CredentialProvider();
+    this.workspace = options.workspace || null;
+    this.signal = options.signal || null;
+    this.report = options.report || null;
+    this.commands = [];
+    // Progress keeps counting across the run's commands: MCP requires it to increase per request
+    this.progress = 0;
+  }
+
+  /**
+   * Get a secret the tool needs, e.g. `context.secret('GITHUB_TOKEN')`.
+   * The value is redacted from everything the run reports.
+   * @param {string} name
+   * @returns {string}
+   * @throws {AuthError} AUTH_MISSING_TOKEN when no credential source has it
+   */
+  secret(name) {
+    return this.credentials.require(name);
+  }
+
+  /**
+   * Throw if the run has been cancelled; long loops in tools call this
+   * between steps
+   * @throws {CancelledError}
+   */
+  throwIfCancelled() {
+    if (this.signal && this.signal.aborted) {
+      throw new CancelledError('Run cancelled');
+    }
+  }
+
+  /**
+   * Run a program, or only record it in dry-run mode.
+   * Read-only commands (version checks, status queries) always run so the
+   * tool can still make the same decisions it would make for real.
+   * Each line of output is reported as a `tool:progress` event unless
+   * `stream` is false, and the run's signal stops the program.
+   * @param {string} program - e.g. 'git', 'quarto', 'R'
+   * @param {Array<string>} [args] - Passed as is, never through a shell
+   * @param {Object} [options] - runProcess() options plus:
+   * @param {boolean} [options.readOnly=false] - Run even in dry-run mode
+   * @param {boolean} [options.stream=true] - Report output lines as progress
+   * @returns {Promise<{command: string, exitCode: number|null, stdout: string, stderr: string,
+   *   durationMs: number, timedOut: boolean, skipped: boolean}>}
+   * @throws {MissingDependencyError} When the program is not installed
+   * @throws {CommandFailedError} When the program fails or times out (unless `check` is false)
+   * @throws {CancelledError} When the run is cancelled
+   */
+  async exec(program, args = [], options = {}) {
+    const { readOnly, stream = true, ...runOptions } = options;
+    const command = formatCommand(program, args);
+
+    if (!readOnly) {
+      this.plan(program.toLowerCase(), command, runOptions.cwd ? { cwd: runOptions.cwd } : {});
+    }
+    if (this.dryRun && !readOnly) {
+      return { command, exitCode: 0, signal: null, stdout: '', stderr: '', durationMs: 0, timedOut: false, skipped: true };
+    }
+
+    const onLine = stream && this.report ? (line, source) => {
+      if (line.trim()) {
+        this.report('tool:progress', { progress: ++this.progress, message: line, stream: source, command });
+      }
+    } : undefined;
+    const result = await runProcess(program, args, { signal: this.signal, onLine, ...runOptions });
+    return { ...result, skipped: false };
+  }
+
+  /**
+   * Record an external operation such as an API call
+   * @param {string} type - e.g. 'git', 'quarto', 'r', 'github-api', 'openai-api', 'http'
+   * @param {string} command - Human readable description of the call
+   * @param {Object} [details]
+   */
+  plan(type, command, details = {}) {
+    this.commands.push({ type, command, ...details });
+  }
+
+  /**
+   * Summarise what the run changed or would change
+   * @returns {{changes: Array<{path: string, action: string}>, diff: string, planned_commands: Array<Object>}}
+   */
+  getPlan() {
+    return {
+      changes: this.fs.getChanges().map(({ path, action }) => ({ path, action })),
+      diff: this.fs.diff(),
+      planned_commands: this.commands
+    };
+  }
+}
+
+module.exports = {
+  ExecutionContext
+};
@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ToolError } = require('./errors');
+const { REDACTED } = require('./credentials');
+
+// Longer result strings (generated code, diffs) are cut in the summary
+const SUMMARY_STRING_LENGTH = 120;
+
+/**
+ * Keep the scalar fields of a result, shortening long strings and
+ * replacing nested values with their size
+ * @param {*} result
+ * @returns {Object|null}
+ */
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object') {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries(result).map(([key, value]) => {
+    if (typeof value === 'string' && value.length > SUMMARY_STRING_LENGTH) {
+      return [key, `${value.slice(0, SUMMARY_STRING_LENGTH)}… (${value.length} chars)`];
+    }
+    if (Array.isArray(value)) {
+      return [key, `[${value.length} item(s)]`];
+    }
+    if (value && typeof value === 'object') {
+      return [key, `{${Object.keys(value).length} key(s)}`];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Append-only record of every tool run in `.copilot-quarto/history.jsonl`.
+ *
+ * Unlike the journal, which keeps file contents so runs can be undone, the
+ * history keeps what was asked for (tool and redacted parameters) and what
+ * came of it, so past runs can be listed and replayed.
+ */
+class ExecutionHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - History file
+   */
+  constructor(options = {}) {
+    this.path = options.path || path.join(process.cwd(), '.copilot-quarto', 'history.jsonl');
+  }
+
+  /**
+   * Append one run
+   * @param {Object} run
+   * @param {string} run.id - Run id, as used in registry events
+   * @param {string} run.tool
+   * @param {Object} run.params - Redacted parameters, config defaults included
+   * @param {string} run.status - 'succeeded' or 'failed'
+   * @param {number} run.durationMs
+   * @param {boolean} [run.dryRun]
+   * @param {string|null} [run.session]
+   * @param {string} [run.cwd] - Directory relative paths in the params are relative to
+   * @param {Array<{path: string, action: string}>} [run.files] - Files the run changed
+   * @param {Object} [run.result] - Redacted result
+   * @param {ToolError} [run.error]
+   * @param {string} [run.replayOf] - Id of the run this one replays
+   * @returns {Object} The stored entry
+   */
+  record(run) {
+    const entry = {
+      id: run.id,
+      timestamp: new Date().toISOString(),
+      tool: run.tool,
+      status: run.status,
+      duration_ms: run.durationMs,
+      dry_run: Boolean(run.dryRun),
+      session: run.session || null,
+      cwd: run.cwd || process.cwd(),
+      params: run.params,
+      files: run.files || [],
+      result: summarizeResult(run.result),
+      error: run.error ? { code: run.error.code, message: run.error.message } : null,
+      replay_of: run.replayOf || null
+    };
+
+    fs.ensureDirSync(path.dirname(this.path));
+    fs.appendFileSync(this.path, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  /**
+   * List recorded runs, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.tool] - Only runs of this tool
+   * @param {string} [filter.session] - Only runs of this session
+   * @param {string} [filter.since] - Only runs at or after this ISO date
+   * @param {number} [filter.limit] - Only the most recent runs
+   * @returns {Array<Object>}
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const entries = fs.readFileSync(this.path, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash should not hide the rest of the history
+          return null;
+        }
+      })
+      .filter(entry => entry &&
+        (filter.tool === undefined || entry.tool === filter.tool) &&
+        (filter.session === undefined || entry.session === filter.session) &&
+        (filter.since === undefined || entry.timestamp >= new Date(filter.since).toISOString()));
+
+    return filter.limit ? entries.slice(-filter.limit) : entries;
+  }
+
+  /**
+   * Find a run by id or unique id prefix
+   * @param {string} id
+   * @returns {Object}
+   * @throws {ToolError} HISTORY_NOT_FOUND or HISTORY_AMBIGUOUS
+   */
+  get(id) {
+    const matches = this.list().filter(entry => entry.id.startsWith(id));
+    if (matches.length === 0) {
+      throw new ToolError(`No run '${id}' in ${this.path}`, {
+        code: 'HISTORY_NOT_FOUND',
+        hint: 'Run `copilot-quarto history` to see the recorded runs.',
+        details: { id }
+      });
+    }
+    if (matches.length > 1) {
+      throw new ToolError(`Run id '${id}' matches ${matches.length} runs`, {
+        code: 'HISTORY_AMBIGUOUS',
+        hint: 'Use more characters of the id.',
+        details: { id, matches: matches.map(entry => entry.id) }
+      });
+    }
+    return matches[0];
+  }
+
+  /**
+   * A run and every run recorded after it
+   * @param {string} id
+   * @returns {Array<Object>}
+   */
+  since(id) {
+    const first = this.get(id);
+    const entries = this.list();
+    return entries.slice(entries.findIndex(entry => entry.id === first.id));
+  }
+}
+
+/**
+ * Map absolute paths under one directory to the same place under another,
+ * recursing into arrays and objects
+ * @param {*} value
+ * @param {string} fromDir
+ * @param {string} toDir
+ * @returns {*}
+ */
+function rebasePaths(value, fromDir, toDir) {
+  if (Array.isArray(value)) {
+    return value.map(item => rebasePaths(item, fromDir, toDir));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rebasePaths(item, fromDir, toDir)]));
+  }
+  if (typeof value === 'string' && path.isAbsolute(value) &&
+    (value === fromDir || value.startsWith(fromDir + path.sep))) {
+    return path.join(toDir, path.relative(fromDir, value));
+  }
+  return value;
+}
+
+/**
+ * Parameters to replay a run with. Redacted secrets are left out so the
+ * credential provider, the config or `overrides` can supply them again.
+ * @param {Object} entry - History entry
+ * @param {string|null} target - Directory to replay into
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function replayParams(entry, target, overrides = {}) {
+  const params = Object.fromEntries(Object.entries(entry.params || {}).filter(([, value]) => value !== REDACTED));
+  return { ...(target ? rebasePaths(params, entry.cwd, target) : params), ...overrides };
+}
+
+/**
+ * Re-run recorded runs in order, stopping at the first failure.
+ *
+ * With `cwd`, the runs happen in that directory instead: it is created if
+ * needed, it becomes the workspace root and working directory while
+ * replaying, and absolute paths under the original root are moved into it.
+ *
+ * @param {CopilotQuarto} copilot
+ * @param {Array<Object>} entries - History entries, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to replay into
+ * @param {boolean} [options.dryRun=false]
+ * @param {boolean} [options.allowOutsideWorkspace=false]
+ * @param {Object} [options.overrides] - Parameters to set on every replayed run that declares them, e.g. secrets
+ * @returns {Promise<{success: boolean, cwd: string, runs: Array<Object>}>}
+ */
+async function replayRuns(copilot, entries, options = {}) {
+  const target = options.cwd ? path.resolve(options.cwd) : null;
+  const original = process.cwd();
+  const runs = [];
+
+  if (target) {
+    fs.ensureDirSync(target);
+    process.chdir(target);
+  }
+  try {
+    for (const entry of entries) {
+      const declared = (copilot.registry.getSchema(entry.tool) || {}).properties || {};
+      const overrides = Object.fromEntries(
+        Object.entries(options.overrides || {}).filter(([name]) => Object.prototype.hasOwnProperty.call(declared, name))
+      );
+      try {
+        const result = await copilot.execute(entry.tool, replayParams(entry, target, overrides), {
+          dryRun: options.dryRun,
+          replayOf: entry.id,
+          workspaceRoot: target || undefined,
+          allowOutsideWorkspace: options.allowOutsideWorkspace
+        });
+        runs.push({ id: entry.id, tool: entry.tool, status: 'succeeded', result });
+      } catch (error) {
+        runs.push({ id: entry.id, tool: entry.tool, status: 'failed', error: error.message, code: error.code });
+        break;
+      }
+    }
+  } finally {
+    process.chdir(original);
+  }
+
+  return {
+    success: runs.every(run => run.status === 'succeeded'),
+    cwd: target || original,
+    runs
+  };
+}
+
+module.exports = {
+  ExecutionHistory,
+  summarizeResult,
+  rebasePaths,
+  replayParams,
+  replayRuns
+};
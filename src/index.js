@@ -1,4 +1,16 @@
+#!/usr/bin/env node
+const path = require('path');
 const { CopilotQuartoToolRegistry } = require('./core');
+const { ExecutionJournal } = require('./journal');
+const { ExecutionHistory, replayRuns } = require('./history');
+const { runRecipe } = require('./recipes');
+const { discoverPlugins, loadPlugin, registerPlugin } = require('./plugins');
+const { generateManifest, readManifest, findManifestDrift } = require('./manifest');
+const { loadConfig } = require('./config');
+const { CredentialProvider, EncryptedCredentialStore } = require('./credentials');
+const { Workspace } = require('./workspace');
+const { ConsoleRenderer } = require('./logging');
+const { ToolError } = require('./errors');
 
 // Import all tool implementations
 const QuartoCreateProjectWithRenvAndGit = require('./tools/quarto-project');
@@ -10,6 +22,10 @@ const {
 const {
   QuartoDefineDashboardFormat,
   QuartoDefineDashboardLayout,
+  QuartoDashboardAddValueBox,
+  QuartoDashboardAddKpiStrip,
+  QuartoDashboardAddInputs,
+  QuartoDashboardSetOptions,
   QuartoAddDashboardLogo
 } = require('./tools/dashboard');
 const {
@@ -20,6 +36,9 @@ const {
   QuartoApplyScssTheme,
   QuartoConfigureChunkOutput,
   QuartoNameCodeChunk,
+  QuartoSetChunkOptions,
+  QuartoMigrateChunkOptions,
+  QuartoCreatePanelLayout,
   QuartoGenerateRevealJsSlides
 } = require('./tools/quarto-config');
 const {
@@ -74,9 +93,77 @@ const {
  * Main entry point for copilot-quarto tools
  */
 class CopilotQuarto {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.stateDir] - Where run state such as the undo journal is kept
+   *   (defaults to `.copilot-quarto` in the working directory)
+   * @param {boolean} [options.journal] - Keep an undo journal in `<stateDir>/journal`; on when `stateDir` is given
+   * @param {boolean} [options.history] - Record runs in `<stateDir>/history.jsonl`; on when `stateDir` is given
+   * @param {Object|boolean} [options.console] - ConsoleRenderer options for tool output,
+   *   or false to keep the console quiet and only emit registry events
+   * @param {Array<string>|boolean} [options.plugins] - Extra plugin packages or paths,
+   *   or false to skip plugin discovery
+   * @param {string} [options.cwd=process.cwd()] - Project directory the config and plugins are discovered from
+   * @param {string} [options.configPath] - Config file to use instead of searching upward from cwd
+   * @param {string} [options.profile] - Config profile to apply
+   * @param {boolean} [options.config] - Set to false to ignore project config files
+   * @param {Object|boolean} [options.workspace] - `{ root, allow }` to restrict path parameters to,
+   *   or false to turn the check off; defaults to the config file's `workspace`, then its directory, then cwd
+   * @param {Object} [options.credentials] - Secrets injected by the host, e.g. `{ GITHUB_TOKEN: token }`;
+   *   they take precedence over the environment, the config and the encrypted store
+   */
+  constructor(options = {}) {
+    this.stateDir = options.stateDir || path.join(process.cwd(), '.copilot-quarto');
+    this.session = null;
     this.registry = new CopilotQuartoToolRegistry();
+    // Like the history, the journal (which keeps earlier file contents) is kept only where asked for
+    const keepJournal = options.journal !== undefined ? options.journal : Boolean(options.stateDir);
+    this.journal = keepJournal ?
+      new ExecutionJournal({ directory: path.join(this.stateDir, 'journal') }) :
+      null;
+    this.registry.setJournal(this.journal);
+    const keepHistory = options.history !== undefined ? options.history : Boolean(options.stateDir);
+    this.history = keepHistory ?
+      new ExecutionHistory({ path: path.join(this.stateDir, 'history.jsonl') }) :
+      null;
+    this.registry.setHistory(this.history);
+    this.consoleRenderer = options.console === false ?
+      null :
+      new ConsoleRenderer(options.console || {}).attach(this.registry);
+    this.config = options.config === false ?
+      null :
+      loadConfig({ cwd: options.cwd, configPath: options.configPath, profile: options.profile });
+    this.registry.setConfig(this.config);
+    this.credentials = new CredentialProvider({
+      credentials: options.credentials,
+      config: this.config ? this.config.credentials : {},
+      store: new EncryptedCredentialStore({ path: path.join(this.stateDir, 'credentials.enc') })
+    });
+    this.registry.setCredentials(this.credentials);
+    this.workspace = options.workspace === false ? null : this.createWorkspace(options);
+    this.registry.setWorkspace(this.workspace);
+    this.plugins = [];
     this.initializeTools();
+    if (options.plugins !== false) {
+      this.loadPlugins({
+        cwd: options.cwd,
+        plugins: [...(this.config ? this.config.plugins : []), ...(options.plugins || [])]
+      });
+    }
+  }
+
+  /**
+   * Workspace from the constructor options, falling back to the project config
+   * @param {Object} options - Constructor options
+   * @returns {Workspace}
+   */
+  createWorkspace(options) {
+    const configured = (this.config && this.config.workspace) || { root: null, allow: [] };
+    const given = options.workspace || {};
+    return new Workspace({
+      root: given.root || configured.root || options.cwd || process.cwd(),
+      allow: [...configured.allow, ...(given.allow || [])]
+    });
   }
 
   /**
@@ -94,6 +181,10 @@ class CopilotQuarto {
     // Dashboard tools
     this.registry.register(new QuartoDefineDashboardFormat());
     this.registry.register(new QuartoDefineDashboardLayout());
+    this.registry.register(new QuartoDashboardAddValueBox());
+    this.registry.register(new QuartoDashboardAddKpiStrip());
+    this.registry.register(new QuartoDashboardAddInputs());
+    this.registry.register(new QuartoDashboardSetOptions());
     this.registry.register(new QuartoAddDashboardLogo());
     
     // Quarto configuration tools
@@ -104,6 +195,9 @@ class CopilotQuarto {
     this.registry.register(new QuartoApplyScssTheme());
     this.registry.register(new QuartoConfigureChunkOutput());
     this.registry.register(new QuartoNameCodeChunk());
+    this.registry.register(new QuartoSetChunkOptions());
+    this.registry.register(new QuartoMigrateChunkOptions());
+    this.registry.register(new QuartoCreatePanelLayout());
     this.registry.register(new QuartoGenerateRevealJsSlides());
     
     // GitHub integration tools
@@ -152,14 +246,144 @@ class CopilotQuarto {
     this.registry.register(new HtmlIframeCustomizeAttributes());
   }
 
+  /**
+   * Register the tools of installed `copilot-quarto-plugin-*` packages and of
+   * the plugins listed in the project config
+   * @param {Object} [options] - See discoverPlugins in plugins.js
+   */
+  loadPlugins(options = {}) {
+    for (const specifier of discoverPlugins(options)) {
+      const plugin = loadPlugin(specifier, options);
+      registerPlugin(this.registry, plugin);
+      this.plugins.push({
+        name: plugin.name,
+        specifier: plugin.specifier,
+        tools: plugin.tools.map(tool => tool.name)
+      });
+    }
+  }
+
   /**
    * Execute a tool by name
    * @param {string} toolName 
    * @param {Object} params 
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Return a diff and planned commands instead of applying them
+   * @param {string} [options.session] - Journal session (defaults to the one from startSession)
+   * @param {AbortSignal} [options.signal] - Cancel the run
    * @returns {Promise<Object>}
    */
-  async execute(toolName, params = {}) {
-    return await this.registry.execute(toolName, params);
+  async execute(toolName, params = {}, options = {}) {
+    return await this.registry.execute(toolName, params, { session: this.session, ...options });
+  }
+
+  /**
+   * Run a YAML recipe of chained tool calls
+   * @param {Object|string} recipe - Parsed recipe or path to a recipe file
+   * @param {Object} [options] - See runRecipe in recipes.js
+   * @returns {Promise<Object>}
+   */
+  async runRecipe(recipe, options = {}) {
+    return await runRecipe(this, recipe, options);
+  }
+
+  /**
+   * Group the following runs under a name so they can be rolled back together
+   * @param {string} name 
+   */
+  startSession(name) {
+    this.session = name;
+  }
+
+  /**
+   * Stop grouping runs under the current session
+   */
+  endSession() {
+    this.session = null;
+  }
+
+  /**
+   * Restore the files changed by the last tool runs
+   * @param {number} [count=1] - Number of runs to undo
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Overwrite files edited since the run
+   * @returns {Array<Object>} Undone runs, most recent first, each with the `remaining` paths it could not put back
+   */
+  undo(count = 1, options = {}) {
+    return this.requireJournal().undo(count, options);
+  }
+
+  /**
+   * Restore the files changed by every run of a session
+   * @param {string} [session] - Defaults to the current session
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Overwrite files edited since the run
+   * @returns {Array<Object>} Undone runs, most recent first
+   */
+  rollback(session = this.session, options = {}) {
+    if (!session) {
+      throw new ToolError('No session to roll back', {
+        code: 'SESSION_NOT_FOUND',
+        hint: 'Pass a session name or call startSession() first.'
+      });
+    }
+    return this.requireJournal().rollback(session, options);
+  }
+
+  /**
+   * Re-run recorded runs, optionally in a fresh directory
+   * @param {string|Array<string>|Object} selection - A run id (or unique prefix), a list of ids,
+   *   `{ from: id }` for a run and everything after it, or `{ session: name }`
+   * @param {Object} [options] - See replayRuns in history.js
+   * @param {boolean} [options.includeAll=false] - Also replay the failed runs and dry runs of a
+   *   `from` or `session` sequence, which are skipped by default
+   * @returns {Promise<{success: boolean, cwd: string, runs: Array<Object>}>}
+   */
+  async replay(selection, options = {}) {
+    const history = this.requireHistory();
+    // In a sequence, a failed call was usually retried and a dry run only previewed one
+    const replayable = entry => options.includeAll || (entry.status === 'succeeded' && !entry.dry_run);
+    let entries;
+    if (selection && selection.from) {
+      entries = history.since(selection.from).filter(replayable);
+    } else if (selection && selection.session) {
+      entries = history.list({ session: selection.session }).filter(replayable);
+    } else {
+      entries = [].concat(selection).map(id => history.get(id));
+    }
+    if (entries.length === 0) {
+      throw new ToolError('No recorded runs to replay', {
+        code: 'HISTORY_NOT_FOUND',
+        hint: 'Run `copilot-quarto history` to see the recorded runs.'
+      });
+    }
+    return await replayRuns(this, entries, options);
+  }
+
+  /**
+   * @returns {ExecutionHistory}
+   */
+  requireHistory() {
+    if (!this.history) {
+      throw new ToolError('The execution history is disabled', {
+        code: 'HISTORY_DISABLED',
+        hint: 'Construct CopilotQuarto without { history: false } to record runs.'
+      });
+    }
+    return this.history;
+  }
+
+  /**
+   * @returns {ExecutionJournal}
+   */
+  requireJournal() {
+    if (!this.journal) {
+      throw new ToolError('The undo journal is disabled', {
+        code: 'JOURNAL_DISABLED',
+        hint: 'Construct CopilotQuarto without { journal: false } to record runs.'
+      });
+    }
+    return this.journal;
   }
 
   /**
@@ -171,30 +395,45 @@ class CopilotQuarto {
   }
 
   /**
-   * Get tool definitions matching the copilot-tools.json format
+   * Describe every registered tool and where it came from
+   * @returns {Array<{name: string, description: string, source: string}>}
+   */
+  listTools() {
+    return this.getAvailableTools().map(name => ({
+      name,
+      description: this.registry.tools.get(name).description,
+      source: this.registry.getToolSource(name)
+    }));
+  }
+
+  /**
+   * Get tool definitions generated from the schemas the tools declare
+   * @param {string} [format='copilot'] - copilot (copilot-tools.json), openai or anthropic
+   * @param {Object} [options]
+   * @param {boolean} [options.builtInOnly=false] - Leave out plugin tools
    * @returns {Array<Object>}
    */
-  getToolDefinitions() {
-    const fs = require('fs');
-    const path = require('path');
-    
-    try {
-      const toolsJsonPath = path.join(__dirname, '../.github/copilot-tools.json');
-      const toolsJson = JSON.parse(fs.readFileSync(toolsJsonPath, 'utf8'));
-      return toolsJson;
-    } catch (error) {
-      console.error('Failed to load tool definitions:', error.message);
-      return [];
-    }
+  getToolDefinitions(format = 'copilot', options = {}) {
+    const tools = this.getAvailableTools()
+      .filter(name => !options.builtInOnly || this.registry.getToolSource(name) === 'built-in')
+      .map(name => ({
+        name,
+        description: this.registry.tools.get(name).description,
+        parameters: this.registry.getSchema(name)
+      }));
+    return generateManifest(tools, format);
   }
 
   /**
-   * Validate that all defined tools are implemented
-   * @returns {Object} Validation result
+   * Validate that every tool in `.github/copilot-tools.json` is implemented
+   * and that the manifest matches the schemas declared in code
+   * @returns {Object} Validation result; `drift` lists each difference
    */
   validateImplementation() {
-    const definitions = this.getToolDefinitions();
-    const implemented = this.getAvailableTools();
+    const definitions = readManifest();
+    // Plugin tools carry their own schemas and are not expected in copilot-tools.json
+    const declared = this.getToolDefinitions('copilot', { builtInOnly: true });
+    const implemented = declared.map(definition => definition.name);
     
     const missing = definitions
       .map(def => def.name)
@@ -203,10 +442,14 @@ class CopilotQuarto {
     const extra = implemented
       .filter(name => !definitions.find(def => def.name === name));
     
+    const drift = findManifestDrift(declared, definitions);
+
     return {
       allImplemented: missing.length === 0,
+      inSync: drift.length === 0,
       missing,
       extra,
+      drift,
       implemented: implemented.length,
       defined: definitions.length
     };
@@ -217,38 +460,14 @@ module.exports = CopilotQuarto;
 
 // CLI support
 if (require.main === module) {
-  const copilot = new CopilotQuarto();
-  
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    console.log('Available tools:', copilot.getAvailableTools());
-    
-    const validation = copilot.validateImplementation();
-    console.log('\nImplementation status:');
-    console.log(`✅ Implemented: ${validation.implemented}/${validation.defined}`);
-    
-    if (validation.missing.length > 0) {
-      console.log(`❌ Missing: ${validation.missing.join(', ')}`);
-    }
-    
-    if (validation.extra.length > 0) {
-      console.log(`ℹ️  Extra: ${validation.extra.join(', ')}`);
+  require('./cli').main(process.argv.slice(2)).then(code => {
+    // Servers (--agent) keep running and resolve without an exit code
+    if (code !== undefined) {
+      process.exit(code);
     }
-    
-    process.exit(0);
-  }
-  
-  const toolName = args[0];
-  const params = args[1] ? JSON.parse(args[1]) : {};
-  
-  copilot.execute(toolName, params)
-    .then(result => {
-      console.log('Result:', JSON.stringify(result, null, 2));
-    })
-    .catch(error => {
-      console.error('Error:', error.message);
-      process.exit(1);
-    });
-}
\ No newline at end of file
+  }).catch(error => {
+    // main reports tool errors itself; this is for failures outside of it, e.g. a server that cannot bind
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exit(1);
+  });
+}
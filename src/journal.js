@@ -0,0 +1,261 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { ToolError, FileConflictError } = require('./errors');
+
+/**
+ * Hash file content so later changes to a journaled file can be detected
+ * @param {Buffer|null} buffer
+ * @returns {string|null}
+ */
+function hashContent(buffer) {
+  return buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : null;
+}
+
+/**
+ * Read a file's current content, or null when it does not exist
+ * @param {string} filePath
+ * @returns {Buffer|null}
+ */
+function readCurrent(filePath) {
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? fs.readFileSync(filePath) : null;
+}
+
+/**
+ * Whether a changed file contains a secret, before or after the change
+ * @param {{before: Buffer|null, after: Buffer|null}} change
+ * @param {Iterable<string>} secrets
+ * @returns {boolean}
+ */
+function holdsSecret(change, secrets) {
+  const values = Array.from(secrets);
+  return [change.before, change.after].some(buffer => buffer && values.some(value => buffer.includes(value)));
+}
+
+/**
+ * Entries left in the folders a run created once its own files are gone:
+ * these were written by external commands (git, R, quarto) and not recorded
+ * @param {Array<string>} createdDirs
+ * @returns {Array<string>}
+ */
+function findLeftovers(createdDirs) {
+  const created = new Set(createdDirs);
+  return createdDirs
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => fs.readdirSync(dir).map(name => path.join(dir, name)))
+    .filter(entryPath => !created.has(entryPath))
+    .sort();
+}
+
+/**
+ * On-disk journal of tool runs.
+ *
+ * Every run that changes files is stored as one JSON entry holding the
+ * content each file had before the run, so runs can be undone in reverse
+ * order even from a later process. Entries are readable by the owner only,
+ * and the content of files holding a secret is never stored: undo leaves
+ * those files as they are and reports them. Files written by the commands
+ * a run executed are not journaled either; undo reports what they left in
+ * the folders the run created.
+ */
+class ExecutionJournal {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Where entries are stored
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(process.cwd(), '.copilot-quarto', 'journal');
+  }
+
+  /**
+   * Record the changes made by one tool run
+   * @param {Object} run
+   * @param {string} run.tool - Tool name
+   * @param {string|null} [run.session] - Session the run belongs to
+   * @param {boolean} [run.failed] - Whether the tool threw after changing files
+   * @param {VirtualFileSystem} run.fs - Filesystem layer used by the run
+   * @param {Iterable<string>} [run.secrets] - Values that must not be written to the journal
+   * @param {Array<Object>} [run.commands] - External commands the run executed (already redacted)
+   * @returns {Object|null} The stored entry, or null when nothing changed
+   */
+  record({ tool, session = null, failed = false, fs: vfs, secrets = [], commands = [] }) {
+    const changes = vfs.getChanges();
+    const createdDirs = Array.from(vfs.createdDirs);
+    if (changes.length === 0 && createdDirs.length === 0) {
+      return null;
+    }
+
+    const entries = this.list();
+    const sequence = entries.length > 0 ? entries[entries.length - 1].sequence + 1 : 1;
+    const entry = {
+      id: `${sequence}-${crypto.randomBytes(4).toString('hex')}`,
+      sequence,
+      tool,
+      session,
+      failed,
+      timestamp: new Date().toISOString(),
+      files: changes.map(change => {
+        const secret = holdsSecret(change, secrets);
+        return {
+          path: change.path,
+          action: change.action,
+          // A created file is undone by removing it, so only earlier content needs keeping
+          before: change.before && !secret ? change.before.toString('base64') : null,
+          ...(secret && change.before ? { secret: true } : {}),
+          mode: change.mode,
+          after_hash: hashContent(change.after)
+        };
+      }),
+      created_dirs: createdDirs,
+      commands: commands.map(({ command, cwd }) => (cwd ? { command, cwd } : { command }))
+    };
+
+    fs.ensureDirSync(this.directory, { mode: 0o700 });
+    fs.writeFileSync(path.join(this.directory, `${entry.id}.json`), JSON.stringify(entry, null, 2), { mode: 0o600 });
+    return entry;
+  }
+
+  /**
+   * List journal entries, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.session] - Only entries of this session
+   * @returns {Array<Object>}
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')))
+      .filter(entry => filter.session === undefined || entry.session === filter.session)
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Undo the most recent runs
+   * @param {number} [count=1]
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Restore files even if they changed since the run
+   * @returns {Array<Object>} Undone entries, most recent first
+   */
+  undo(count = 1, options = {}) {
+    const entries = this.list().slice(-count).reverse();
+    return this.restore(entries, options);
+  }
+
+  /**
+   * Undo every run of a named session
+   * @param {string} session
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Restore files even if they changed since the run
+   * @returns {Array<Object>} Undone entries, most recent first
+   */
+  rollback(session, options = {}) {
+    const entries = this.list({ session }).reverse();
+    if (entries.length === 0) {
+      throw new ToolError(`No journal entries found for session '${session}'`, {
+        code: 'SESSION_NOT_FOUND',
+        hint: 'Sessions are named with startSession(); only real (non dry-run) runs are journaled.'
+      });
+    }
+    return this.restore(entries, options);
+  }
+
+  /**
+   * Restore the files of the given entries, in the given order.
+   * Each undone run lists under `remaining` what could not be put back:
+   * files holding a secret and whatever external commands left behind.
+   * @param {Array<Object>} entries - Most recent first
+   * @param {Object} options
+   * @returns {Array<Object>}
+   */
+  restore(entries, { force = false } = {}) {
+    if (!force) {
+      this.checkConflicts(entries);
+    }
+
+    const reports = [];
+    for (const entry of entries) {
+      for (const file of entry.files) {
+        if (file.secret) {
+          continue;
+        }
+        if (file.before === null) {
+          fs.removeSync(file.path);
+        } else {
+          fs.ensureDirSync(path.dirname(file.path));
+          fs.writeFileSync(file.path, Buffer.from(file.before, 'base64'));
+          if (file.mode !== undefined) {
+            fs.chmodSync(file.path, file.mode);
+          }
+        }
+      }
+
+      // Deepest directories first, and only while they are empty
+      const dirs = [...entry.created_dirs].sort((a, b) => b.length - a.length);
+      for (const dir of dirs) {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+          fs.removeSync(dir);
+        }
+      }
+
+      fs.removeSync(path.join(this.directory, `${entry.id}.json`));
+
+      const commands = entry.commands || [];
+      reports.push({
+        id: entry.id,
+        tool: entry.tool,
+        session: entry.session,
+        timestamp: entry.timestamp,
+        files: entry.files.map(file => ({ path: file.path, action: file.action })),
+        commands,
+        remaining: [
+          ...entry.files
+            .filter(file => file.secret)
+            .map(file => ({ path: file.path, reason: 'holds a secret, so its earlier content was not journaled' })),
+          ...findLeftovers(entry.created_dirs).map(leftover => ({
+            path: leftover,
+            reason: commands.length > 0 ?
+              'was written by an external command (see commands), not through the journal' :
+              'was not written through the journal'
+          }))
+        ]
+      });
+    }
+
+    return reports;
+  }
+
+  /**
+   * Make sure no file was edited outside the journal since the runs being
+   * undone, so restoring does not silently discard someone's work
+   * @param {Array<Object>} entries - Most recent first
+   */
+  checkConflicts(entries) {
+    const expected = new Map();
+    // The oldest entry touching a file decides what the file is restored to,
+    // the newest one what it should look like right now
+    for (const entry of entries) {
+      for (const file of entry.files.filter(item => !item.secret)) {
+        if (!expected.has(file.path)) {
+          expected.set(file.path, { hash: file.after_hash, tool: entry.tool });
+        }
+      }
+    }
+
+    for (const [filePath, { hash, tool }] of expected) {
+      if (hashContent(readCurrent(filePath)) !== hash) {
+        throw new FileConflictError(`'${filePath}' was changed after ${tool} ran`, {
+          hint: 'Undo with { force: true } (or --force) to overwrite the later changes.',
+          details: { path: filePath, tool }
+        });
+      }
+    }
+  }
+}
+
+module.exports = {
+  ExecutionJournal
+};
@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+
+// Log levels in increasing severity (RFC 5424 names, as used by MCP)
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Events emitted by the tool registry for every run
+const TOOL_EVENTS = ['tool:start', 'tool:log', 'tool:progress', 'tool:end', 'tool:error'];
+
+/**
+ * Whether a level is at least as severe as a threshold
+ * @param {string} level
+ * @param {string} threshold
+ * @returns {boolean}
+ */
+function isLevelEnabled(level, threshold) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Format a tool event the way tools have always printed to the terminal
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {string|null} Null for events the console does not show
+ */
+function formatForConsole(event, data) {
+  const label = `[${data.tool}]`;
+
+  if (event === 'tool:progress') {
+    const counter = data.total ? ` (${data.progress}/${data.total})` : '';
+    return `${chalk.blue(label)} ${data.message || 'Working'}${counter}`;
+  }
+  if (event !== 'tool:log') {
+    return null;
+  }
+
+  switch (data.level) {
+  case 'error':
+  case 'critical':
+  case 'alert':
+  case 'emergency':
+    return `${chalk.red(`${label} ERROR:`)} ${data.message}`;
+  case 'warning':
+    return `${chalk.yellow(`${label} WARNING:`)} ${data.message}`;
+  case 'notice':
+    return `${chalk.green(`${label} SUCCESS:`)} ${data.message}`;
+  default:
+    return `${chalk.blue(label)} ${data.message}`;
+  }
+}
+
+/**
+ * Pretty terminal output for tool events. Writes to stderr by default so
+ * stdout stays free for results.
+ */
+class ConsoleRenderer {
+  /**
+   * @param {Object} [options]
+   * @param {stream.Writable} [options.stream=process.stderr]
+   * @param {string} [options.level='info'] - Minimum level to show
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stderr;
+    this.level = options.level || 'info';
+    this.emitter = null;
+    this.listeners = {
+      'tool:log': data => this.render('tool:log', data),
+      'tool:progress': data => this.render('tool:progress', data)
+    };
+  }
+
+  /**
+   * Print one event
+   * @param {string} event
+   * @param {Object} data
+   */
+  render(event, data) {
+    if (event === 'tool:log' && !isLevelEnabled(data.level, this.level)) {
+      return;
+    }
+    const line = formatForConsole(event, data);
+    if (line) {
+      this.stream.write(`${line}\n`);
+    }
+  }
+
+  /**
+   * Subscribe to an emitter (normally the tool registry)
+   * @param {EventEmitter} emitter
+   * @returns {ConsoleRenderer}
+   */
+  attach(emitter) {
+    this.detach();
+    this.emitter = emitter;
+    Object.entries(this.listeners).forEach(([event, listener]) => emitter.on(event, listener));
+    return this;
+  }
+
+  /**
+   * Stop rendering events
+   */
+  detach() {
+    if (this.emitter) {
+      Object.entries(this.listeners).forEach(([event, listener]) => this.emitter.off(event, listener));
+      this.emitter = null;
+    }
+  }
+}
+
+/**
+ * Writes every tool event as one JSON object per line, for hosts and log
+ * collectors: `{"event":"tool:log","runId":"…","tool":"…","level":"info",…}`
+ */
+class JsonLinesSink {
+  /**
+   * @param {stream.Writable|string} target - Stream, or path of a file to append to
+   * @param {Object} [options]
+   * @param {string} [options.level='debug'] - Minimum level of tool:log events to write
+   */
+  constructor(target, options = {}) {
+    // Files are appended to synchronously so nothing is lost on process.exit()
+    this.filePath = typeof target === 'string' ? target : null;
+    this.stream = this.filePath ? null : target;
+    this.level = options.level || 'debug';
+    this.emitter = null;
+    this.listeners = Object.fromEntries(
+      TOOL_EVENTS.map(event => [event, data => this.write(event, data)])
+    );
+  }
+
+  /**
+   * Write one event
+   * @param {string} event
+   * @param {Object} data
+   */
+  write(event, data) {
+    if (event === 'tool:log' && !isLevelEnabled(data.level, this.level)) {
+      return;
+    }
+    const line = `${JSON.stringify({ event, ...data })}\n`;
+    if (this.filePath) {
+      fs.appendFileSync(this.filePath, line);
+    } else {
+      this.stream.write(line);
+    }
+  }
+
+  /**
+   * Subscribe to an emitter (normally the tool registry)
+   * @param {EventEmitter} emitter
+   * @returns {JsonLinesSink}
+   */
+  attach(emitter) {
+    this.detach();
+    this.emitter = emitter;
+    Object.entries(this.listeners).forEach(([event, listener]) => emitter.on(event, listener));
+    return this;
+  }
+
+  /**
+   * Stop writing events
+   */
+  detach() {
+    if (this.emitter) {
+      Object.entries(this.listeners).forEach(([event, listener]) => this.emitter.off(event, listener));
+      this.emitter = null;
+    }
+  }
+}
+
+// Used by tools that are run outside a registry
+const defaultRenderer = new ConsoleRenderer();
+
+module.exports = {
+  LOG_LEVELS,
+  TOOL_EVENTS,
+  ConsoleRenderer,
+  JsonLinesSink,
+  defaultRenderer,
+  formatForConsole,
+  isLevelEnabled
+};
@@ -0,0 +1,180 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// The Copilot tool manifest checked into the repository
+const MANIFEST_PATH = path.join(__dirname, '../.github/copilot-tools.json');
+
+const EMPTY_PARAMETERS = { type: 'object', properties: {} };
+
+/**
+ * Copilot tool manifest entries (`.github/copilot-tools.json` format)
+ * @param {Array<CopilotQuartoTool>} tools
+ * @returns {Array<{name: string, description: string, parameters: Object}>}
+ */
+function toCopilotManifest(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters || EMPTY_PARAMETERS
+  }));
+}
+
+/**
+ * OpenAI function-calling tool definitions
+ * @param {Array<CopilotQuartoTool>} tools
+ * @returns {Array<Object>}
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || EMPTY_PARAMETERS
+    }
+  }));
+}
+
+/**
+ * Anthropic Messages API tool definitions
+ * @param {Array<CopilotQuartoTool>} tools
+ * @returns {Array<Object>}
+ */
+function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters || EMPTY_PARAMETERS
+  }));
+}
+
+const FORMATS = {
+  copilot: toCopilotManifest,
+  openai: toOpenAITools,
+  anthropic: toAnthropicTools
+};
+
+/**
+ * Render tool definitions in one of the supported formats
+ * @param {Array<CopilotQuartoTool>} tools
+ * @param {string} [format='copilot'] - copilot, openai or anthropic
+ * @returns {Array<Object>}
+ */
+function generateManifest(tools, format = 'copilot') {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown manifest format '${format}' (use ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return FORMATS[format](tools);
+}
+
+/**
+ * Read the checked-in Copilot manifest
+ * @param {string} [manifestPath]
+ * @returns {Array<Object>}
+ */
+function readManifest(manifestPath = MANIFEST_PATH) {
+  return fs.readJsonSync(manifestPath);
+}
+
+/**
+ * Write the Copilot manifest generated from the tools
+ * @param {Array<CopilotQuartoTool>} tools
+ * @param {string} [manifestPath]
+ */
+function writeManifest(tools, manifestPath = MANIFEST_PATH) {
+  fs.writeFileSync(manifestPath, `${JSON.stringify(toCopilotManifest(tools), null, 2)}\n`);
+}
+
+/**
+ * Compare the schemas declared in code with a manifest
+ * @param {Array<CopilotQuartoTool>} tools
+ * @param {Array<Object>} manifest - Entries in copilot-tools.json format
+ * @returns {Array<{tool: string, field: string, message: string}>} One entry per difference
+ */
+function findManifestDrift(tools, manifest) {
+  const drift = [];
+  const entries = new Map(manifest.map(entry => [entry.name, entry]));
+  const generated = toCopilotManifest(tools);
+
+  for (const definition of generated) {
+    const entry = entries.get(definition.name);
+    if (!entry) {
+      drift.push({ tool: definition.name, field: 'name', message: 'is missing from the manifest' });
+      continue;
+    }
+    if (entry.description !== definition.description) {
+      drift.push({ tool: definition.name, field: 'description', message: 'differs between code and manifest' });
+    }
+    drift.push(...compareParameters(definition.name, definition.parameters, entry.parameters || EMPTY_PARAMETERS));
+  }
+
+  for (const entry of manifest) {
+    if (!generated.some(definition => definition.name === entry.name)) {
+      drift.push({ tool: entry.name, field: 'name', message: 'is in the manifest but no tool declares it' });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * @param {string} toolName
+ * @param {Object} code - Parameter schema declared by the tool
+ * @param {Object} manifest - Parameter schema in the manifest
+ * @returns {Array<Object>}
+ */
+function compareParameters(toolName, code, manifest) {
+  const drift = [];
+  const codeProperties = code.properties || {};
+  const manifestProperties = manifest.properties || {};
+  const names = new Set([...Object.keys(codeProperties), ...Object.keys(manifestProperties)]);
+
+  for (const name of names) {
+    const field = `parameters.${name}`;
+    if (!manifestProperties[name]) {
+      drift.push({ tool: toolName, field, message: 'is declared in code but missing from the manifest' });
+    } else if (!codeProperties[name]) {
+      drift.push({ tool: toolName, field, message: 'is in the manifest but not declared in code' });
+    } else if (JSON.stringify(sortKeys(codeProperties[name])) !== JSON.stringify(sortKeys(manifestProperties[name]))) {
+      drift.push({ tool: toolName, field, message: 'differs between code and manifest' });
+    }
+  }
+
+  const codeRequired = [...(code.required || [])].sort();
+  const manifestRequired = [...(manifest.required || [])].sort();
+  if (JSON.stringify(codeRequired) !== JSON.stringify(manifestRequired)) {
+    drift.push({
+      tool: toolName,
+      field: 'required',
+      message: `is [${codeRequired.join(', ')}] in code but [${manifestRequired.join(', ')}] in the manifest`
+    });
+  }
+
+  return drift;
+}
+
+/**
+ * Copy a JSON value with object keys sorted, so key order is not drift
+ * @param {*} value
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  generateManifest,
+  toCopilotManifest,
+  toOpenAITools,
+  toAnthropicTools,
+  readManifest,
+  writeManifest,
+  findManifestDrift
+};
@@ -0,0 +1,333 @@
+const readline = require('readline');
+const crypto = require('crypto');
+const { version } = require('../package.json');
+const { LOG_LEVELS, isLevelEnabled } = require('./logging');
+const { formatError } = require('./errors');
+
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18'];
+
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Error carrying a JSON-RPC error code
+ */
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Model Context Protocol server exposing the tool registry over stdio.
+ *
+ * Messages are newline-delimited JSON-RPC 2.0, as required by the MCP
+ * stdio transport. Tool log events are forwarded to the client as
+ * `notifications/message`, and progress events as `notifications/progress`
+ * when the call supplied a progress token.
+ */
+class McpServer {
+  /**
+   * @param {CopilotQuarto} copilot - Initialised CopilotQuarto instance
+   * @param {Object} [options]
+   * @param {stream.Readable} [options.input] - Defaults to process.stdin
+   * @param {stream.Writable} [options.output] - Defaults to process.stdout
+   */
+  constructor(copilot, options = {}) {
+    this.copilot = copilot;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.logLevel = 'info';
+    this.initialized = false;
+    this.pending = new Set();
+    this.progressTokens = new Map();
+    this.listeners = {
+      'tool:log': data => this.sendLog(data.level, data.tool, data.message),
+      'tool:progress': data => this.sendProgress(data)
+    };
+  }
+
+  /**
+   * Start reading requests from the input stream
+   * @returns {Promise<void>} Resolves once the input closes and in-flight calls finish
+   */
+  start() {
+    const registry = this.copilot.registry;
+    Object.entries(this.listeners).forEach(([event, listener]) => registry.on(event, listener));
+
+    const lines = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    lines.on('line', line => {
+      if (!line.trim()) {
+        return;
+      }
+      const handling = this.handleLine(line);
+      this.pending.add(handling);
+      handling.finally(() => this.pending.delete(handling));
+    });
+
+    return new Promise(resolve => {
+      lines.on('close', async () => {
+        await Promise.all(this.pending);
+        Object.entries(this.listeners).forEach(([event, listener]) => registry.off(event, listener));
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Parse and dispatch a single line of input
+   * @param {string} line
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JSON_RPC_ERRORS.PARSE_ERROR, message: `Parse error: ${error.message}` }
+      });
+      return;
+    }
+
+    if (!Array.isArray(message)) {
+      const response = await this.handleMessage(message);
+      if (response) {
+        this.send(response);
+      }
+      return;
+    }
+
+    // A batch gets one array of responses, leaving out notifications
+    if (message.length === 0) {
+      this.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC request: empty batch' }
+      });
+      return;
+    }
+    const responses = [];
+    for (const entry of message) {
+      const response = await this.handleMessage(entry);
+      if (response) {
+        responses.push(response);
+      }
+    }
+    if (responses.length > 0) {
+      this.send(responses);
+    }
+  }
+
+  /**
+   * Handle a JSON-RPC message and build its response
+   * @param {Object} message
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handleMessage(message) {
+    const isNotification = message && message.id === undefined;
+
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return isNotification ? null : {
+        jsonrpc: '2.0',
+        id: message && message.id !== undefined ? message.id : null,
+        error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC request' }
+      };
+    }
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {});
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) {
+        return null;
+      }
+      const code = error instanceof JsonRpcError ? error.code : JSON_RPC_ERRORS.INTERNAL_ERROR;
+      const rpcError = { code, message: error.message };
+      if (error.data !== undefined) {
+        rpcError.data = error.data;
+      }
+      return { jsonrpc: '2.0', id: message.id, error: rpcError };
+    }
+  }
+
+  /**
+   * Route a method call to its handler
+   * @param {string} method
+   * @param {Object} params
+   * @returns {Promise<Object>}
+   */
+  async dispatch(method, params) {
+    switch (method) {
+    case 'initialize':
+      return this.initialize(params);
+    case 'notifications/initialized':
+      this.initialized = true;
+      return {};
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: this.listTools() };
+    case 'tools/call':
+      return await this.callTool(params);
+    case 'logging/setLevel':
+      return this.setLogLevel(params);
+    default:
+      throw new JsonRpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Handle the initialize handshake
+   * @param {Object} params
+   * @returns {Object}
+   */
+  initialize(params) {
+    const requested = params.protocolVersion;
+    return {
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSION,
+      capabilities: {
+        tools: { listChanged: false },
+        logging: {}
+      },
+      serverInfo: {
+        name: 'copilot-quarto',
+        version
+      }
+    };
+  }
+
+  /**
+   * Describe every registered tool in MCP format
+   * @returns {Array<Object>}
+   */
+  listTools() {
+    const registry = this.copilot.registry;
+    return registry.getToolNames().map(name => {
+      const tool = registry.tools.get(name);
+      return {
+        name,
+        description: tool.description,
+        inputSchema: registry.getSchema(name) || { type: 'object', properties: {} }
+      };
+    });
+  }
+
+  /**
+   * Execute a tool on behalf of the client
+   * @param {Object} params - `{ name, arguments }`
+   * @returns {Promise<Object>} MCP CallToolResult
+   */
+  async callTool(params) {
+    const { name, arguments: args = {} } = params;
+
+    if (!name || !this.copilot.registry.tools.has(name)) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    // Progress notifications are only sent when the client asked for them
+    const runId = crypto.randomUUID();
+    const progressToken = params._meta && params._meta.progressToken;
+    if (progressToken !== undefined) {
+      this.progressTokens.set(runId, progressToken);
+    }
+
+    try {
+      const result = await this.copilot.execute(name, args, { runId });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        isError: false
+      };
+    } catch (error) {
+      // Tool failures are reported in the result so the model can see them
+      return {
+        content: [{ type: 'text', text: formatError(error) }],
+        isError: true
+      };
+    } finally {
+      this.progressTokens.delete(runId);
+    }
+  }
+
+  /**
+   * Set the minimum level of forwarded log notifications
+   * @param {Object} params - `{ level }`
+   * @returns {Object}
+   */
+  setLogLevel(params) {
+    if (!LOG_LEVELS.includes(params.level)) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown log level: ${params.level}`);
+    }
+    this.logLevel = params.level;
+    return {};
+  }
+
+  /**
+   * Forward a tool log message as a notification
+   * @param {string} level
+   * @param {string} toolName
+   * @param {string} message
+   */
+  sendLog(level, toolName, message) {
+    if (!isLevelEnabled(level, this.logLevel)) {
+      return;
+    }
+    this.send({
+      jsonrpc: '2.0',
+      method: 'notifications/message',
+      params: { level, logger: toolName, data: message }
+    });
+  }
+
+  /**
+   * Forward a tool progress event for calls that supplied a progress token
+   * @param {Object} data - tool:progress event payload
+   */
+  sendProgress(data) {
+    if (!this.progressTokens.has(data.runId)) {
+      return;
+    }
+    const params = { progressToken: this.progressTokens.get(data.runId), progress: data.progress };
+    if (data.total !== undefined) {
+      params.total = data.total;
+    }
+    if (data.message) {
+      params.message = data.message;
+    }
+    this.send({ jsonrpc: '2.0', method: 'notifications/progress', params });
+  }
+
+  /**
+   * Write a JSON-RPC message to the output stream
+   * @param {Object} message
+   */
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+}
+
+/**
+ * Serve a CopilotQuarto instance over stdio until stdin closes
+ * @param {CopilotQuarto} copilot
+ * @param {Object} [options] - See McpServer
+ * @returns {Promise<void>}
+ */
+function startMcpServer(copilot, options) {
+  return new McpServer(copilot, options).start();
+}
+
+module.exports = {
+  McpServer,
+  JsonRpcError,
+  startMcpServer,
+  MCP_PROTOCOL_VERSION
+};
@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CopilotQuartoTool } = require('./core');
+const { ToolError } = require('./errors');
+
+// npm packages with this prefix (optionally scoped) are loaded automatically
+const PLUGIN_PREFIX = 'copilot-quarto-plugin-';
+
+/**
+ * Find installed `copilot-quarto-plugin-*` packages, including scoped ones
+ * @param {string} cwd - Project directory whose node_modules is searched
+ * @returns {Array<string>} Package names
+ */
+function findPluginPackages(cwd) {
+  const modulesDir = path.join(cwd, 'node_modules');
+  if (!fs.existsSync(modulesDir)) {
+    return [];
+  }
+
+  const names = [];
+  for (const entry of fs.readdirSync(modulesDir)) {
+    if (entry.startsWith(PLUGIN_PREFIX)) {
+      names.push(entry);
+    } else if (entry.startsWith('@')) {
+      fs.readdirSync(path.join(modulesDir, entry))
+        .filter(name => name.startsWith(PLUGIN_PREFIX))
+        .forEach(name => names.push(`${entry}/${name}`));
+    }
+  }
+  return names.sort();
+}
+
+/**
+ * Relative paths are resolved against the project; package names are kept
+ * @param {string} specifier
+ * @param {string} cwd
+ * @returns {string}
+ */
+function resolveSpecifier(specifier, cwd) {
+  return specifier.startsWith('.') ? path.resolve(cwd, specifier) : specifier;
+}
+
+/**
+ * List every plugin to load: installed packages, then the listed ones
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {Array<string>} [options.plugins] - Package names or paths, e.g. from the project config
+ * @returns {Array<string>} Unique plugin specifiers
+ */
+function discoverPlugins(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const specifiers = [
+    ...findPluginPackages(cwd),
+    ...(options.plugins || []).map(entry => resolveSpecifier(entry, cwd))
+  ];
+  return [...new Set(specifiers)];
+}
+
+/**
+ * Load a plugin module.
+ *
+ * A plugin exports the tool classes it contributes. Tools declare their
+ * schemas in their constructors; `schemas`, keyed by tool name, covers tools
+ * that do not:
+ *
+ *   module.exports = { name: 'acme', tools: [AcmeDeploy], schemas: { acme_deploy: {...} } };
+ *
+ * @param {string} specifier - Package name or absolute path
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Where packages are resolved from
+ * @returns {{name: string, specifier: string, tools: Array<CopilotQuartoTool>, schemas: Object}}
+ */
+function loadPlugin(specifier, options = {}) {
+  const cwd = options.cwd || process.cwd();
+
+  let exported;
+  try {
+    exported = require(require.resolve(specifier, { paths: [cwd] }));
+  } catch (error) {
+    throw new ToolError(`Could not load plugin '${specifier}': ${error.message}`, {
+      code: 'PLUGIN_LOAD_FAILED',
+      hint: path.isAbsolute(specifier) ?
+        'Check the path listed in .copilot-quarto.json.' :
+        `Install it with \`npm install ${specifier}\`.`,
+      details: { plugin: specifier },
+      cause: error
+    });
+  }
+
+  const name = exported.name || (path.isAbsolute(specifier) ? path.basename(specifier, '.js') : specifier);
+  if (!Array.isArray(exported.tools)) {
+    throw invalidPlugin(name, 'does not export a tools array');
+  }
+
+  const tools = exported.tools.map(entry => {
+    const tool = typeof entry === 'function' ? new entry() : entry;
+    if (!(tool instanceof CopilotQuartoTool)) {
+      throw invalidPlugin(name, `exports ${entry && entry.name ? entry.name : 'a tool'} that does not extend CopilotQuartoTool`);
+    }
+    return tool;
+  });
+
+  return { name, specifier, tools, schemas: exported.schemas || {} };
+}
+
+/**
+ * @param {string} name
+ * @param {string} problem
+ * @returns {ToolError}
+ */
+function invalidPlugin(name, problem) {
+  return new ToolError(`Plugin '${name}' ${problem}`, {
+    code: 'PLUGIN_INVALID',
+    hint: 'Plugins export { tools: [ToolClass, ...], schemas: { tool_name: {...} } }.',
+    details: { plugin: name }
+  });
+}
+
+/**
+ * Register a loaded plugin's tools and schemas. Nothing is registered if any
+ * tool name is already taken.
+ * @param {CopilotQuartoToolRegistry} registry
+ * @param {Object} plugin - Result of loadPlugin
+ */
+function registerPlugin(registry, plugin) {
+  const names = plugin.tools.map(tool => tool.name);
+  const taken = names.find((toolName, index) => registry.tools.has(toolName) || names.indexOf(toolName) !== index);
+  if (taken) {
+    const existing = registry.getToolSource(taken) || plugin.name;
+    throw new ToolError(`Tool '${taken}' from plugin '${plugin.name}' collides with the tool from ${existing}`, {
+      code: 'TOOL_NAME_COLLISION',
+      hint: 'Rename the tool in the plugin, or remove one of the plugins providing it.',
+      details: { tool: taken, source: plugin.name, existing }
+    });
+  }
+
+  plugin.tools.forEach(tool => registry.register(tool, plugin.schemas[tool.name], plugin.name));
+}
+
+module.exports = {
+  PLUGIN_PREFIX,
+  discoverPlugins,
+  loadPlugin,
+  registerPlugin
+};
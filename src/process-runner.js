@@ -0,0 +1,163 @@
+const { spawn } = require('child_process');
+const { CancelledError, fromExecError } = require('./errors');
+
+// Time a process gets to exit after SIGTERM before it is killed outright
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Command line for messages and plans; arguments with spaces or quotes are quoted
+ * @param {string} program
+ * @param {Array<string>} [args]
+ * @returns {string}
+ */
+function formatCommand(program, args = []) {
+  return [program, ...args]
+    .map(arg => (arg === '' || /[\s'"\\$`]/.test(arg) ? JSON.stringify(arg) : arg))
+    .join(' ');
+}
+
+/**
+ * Split a stream into lines, calling `onLine` for each complete one
+ * @param {Function} onLine
+ * @returns {{push: Function, flush: Function}}
+ */
+function lineSplitter(onLine) {
+  let pending = '';
+  return {
+    push(text) {
+      const lines = (pending + text).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(onLine);
+    },
+    flush() {
+      if (pending) {
+        onLine(pending);
+      }
+      pending = '';
+    }
+  };
+}
+
+/**
+ * Run a program without a shell.
+ *
+ * Arguments are passed as an array, so nothing in them is ever interpreted
+ * by a shell. Output is collected and, with `onLine`, streamed line by line
+ * while the program runs.
+ *
+ * @param {string} program - Executable name or path
+ * @param {Array<string>} [args]
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {Object} [options.env] - Replaces process.env
+ * @param {string} [options.input] - Written to stdin, which is then closed
+ * @param {number} [options.timeout] - Milliseconds before the process is stopped
+ * @param {AbortSignal} [options.signal] - Stops the process when aborted
+ * @param {Function} [options.onLine] - Called with `(line, stream)` for each line of stdout/stderr
+ * @param {boolean} [options.check=true] - Reject when the program exits with an error or times out
+ * @returns {Promise<{command: string, exitCode: number|null, signal: string|null, stdout: string,
+ *   stderr: string, durationMs: number, timedOut: boolean}>}
+ * @throws {MissingDependencyError} When the program is not installed
+ * @throws {CommandFailedError} COMMAND_FAILED or COMMAND_TIMEOUT, unless `check` is false
+ * @throws {CancelledError} When the signal aborts
+ */
+function runProcess(program, args = [], options = {}) {
+  const command = formatCommand(program, args);
+  const check = options.check !== false;
+
+  if (options.signal && options.signal.aborted) {
+    return Promise.reject(new CancelledError(`Cancelled before running: ${command}`, { details: { command } }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const child = spawn(program, args, {
+      cwd: options.cwd,
+      env: options.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    const output = { stdout: '', stderr: '' };
+    const splitters = {};
+    let stopReason = null;
+    let killTimer = null;
+    let timeoutTimer = null;
+
+    const stop = reason => {
+      if (stopReason || child.exitCode !== null) {
+        return;
+      }
+      stopReason = reason;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    };
+    const onAbort = () => stop('aborted');
+
+    const cleanup = () => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    for (const stream of ['stdout', 'stderr']) {
+      splitters[stream] = lineSplitter(line => options.onLine && options.onLine(line, stream));
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', text => {
+        output[stream] += text;
+        splitters[stream].push(text);
+      });
+    }
+
+    if (options.timeout) {
+      timeoutTimer = setTimeout(() => stop('timeout'), options.timeout);
+    }
+    if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    child.on('error', error => {
+      cleanup();
+      reject(fromExecError(error, command));
+    });
+
+    child.on('close', (exitCode, signal) => {
+      cleanup();
+      splitters.stdout.flush();
+      splitters.stderr.flush();
+
+      const result = {
+        command,
+        exitCode,
+        signal,
+        stdout: output.stdout,
+        stderr: output.stderr,
+        durationMs: Date.now() - startedAt,
+        timedOut: stopReason === 'timeout'
+      };
+
+      if (stopReason === 'aborted') {
+        reject(new CancelledError(`Cancelled: ${command}`, { details: { command, stdout: result.stdout } }));
+      } else if (check && result.timedOut) {
+        reject(fromExecError({ message: 'timed out', status: null, stderr: result.stderr, timeout: options.timeout }, command));
+      } else if (check && exitCode !== 0) {
+        reject(fromExecError({ message: `exit code ${exitCode}`, status: exitCode, stderr: result.stderr }, command));
+      } else {
+        resolve(result);
+      }
+    });
+
+    child.stdin.on('error', () => {
+      // The program may exit without reading its input
+    });
+    child.stdin.end(options.input);
+  });
+}
+
+module.exports = {
+  formatCommand,
+  runProcess
+};
@@ -0,0 +1,968 @@
+const yaml = require('yaml');
+const { FileNotFoundError, InvalidContentError, ValidationError } = require('./errors');
+const { yamlStyle, rewriteMinimal } = require('./yaml-patch');
+
+// Quarto reads cell options from comments in the cell's own language
+const OPTION_PREFIXES = {
+  ojs: '//|',
+  js: '//|',
+  dot: '//|',
+  mermaid: '%%|',
+  sql: '--|'
+};
+const DEFAULT_OPTION_PREFIX = '#|';
+
+// R expressions in knitr options become `!expr` values in YAML options
+const EXPR_TAG = '!expr ';
+
+// Where snippet tools can put what they generate
+const INSERT_POSITIONS = ['end', 'after_heading', 'end_of_section', 'before_chunk', 'after_chunk', 'replace_chunk'];
+
+/**
+ * Parameters shared by the tools that can insert their snippet into a .qmd
+ */
+const INSERTION_PARAMETERS = {
+  target_qmd: {
+    type: 'string',
+    format: 'path',
+    description: 'Insert the snippet into this .qmd file instead of only returning it.'
+  },
+  position: {
+    type: 'string',
+    enum: INSERT_POSITIONS,
+    default: 'end',
+    description: 'Where in target_qmd: `end`, `after_heading` or `end_of_section` (anchor is a heading title or id), ' +
+      '`before_chunk`, `after_chunk` or `replace_chunk` (anchor is a cell label).'
+  },
+  anchor: { type: 'string', description: 'Heading or cell label that position refers to.' }
+};
+
+/**
+ * Split text into lines, each keeping its line ending
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * @param {string} line
+ * @returns {string} The line without its line ending
+ */
+function stripEol(line) {
+  return line.replace(/\r?\n$/, '');
+}
+
+/**
+ * @param {string} prefix - e.g. '#|'
+ * @returns {RegExp} Matches an option line and captures its content
+ */
+function optionLinePattern(prefix) {
+  return new RegExp(`^\\s*${prefix.replace(/[|/]/g, '\\$&')} ?(.*)$`);
+}
+
+/**
+ * Parse a Pandoc attribute list such as `#sales .card width="40%"`
+ * @param {string} text - Without the braces
+ * @returns {{id: string|null, classes: Array<string>, attributes: Object}}
+ */
+function parseAttributes(text) {
+  const result = { id: null, classes: [], attributes: {} };
+  const pattern = /([#.])([^\s#.=]+)|([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    if (match[1] === '#') {
+      result.id = match[2];
+    } else if (match[1] === '.') {
+      result.classes.push(match[2]);
+    } else {
+      result.attributes[match[3]] = match[4] !== undefined ? match[4] : match[5] !== undefined ? match[5] : match[6];
+    }
+  }
+  return result;
+}
+
+/**
+ * Format an attribute list, braces included ('' when empty)
+ * @param {{id?: string|null, classes?: Array<string>, attributes?: Object}} attrs
+ * @returns {string}
+ */
+function formatAttributes(attrs) {
+  const parts = [
+    ...(attrs.id ? [`#${attrs.id}`] : []),
+    ...(attrs.classes || []).map(name => `.${name}`),
+    ...Object.entries(attrs.attributes || {}).map(([key, value]) =>
+      (/^[^\s"'{}[\],]+$/.test(String(value)) ? `${key}=${value}` : `${key}="${value}"`))
+  ];
+  return parts.length ? `{${parts.join(' ')}}` : '';
+}
+
+/**
+ * Render one cell option as option lines, values in YAML flow style
+ * @param {string} prefix
+ * @param {string} key
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function formatOptionLines(prefix, key, value) {
+  if (typeof value === 'string' && value.startsWith(EXPR_TAG)) {
+    return [`${prefix} ${key}: ${value}`];
+  }
+  const [first, ...rest] = yaml.stringify(value, { collectionStyle: 'flow', lineWidth: 0 }).trimEnd().split('\n');
+  return [`${prefix} ${key}: ${first}`, ...rest.map(line => `${prefix} ${line}`)];
+}
+
+/**
+ * Split on commas outside quotes and brackets
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Convert knitr chunk options (`echo=FALSE, fig.cap="Sales"`) to Quarto
+ * cell options (`{ echo: false, 'fig-cap': 'Sales' }`). Dotted names use
+ * dashes, R literals become YAML values and other R expressions `!expr`.
+ * A leading name without a value is the label.
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseKnitrOptions(text) {
+  const options = {};
+  splitTopLevel(text).forEach((part, index) => {
+    const match = part.match(/^([\w.-]+)\s*=\s*([\s\S]*)$/);
+    if (!match) {
+      if (index === 0) {
+        options.label = part.replace(/^["']|["']$/g, '');
+      }
+      return;
+    }
+    const key = match[1].replace(/\./g, '-');
+    const value = match[2].trim();
+    if (/^(TRUE|T)$/.test(value) || /^(FALSE|F)$/.test(value)) {
+      options[key] = /^T/.test(value);
+    } else if (value === 'NULL' || value === 'NA') {
+      options[key] = null;
+    } else if (/^-?\d+(\.\d+)?L?$/.test(value)) {
+      options[key] = Number(value.replace(/L$/, ''));
+    } else if (/^"(?:[^"\\]|\\.)*"$|^'(?:[^'\\]|\\.)*'$/.test(value)) {
+      options[key] = value.slice(1, -1).replace(/\\(["'\\])/g, '$1');
+    } else {
+      options[key] = `${EXPR_TAG}${value}`;
+    }
+  });
+  return options;
+}
+
+/**
+ * Normalise cell options given as an object, YAML (`echo: false`),
+ * knitr style (`echo=FALSE`) or a list of either
+ * @param {Object|string|Array} input
+ * @returns {Object}
+ * @throws {InvalidContentError} When a string cannot be read either way
+ */
+function parseCellOptions(input) {
+  if (!input) {
+    return {};
+  }
+  if (Array.isArray(input)) {
+    return Object.assign({}, ...input.map(parseCellOptions));
+  }
+  if (typeof input === 'object') {
+    return { ...input };
+  }
+
+  const text = String(input).trim().replace(/^#\|\s*/gm, '');
+  if (/^[\w.-]+\s*=/.test(text) || /^[\w.-]+\s*(,|$)/.test(text)) {
+    return parseKnitrOptions(text);
+  }
+  try {
+    const options = yaml.parse(text.split(/,\s*(?=[\w.-]+\s*:)/).join('\n'));
+    if (options && typeof options === 'object' && !Array.isArray(options)) {
+      return options;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new InvalidContentError(`Cannot read cell options: ${text}`, {
+    hint: 'Pass options as an object, as `echo: false, warning: false` or as `echo=FALSE, warning=FALSE`.'
+  });
+}
+
+/**
+ * Cell options as comment lines in the engine's style, label first
+ * @param {string} engine
+ * @param {Object} options
+ * @returns {Array<string>} e.g. ['#| label: plot', '#| echo: false']
+ */
+function formatCellOptions(engine, options) {
+  const prefix = OPTION_PREFIXES[engine] || DEFAULT_OPTION_PREFIX;
+  const { label, ...rest } = options;
+  const entries = [...(label !== undefined ? [['label', label]] : []), ...Object.entries(rest)];
+  return entries
+    .filter(([, value]) => value !== undefined)
+    .flatMap(([key, value]) => formatOptionLines(prefix, key, value));
+}
+
+/**
+ * Build an executable cell with its options as comment lines, label first
+ * @param {string} engine - e.g. 'r', 'python', 'ojs'
+ * @param {string} code
+ * @param {Object} [options]
+ * @returns {string} The cell, ending with a newline
+ */
+function formatCell(engine, code, options = {}) {
+  return [
+    `\`\`\`{${engine}}`,
+    ...formatCellOptions(engine, options),
+    ...code.replace(/^\s*\n/, '').trimEnd().split('\n'),
+    '```'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Plain text between the structural blocks
+ */
+class QmdText {
+  constructor(lines, line) {
+    this.type = 'text';
+    this.line = line;
+    this.raw = lines.join('');
+  }
+
+  toString() {
+    return this.raw;
+  }
+}
+
+/**
+ * An ATX heading (`## Title {#id .class}`)
+ */
+class QmdHeading {
+  constructor(lines, line) {
+    this.type = 'heading';
+    this.line = line;
+    this.raw = lines[0];
+
+    const [, hashes, rest = ''] = stripEol(this.raw).match(/^(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/);
+    const attrMatch = rest.match(/^(.*?)\s*\{([^}]*)\}$/);
+    this.level = hashes.length;
+    this.title = (attrMatch ? attrMatch[1] : rest).replace(/[ \t]+#+$/, '');
+    Object.assign(this, parseAttributes(attrMatch ? attrMatch[2] : ''));
+  }
+
+  toString() {
+    return this.raw;
+  }
+}
+
+/**
+ * An opening (`::: {.card}`) or closing (`:::`) fenced div line
+ */
+class QmdDivFence {
+  constructor(lines, line) {
+    this.type = 'div';
+    this.line = line;
+    this.raw = lines[0];
+
+    const [, colons, info] = stripEol(this.raw).match(/^(:{3,})[ \t]*(.*?)[ \t]*$/);
+    this.colons = colons;
+    this.closing = info === '';
+    const braced = info.match(/^\{(.*)\}$/);
+    Object.assign(this, braced ? parseAttributes(braced[1]) : { id: null, classes: info ? [info] : [], attributes: {} });
+  }
+
+  toString() {
+    return this.raw;
+  }
+}
+
+/**
+ * A fenced code block. Executable cells (```` ```{r} ````) expose their
+ * engine, label and `#|` options; other fences are kept as they are.
+ */
+class QmdCell {
+  /**
+   * @param {Array<string>} lines - Opening fence to closing fence, line endings included
+   * @param {number} line - 1-based line number of the opening fence
+   */
+  constructor(lines, line) {
+    this.type = 'cell';
+    this.line = line;
+    this.raw = lines.join('');
+    this.dirty = false;
+
+    const [, indent, fence, info] = stripEol(lines[0]).match(/^([ \t]*)(`{3,}|~{3,})[ \t]*(.*?)[ \t]*$/);
+    this.indent = indent;
+    this.fence = fence;
+    this.info = info;
+    this.eol = (lines[0].match(/\r?\n$/) || ['\n'])[0];
+    this.trailingEol = /\n$/.test(this.raw);
+
+    const header = info.match(/^\{([A-Za-z][\w-]*)(.*)\}$/);
+    this.executable = Boolean(header);
+    this.engine = header ? header[1] : null;
+    // knitr-style options in the header: {r label, echo=FALSE}
+    this.headerOptions = header ? header[2].replace(/^[\s,]+/, '') : '';
+    const headerLabel = this.headerOptions.split(/\s*,\s*/)[0];
+    this.headerLabel = headerLabel && !headerLabel.includes('=') ? headerLabel : null;
+    this.prefix = OPTION_PREFIXES[this.engine] || DEFAULT_OPTION_PREFIX;
+
+    const closes = lines.length > 1 && new RegExp(`^[ \\t]*${fence[0]}{${fence.length},}[ \\t]*$`)
+      .test(stripEol(lines[lines.length - 1]));
+    this.closingLine = closes ? lines[lines.length - 1] : null;
+    const content = lines.slice(1, closes ? -1 : undefined).map(stripEol);
+
+    // Option lines come first; lines without a key continue the previous option
+    this.optionEntries = [];
+    const pattern = optionLinePattern(this.prefix);
+    let index = 0;
+    while (this.executable && index < content.length && pattern.test(content[index])) {
+      const text = content[index].match(pattern)[1];
+      const key = text.match(/^([\w.-]+)\s*:/);
+      if (key || this.optionEntries.length === 0) {
+        this.optionEntries.push({ key: key ? key[1] : null, lines: [content[index]] });
+      } else {
+        this.optionEntries[this.optionEntries.length - 1].lines.push(content[index]);
+      }
+      index++;
+    }
+    this.codeLines = content.slice(index);
+    this.options = this.parseOptions();
+  }
+
+  /**
+   * @returns {Object} Options from the `#|` lines
+   * @throws {InvalidContentError} When they are not valid YAML
+   */
+  parseOptions() {
+    const pattern = optionLinePattern(this.prefix);
+    const source = this.optionEntries
+      .flatMap(entry => entry.lines)
+      .map(line => line.match(pattern)[1])
+      .join('\n');
+    try {
+      return source.trim() ? yaml.parse(source) || {} : {};
+    } catch (error) {
+      throw new InvalidContentError(`Invalid ${this.prefix} options in the cell at line ${this.line}: ${error.message}`, {
+        hint: `Each option line should look like \`${this.prefix} key: value\`.`,
+        details: { line: this.line },
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Label from the `label` option, or from a knitr-style header
+   * @returns {string|null}
+   */
+  get label() {
+    return this.options.label !== undefined ? String(this.options.label) : this.headerLabel;
+  }
+
+  /**
+   * @returns {string} Cell content after the options
+   */
+  get code() {
+    return this.codeLines.join('\n');
+  }
+
+  set code(code) {
+    this.codeLines = code === '' ? [] : code.replace(/\r?\n$/, '').split(/\r?\n/);
+    this.dirty = true;
+  }
+
+  /**
+   * Set an option, rewriting only its own lines; `undefined` removes it
+   * @param {string} key
+   * @param {*} value
+   */
+  setOption(key, value) {
+    const index = this.optionEntries.findIndex(entry => entry.key === key);
+    if (value === undefined) {
+      if (index !== -1) {
+        this.optionEntries.splice(index, 1);
+      }
+      delete this.options[key];
+    } else {
+      const entry = { key, lines: formatOptionLines(this.prefix, key, value).map(line => this.indent + line) };
+      if (index === -1) {
+        this.optionEntries.push(entry);
+      } else {
+        this.optionEntries[index] = entry;
+      }
+      this.options[key] = value;
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Move knitr-style header options (`{r plot, echo=FALSE}`) into `#|`
+   * lines, label first. Where an option is set both ways the `#|` value is
+   * kept, as knitr and Quarto give it precedence.
+   * @returns {{moved: Array<string>, conflicts: Array<string>}|null} Null when the header has no options
+   */
+  migrateHeaderOptions() {
+    if (!this.executable || this.headerOptions.trim() === '') {
+      return null;
+    }
+    const headerOptions = parseKnitrOptions(this.headerOptions);
+    const moved = [];
+    const conflicts = [];
+    const entries = [];
+    for (const [key, value] of Object.entries(headerOptions)) {
+      if (this.options[key] !== undefined) {
+        if (JSON.stringify(this.options[key]) !== JSON.stringify(value)) {
+          conflicts.push(key);
+        }
+        continue;
+      }
+      entries.push({ key, lines: formatOptionLines(this.prefix, key, value).map(line => this.indent + line) });
+      this.options[key] = value;
+      moved.push(key);
+    }
+
+    this.optionEntries = [...entries, ...this.optionEntries];
+    this.info = `{${this.engine}}`;
+    this.headerOptions = '';
+    this.headerLabel = null;
+    this.dirty = true;
+    return { moved, conflicts };
+  }
+
+  toString() {
+    if (!this.dirty) {
+      return this.raw;
+    }
+    const lines = [
+      `${this.indent}${this.fence}${this.info}`,
+      ...this.optionEntries.flatMap(entry => entry.lines),
+      ...this.codeLines,
+      ...(this.closingLine !== null ? [stripEol(this.closingLine)] : [])
+    ];
+    return lines.join(this.eol) + (this.trailingEol ? this.eol : '');
+  }
+}
+
+/**
+ * YAML front matter between `---` lines at the top of the file, kept as a
+ * yaml Document; edits are written back like a YamlPatch, so lines they do
+ * not touch stay as they were
+ */
+class QmdFrontMatter {
+  /**
+   * @param {Array<string>|null} lines - Opening to closing line, or null for new front matter
+   * @param {string} [eol='\n']
+   */
+  constructor(lines, eol = '\n') {
+    this.type = 'front-matter';
+    this.line = 1;
+    this.eol = eol;
+    if (lines) {
+      this.raw = lines.join('');
+      this.open = lines[0];
+      this.close = lines[lines.length - 1];
+      this.source = lines.slice(1, -1).join('');
+      this.document = yaml.parseDocument(this.source);
+      if (this.document.errors.length > 0) {
+        const [error] = this.document.errors;
+        throw new InvalidContentError(`Invalid YAML front matter: ${error.message}`, {
+          hint: 'Fix the YAML between the --- lines at the top of the file.',
+          cause: error
+        });
+      }
+      this.style = yamlStyle(this.source);
+      this.snapshot = this.document.toString(this.style);
+    } else {
+      this.raw = null;
+      this.source = '';
+      this.style = yamlStyle('');
+      this.open = `---${eol}`;
+      this.close = `---${eol}`;
+      this.document = new yaml.Document({});
+      this.snapshot = null;
+    }
+  }
+
+  /**
+   * @returns {Object} Plain JavaScript copy of the metadata
+   */
+  toJS() {
+    return this.document.toJS() || {};
+  }
+
+  toString() {
+    const current = this.document.toString(this.style);
+    if (current === this.snapshot) {
+      return this.raw;
+    }
+    const text = this.snapshot === null ? current : rewriteMinimal(this.source, this.snapshot, current);
+    return this.open + text.replace(/\r?\n/g, this.eol) + this.close;
+  }
+}
+
+/**
+ * Find where front matter ends: the opening `---` must be the first line and
+ * not be followed by a blank line (that would be a horizontal rule)
+ * @param {Array<string>} lines
+ * @returns {number} Index of the closing line, or -1
+ */
+function frontMatterEnd(lines) {
+  if (lines.length < 2 || stripEol(lines[0]).trimEnd() !== '---' || stripEol(lines[1]).trim() === '') {
+    return -1;
+  }
+  for (let index = 1; index < lines.length; index++) {
+    if (/^(---|\.\.\.)[ \t]*$/.test(stripEol(lines[index]))) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Index of the line closing the fence opened at `start` (the last line
+ * when it is never closed)
+ * @param {Array<string>} lines
+ * @param {number} start
+ * @returns {number}
+ */
+function fenceEnd(lines, start) {
+  const [, , fence] = stripEol(lines[start]).match(/^([ \t]*)(`{3,}|~{3,})/);
+  const closing = new RegExp(`^[ \\t]*${fence[0]}{${fence.length},}[ \\t]*$`);
+  for (let index = start + 1; index < lines.length; index++) {
+    if (closing.test(stripEol(lines[index]))) {
+      return index;
+    }
+  }
+  return lines.length - 1;
+}
+
+/**
+ * Split body lines into blocks
+ * @param {Array<string>} lines
+ * @param {number} [firstLine=1] - Line number of lines[0] in the file
+ * @returns {Array<Object>}
+ */
+function parseBlocks(lines, firstLine = 1) {
+  const blocks = [];
+  let textStart = null;
+
+  const flushText = end => {
+    if (textStart !== null) {
+      blocks.push(new QmdText(lines.slice(textStart, end), firstLine + textStart));
+      textStart = null;
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = stripEol(lines[index]);
+    if (/^[ \t]*(`{3,}[^`]*|~{3,}.*)$/.test(line)) {
+      flushText(index);
+      const end = fenceEnd(lines, index);
+      blocks.push(new QmdCell(lines.slice(index, end + 1), firstLine + index));
+      index = end;
+    } else if (/^#{1,6}([ \t].*)?$/.test(line)) {
+      flushText(index);
+      blocks.push(new QmdHeading([lines[index]], firstLine + index));
+    } else if (/^:{3,}/.test(line)) {
+      flushText(index);
+      blocks.push(new QmdDivFence([lines[index]], firstLine + index));
+    } else if (textStart === null) {
+      textStart = index;
+    }
+  }
+  flushText(lines.length);
+
+  return blocks;
+}
+
+/**
+ * A .qmd file as front matter plus a flat list of body blocks: text,
+ * headings, fenced div lines and code cells.
+ *
+ * Blocks keep their source text, so serialising a document gives back the
+ * original bytes except where it was edited.
+ */
+class QmdDocument {
+  /**
+   * @param {string} text
+   * @returns {QmdDocument}
+   * @throws {InvalidContentError} When the front matter or cell options are not valid YAML
+   */
+  static parse(text) {
+    return new QmdDocument(text);
+  }
+
+  /**
+   * @param {string} [text='']
+   */
+  constructor(text = '') {
+    this.bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+    const lines = splitLines(text.slice(this.bom.length));
+    this.eol = lines.length > 0 && lines[0].endsWith('\r\n') ? '\r\n' : '\n';
+
+    const end = frontMatterEnd(lines);
+    this.frontMatter = end === -1 ? null : new QmdFrontMatter(lines.slice(0, end + 1), this.eol);
+    this.blocks = parseBlocks(lines.slice(end + 1), end + 2);
+  }
+
+  /**
+   * Front matter document, created when the file has none
+   * @returns {yaml.Document}
+   */
+  ensureFrontMatter() {
+    if (!this.frontMatter) {
+      this.frontMatter = new QmdFrontMatter(null, this.eol);
+    }
+    return this.frontMatter.document;
+  }
+
+  /**
+   * @returns {Object} Front matter as plain data ({} when there is none)
+   */
+  metadata() {
+    return this.frontMatter ? this.frontMatter.toJS() : {};
+  }
+
+  /**
+   * Executable cells, optionally filtered
+   * @param {Object} [filter]
+   * @param {string} [filter.engine] - e.g. 'r', 'python', 'ojs'
+   * @param {string} [filter.label]
+   * @returns {Array<QmdCell>}
+   */
+  cells(filter = {}) {
+    return this.blocks.filter(block => block.type === 'cell' && block.executable &&
+      (filter.engine === undefined || block.engine === filter.engine) &&
+      (filter.label === undefined || block.label === filter.label));
+  }
+
+  /**
+   * @param {string} label
+   * @returns {QmdCell|null}
+   */
+  findCell(label) {
+    return this.cells({ label })[0] || null;
+  }
+
+  /**
+   * @returns {Array<QmdHeading>}
+   */
+  headings() {
+    return this.blocks.filter(block => block.type === 'heading');
+  }
+
+  /**
+   * Sections as a tree: each heading owns the blocks up to the next heading
+   * of the same or a higher level. `start` is the heading's block index and
+   * `end` the index just past the section's last block.
+   * @returns {Array<{heading: QmdHeading, level: number, title: string, id: string|null,
+   *   start: number, end: number, children: Array<Object>}>}
+   */
+  sections() {
+    const roots = [];
+    const open = [];
+
+    this.blocks.forEach((block, index) => {
+      if (block.type !== 'heading') {
+        return;
+      }
+      while (open.length > 0 && open[open.length - 1].level >= block.level) {
+        open.pop().end = index;
+      }
+      const section = { heading: block, level: block.level, title: block.title, id: block.id, start: index, end: null, children: [] };
+      (open.length > 0 ? open[open.length - 1].children : roots).push(section);
+      open.push(section);
+    });
+    open.forEach(section => {
+      section.end = this.blocks.length;
+    });
+
+    return roots;
+  }
+
+  /**
+   * Find a section by heading id or title, at any depth
+   * @param {string} idOrTitle
+   * @returns {Object|null}
+   */
+  findSection(idOrTitle) {
+    const search = sections => {
+      for (const section of sections) {
+        if (section.id === idOrTitle || section.title === idOrTitle) {
+          return section;
+        }
+        const found = search(section.children);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    return search(this.sections());
+  }
+
+  /**
+   * Parse Markdown and insert its blocks before `index`
+   * @param {number} index - Block index; `blocks.length` appends
+   * @param {string} text
+   * @returns {Array<Object>} The inserted blocks
+   */
+  insert(index, text) {
+    const normalized = text.replace(/\r?\n/g, this.eol);
+    const blocks = parseBlocks(splitLines(normalized.endsWith(this.eol) ? normalized : normalized + this.eol), 0);
+    this.blocks.splice(index, 0, ...blocks);
+    return blocks;
+  }
+
+  /**
+   * Remove blocks
+   * @param {number} start
+   * @param {number} [count=1]
+   * @returns {Array<Object>} The removed blocks
+   */
+  remove(start, count = 1) {
+    return this.blocks.splice(start, count);
+  }
+
+  /**
+   * Take a block out of the document, dropping the blank line that would
+   * otherwise be left doubled where it was
+   * @param {Object} block
+   * @returns {string} The block's text
+   */
+  extract(block) {
+    const index = this.blocks.indexOf(block);
+    const [removed] = this.remove(index);
+    const before = [this.frontMatter || '', ...this.blocks.slice(0, index)].join('');
+    const next = this.blocks[index];
+    if (next && next.type === 'text' && /(^|\n)[ \t]*\r?\n$/.test(before) && /^[ \t]*\r?\n/.test(next.raw)) {
+      next.raw = next.raw.replace(/^[ \t]*\r?\n/, '');
+      if (next.raw === '') {
+        this.remove(index);
+      }
+    }
+    return String(removed);
+  }
+
+  /**
+   * Block index a position refers to
+   * @param {string} position - One of INSERT_POSITIONS
+   * @param {string} [anchor] - Heading title or id, or cell label
+   * @returns {{index: number, replace: number}} Where to insert, and how many blocks to replace there
+   * @throws {ValidationError} When the position needs an anchor and has none
+   * @throws {InvalidContentError} ANCHOR_NOT_FOUND when the anchor is not in the document
+   */
+  locate(position, anchor) {
+    if (position === 'end' || !position) {
+      return { index: this.blocks.length, replace: 0 };
+    }
+    if (!INSERT_POSITIONS.includes(position)) {
+      throw new ValidationError(`Unknown position '${position}'`, [
+        { field: 'position', message: `must be one of: ${INSERT_POSITIONS.join(', ')}` }
+      ]);
+    }
+    if (!anchor) {
+      throw new ValidationError(`Position '${position}' needs an anchor`, [
+        { field: 'anchor', message: `is required when position is ${position}` }
+      ]);
+    }
+
+    if (position === 'after_heading' || position === 'end_of_section') {
+      const section = this.findSection(anchor);
+      if (!section) {
+        throw this.anchorNotFound(`No heading '${anchor}'`, this.headings().map(heading => heading.title));
+      }
+      return { index: position === 'after_heading' ? section.start + 1 : section.end, replace: 0 };
+    }
+
+    const cell = this.findCell(anchor);
+    if (!cell) {
+      throw this.anchorNotFound(`No cell labelled '${anchor}'`, this.cells().map(item => item.label).filter(Boolean));
+    }
+    const index = this.blocks.indexOf(cell);
+    switch (position) {
+    case 'before_chunk':
+      return { index, replace: 0 };
+    case 'after_chunk':
+      return { index: index + 1, replace: 0 };
+    default:
+      return { index, replace: 1 };
+    }
+  }
+
+  /**
+   * Find an executable cell by label, or by its 1-based position among them
+   * @param {string|number} ref
+   * @returns {QmdCell}
+   * @throws {InvalidContentError} CHUNK_NOT_FOUND when there is no such cell
+   */
+  resolveCell(ref) {
+    const cells = this.cells();
+    const byLabel = cells.find(cell => cell.label === String(ref));
+    if (byLabel) {
+      return byLabel;
+    }
+    if (/^\d+$/.test(String(ref)) && Number(ref) >= 1 && Number(ref) <= cells.length) {
+      return cells[Number(ref) - 1];
+    }
+    const labels = cells.map(cell => cell.label).filter(Boolean);
+    throw this.anchorNotFound(`No cell labelled '${ref}' and no cell number ${ref} (the file has ${cells.length})`,
+      labels, 'CHUNK_NOT_FOUND');
+  }
+
+  /**
+   * @param {string} message
+   * @param {Array<string>} available - Anchors that do exist
+   * @param {string} [code='ANCHOR_NOT_FOUND']
+   * @returns {InvalidContentError}
+   */
+  anchorNotFound(message, available, code = 'ANCHOR_NOT_FOUND') {
+    return new InvalidContentError(message, {
+      code,
+      hint: available.length > 0 ? `Available: ${available.join(', ')}` : 'The document has none yet.',
+      details: { available }
+    });
+  }
+
+  /**
+   * Insert Markdown at a position, separated from its neighbours by blank lines
+   * @param {string} position - One of INSERT_POSITIONS
+   * @param {string} [anchor]
+   * @param {string} markdown
+   * @returns {Array<Object>} The inserted blocks
+   */
+  insertAt(position, anchor, markdown) {
+    const { index, replace } = this.locate(position, anchor);
+    this.remove(index, replace);
+    return this.insertMarkdown(index, markdown);
+  }
+
+  /**
+   * Insert Markdown before block `index`, separated from its neighbours by blank lines
+   * @param {number} index
+   * @param {string} markdown
+   * @returns {Array<Object>} The inserted blocks
+   */
+  insertMarkdown(index, markdown) {
+    const before = [this.frontMatter || '', ...this.blocks.slice(0, index)].join('');
+    const after = this.blocks.slice(index).join('');
+    const eol = this.eol;
+    const body = markdown.replace(/^\s*\n/, '').trimEnd().replace(/\r?\n/g, eol);
+    let leading = '';
+    if (before && !/\n$/.test(before)) {
+      leading = eol + eol;
+    } else if (before && !/(^|\n)[ \t]*\r?\n$/.test(before)) {
+      leading = eol;
+    }
+    const trailing = after && !/^[ \t]*\r?\n/.test(after) ? eol : '';
+
+    const blocks = this.insert(index, `${leading}${body}${eol}${trailing}`);
+    return blocks.filter(block => !(block.type === 'text' && block.raw.trim() === ''));
+  }
+
+  /**
+   * 1-based line number a block starts at in the serialised document
+   * @param {Object} block
+   * @returns {number}
+   */
+  lineOf(block) {
+    const index = this.blocks.indexOf(block);
+    const preceding = [this.frontMatter ? String(this.frontMatter) : '', ...this.blocks.slice(0, index).map(String)].join('');
+    return splitLines(preceding).length + 1;
+  }
+
+  /**
+   * @returns {string} The document, byte for byte as parsed where unchanged
+   */
+  toString() {
+    const parts = [this.frontMatter ? this.frontMatter.toString() : '', ...this.blocks.map(String)];
+    return this.bom + parts.map((part, index) =>
+      (index < parts.length - 1 && part && !part.endsWith('\n') ? part + this.eol : part)
+    ).join('');
+  }
+}
+
+/**
+ * Read and parse a .qmd file through a tool's filesystem layer
+ * @param {Object} fs - `context.fs`
+ * @param {string} filePath
+ * @returns {QmdDocument}
+ * @throws {FileNotFoundError}
+ */
+function readQmdFile(fs, filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new FileNotFoundError(`File ${filePath} does not exist`, {
+      hint: 'Create the .qmd file first, e.g. with quarto_create_project_with_renv_and_git.'
+    });
+  }
+  return QmdDocument.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Insert a tool's snippet into `params.target_qmd` when one is given
+ * @param {Object} fs - `context.fs`
+ * @param {Object} params - Tool parameters with INSERTION_PARAMETERS
+ * @param {string} markdown - Cell or Markdown to insert
+ * @returns {{file_path: string, position: string, anchor: string|null, line: number}|null} Null without target_qmd
+ * @throws {FileNotFoundError|ValidationError|InvalidContentError}
+ */
+function insertIntoQmd(fs, params, markdown) {
+  if (!params.target_qmd) {
+    return null;
+  }
+  const position = params.position || 'end';
+  const document = readQmdFile(fs, params.target_qmd);
+  const [first] = document.insertAt(position, params.anchor, markdown);
+  fs.writeFileSync(params.target_qmd, document.toString());
+
+  return {
+    file_path: params.target_qmd,
+    position,
+    anchor: params.anchor || null,
+    line: document.lineOf(first)
+  };
+}
+
+module.exports = {
+  INSERT_POSITIONS,
+  INSERTION_PARAMETERS,
+  QmdDocument,
+  QmdCell,
+  QmdHeading,
+  QmdDivFence,
+  QmdText,
+  QmdFrontMatter,
+  parseAttributes,
+  formatAttributes,
+  parseKnitrOptions,
+  parseCellOptions,
+  formatCellOptions,
+  formatCell,
+  readQmdFile,
+  insertIntoQmd
+};
@@ -0,0 +1,274 @@
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { VirtualFileSystem } = require('./vfs');
+const { ToolError, InvalidContentError } = require('./errors');
+
+const ERROR_POLICIES = ['fail', 'continue', 'rollback'];
+
+// Matches ${steps.project.project_path}, ${inputs.name} or ${env.HOME}
+const REFERENCE_PATTERN = /\$\{\s*([A-Za-z_][\w-]*(?:\.[\w-]+)*)\s*\}/g;
+
+/**
+ * Look up a dotted path such as `steps.project.project_path` in the scope
+ * @param {Object} scope
+ * @param {string} reference
+ * @returns {*}
+ */
+function resolveReference(scope, reference) {
+  return reference.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    scope
+  );
+}
+
+/**
+ * Replace `${...}` references in a value, recursing into arrays and objects.
+ * A string that is a single reference keeps the referenced value's type.
+ * @param {*} value
+ * @param {Object} scope - { steps, inputs, env }
+ * @param {Object} [options]
+ * @param {boolean} [options.allowMissing=false] - Resolve unknown references to undefined instead of throwing
+ * @returns {*}
+ */
+function interpolate(value, scope, options = {}) {
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, scope, options));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolate(item, scope, options)])
+    );
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const lookup = reference => {
+    const resolved = resolveReference(scope, reference);
+    if (resolved === undefined && !options.allowMissing) {
+      throw new InvalidContentError(`Unknown reference '\${${reference}}'`, {
+        hint: 'References look like ${inputs.name}, ${steps.<id>.<field>} or ${env.NAME}.'
+      });
+    }
+    return resolved;
+  };
+
+  const whole = value.match(/^\$\{\s*([A-Za-z_][\w-]*(?:\.[\w-]+)*)\s*\}$/);
+  if (whole) {
+    return lookup(whole[1]);
+  }
+
+  return value.replace(REFERENCE_PATTERN, (match, reference) => {
+    const resolved = lookup(reference);
+    if (resolved === undefined || resolved === null) {
+      return '';
+    }
+    return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+  });
+}
+
+/**
+ * Check the structure of a parsed recipe
+ * @param {Object} recipe
+ * @returns {Object} The recipe with defaults filled in
+ */
+function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    throw new InvalidContentError('Recipe must be a YAML mapping');
+  }
+  if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+    throw new InvalidContentError('Recipe must define a non-empty steps list');
+  }
+
+  const ids = new Set();
+  const steps = recipe.steps.map((step, index) => {
+    const label = step && step.id ? `'${step.id}'` : `#${index + 1}`;
+    if (!step || typeof step.tool !== 'string') {
+      throw new InvalidContentError(`Recipe step ${label} must name a tool`);
+    }
+
+    const id = step.id || `step${index + 1}`;
+    if (ids.has(id)) {
+      throw new InvalidContentError(`Recipe step id '${id}' is used more than once`);
+    }
+    ids.add(id);
+
+    const onError = step.on_error || recipe.on_error || 'fail';
+    if (!ERROR_POLICIES.includes(onError)) {
+      throw new InvalidContentError(`Recipe step ${label} has unknown on_error '${onError}' (use ${ERROR_POLICIES.join(', ')})`);
+    }
+
+    return { ...step, id, params: step.params || {}, on_error: onError };
+  });
+
+  return {
+    name: recipe.name || 'recipe',
+    description: recipe.description || '',
+    inputs: recipe.inputs || {},
+    steps
+  };
+}
+
+/**
+ * Read and validate a recipe file
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function loadRecipe(filePath) {
+  return validateRecipe(yaml.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Run every step of a recipe in order.
+ *
+ * Each step's result is available to later steps as `${steps.<id>.<field>}`.
+ * Steps with `when`/`unless` are skipped depending on the interpolated value,
+ * and `on_error` decides whether a failing step stops the recipe (`fail`),
+ * is recorded and skipped (`continue`) or stops the recipe and undoes every
+ * step that already ran (`rollback`).
+ *
+ * @param {CopilotQuarto} copilot
+ * @param {Object|string} recipe - Parsed recipe or path to a YAML file
+ * @param {Object} [options]
+ * @param {Object} [options.inputs] - Override the recipe's input defaults
+ * @param {boolean} [options.dryRun=false] - Plan every step against one shared virtual filesystem
+ * @param {string} [options.session] - Journal session for the steps
+ * @param {Function} [options.onStep] - Called with each step report as it completes
+ * @param {boolean} [options.allowOutsideWorkspace=false] - Accept path parameters outside the workspace
+ * @param {AbortSignal} [options.signal] - Cancel the step that is running and stop the recipe
+ * @returns {Promise<Object>} Run report
+ */
+async function runRecipe(copilot, recipe, options = {}) {
+  const definition = typeof recipe === 'string' ? loadRecipe(recipe) : validateRecipe(recipe);
+  const dryRun = Boolean(options.dryRun);
+  const session = options.session || `${definition.name}-${Date.now()}`;
+  const vfs = dryRun ? new VirtualFileSystem({ dryRun: true }) : undefined;
+  const plannedCommands = [];
+
+  const scope = {
+    inputs: { ...definition.inputs, ...options.inputs },
+    env: process.env,
+    steps: {}
+  };
+  const reports = [];
+
+  const report = entry => {
+    reports.push(entry);
+    if (options.onStep) {
+      options.onStep(entry);
+    }
+  };
+
+  for (const step of definition.steps) {
+    if (!shouldRun(step, scope)) {
+      scope.steps[step.id] = { skipped: true };
+      report({ id: step.id, tool: step.tool, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      const params = interpolate(step.params, scope);
+      const outcome = await copilot.execute(step.tool, params, {
+        dryRun,
+        fs: vfs,
+        session,
+        allowOutsideWorkspace: options.allowOutsideWorkspace,
+        signal: options.signal
+      });
+      const result = dryRun ? outcome.result : outcome;
+      if (dryRun) {
+        plannedCommands.push(...outcome.planned_commands);
+      }
+
+      scope.steps[step.id] = result;
+      report({ id: step.id, tool: step.tool, status: 'succeeded', result });
+    } catch (error) {
+      scope.steps[step.id] = { failed: true, error: error.message };
+      report({ id: step.id, tool: step.tool, status: 'failed', error: error.message });
+
+      if (step.on_error === 'continue') {
+        continue;
+      }
+
+      const failure = new ToolError(`Recipe '${definition.name}' failed at step '${step.id}': ${error.message}`, {
+        code: 'RECIPE_FAILED',
+        hint: error.hint,
+        details: { step: step.id, tool: step.tool, cause_code: error.code },
+        cause: error
+      });
+      failure.steps = reports;
+      if (step.on_error === 'rollback' && !dryRun) {
+        try {
+          failure.rolled_back = rollbackSession(copilot, session);
+        } catch (rollbackError) {
+          failure.rollback_error = rollbackError.message;
+        }
+      }
+      throw failure;
+    }
+  }
+
+  const result = {
+    success: reports.every(entry => entry.status !== 'failed'),
+    recipe: definition.name,
+    session,
+    steps: reports
+  };
+
+  if (dryRun) {
+    result.dry_run = true;
+    result.changes = vfs.getChanges().map(({ path, action }) => ({ path, action }));
+    result.diff = vfs.diff();
+    result.planned_commands = plannedCommands;
+  }
+
+  return result;
+}
+
+/**
+ * Evaluate a step's `when` / `unless` conditions
+ * @param {Object} step
+ * @param {Object} scope
+ * @returns {boolean}
+ */
+function shouldRun(step, scope) {
+  if (step.when !== undefined && !isTruthy(interpolate(step.when, scope, { allowMissing: true }))) {
+    return false;
+  }
+  if (step.unless !== undefined && isTruthy(interpolate(step.unless, scope, { allowMissing: true }))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * YAML-friendly truthiness: 'false', 'no', '0' and '' count as false
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (typeof value === 'string') {
+    return !['', 'false', 'no', 'off', '0'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+/**
+ * Undo whatever the recipe's steps changed so far
+ * @param {CopilotQuarto} copilot
+ * @param {string} session
+ * @returns {Array<Object>}
+ */
+function rollbackSession(copilot, session) {
+  if (!copilot.journal || copilot.journal.list({ session }).length === 0) {
+    return [];
+  }
+  return copilot.rollback(session);
+}
+
+module.exports = {
+  interpolate,
+  loadRecipe,
+  runRecipe,
+  validateRecipe
+};
@@ -0,0 +1,204 @@
+/**
+ * Minimal JSON Schema support for tool parameters.
+ *
+ * Covers the subset of JSON Schema the tools declare for their parameters:
+ * `type`, `enum`, `required`, `default`, `properties`, `items`,
+ * `additionalProperties`, `minimum`/`maximum`, `minLength`/`maxLength`
+ * and `pattern`.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+/**
+ * Deep-clone a JSON-compatible value
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Join a parent field path and a child key
+ * @param {string} parent
+ * @param {string|number} key
+ * @returns {string}
+ */
+function joinField(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Return a copy of value with schema defaults filled in for missing
+ * object properties (recursively)
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {*}
+ */
+function applyDefaults(schema, value) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  if (value === undefined && schema.default !== undefined) {
+    return cloneJson(schema.default);
+  }
+
+  if (TYPE_CHECKS.object(value) && schema.properties) {
+    const result = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const resolved = applyDefaults(propertySchema, result[key]);
+      if (resolved !== undefined) {
+        result[key] = resolved;
+      }
+    }
+    return result;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => applyDefaults(schema.items, item));
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a schema, collecting per-field errors
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} field
+ * @param {Array<Object>} errors
+ */
+function validateValue(schema, value, field, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  const fieldName = field || 'params';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value));
+    if (!matches) {
+      errors.push({
+        field: fieldName,
+        message: `must be of type ${types.join(' or ')} (got ${describeType(value)})`
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({
+      field: fieldName,
+      message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+    });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field: fieldName, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: fieldName, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: fieldName, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: fieldName, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: fieldName, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    // An empty string does not fill a required field any more than leaving it out does
+    const missing = (schema.required || []).filter(key => value[key] === undefined || value[key] === '');
+    for (const key of missing) {
+      errors.push({ field: joinField(field, key), message: 'is required' });
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined || missing.includes(key)) {
+        continue;
+      }
+      if (properties[key]) {
+        validateValue(properties[key], propertyValue, joinField(field, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinField(field, key), message: 'is not a recognised parameter' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, propertyValue, joinField(field, key), errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateValue(schema.items, item, joinField(fieldName, index), errors);
+    });
+  }
+}
+
+/**
+ * Apply defaults and validate parameters against a JSON schema
+ * @param {Object} schema - JSON schema describing the parameters
+ * @param {Object} params - Raw parameters
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, params: Object}}
+ */
+function validateSchema(schema, params) {
+  const resolved = applyDefaults(schema, params === undefined ? {} : params);
+  const errors = [];
+  validateValue(schema, resolved, '', errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    params: resolved
+  };
+}
+
+/**
+ * Format a validation error for display
+ * @param {Object|string} error
+ * @returns {string}
+ */
+function formatValidationError(error) {
+  if (typeof error === 'string') {
+    return error;
+  }
+  return error.field ? `${error.field} ${error.message}` : error.message;
+}
+
+module.exports = {
+  validateSchema,
+  applyDefaults,
+  formatValidationError
+};
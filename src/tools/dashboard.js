@@ -1,7 +1,105 @@
-const { CopilotQuartoTool } = require('../core');
-const fs = require('fs-extra');
-const path = require('path');
 const yaml = require('yaml');
+const { CopilotQuartoTool } = require('../core');
+const { ExecutionContext } = require('../execution-context');
+const { ValidationError } = require('../errors');
+const { readQmdFile, formatAttributes, formatCell } = require('../qmd');
+const {
+  DashboardLayout,
+  dashboardOrientation,
+  uniqueLabel,
+  formatValueBox,
+  INPUT_FUNCTIONS,
+  formatInput,
+  inputReference
+} = require('../dashboard-layout');
+
+/**
+ * Make sure the front matter renders the file in a format. Other formats
+ * and their options are kept, with this one added first so it is the
+ * default for `quarto render`.
+ * @param {yaml.Document} frontMatter
+ * @param {string} [formatType='dashboard']
+ * @returns {boolean} Whether anything changed
+ */
+function ensureDashboardFormat(frontMatter, formatType = 'dashboard') {
+  const format = frontMatter.get('format', true);
+  if (yaml.isMap(format)) {
+    if (format.has(formatType)) {
+      return false;
+    }
+    format.items.unshift(frontMatter.createPair(formatType, 'default'));
+    return true;
+  }
+  if (yaml.isScalar(format) && typeof format.value === 'string' && format.value !== formatType) {
+    frontMatter.set('format', frontMatter.createNode({ [formatType]: 'default', [format.value]: 'default' }));
+    return true;
+  }
+  if (yaml.isScalar(format) && format.value === formatType) {
+    return false;
+  }
+  frontMatter.set('format', formatType);
+  return true;
+}
+
+/**
+ * The `format.dashboard` options map, turning `format: dashboard` or
+ * `dashboard: default` into a map first
+ * @param {yaml.Document} frontMatter
+ * @returns {yaml.YAMLMap}
+ */
+function dashboardOptionsMap(frontMatter) {
+  ensureDashboardFormat(frontMatter);
+  const format = frontMatter.get('format', true);
+  if (!yaml.isMap(format)) {
+    frontMatter.set('format', frontMatter.createNode({ dashboard: {} }));
+  } else if (!yaml.isMap(format.get('dashboard', true))) {
+    format.set('dashboard', frontMatter.createNode({}));
+  }
+  return frontMatter.getIn(['format', 'dashboard'], true);
+}
+
+/**
+ * Set a `format.dashboard` option unless it already has the value
+ * @param {yaml.Document} frontMatter
+ * @param {string} key
+ * @param {*} value
+ * @returns {Object|null} The change, as `{op, path, from?, value}`, or null
+ */
+function setDashboardOption(frontMatter, key, value) {
+  const options = dashboardOptionsMap(frontMatter);
+  const node = options.get(key, true);
+  const previous = yaml.isNode(node) ? node.toJS(frontMatter) : node;
+  if (previous !== undefined && JSON.stringify(previous) === JSON.stringify(value)) {
+    return null;
+  }
+  if (yaml.isScalar(node) && (value === null || typeof value !== 'object')) {
+    node.value = value;
+  } else {
+    options.set(key, frontMatter.createNode(value));
+  }
+  return {
+    op: previous === undefined ? 'add' : 'replace',
+    path: `format.dashboard.${key}`,
+    ...(previous === undefined ? {} : { from: previous }),
+    value
+  };
+}
+
+/**
+ * Move an option Quarto expects under `format.dashboard` from the top level
+ * @param {yaml.Document} frontMatter
+ * @param {string} key
+ * @returns {Array<Object>} Changes
+ */
+function moveToDashboardOptions(frontMatter, key) {
+  if (!frontMatter.has(key) || frontMatter.hasIn(['format', 'dashboard', key])) {
+    return [];
+  }
+  const value = frontMatter.get(key);
+  frontMatter.delete(key);
+  const change = setDashboardOption(frontMatter, key, yaml.isNode(value) ? value.toJS(frontMatter) : value);
+  return [{ op: 'remove', path: key, from: change.value }, change];
+}
 
 /**
  * Tool to convert QMD file to dashboard format
@@ -9,41 +107,44 @@ const yaml = require('yaml');
 class QuartoDefineDashboardFormat extends CopilotQuartoTool {
   constructor() {
     super('quarto_define_dashboard_format', 
-      'Flip a .qmd file into dashboard mode by injecting `format: dashboard` into its YAML header.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.qmd_file_path) {
-      errors.push('qmd_file_path is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Flip a .qmd file into dashboard mode by injecting `format: dashboard` into its YAML header.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path', description: 'Relative path to the Quarto file.' },
+            format_type: { type: 'string', description: 'Usually `dashboard`.', default: 'dashboard' }
+          },
+          required: ['qmd_file_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            format_type: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { qmd_file_path, format_type = 'dashboard' } = params;
     
     this.log(`Converting ${qmd_file_path} to ${format_type} format`);
     
-    if (!fs.existsSync(qmd_file_path)) {
-      throw new Error(`File ${qmd_file_path} does not exist`);
-    }
+    const document = readQmdFile(fs, qmd_file_path);
     
     try {
-      const content = fs.readFileSync(qmd_file_path, 'utf8');
-      const { frontMatter, body } = this.parseQmdFile(content);
+      const frontMatter = document.ensureFrontMatter();
       
-      // Update format in frontmatter
-      frontMatter.format = format_type;
+      // Add the format, keeping an existing `format:` map and its options
+      ensureDashboardFormat(frontMatter, format_type);
       
       // Write back to file
-      const updatedContent = this.serializeQmdFile(frontMatter, body);
-      fs.writeFileSync(qmd_file_path, updatedContent);
+      fs.writeFileSync(qmd_file_path, document.toString());
       
       this.success(`File ${qmd_file_path} converted to ${format_type} format`);
       
@@ -59,40 +160,6 @@ class QuartoDefineDashboardFormat extends CopilotQuartoTool {
       throw error;
     }
   }
-
-  parseQmdFile(content) {
-    const lines = content.split('\n');
-    let frontMatterStart = -1;
-    let frontMatterEnd = -1;
-    
-    // Find YAML frontmatter
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim() === '---') {
-        if (frontMatterStart === -1) {
-          frontMatterStart = i;
-        } else {
-          frontMatterEnd = i;
-          break;
-        }
-      }
-    }
-    
-    let frontMatter = {};
-    let body = content;
-    
-    if (frontMatterStart !== -1 && frontMatterEnd !== -1) {
-      const yamlContent = lines.slice(frontMatterStart + 1, frontMatterEnd).join('\n');
-      frontMatter = yaml.parse(yamlContent) || {};
-      body = lines.slice(frontMatterEnd + 1).join('\n');
-    }
-    
-    return { frontMatter, body };
-  }
-
-  serializeQmdFile(frontMatter, body) {
-    const yamlContent = yaml.stringify(frontMatter);
-    return `---\n${yamlContent}---\n${body}`;
-  }
 }
 
 /**
@@ -101,60 +168,81 @@ class QuartoDefineDashboardFormat extends CopilotQuartoTool {
 class QuartoDefineDashboardLayout extends CopilotQuartoTool {
   constructor() {
     super('quarto_define_dashboard_layout', 
-      'Write a layout block (rows/columns with widths & heights) into the dashboard YAML.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.qmd_file_path) {
-      errors.push('qmd_file_path is required');
-    }
-    
-    if (!params.layout_structure) {
-      errors.push('layout_structure is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Write the body of a dashboard from a layout: pages (`#`), rows and columns (`##`, `###`) with ' +
+      'heights and widths, and cards made from existing cells (by label) or Markdown.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            layout_structure: {
+              type: 'object',
+              description: '`{ pages: [{ title, rows | columns }] }` or `{ rows | columns }`; containers have ' +
+                'height, width, fill, tabset and cards or nested rows/columns; cards have label or content, ' +
+                'title, width, height, fill, padding, expandable.'
+            },
+            orientation: { type: 'string', enum: ['rows', 'columns'], description: 'Checked against the layout.' },
+            keep_unplaced: {
+              type: 'boolean',
+              default: true,
+              description: 'Keep cells, text and divs no card refers to, in a last row or column.'
+            }
+          },
+          required: ['qmd_file_path', 'layout_structure']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            layout_structure: { type: 'object' },
+            orientation: { type: 'string' },
+            cards: { type: 'array', items: { type: 'object' } },
+            unplaced: { type: 'array', items: { type: 'object' } },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
-    const { qmd_file_path, layout_structure, orientation = 'columns' } = params;
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
+    const { qmd_file_path, layout_structure, orientation, keep_unplaced = true } = params;
     
     this.log(`Setting dashboard layout for ${qmd_file_path}`);
     
-    if (!fs.existsSync(qmd_file_path)) {
-      throw new Error(`File ${qmd_file_path} does not exist`);
-    }
+    const document = readQmdFile(fs, qmd_file_path);
     
     try {
-      const content = fs.readFileSync(qmd_file_path, 'utf8');
-      const { frontMatter, body } = this.parseQmdFile(content);
-      
-      // Ensure format is dashboard
-      if (frontMatter.format !== 'dashboard') {
-        frontMatter.format = 'dashboard';
+      const layout = new DashboardLayout(document, layout_structure, { orientation });
+      const { body, cards, unplaced } = layout.render({ keepUnplaced: keep_unplaced });
+
+      const frontMatter = document.ensureFrontMatter();
+      ensureDashboardFormat(frontMatter);
+      // Earlier versions wrote the layout into a `layout:` key Quarto ignores
+      frontMatter.delete('layout');
+      moveToDashboardOptions(frontMatter, 'orientation');
+      if (layout.orientation === 'columns' || frontMatter.hasIn(['format', 'dashboard', 'orientation'])) {
+        setDashboardOption(frontMatter, 'orientation', layout.orientation);
       }
+
+      document.remove(0, document.blocks.length);
+      document.insert(0, `\n${body}`);
+      fs.writeFileSync(qmd_file_path, document.toString());
       
-      // Add layout configuration
-      frontMatter.layout = layout_structure;
-      frontMatter.orientation = orientation;
-      
-      // Write back to file
-      const updatedContent = this.serializeQmdFile(frontMatter, body);
-      fs.writeFileSync(qmd_file_path, updatedContent);
-      
-      this.success(`Dashboard layout configured for ${qmd_file_path}`);
+      this.success(`Dashboard layout with ${cards.length} card(s) written to ${qmd_file_path}`);
+      if (unplaced.length > 0) {
+        this.log(`${unplaced.length} block(s) no card refers to are ${keep_unplaced ? 'kept in the last container' : 'removed'}`);
+      }
       
       return {
         success: true,
         file_path: qmd_file_path,
         layout_structure,
-        orientation,
-        message: 'Dashboard layout configured'
+        orientation: layout.orientation,
+        cards,
+        unplaced,
+        message: 'Dashboard layout written'
       };
       
     } catch (error) {
@@ -162,87 +250,546 @@ class QuartoDefineDashboardLayout extends CopilotQuartoTool {
       throw error;
     }
   }
+}
 
-  parseQmdFile(content) {
-    const lines = content.split('\n');
-    let frontMatterStart = -1;
-    let frontMatterEnd = -1;
-    
-    // Find YAML frontmatter
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim() === '---') {
-        if (frontMatterStart === -1) {
-          frontMatterStart = i;
-        } else {
-          frontMatterEnd = i;
-          break;
+/**
+ * Parameters describing one value box
+ */
+const VALUE_BOX_PROPERTIES = {
+  title: { type: 'string' },
+  value: { type: 'string', description: 'Expression computing the value, in the engine\'s language.' },
+  engine: { type: 'string', enum: ['r', 'python', 'ojs'], default: 'r' },
+  icon: { type: 'string', description: 'Bootstrap icon name, e.g. `currency-dollar`.' },
+  color: { type: 'string', description: 'Theme color (`primary`, `success`, `danger`, ...) or a CSS color.' },
+  label: { type: 'string', description: 'Cell label (default: from the title).' }
+};
+
+/**
+ * Tool to add a value box to a dashboard row
+ */
+class QuartoDashboardAddValueBox extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_dashboard_add_value_box',
+      'Add a value box (headline number with title, icon and color) to a row or column of a dashboard.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            row: { type: 'string', description: 'Title or id of the row or column heading to add the box to.' },
+            ...VALUE_BOX_PROPERTIES
+          },
+          required: ['qmd_file_path', 'row', 'title', 'value']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            label: { type: 'string' },
+            value_box: { type: 'string' },
+            line: { type: 'number' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
+    const { qmd_file_path, row, engine = 'r' } = params;
+
+    this.log(`Adding value box '${params.title}' to ${row} in ${qmd_file_path}`);
+
+    const document = readQmdFile(fs, qmd_file_path);
+    const label = params.label || uniqueLabel(document, 'valuebox', params.title);
+    const valueBox = formatValueBox({ ...params, engine, label });
+
+    const section = document.findSection(row);
+    if (section && section.level === 1) {
+      throw new ValidationError(`'${row}' is a page, not a row or column`, [
+        { field: 'row', message: 'must name a `##` (or deeper) heading' }
+      ]);
+    }
+    const [first] = document.insertAt('end_of_section', row, valueBox);
+    fs.writeFileSync(qmd_file_path, document.toString());
+
+    this.success(`Value box ${label} added to ${row}`);
+
+    return {
+      success: true,
+      file_path: qmd_file_path,
+      label,
+      value_box: valueBox,
+      line: document.lineOf(first),
+      message: 'Value box added to dashboard'
+    };
+  }
+}
+
+/**
+ * Tool to add a strip of value boxes to a dashboard
+ */
+class QuartoDashboardAddKpiStrip extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_dashboard_add_kpi_strip',
+      'Lay out several value boxes side by side: a new row at the top of a dashboard page, or in an existing row.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            value_boxes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { ...VALUE_BOX_PROPERTIES, engine: { type: 'string', enum: ['r', 'python', 'ojs'] } },
+                required: ['title', 'value']
+              }
+            },
+            engine: { type: 'string', enum: ['r', 'python', 'ojs'], default: 'r', description: 'Default for the boxes.' },
+            page: { type: 'string', description: 'Page (`#` heading) to put the new row at the top of (default: the first).' },
+            row: { type: 'string', description: 'Add the boxes to this existing row or column instead.' },
+            size: { type: 'string', description: 'Height of the new row (width in a columns dashboard), e.g. `20%`.' }
+          },
+          required: ['qmd_file_path', 'value_boxes']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            labels: { type: 'array', items: { type: 'string' } },
+            kpi_strip: { type: 'string' },
+            line: { type: 'number' },
+            message: { type: 'string' }
+          },
+          required: ['success']
         }
+      });
+  }
+
+  validateParams(params) {
+    const errors = [];
+    if (params.value_boxes.length === 0) {
+      errors.push({ field: 'value_boxes', message: 'must list at least one value box' });
+    }
+    if (params.page && params.row) {
+      errors.push({ field: 'row', message: 'give a row to add to or a page to add a new row to, not both' });
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
+    const { qmd_file_path, value_boxes, engine = 'r', page, row, size } = params;
+
+    this.log(`Adding ${value_boxes.length} value box(es) to ${qmd_file_path}`);
+
+    const document = readQmdFile(fs, qmd_file_path);
+    const reserved = new Set();
+    const labels = value_boxes.map(box => box.label || uniqueLabel(document, 'valuebox', box.title, reserved));
+    const boxes = value_boxes.map((box, index) => formatValueBox({ engine, ...box, label: labels[index] }).trimEnd());
+
+    let inserted;
+    let strip;
+    if (row) {
+      strip = `${boxes.join('\n\n')}\n`;
+      inserted = document.insertAt('end_of_section', row, strip);
+    } else {
+      const pageSection = page ? document.findSection(page) : document.sections().find(section => section.level === 1);
+      if (page && (!pageSection || pageSection.level !== 1)) {
+        throw document.anchorNotFound(`No page '${page}'`,
+          document.sections().filter(section => section.level === 1).map(section => section.title));
       }
+      const orientation = (pageSection && pageSection.heading.attributes.orientation) || dashboardOrientation(document);
+      const attrs = formatAttributes({ attributes: size ? { [orientation === 'rows' ? 'height' : 'width']: size } : {} });
+      strip = [`## ${orientation === 'rows' ? 'Row' : 'Column'}${attrs ? ` ${attrs}` : ''}`, ...boxes].join('\n\n') + '\n';
+
+      // At the top of the page, or above the first row of a dashboard without pages
+      const firstHeading = document.blocks.findIndex(block => block.type === 'heading');
+      const index = pageSection ? pageSection.start + 1 : firstHeading === -1 ? document.blocks.length : firstHeading;
+      inserted = document.insertMarkdown(index, strip);
     }
-    
-    let frontMatter = {};
-    let body = content;
-    
-    if (frontMatterStart !== -1 && frontMatterEnd !== -1) {
-      const yamlContent = lines.slice(frontMatterStart + 1, frontMatterEnd).join('\n');
-      frontMatter = yaml.parse(yamlContent) || {};
-      body = lines.slice(frontMatterEnd + 1).join('\n');
+    fs.writeFileSync(qmd_file_path, document.toString());
+
+    this.success(`KPI strip with ${labels.length} value box(es) added to ${qmd_file_path}`);
+
+    return {
+      success: true,
+      file_path: qmd_file_path,
+      labels,
+      kpi_strip: strip,
+      line: document.lineOf(inserted[0]),
+      message: 'KPI strip added to dashboard'
+    };
+  }
+}
+
+/**
+ * Tool to add a sidebar or toolbar of inputs to a dashboard
+ */
+class QuartoDashboardAddInputs extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_dashboard_add_inputs',
+      'Add OJS or Shiny inputs to a sidebar or toolbar of a dashboard, for one page or all of them, ' +
+      'and return how other cells refer to each input.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            container: { type: 'string', enum: ['sidebar', 'toolbar'], default: 'sidebar' },
+            page: { type: 'string', description: 'Page (`#` heading) for a page-level container; omit for a global one.' },
+            engine: {
+              type: 'string',
+              enum: ['ojs', 'r', 'python'],
+              default: 'ojs',
+              description: '`ojs` for Inputs.*, `r` or `python` for Shiny inputs.'
+            },
+            inputs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', description: 'Variable name (OJS) or input id (Shiny).' },
+                  type: { type: 'string', enum: Object.keys(INPUT_FUNCTIONS) },
+                  label: { type: 'string' },
+                  options: { type: ['array', 'string'], description: 'Choices, or an expression giving them.' },
+                  value: { type: ['string', 'number', 'boolean', 'array'] },
+                  min: { type: 'number' },
+                  max: { type: 'number' },
+                  step: { type: 'number' }
+                },
+                required: ['name', 'type']
+              }
+            },
+            width: { type: 'string', description: 'Sidebar width, e.g. `300px`.' }
+          },
+          required: ['qmd_file_path', 'inputs']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            container: { type: 'string' },
+            scope: { type: 'string' },
+            inputs: { type: 'array', items: { type: 'object' } },
+            line: { type: 'number' },
+            variables: { type: 'object' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
+  }
+
+  validateParams(params) {
+    const errors = [];
+    if (params.inputs.length === 0) {
+      errors.push({ field: 'inputs', message: 'must list at least one input' });
     }
-    
-    return { frontMatter, body };
+    params.inputs.forEach((input, index) => {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(input.name)) {
+        errors.push({ field: `inputs[${index}].name`, message: 'must be a valid variable name' });
+      }
+    });
+    const names = params.inputs.map(input => input.name);
+    names.filter((name, index) => names.indexOf(name) !== index).forEach(name => {
+      errors.push({ field: 'inputs', message: `has ${name} more than once` });
+    });
+    return { valid: errors.length === 0, errors };
   }
 
-  serializeQmdFile(frontMatter, body) {
-    const yamlContent = yaml.stringify(frontMatter);
-    return `---\n${yamlContent}---\n${body}`;
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
+    const { qmd_file_path, container = 'sidebar', page, engine = 'ojs', inputs, width } = params;
+
+    this.log(`Adding ${inputs.length} input(s) to a ${container} in ${qmd_file_path}`);
+
+    const document = readQmdFile(fs, qmd_file_path);
+    const sections = document.sections();
+    const pages = sections.filter(section => section.level === 1 && !section.heading.classes.includes(container));
+
+    const taken = inputs.filter(input => document.findCell(`input-${input.name}`));
+    if (taken.length > 0) {
+      throw new ValidationError(`${qmd_file_path} already has input ${taken.map(input => input.name).join(', ')}`, [
+        { field: 'inputs', message: 'input names must be new; edit or remove the existing input cells' }
+      ]);
+    }
+
+    let scope;
+    let level;
+    let candidates;
+    let top;
+    if (page) {
+      const pageSection = pages.find(section => section.title === page || section.id === page);
+      if (!pageSection) {
+        throw document.anchorNotFound(`No page '${page}'`, pages.map(section => section.title));
+      }
+      scope = 'page';
+      level = 2;
+      candidates = pageSection.children;
+      top = pageSection.start + 1;
+    } else {
+      // Global containers come before the first page; without pages the dashboard is one page
+      scope = 'global';
+      level = pages.length > 0 ? 1 : 2;
+      candidates = sections;
+      const firstHeading = document.blocks.findIndex(block => block.type === 'heading');
+      top = firstHeading === -1 ? document.blocks.length : firstHeading;
+    }
+
+    const cells = inputs.map(input =>
+      formatCell(engine, formatInput(engine, input), { label: `input-${input.name}` }).trimEnd());
+    const existing = candidates.find(section => section.level === level && section.heading.classes.includes(container));
+    let inserted;
+    if (existing) {
+      inserted = document.insertMarkdown(existing.end, cells.join('\n\n'));
+    } else {
+      const attrs = formatAttributes({
+        classes: [container],
+        attributes: container === 'sidebar' && width ? { width } : {}
+      });
+      inserted = document.insertMarkdown(top, [`${'#'.repeat(level)} ${attrs}`, ...cells].join('\n\n'));
+    }
+
+    if (engine !== 'ojs') {
+      // Shiny inputs need a Shiny server behind the document
+      const frontMatter = document.ensureFrontMatter();
+      if (frontMatter.get('server') !== 'shiny') {
+        frontMatter.set('server', 'shiny');
+      }
+    }
+    fs.writeFileSync(qmd_file_path, document.toString());
+
+    const created = inputs.map(input => ({
+      name: input.name,
+      type: input.type,
+      label: `input-${input.name}`,
+      reference: inputReference(engine, input.name)
+    }));
+    this.success(`Added ${created.length} input(s) to the ${scope} ${container}`);
+
+    return {
+      success: true,
+      file_path: qmd_file_path,
+      container,
+      scope,
+      line: document.lineOf(inserted[0]),
+      inputs: created,
+      variables: Object.fromEntries(created.map(input => [input.name, input.reference])),
+      message: `Inputs added; refer to them as ${created.map(input => input.reference).join(', ')}`
+    };
   }
 }
 
 /**
- * Tool to add logo to dashboard
+ * Options the dashboard tools used to write at the top level, where Quarto
+ * does not read them for a dashboard
  */
-class QuartoAddDashboardLogo extends CopilotQuartoTool {
+const LEGACY_DASHBOARD_OPTIONS = ['logo', 'orientation', 'scrolling', 'expandable', 'nav-buttons'];
+
+/**
+ * Key a nav button is matched on when merging: its icon, else its link
+ * @param {string|Object} button
+ * @returns {string}
+ */
+function navButtonKey(button) {
+  return typeof button === 'string' ? button : button.icon || button.href;
+}
+
+/**
+ * Tool to set the options of the `format.dashboard` map
+ */
+class QuartoDashboardSetOptions extends CopilotQuartoTool {
   constructor() {
-    super('quarto_add_dashboard_logo', 
-      'Reference a logo image in the dashboard YAML so it appears in the header.');
+    super('quarto_dashboard_set_options',
+      'Set dashboard options under `format.dashboard` (logo, nav buttons, scrolling, expandable, orientation, ' +
+      'theme), merging with the options and other formats already in the front matter.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            logo: { type: 'string', description: 'Relative path to PNG/SVG.' },
+            nav_buttons: {
+              type: 'array',
+              description: 'Buttons added or replaced by icon: `github`, `linkedin`, `twitter`, or custom links.',
+              items: {
+                type: ['string', 'object'],
+                properties: {
+                  'icon': { type: 'string', description: 'Bootstrap icon name, e.g. `github`.' },
+                  'href': { type: 'string' },
+                  'text': { type: 'string' },
+                  'aria-label': { type: 'string' }
+                }
+              }
+            },
+            scrolling: { type: 'boolean', description: 'Let the page scroll instead of filling the window.' },
+            expandable: { type: 'boolean', description: 'Show the expand button on cards.' },
+            orientation: { type: 'string', enum: ['rows', 'columns'] },
+            theme: {
+              type: ['string', 'array', 'object'],
+              description: 'A theme, a theme with SCSS files, or `{light, dark}` themes; light/dark are merged ' +
+                'with the existing ones.',
+              properties: {
+                light: { type: ['string', 'array'] },
+                dark: { type: ['string', 'array'] }
+              }
+            },
+            options: {
+              type: 'object',
+              description: 'Any other `format.dashboard` options, by their YAML name.',
+              additionalProperties: true
+            },
+            remove_options: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['qmd_file_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            dashboard_options: { type: 'object' },
+            changes: { type: 'array', items: { type: 'object' } },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   validateParams(params) {
     const errors = [];
-    
-    if (!params.qmd_file_path) {
-      errors.push('qmd_file_path is required');
+    const named = ['logo', 'nav_buttons', 'scrolling', 'expandable', 'orientation', 'theme'];
+    const hasOptions = named.some(key => params[key] !== undefined) ||
+      Object.keys(params.options || {}).length > 0 || (params.remove_options || []).length > 0;
+    if (!hasOptions) {
+      errors.push({ field: 'options', message: 'must set or remove at least one option' });
     }
-    
-    if (!params.logo_image_path) {
-      errors.push('logo_image_path is required');
+    (params.nav_buttons || []).forEach((button, index) => {
+      if (typeof button === 'object' && !button.href) {
+        errors.push({ field: `nav_buttons[${index}].href`, message: 'is required for a custom button' });
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
+    const { qmd_file_path, nav_buttons, theme, options = {}, remove_options = [] } = params;
+
+    this.log(`Setting dashboard options in ${qmd_file_path}`);
+
+    const document = readQmdFile(fs, qmd_file_path);
+    const frontMatter = document.ensureFrontMatter();
+    const changes = [];
+    if (ensureDashboardFormat(frontMatter)) {
+      changes.push({ op: 'add', path: 'format.dashboard', value: 'default' });
     }
+    LEGACY_DASHBOARD_OPTIONS.forEach(key => changes.push(...moveToDashboardOptions(frontMatter, key)));
+
+    const current = key => {
+      const node = dashboardOptionsMap(frontMatter).get(key, true);
+      return yaml.isNode(node) ? node.toJS(frontMatter) : node;
+    };
+    const values = { ...options };
+    ['logo', 'scrolling', 'expandable', 'orientation'].forEach(key => {
+      if (params[key] !== undefined) {
+        values[key] = params[key];
+      }
+    });
+    if (nav_buttons) {
+      const buttons = [...(Array.isArray(current('nav-buttons')) ? current('nav-buttons') : [])];
+      nav_buttons.forEach(button => {
+        const index = buttons.findIndex(existing => navButtonKey(existing) === navButtonKey(button));
+        if (index === -1) {
+          buttons.push(button);
+        } else {
+          buttons[index] = button;
+        }
+      });
+      values['nav-buttons'] = buttons;
+    }
+    if (theme !== undefined) {
+      const existing = current('theme');
+      const isThemeMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+      values.theme = isThemeMap(theme) && isThemeMap(existing) ? { ...existing, ...theme } : theme;
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      const change = setDashboardOption(frontMatter, key, value);
+      if (change) {
+        changes.push(change);
+      }
+    });
+    const dashboard = dashboardOptionsMap(frontMatter);
+    remove_options.filter(key => dashboard.has(key)).forEach(key => {
+      changes.push({ op: 'remove', path: `format.dashboard.${key}`, from: current(key) });
+      dashboard.delete(key);
+    });
+
+    if (changes.length > 0) {
+      fs.writeFileSync(qmd_file_path, document.toString());
+    }
+
+    this.success(`${changes.length} dashboard option change(s) in ${qmd_file_path}`);
 
     return {
-      valid: errors.length === 0,
-      errors
+      success: true,
+      file_path: qmd_file_path,
+      dashboard_options: dashboard.toJS(frontMatter),
+      changes,
+      message: changes.length > 0 ? 'Dashboard options updated' : 'Dashboard options already set'
     };
   }
+}
+
+/**
+ * Tool to add logo to dashboard
+ */
+class QuartoAddDashboardLogo extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_add_dashboard_logo', 
+      'Reference a logo image in the dashboard YAML so it appears in the header.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            logo_image_path: { type: 'string', description: 'Relative path to PNG/SVG.' }
+          },
+          required: ['qmd_file_path', 'logo_image_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            logo_image_path: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
+  }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { qmd_file_path, logo_image_path } = params;
     
     this.log(`Adding logo ${logo_image_path} to ${qmd_file_path}`);
     
-    if (!fs.existsSync(qmd_file_path)) {
-      throw new Error(`File ${qmd_file_path} does not exist`);
-    }
+    const document = readQmdFile(fs, qmd_file_path);
     
     try {
-      const content = fs.readFileSync(qmd_file_path, 'utf8');
-      const { frontMatter, body } = this.parseQmdFile(content);
+      const frontMatter = document.ensureFrontMatter();
       
-      // Add logo to frontmatter
-      frontMatter.logo = logo_image_path;
+      // Quarto reads the logo from the dashboard options, not the top level
+      frontMatter.delete('logo');
+      setDashboardOption(frontMatter, 'logo', logo_image_path);
       
       // Write back to file
-      const updatedContent = this.serializeQmdFile(frontMatter, body);
-      fs.writeFileSync(qmd_file_path, updatedContent);
+      fs.writeFileSync(qmd_file_path, document.toString());
       
       this.success(`Logo added to ${qmd_file_path}`);
       
@@ -258,44 +805,14 @@ class QuartoAddDashboardLogo extends CopilotQuartoTool {
       throw error;
     }
   }
-
-  parseQmdFile(content) {
-    const lines = content.split('\n');
-    let frontMatterStart = -1;
-    let frontMatterEnd = -1;
-    
-    // Find YAML frontmatter
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim() === '---') {
-        if (frontMatterStart === -1) {
-          frontMatterStart = i;
-        } else {
-          frontMatterEnd = i;
-          break;
-        }
-      }
-    }
-    
-    let frontMatter = {};
-    let body = content;
-    
-    if (frontMatterStart !== -1 && frontMatterEnd !== -1) {
-      const yamlContent = lines.slice(frontMatterStart + 1, frontMatterEnd).join('\n');
-      frontMatter = yaml.parse(yamlContent) || {};
-      body = lines.slice(frontMatterEnd + 1).join('\n');
-    }
-    
-    return { frontMatter, body };
-  }
-
-  serializeQmdFile(frontMatter, body) {
-    const yamlContent = yaml.stringify(frontMatter);
-    return `---\n${yamlContent}---\n${body}`;
-  }
 }
 
 module.exports = {
   QuartoDefineDashboardFormat,
   QuartoDefineDashboardLayout,
+  QuartoDashboardAddValueBox,
+  QuartoDashboardAddKpiStrip,
+  QuartoDashboardAddInputs,
+  QuartoDashboardSetOptions,
   QuartoAddDashboardLogo
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { CopilotQuartoTool } = require('../core');
-const fs = require('fs-extra');
+const { ValidationError } = require('../errors');
+const { ExecutionContext } = require('../execution-context');
+const { INSERTION_PARAMETERS, insertIntoQmd } = require('../qmd');
 
 /**
  * Tool to embed YouTube videos via iframe
@@ -7,23 +9,29 @@ const fs = require('fs-extra');
 class QuartoEmbedYoutubeIframe extends CopilotQuartoTool {
   constructor() {
     super('quarto_embed_youtube_iframe', 
-      'Paste raw YouTube embed code into the doc.');
+      'Paste raw YouTube embed code into the doc.', {
+        parameters: {
+          type: 'object',
+          properties: { youtube_embed_code: { type: 'string' }, ...INSERTION_PARAMETERS },
+          required: ['youtube_embed_code']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            original_code: { type: 'string' },
+            embed_code: { type: 'string' },
+            quarto_content: { type: 'string' },
+            responsive_version: { type: 'string' },
+            video_id: { type: ['string', 'null'] },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.youtube_embed_code) {
-      errors.push('youtube_embed_code is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
-  }
-
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { youtube_embed_code } = params;
     
     this.log('Embedding YouTube iframe');
@@ -44,7 +52,9 @@ class QuartoEmbedYoutubeIframe extends CopilotQuartoTool {
       
       // Validate that it's an iframe tag
       if (!embedCode.includes('<iframe') || !embedCode.includes('youtube.com')) {
-        throw new Error('Provided code does not appear to be a valid YouTube embed iframe');
+        throw new ValidationError('Provided code does not appear to be a valid YouTube embed iframe', [
+          { field: 'youtube_embed_code', message: 'must be a YouTube <iframe> embed code' }
+        ]);
       }
       
       // Generate the markdown content for Quarto
@@ -77,6 +87,8 @@ ${responsiveEmbedCode}
 </style>
 `;
 
+      const insertion = insertIntoQmd(context.fs, params, quartoContent);
+
       this.success('Generated YouTube embed code');
       
       return {
@@ -85,7 +97,8 @@ ${responsiveEmbedCode}
         embed_code: embedCode,
         quarto_content: quartoContent,
         responsive_version: responsiveQuartoContent,
-        video_id: match ? match[1] : null
+        video_id: match ? match[1] : null,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to embed YouTube video: ${error.message}`);
@@ -100,23 +113,32 @@ ${responsiveEmbedCode}
 class QuartoEmbedSpotifyIframe extends CopilotQuartoTool {
   constructor() {
     super('quarto_embed_spotify_iframe', 
-      'Paste raw Spotify embed code into the doc.');
+      'Paste raw Spotify embed code into the doc.', {
+        parameters: {
+          type: 'object',
+          properties: { spotify_embed_code: { type: 'string' }, ...INSERTION_PARAMETERS },
+          required: ['spotify_embed_code']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            original_code: { type: 'string' },
+            embed_code: { type: 'string' },
+            compact_embed: { type: 'string' },
+            full_embed: { type: 'string' },
+            quarto_content: { type: 'string' },
+            responsive_version: { type: 'string' },
+            content_type: { type: 'string' },
+            content_id: { type: ['string', 'null'] },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.spotify_embed_code) {
-      errors.push('spotify_embed_code is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
-  }
-
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { spotify_embed_code } = params;
     
     this.log('Embedding Spotify iframe');
@@ -136,7 +158,9 @@ class QuartoEmbedSpotifyIframe extends CopilotQuartoTool {
       
       // Validate that it's a Spotify iframe
       if (!embedCode.includes('<iframe') || !embedCode.includes('spotify.com')) {
-        throw new Error('Provided code does not appear to be a valid Spotify embed iframe');
+        throw new ValidationError('Provided code does not appear to be a valid Spotify embed iframe', [
+          { field: 'spotify_embed_code', message: 'must be a Spotify <iframe> embed code' }
+        ]);
       }
       
       // Generate different embed styles
@@ -181,6 +205,8 @@ ${embedCode}
 </style>
 `;
 
+      const insertion = insertIntoQmd(context.fs, params, quartoContent);
+
       this.success('Generated Spotify embed code');
       
       return {
@@ -192,7 +218,8 @@ ${embedCode}
         quarto_content: quartoContent,
         responsive_version: responsiveQuartoContent,
         content_type: match ? match[1] : 'unknown',
-        content_id: match ? match[2] : null
+        content_id: match ? match[2] : null,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to embed Spotify content: ${error.message}`);
@@ -207,23 +234,37 @@ ${embedCode}
 class QuartoEmbedShinyAppIframe extends CopilotQuartoTool {
   constructor() {
     super('quarto_embed_shiny_app_iframe', 
-      'Embed an externally-hosted Shiny app via iframe.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.shiny_app_url) {
-      errors.push('shiny_app_url is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Embed an externally-hosted Shiny app via iframe.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            shiny_app_url: { type: 'string' },
+            iframe_height: { type: 'string', default: '600px' },
+            iframe_width: { type: 'string', default: '100%' },
+            ...INSERTION_PARAMETERS
+          },
+          required: ['shiny_app_url']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            shiny_app_url: { type: 'string' },
+            iframe_width: { type: ['string', 'number'] },
+            iframe_height: { type: ['string', 'number'] },
+            embed_code: { type: 'string' },
+            responsive_embed: { type: 'string' },
+            quarto_content: { type: 'string' },
+            enhanced_version: { type: 'string' },
+            troubleshooting: { type: 'string' },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { 
       shiny_app_url, 
       iframe_height = '600px', 
@@ -237,7 +278,9 @@ class QuartoEmbedShinyAppIframe extends CopilotQuartoTool {
       try {
         new URL(shiny_app_url);
       } catch (urlError) {
-        throw new Error(`Invalid URL format: ${shiny_app_url}`);
+        throw new ValidationError(`Invalid URL format: ${shiny_app_url}`, [
+          { field: 'shiny_app_url', message: 'must be an absolute URL' }
+        ]);
       }
       
       // Generate the iframe embed code
@@ -316,6 +359,8 @@ If the Shiny app doesn't load:
 - Self-hosted: Configure server to allow iframe embedding
 `;
 
+      const insertion = insertIntoQmd(context.fs, params, quartoContent);
+
       this.success(`Generated Shiny app embed for ${shiny_app_url}`);
       
       return {
@@ -327,7 +372,8 @@ If the Shiny app doesn't load:
         responsive_embed: responsiveEmbedCode,
         quarto_content: quartoContent,
         enhanced_version: enhancedQuartoContent,
-        troubleshooting
+        troubleshooting,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to embed Shiny app: ${error.message}`);
@@ -1,7 +1,8 @@
 const { CopilotQuartoTool } = require('../core');
 const { Octokit } = require('@octokit/rest');
-const fs = require('fs-extra');
-const yaml = require('yaml');
+const { ExecutionContext } = require('../execution-context');
+const { FileNotFoundError } = require('../errors');
+const { YamlPatch } = require('../yaml-patch');
 
 /**
  * Tool to create or update GitHub repository secrets
@@ -9,32 +10,32 @@ const yaml = require('yaml');
 class GithubActionsCreateSecret extends CopilotQuartoTool {
   constructor() {
     super('github_actions_create_secret', 
-      'Create or update an encrypted repo secret (masked in logs).');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.repository_name) {
-      errors.push('repository_name is required');
-    }
-    
-    if (!params.secret_name) {
-      errors.push('secret_name is required');
-    }
-    
-    if (!params.secret_value) {
-      errors.push('secret_value is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Create or update an encrypted repo secret (masked in logs).', {
+        parameters: {
+          type: 'object',
+          properties: {
+            repository_name: { type: 'string' },
+            secret_name: { type: 'string' },
+            secret_value: { type: 'string', writeOnly: true }
+          },
+          required: ['repository_name', 'secret_name', 'secret_value']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            secret_name: { type: 'string' },
+            repository_name: { type: 'string' },
+            instructions: { type: 'string' },
+            cli_command: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
-    const { repository_name, secret_name, secret_value } = params;
+    const { repository_name, secret_name } = params;
     
     this.log(`Creating/updating secret '${secret_name}' in repository '${repository_name}'`);
     
@@ -52,8 +53,8 @@ To create the secret '${secret_name}' in repository '${repository_name}':
 5. Value: [REDACTED]
 6. Click "Add secret"
 
-Or use GitHub CLI:
-gh secret set ${secret_name} --body "${secret_value}" --repo ${repository_name}
+Or use GitHub CLI, which prompts for the value:
+gh secret set ${secret_name} --repo ${repository_name}
 `;
 
       this.log('Secret creation instructions generated');
@@ -79,75 +80,66 @@ gh secret set ${secret_name} --body "${secret_value}" --repo ${repository_name}
 class GithubActionsDefineWorkflowEnv extends CopilotQuartoTool {
   constructor() {
     super('github_actions_define_workflow_env', 
-      'Add an env-map entry so that `${{ secrets.XXX }}` becomes `Sys.getenv(\'YYY\')` inside R scripts during the workflow.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.workflow_yml_path) {
-      errors.push('workflow_yml_path is required');
-    }
-    
-    if (!params.r_script_env_name) {
-      errors.push('r_script_env_name is required');
-    }
-    
-    if (!params.github_secret_name) {
-      errors.push('github_secret_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Add an env-map entry so that `${{ secrets.XXX }}` becomes `Sys.getenv(\'YYY\')` inside R scripts during the workflow.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            workflow_yml_path: { type: 'string', format: 'path' },
+            r_script_env_name: { type: 'string', description: 'Name seen by R via `Sys.getenv()`.' },
+            github_secret_name: { type: 'string', description: 'Name of the GitHub secret.' }
+          },
+          required: ['workflow_yml_path', 'r_script_env_name', 'github_secret_name']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            workflow_path: { type: 'string' },
+            env_name: { type: 'string' },
+            secret_name: { type: 'string' },
+            usage_in_r: { type: 'string' },
+            changes: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { workflow_yml_path, r_script_env_name, github_secret_name } = params;
     
     this.log(`Adding environment mapping to workflow: ${workflow_yml_path}`);
     
     try {
       if (!await fs.pathExists(workflow_yml_path)) {
-        throw new Error(`Workflow file not found: ${workflow_yml_path}`);
+        throw new FileNotFoundError(`Workflow file not found: ${workflow_yml_path}`, {
+          hint: 'Create it first with github_actions_configure_publishing_workflow.'
+        });
       }
 
       // Read the workflow file
       const workflowContent = await fs.readFile(workflow_yml_path, 'utf8');
-      const workflowData = yaml.parse(workflowContent);
-
-      // Ensure the jobs exist
-      if (!workflowData.jobs) {
-        workflowData.jobs = {};
-      }
+      const patch = new YamlPatch(workflowContent, { name: workflow_yml_path });
 
       // Add environment variable to all jobs or create a default job
-      const jobKeys = Object.keys(workflowData.jobs);
+      const jobKeys = Object.keys(patch.get(['jobs']) || {});
       if (jobKeys.length === 0) {
         // Create a default job if none exist
-        workflowData.jobs.build = {
+        patch.set(['jobs', 'build'], {
           'runs-on': 'ubuntu-latest',
           steps: []
-        };
+        });
         jobKeys.push('build');
       }
 
       jobKeys.forEach(jobKey => {
-        const job = workflowData.jobs[jobKey];
-        
-        // Initialize env if it doesn't exist
-        if (!job.env) {
-          job.env = {};
-        }
-        
         // Add the environment variable mapping
-        job.env[r_script_env_name] = `\${{ secrets.${github_secret_name} }}`;
+        patch.set(['jobs', jobKey, 'env', r_script_env_name], `\${{ secrets.${github_secret_name} }}`);
       });
 
       // Write back the modified workflow
-      const updatedWorkflow = yaml.stringify(workflowData);
-      await fs.writeFile(workflow_yml_path, updatedWorkflow);
+      await fs.writeFile(workflow_yml_path, patch.toString());
 
       this.success(`Added environment mapping: ${r_script_env_name} -> secrets.${github_secret_name}`);
       
@@ -156,7 +148,8 @@ class GithubActionsDefineWorkflowEnv extends CopilotQuartoTool {
         workflow_path: workflow_yml_path,
         env_name: r_script_env_name,
         secret_name: github_secret_name,
-        usage_in_r: `Sys.getenv("${r_script_env_name}")`
+        usage_in_r: `Sys.getenv("${r_script_env_name}")`,
+        changes: patch.changes
       };
     } catch (error) {
       this.error(`Failed to update workflow environment: ${error.message}`);
@@ -171,20 +164,23 @@ class GithubActionsDefineWorkflowEnv extends CopilotQuartoTool {
 class GithubActionsMonitorWorkflow extends CopilotQuartoTool {
   constructor() {
     super('github_actions_monitor_workflow', 
-      'Return live logs and status of a given workflow run.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.workflow_run_id) {
-      errors.push('workflow_run_id is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Return live logs and status of a given workflow run.', {
+        parameters: {
+          type: 'object',
+          properties: { workflow_run_id: { type: 'string' } },
+          required: ['workflow_run_id']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            workflow_run_id: { type: 'string' },
+            monitoring_instructions: { type: 'string' },
+            simulated_status: { type: 'object' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -254,20 +250,24 @@ To monitor workflow run ${workflow_run_id}:
 class GithubActionsRerunWorkflow extends CopilotQuartoTool {
   constructor() {
     super('github_actions_rerun_workflow', 
-      'Re-trigger a failed workflow run after you fixed the issue.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.workflow_run_id) {
-      errors.push('workflow_run_id is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Re-trigger a failed workflow run after you fixed the issue.', {
+        parameters: {
+          type: 'object',
+          properties: { workflow_run_id: { type: 'string' } },
+          required: ['workflow_run_id']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            workflow_run_id: { type: 'string' },
+            rerun_instructions: { type: 'string' },
+            cli_command: { type: 'string' },
+            api_endpoint: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -1,9 +1,9 @@
 const { CopilotQuartoTool } = require('../core');
 const { Octokit } = require('@octokit/rest');
-const fs = require('fs-extra');
+const { ExecutionContext } = require('../execution-context');
+const { FileNotFoundError, RemoteApiError, fromHttpError } = require('../errors');
+const { YamlPatch } = require('../yaml-patch');
 const path = require('path');
-const { execSync } = require('child_process');
-const yaml = require('yaml');
 
 /**
  * Tool to create GitHub repository
@@ -11,39 +11,46 @@ const yaml = require('yaml');
 class GithubCreateRepository extends CopilotQuartoTool {
   constructor() {
     super('github_create_repository', 
-      'Create a new GitHub repo (public or private).');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.repository_name) {
-      errors.push('repository_name is required');
-    }
-    
-    if (!params.visibility || !['public', 'private'].includes(params.visibility)) {
-      errors.push('visibility must be either "public" or "private"');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Create a new GitHub repo (public or private).', {
+        parameters: {
+          type: 'object',
+          properties: {
+            repository_name: { type: 'string' },
+            visibility: { type: 'string', enum: ['public', 'private'] }
+          },
+          required: ['repository_name', 'visibility']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            repository_name: { type: 'string' },
+            message: { type: 'string' },
+            repository_url: { type: 'string' },
+            clone_url: { type: 'string' },
+            ssh_url: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { repository_name, visibility } = params;
     
     this.log(`Creating GitHub repository: ${repository_name} (${visibility})`);
     
+    context.plan('github-api', `POST /user/repos (${repository_name}, ${visibility})`);
+    if (context.dryRun) {
+      return {
+        success: true,
+        repository_name,
+        message: `Would create ${visibility} GitHub repository ${repository_name}`
+      };
+    }
+    
     try {
-      // Get GitHub token from environment
-      const token = process.env.GITHUB_TOKEN;
-      if (!token) {
-        throw new Error('GITHUB_TOKEN environment variable is required');
-      }
-      
-      const octokit = new Octokit({ auth: token });
+      const octokit = new Octokit({ auth: context.secret('GITHUB_TOKEN') });
       
       // Create repository
       const response = await octokit.rest.repos.createForAuthenticatedUser({
@@ -65,8 +72,9 @@ class GithubCreateRepository extends CopilotQuartoTool {
       };
       
     } catch (error) {
-      this.error(`Failed to create repository: ${error.message}`);
-      throw error;
+      const failure = fromHttpError(error, 'GitHub');
+      this.error(`Failed to create repository: ${failure.message}`);
+      throw failure;
     }
   }
 }
@@ -77,33 +85,38 @@ class GithubCreateRepository extends CopilotQuartoTool {
 class GitPushProject extends CopilotQuartoTool {
   constructor() {
     super('git_push_project', 
-      'Stage, commit and push local Quarto project to the remote GitHub repo.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.local_project_path) {
-      errors.push('local_project_path is required');
-    }
-    
-    if (!params.github_repo_url) {
-      errors.push('github_repo_url is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Stage, commit and push local Quarto project to the remote GitHub repo.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            local_project_path: { type: 'string', format: 'path' },
+            github_repo_url: { type: 'string', description: 'HTTPS or SSH clone URL.' }
+          },
+          required: ['local_project_path', 'github_repo_url']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            local_project_path: { type: 'string' },
+            github_repo_url: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { local_project_path, github_repo_url } = params;
     
     this.log(`Pushing ${local_project_path} to ${github_repo_url}`);
     
     if (!fs.existsSync(local_project_path)) {
-      throw new Error(`Local project path does not exist: ${local_project_path}`);
+      throw new FileNotFoundError(`Local project path does not exist: ${local_project_path}`, {
+        hint: 'Pass the folder created by quarto_create_project_with_renv_and_git.'
+      });
     }
     
     try {
@@ -113,33 +126,47 @@ class GitPushProject extends CopilotQuartoTool {
       const gitDir = path.join(projectPath, '.git');
       if (!fs.existsSync(gitDir)) {
         this.log('Initializing git repository');
-        execSync('git init', { cwd: projectPath, stdio: 'inherit' });
+        await context.exec('git', ['init'], { cwd: projectPath });
       }
       
       // Add remote origin if not exists
-      try {
-        execSync('git remote get-url origin', { cwd: projectPath, stdio: 'ignore' });
+      const remote = await context.exec('git', ['remote', 'get-url', 'origin'], {
+        cwd: projectPath,
+        readOnly: true,
+        stream: false,
+        check: false
+      });
+      if (remote.exitCode === 0) {
         this.log('Remote origin already exists, updating URL');
-        execSync(`git remote set-url origin "${github_repo_url}"`, { cwd: projectPath, stdio: 'inherit' });
-      } catch (error) {
+        await context.exec('git', ['remote', 'set-url', 'origin', github_repo_url], { cwd: projectPath });
+      } else {
         this.log('Adding remote origin');
-        execSync(`git remote add origin "${github_repo_url}"`, { cwd: projectPath, stdio: 'inherit' });
+        await context.exec('git', ['remote', 'add', 'origin', github_repo_url], { cwd: projectPath });
       }
       
       // Stage all files
-      execSync('git add .', { cwd: projectPath, stdio: 'inherit' });
-      
-      // Check if there are changes to commit
-      try {
-        execSync('git diff --staged --quiet', { cwd: projectPath, stdio: 'ignore' });
-        this.log('No changes to commit');
-      } catch (error) {
-        // There are staged changes, commit them
-        execSync('git commit -m "Initial commit from copilot-quarto"', { cwd: projectPath, stdio: 'inherit' });
+      await context.exec('git', ['add', '.'], { cwd: projectPath });
+      
+      // Check if there are changes to commit (nothing is staged yet in dry-run mode)
+      let hasStagedChanges = context.dryRun;
+      if (!hasStagedChanges) {
+        const diff = await context.exec('git', ['diff', '--staged', '--quiet'], {
+          cwd: projectPath,
+          readOnly: true,
+          check: false
+        });
+        hasStagedChanges = diff.exitCode !== 0;
+        if (!hasStagedChanges) {
+          this.log('No changes to commit');
+        }
+      }
+
+      if (hasStagedChanges) {
+        await context.exec('git', ['commit', '-m', 'Initial commit from copilot-quarto'], { cwd: projectPath });
       }
       
       // Push to GitHub
-      execSync('git push -u origin main', { cwd: projectPath, stdio: 'inherit' });
+      await context.exec('git', ['push', '-u', 'origin', 'main'], { cwd: projectPath });
       
       this.success(`Project pushed to ${github_repo_url}`);
       
@@ -163,35 +190,42 @@ class GitPushProject extends CopilotQuartoTool {
 class GithubCreateGhPagesBranch extends CopilotQuartoTool {
   constructor() {
     super('github_create_gh_pages_branch', 
-      'Create an orphan `gh-pages` branch (used by GitHub-Pages).');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.repository_name) {
-      errors.push('repository_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Create an orphan `gh-pages` branch (used by GitHub-Pages).', {
+        parameters: {
+          type: 'object',
+          properties: { repository_name: { type: 'string' } },
+          required: ['repository_name']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            repository_name: { type: 'string' },
+            branch_name: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { repository_name } = params;
     
     this.log(`Creating gh-pages branch for ${repository_name}`);
     
+    context.plan('github-api', `POST /repos/{owner}/${repository_name}/git/refs (refs/heads/gh-pages)`);
+    if (context.dryRun) {
+      return {
+        success: true,
+        repository_name,
+        branch_name: 'gh-pages',
+        message: `Would create gh-pages branch for ${repository_name}`
+      };
+    }
+    
     try {
-      // Get GitHub token from environment
-      const token = process.env.GITHUB_TOKEN;
-      if (!token) {
-        throw new Error('GITHUB_TOKEN environment variable is required');
-      }
-      
-      const octokit = new Octokit({ auth: token });
+      const octokit = new Octokit({ auth: context.secret('GITHUB_TOKEN') });
       
       // Get authenticated user
       const { data: user } = await octokit.rest.users.getAuthenticated();
@@ -244,8 +278,9 @@ class GithubCreateGhPagesBranch extends CopilotQuartoTool {
       };
       
     } catch (error) {
-      this.error(`Failed to create gh-pages branch: ${error.message}`);
-      throw error;
+      const failure = fromHttpError(error, 'GitHub');
+      this.error(`Failed to create gh-pages branch: ${failure.message}`);
+      throw failure;
     }
   }
 }
@@ -256,23 +291,36 @@ class GithubCreateGhPagesBranch extends CopilotQuartoTool {
 class GithubActionsConfigurePublishingWorkflow extends CopilotQuartoTool {
   constructor() {
     super('github_actions_configure_publishing_workflow', 
-      'Create `.github/workflows/publish.yml` that installs R + Quarto, restores renv, renders and deploys to GitHub-Pages on every push to main.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.workflow_file_path) {
-      errors.push('workflow_file_path is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Create `.github/workflows/publish.yml` that installs R + Quarto, restores renv, renders and deploys to GitHub-Pages on every push to main.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            workflow_file_path: {
+              type: 'string', format: 'path',
+              description: 'Target path for the YAML file.',
+              default: '.github/workflows/publish.yml'
+            },
+            quarto_docs_workflow_content: {
+              type: 'string',
+              description: 'Optional full YAML content; if omitted a sensible default is generated.'
+            }
+          },
+          required: ['workflow_file_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            workflow_file_path: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { workflow_file_path, quarto_docs_workflow_content } = params;
     
     this.log(`Creating GitHub Actions workflow: ${workflow_file_path}`);
@@ -361,51 +409,59 @@ jobs:
 class GithubActionsScheduleWorkflow extends CopilotQuartoTool {
   constructor() {
     super('github_actions_schedule_workflow', 
-      'Insert a cron schedule into an existing workflow file.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.workflow_yml_path) {
-      errors.push('workflow_yml_path is required');
-    }
-    
-    if (!params.cron_expression) {
-      errors.push('cron_expression is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Insert a cron schedule into an existing workflow file.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            workflow_yml_path: { type: 'string', format: 'path' },
+            cron_expression: { type: 'string', description: 'Valid cron string, e.g. `0 13 * * *`.' }
+          },
+          required: ['workflow_yml_path', 'cron_expression']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            workflow_yml_path: { type: 'string' },
+            cron_expression: { type: 'string' },
+            changes: { type: 'array', items: { type: 'object' } },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { workflow_yml_path, cron_expression } = params;
     
     this.log(`Adding cron schedule to workflow: ${workflow_yml_path}`);
     
     if (!fs.existsSync(workflow_yml_path)) {
-      throw new Error(`Workflow file does not exist: ${workflow_yml_path}`);
+      throw new FileNotFoundError(`Workflow file does not exist: ${workflow_yml_path}`, {
+        hint: 'Create it first with github_actions_configure_publishing_workflow.'
+      });
     }
     
     try {
       const content = fs.readFileSync(workflow_yml_path, 'utf8');
-      const workflow = yaml.parse(content);
-      
-      // Add schedule to the workflow
-      if (!workflow.on) {
-        workflow.on = {};
+      const patch = new YamlPatch(content, { name: workflow_yml_path });
+      const schedule = [{ cron: cron_expression }];
+      
+      // Add schedule to the workflow's triggers, which may be written as
+      // `on: push`, `on: [push, pull_request]` or a mapping
+      const triggers = patch.get(['on']);
+      if (typeof triggers === 'string') {
+        patch.set(['on'], { [triggers]: null, schedule });
+      } else if (Array.isArray(triggers)) {
+        patch.set(['on'], { ...Object.fromEntries(triggers.map(name => [name, null])), schedule });
+      } else {
+        patch.set(['on', 'schedule'], schedule);
       }
       
-      workflow.on.schedule = [
-        { cron: cron_expression }
-      ];
-      
       // Write back to file
-      const updatedContent = yaml.stringify(workflow);
-      fs.writeFileSync(workflow_yml_path, updatedContent);
+      fs.writeFileSync(workflow_yml_path, patch.toString());
       
       this.success(`Cron schedule added to workflow: ${cron_expression}`);
       
@@ -413,6 +469,7 @@ class GithubActionsScheduleWorkflow extends CopilotQuartoTool {
         success: true,
         workflow_yml_path,
         cron_expression,
+        changes: patch.changes,
         message: 'Workflow scheduled successfully'
       };
       
@@ -429,35 +486,46 @@ class GithubActionsScheduleWorkflow extends CopilotQuartoTool {
 class GithubPagesConfigureDeploymentSource extends CopilotQuartoTool {
   constructor() {
     super('github_pages_configure_deployment_source', 
-      'Tell GitHub-Pages to serve from `gh-pages` branch /root folder.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.repository_name) {
-      errors.push('repository_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Tell GitHub-Pages to serve from `gh-pages` branch /root folder.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            repository_name: { type: 'string' },
+            branch_name: { type: 'string', default: 'gh-pages' }
+          },
+          required: ['repository_name']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            repository_name: { type: 'string' },
+            branch_name: { type: 'string' },
+            message: { type: 'string' },
+            pages_url: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { repository_name, branch_name = 'gh-pages' } = params;
     
     this.log(`Configuring GitHub Pages for ${repository_name}`);
     
+    context.plan('github-api', `POST /repos/{owner}/${repository_name}/pages (${branch_name} /)`);
+    if (context.dryRun) {
+      return {
+        success: true,
+        repository_name,
+        branch_name,
+        message: `Would configure GitHub Pages to serve ${branch_name}`
+      };
+    }
+    
     try {
-      // Get GitHub token from environment
-      const token = process.env.GITHUB_TOKEN;
-      if (!token) {
-        throw new Error('GITHUB_TOKEN environment variable is required');
-      }
-      
-      const octokit = new Octokit({ auth: token });
+      const octokit = new Octokit({ auth: context.secret('GITHUB_TOKEN') });
       
       // Get authenticated user
       const { data: user } = await octokit.rest.users.getAuthenticated();
@@ -484,7 +552,9 @@ class GithubPagesConfigureDeploymentSource extends CopilotQuartoTool {
       };
       
     } catch (error) {
-      if (error.message.includes('Pages already set up')) {
+      const failure = fromHttpError(error, 'GitHub');
+      // 409 Conflict means Pages is already enabled for the repository
+      if (failure instanceof RemoteApiError && failure.details.status === 409) {
         this.log('GitHub Pages already configured');
         return {
           success: true,
@@ -494,8 +564,8 @@ class GithubPagesConfigureDeploymentSource extends CopilotQuartoTool {
         };
       }
       
-      this.error(`Failed to configure GitHub Pages: ${error.message}`);
-      throw error;
+      this.error(`Failed to configure GitHub Pages: ${failure.message}`);
+      throw failure;
     }
   }
 }
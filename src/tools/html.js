@@ -1,4 +1,5 @@
 const { CopilotQuartoTool } = require('../core');
+const { ValidationError, InvalidContentError } = require('../errors');
 
 /**
  * Tool to customize iframe attributes
@@ -6,28 +7,31 @@ const { CopilotQuartoTool } = require('../core');
 class HtmlIframeCustomizeAttributes extends CopilotQuartoTool {
   constructor() {
     super('html_iframe_customize_attributes', 
-      'Modify any attribute on an existing iframe tag.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.iframe_html) {
-      errors.push('iframe_html is required');
-    }
-    
-    if (!params.attribute_name) {
-      errors.push('attribute_name is required');
-    }
-    
-    if (!params.attribute_value) {
-      errors.push('attribute_value is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Modify any attribute on an existing iframe tag.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            iframe_html: { type: 'string' },
+            attribute_name: { type: 'string' },
+            attribute_value: { type: 'string' }
+          },
+          required: ['iframe_html', 'attribute_name', 'attribute_value']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            original_html: { type: 'string' },
+            modified_html: { type: 'string' },
+            attribute_name: { type: 'string' },
+            attribute_value: { type: 'string' },
+            attribute_existed: { type: 'boolean' },
+            common_customizations: { type: 'object' },
+            usage_examples: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -38,13 +42,17 @@ class HtmlIframeCustomizeAttributes extends CopilotQuartoTool {
     try {
       // Validate that the input is an iframe
       if (!iframe_html.includes('<iframe')) {
-        throw new Error('Provided HTML does not contain an iframe tag');
+        throw new ValidationError('Provided HTML does not contain an iframe tag', [
+          { field: 'iframe_html', message: 'must contain an <iframe> tag' }
+        ]);
       }
       
       // Parse the iframe to extract existing attributes
       const iframeMatch = iframe_html.match(/<iframe([^>]*)>/i);
       if (!iframeMatch) {
-        throw new Error('Could not parse iframe tag');
+        throw new InvalidContentError('Could not parse iframe tag', {
+          hint: 'Pass a single well-formed <iframe ...> element.'
+        });
       }
       
       let iframeAttributes = iframeMatch[1];
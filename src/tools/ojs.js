@@ -1,4 +1,6 @@
 const { CopilotQuartoTool } = require('../core');
+const { ExecutionContext } = require('../execution-context');
+const { INSERTION_PARAMETERS, formatCell, insertIntoQmd } = require('../qmd');
 
 /**
  * Tool to transpose R to OJS data into a tidy OJS array
@@ -6,23 +8,26 @@ const { CopilotQuartoTool } = require('../core');
 class OjsTransposeData extends CopilotQuartoTool {
   constructor() {
     super('ojs_transpose_data', 
-      'Transpose R ➜ OJS data into a tidy OJS array.');
+      'Transpose R ➜ OJS data into a tidy OJS array.', {
+        parameters: {
+          type: 'object',
+          properties: { ojs_data_variable: { type: 'string' }, ...INSERTION_PARAMETERS },
+          required: ['ojs_data_variable']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            ojs_code: { type: 'string' },
+            transposed_variable: { type: 'string' },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.ojs_data_variable) {
-      errors.push('ojs_data_variable is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
-  }
-
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { ojs_data_variable } = params;
     
     this.log(`Transposing OJS data variable: ${ojs_data_variable}`);
@@ -53,12 +58,15 @@ ${ojs_data_variable}_transposed = {
   });
 }`;
 
+      const insertion = insertIntoQmd(context.fs, params, formatCell('ojs', ojsCode));
+
       this.success(`Generated transpose code for ${ojs_data_variable}`);
       
       return {
         success: true,
         ojs_code: ojsCode,
-        transposed_variable: `${ojs_data_variable}_transposed`
+        transposed_variable: `${ojs_data_variable}_transposed`,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to generate transpose code: ${error.message}`);
@@ -73,27 +81,32 @@ ${ojs_data_variable}_transposed = {
 class OjsCreateDropdownMenu extends CopilotQuartoTool {
   constructor() {
     super('ojs_create_dropdown_menu', 
-      'Build an Inputs.select dropdown bound to an OJS array.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.options_data) {
-      errors.push('options_data is required');
-    }
-    
-    if (!params.label) {
-      errors.push('label is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Build an Inputs.select dropdown bound to an OJS array.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            options_data: { type: 'string', description: 'OJS variable holding the options.' },
+            label: { type: 'string' },
+            unique_options_flag: { type: 'boolean', default: true },
+            ...INSERTION_PARAMETERS
+          },
+          required: ['options_data', 'label']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            ojs_code: { type: 'string' },
+            dropdown_variable: { type: 'string' },
+            variable_name: { type: 'string' },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { 
       options_data, 
       label, 
@@ -133,13 +146,16 @@ viewof ${dropdownVar} = {
   });
 }`;
 
+      const insertion = insertIntoQmd(context.fs, params, formatCell('ojs', ojsCode));
+
       this.success(`Generated dropdown menu: ${dropdownVar}`);
       
       return {
         success: true,
         ojs_code: ojsCode,
         dropdown_variable: dropdownVar,
-        variable_name: `viewof ${dropdownVar}`
+        variable_name: `viewof ${dropdownVar}`,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to create dropdown menu: ${error.message}`);
@@ -154,35 +170,33 @@ viewof ${dropdownVar} = {
 class OjsDynamicIframeUpdate extends CopilotQuartoTool {
   constructor() {
     super('ojs_dynamic_iframe_update', 
-      'Swap a placeholder inside an iframe src with the ID that matches the current dropdown selection.');
+      'Swap a placeholder inside an iframe src with the ID that matches the current dropdown selection.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            dropdown_variable: { type: 'string' },
+            data_set: { type: 'string' },
+            iframe_html_template: { type: 'string' },
+            placeholder_string: { type: 'string' },
+            ...INSERTION_PARAMETERS
+          },
+          required: ['dropdown_variable', 'data_set', 'iframe_html_template', 'placeholder_string']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            ojs_code: { type: 'string' },
+            iframe_variable: { type: 'string' },
+            placeholder_replaced: { type: 'string' },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.dropdown_variable) {
-      errors.push('dropdown_variable is required');
-    }
-    
-    if (!params.data_set) {
-      errors.push('data_set is required');
-    }
-    
-    if (!params.iframe_html_template) {
-      errors.push('iframe_html_template is required');
-    }
-    
-    if (!params.placeholder_string) {
-      errors.push('placeholder_string is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
-  }
-
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { 
       dropdown_variable, 
       data_set, 
@@ -227,13 +241,16 @@ ${iframeVar} = {
   return html\`\${iframeHtml}\`;
 }`;
 
+      const insertion = insertIntoQmd(context.fs, params, formatCell('ojs', ojsCode));
+
       this.success(`Generated dynamic iframe: ${iframeVar}`);
       
       return {
         success: true,
         ojs_code: ojsCode,
         iframe_variable: iframeVar,
-        placeholder_replaced: placeholder_string
+        placeholder_replaced: placeholder_string,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to create dynamic iframe: ${error.message}`);
@@ -1,6 +1,7 @@
 const { CopilotQuartoTool } = require('../core');
 const axios = require('axios');
-const fs = require('fs-extra');
+const { ExecutionContext } = require('../execution-context');
+const { InvalidContentError, fromHttpError } = require('../errors');
 const path = require('path');
 
 /**
@@ -9,31 +10,43 @@ const path = require('path');
 class OpenaiGenerateThemeRecommendations extends CopilotQuartoTool {
   constructor() {
     super('openai_generate_theme_recommendations', 
-      'Ask GPT-4 for a JSON palette (font, primary, secondary, accent) based on a theme phrase.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.api_key) {
-      errors.push('api_key is required');
-    }
-    
-    if (!params.user_theme_input) {
-      errors.push('user_theme_input is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Ask GPT-4 for a JSON palette (font, primary, secondary, accent) based on a theme phrase.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            api_key: { type: 'string', writeOnly: true, description: 'Defaults to the OPENAI_API_KEY credential.' },
+            user_theme_input: { type: 'string' },
+            output_format: { type: 'string', default: 'JSON' }
+          },
+          required: ['user_theme_input']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            user_theme_input: { type: 'string' },
+            message: { type: 'string' },
+            theme_data: { type: 'object' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { api_key, user_theme_input, output_format = 'JSON' } = params;
     
     this.log(`Generating theme recommendations for: ${user_theme_input}`);
     
+    context.plan('openai-api', 'POST https://api.openai.com/v1/chat/completions (gpt-4)');
+    if (context.dryRun) {
+      return {
+        success: true,
+        user_theme_input,
+        message: 'Would request theme recommendations from OpenAI'
+      };
+    }
+    
     try {
       const prompt = `Create a cohesive color palette and font recommendation for a "${user_theme_input}" theme. 
 Return ONLY a JSON object with these exact keys:
@@ -58,7 +71,7 @@ The colors should work well together and match the theme aesthetic. Choose color
         temperature: 0.7
       }, {
         headers: {
-          'Authorization': `Bearer ${api_key}`,
+          'Authorization': `Bearer ${api_key || context.secret('OPENAI_API_KEY')}`,
           'Content-Type': 'application/json'
         }
       });
@@ -75,7 +88,9 @@ The colors should work well together and match the theme aesthetic. Choose color
         if (jsonMatch) {
           themeData = JSON.parse(jsonMatch[0]);
         } else {
-          throw new Error('Could not parse theme recommendations as JSON');
+          throw new InvalidContentError('Could not parse theme recommendations as JSON', {
+            hint: 'The model did not answer with JSON; try again or rephrase the theme.'
+          });
         }
       }
       
@@ -83,7 +98,9 @@ The colors should work well together and match the theme aesthetic. Choose color
       const requiredFields = ['font_family', 'primary_color', 'secondary_color', 'accent_color'];
       for (const field of requiredFields) {
         if (!themeData[field]) {
-          throw new Error(`Missing required field: ${field}`);
+          throw new InvalidContentError(`Missing required field: ${field}`, {
+            hint: 'The model returned an incomplete palette; try again.'
+          });
         }
       }
       
@@ -97,8 +114,9 @@ The colors should work well together and match the theme aesthetic. Choose color
       };
       
     } catch (error) {
-      this.error(`Failed to generate theme recommendations: ${error.message}`);
-      throw error;
+      const failure = fromHttpError(error, 'OpenAI');
+      this.error(`Failed to generate theme recommendations: ${failure.message}`);
+      throw failure;
     }
   }
 }
@@ -109,35 +127,48 @@ The colors should work well together and match the theme aesthetic. Choose color
 class OpenaiGenerateImage extends CopilotQuartoTool {
   constructor() {
     super('openai_generate_image', 
-      'Call DALL-E /images/generations and save the returned image locally.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.api_key) {
-      errors.push('api_key is required');
-    }
-    
-    if (!params.prompt) {
-      errors.push('prompt is required');
-    }
-    
-    if (!params.output_file_path) {
-      errors.push('output_file_path is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Call DALL-E /images/generations and save the returned image locally.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            api_key: { type: 'string', writeOnly: true, description: 'Defaults to the OPENAI_API_KEY credential.' },
+            prompt: { type: 'string' },
+            output_file_path: { type: 'string', format: 'path' }
+          },
+          required: ['prompt', 'output_file_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            prompt: { type: 'string' },
+            output_file_path: { type: 'string' },
+            message: { type: 'string' },
+            image_url: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { api_key, prompt, output_file_path } = params;
     
     this.log(`Generating image: ${prompt}`);
     
+    context.plan('openai-api', 'POST https://api.openai.com/v1/images/generations (dall-e-3)');
+    if (context.dryRun) {
+      // The image itself is unknown until generated, so only the directory is planned
+      fs.ensureDirSync(path.dirname(output_file_path));
+      return {
+        success: true,
+        prompt,
+        output_file_path,
+        message: `Would generate an image and save it to ${output_file_path}`
+      };
+    }
+    
     try {
       // Generate image with DALL-E
       const response = await axios.post('https://api.openai.com/v1/images/generations', {
@@ -149,7 +180,7 @@ class OpenaiGenerateImage extends CopilotQuartoTool {
         response_format: 'url'
       }, {
         headers: {
-          'Authorization': `Bearer ${api_key}`,
+          'Authorization': `Bearer ${api_key || context.secret('OPENAI_API_KEY')}`,
           'Content-Type': 'application/json'
         }
       });
@@ -178,8 +209,9 @@ class OpenaiGenerateImage extends CopilotQuartoTool {
       };
       
     } catch (error) {
-      this.error(`Failed to generate image: ${error.message}`);
-      throw error;
+      const failure = fromHttpError(error, 'OpenAI');
+      this.error(`Failed to generate image: ${failure.message}`);
+      throw failure;
     }
   }
 }
@@ -190,39 +222,33 @@ class OpenaiGenerateImage extends CopilotQuartoTool {
 class QuartoGenerateCustomScss extends CopilotQuartoTool {
   constructor() {
     super('quarto_generate_custom_scss', 
-      'Write a custom.scss file that imports Google fonts and sets CSS variables for the theme.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.target_folder) {
-      errors.push('target_folder is required');
-    }
-    
-    if (!params.font_family) {
-      errors.push('font_family is required');
-    }
-    
-    if (!params.primary_color) {
-      errors.push('primary_color is required');
-    }
-    
-    if (!params.secondary_color) {
-      errors.push('secondary_color is required');
-    }
-    
-    if (!params.accent_color) {
-      errors.push('accent_color is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Write a custom.scss file that imports Google fonts and sets CSS variables for the theme.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            target_folder: { type: 'string', format: 'path' },
+            font_family: { type: 'string' },
+            primary_color: { type: 'string' },
+            secondary_color: { type: 'string' },
+            accent_color: { type: 'string' }
+          },
+          required: ['target_folder', 'font_family', 'primary_color', 'secondary_color', 'accent_color']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            scss_path: { type: 'string' },
+            theme: { type: 'object' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { target_folder, font_family, primary_color, secondary_color, accent_color } = params;
     
     this.log(`Generating custom SCSS for ${target_folder}`);
@@ -1,8 +1,34 @@
 const { CopilotQuartoTool } = require('../core');
-const fs = require('fs-extra');
+const { ExecutionContext } = require('../execution-context');
+const { FileNotFoundError, ValidationError } = require('../errors');
+const { YamlPatch } = require('../yaml-patch');
+const {
+  INSERTION_PARAMETERS,
+  formatCell,
+  formatAttributes,
+  formatCellOptions,
+  parseCellOptions,
+  insertIntoQmd,
+  readQmdFile
+} = require('../qmd');
 const path = require('path');
-const { execSync } = require('child_process');
-const yaml = require('yaml');
+
+/**
+ * Make `format.html` a mapping that can take options, keeping a
+ * `format: html` or `html: default` shorthand's meaning
+ * @param {YamlPatch} patch - Patch of _quarto.yml
+ */
+function ensureHtmlFormat(patch) {
+  const format = patch.get(['format']);
+  if (typeof format === 'string') {
+    patch.set(['format'], format === 'html' ? { html: {} } : { [format]: 'default', html: {} });
+    return;
+  }
+  const html = patch.get(['format', 'html']);
+  if (html === undefined || html === null || typeof html === 'string') {
+    patch.set(['format', 'html'], {});
+  }
+}
 
 /**
  * Tool to configure _quarto.yml site settings
@@ -10,27 +36,35 @@ const yaml = require('yaml');
 class QuartoConfigureSiteYml extends CopilotQuartoTool {
   constructor() {
     super('quarto_configure_site_yml', 
-      'Edit _quarto.yml to set project type, nav-bar, theme, output dir, etc.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.quarto_yml_path) {
-      errors.push('quarto_yml_path is required');
-    }
-    
-    if (!params.project_type) {
-      errors.push('project_type is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Edit _quarto.yml to set project type, nav-bar, theme, output dir, etc.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            quarto_yml_path: { type: 'string', format: 'path', description: 'Path to _quarto.yml.' },
+            project_type: { type: 'string', description: '`website`, `book`, etc.' },
+            output_dir: { type: 'string', description: 'Folder for rendered site.', default: '_site' },
+            navigation_type: { type: 'string', description: '`sidebar` or `navbar`.' },
+            pages_list: { type: 'array', items: { type: 'string' }, description: 'Ordered list of .qmd files.' },
+            theme_config: { type: 'string', description: 'Theme name or array `[cosmo, custom.scss]`.' }
+          },
+          required: ['quarto_yml_path', 'project_type']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            config: { type: 'object' },
+            changes: { type: 'array', items: { type: 'object' } },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { 
       quarto_yml_path, 
       project_type, 
@@ -42,75 +76,56 @@ class QuartoConfigureSiteYml extends CopilotQuartoTool {
     
     this.log(`Configuring Quarto site: ${quarto_yml_path}`);
     
-    let config = {};
-    
-    // Load existing config if it exists
-    if (fs.existsSync(quarto_yml_path)) {
-      const content = fs.readFileSync(quarto_yml_path, 'utf8');
-      config = yaml.parse(content) || {};
-    }
+    // Edit the existing file in place so comments and key order survive
+    const patch = new YamlPatch(fs.existsSync(quarto_yml_path) ? fs.readFileSync(quarto_yml_path, 'utf8') : '', {
+      name: quarto_yml_path
+    });
     
     // Set project type
-    config.project = config.project || {};
-    config.project.type = project_type;
-    config.project['output-dir'] = output_dir;
+    patch.set(['project', 'type'], project_type);
+    patch.set(['project', 'output-dir'], output_dir);
     
     // Configure website settings if project type is website
-    if (project_type === 'website') {
-      config.website = config.website || {};
-      
-      if (navigation_type) {
-        if (navigation_type === 'navbar') {
-          config.website.navbar = config.website.navbar || {};
-          if (pages_list && pages_list.length > 0) {
-            config.website.navbar.left = pages_list.map(page => ({
-              href: page,
-              text: this.getPageTitle(page)
-            }));
-          }
-        } else if (navigation_type === 'sidebar') {
-          config.website.sidebar = config.website.sidebar || {};
-          if (pages_list && pages_list.length > 0) {
-            config.website.sidebar.contents = pages_list;
-          }
-        }
+    if (project_type === 'website' && navigation_type && pages_list && pages_list.length > 0) {
+      if (navigation_type === 'navbar') {
+        patch.set(['website', 'navbar', 'left'], pages_list.map(page => ({
+          href: page,
+          text: this.getPageTitle(page)
+        })));
+      } else if (navigation_type === 'sidebar') {
+        patch.set(['website', 'sidebar', 'contents'], pages_list);
       }
     }
     
-    // Configure format and theme
-    config.format = config.format || {};
-    config.format.html = config.format.html || {};
-    
+    // Configure theme
     if (theme_config) {
-      try {
-        // Handle theme_config as string or array
-        if (theme_config.startsWith('[') && theme_config.endsWith(']')) {
-          // Parse as array
-          const themeArray = JSON.parse(theme_config);
-          config.format.html.theme = themeArray;
-        } else {
-          config.format.html.theme = theme_config;
+      let theme = theme_config;
+      // Handle theme_config as string or array
+      if (theme_config.startsWith('[') && theme_config.endsWith(']')) {
+        try {
+          theme = JSON.parse(theme_config);
+        } catch (error) {
+          // Fallback to string
         }
-      } catch (error) {
-        // Fallback to string
-        config.format.html.theme = theme_config;
       }
+      ensureHtmlFormat(patch);
+      patch.set(['format', 'html', 'theme'], theme);
     }
     
     // Ensure directory exists
     fs.ensureDirSync(path.dirname(quarto_yml_path));
     
     // Write configuration
-    const yamlContent = yaml.stringify(config);
-    fs.writeFileSync(quarto_yml_path, yamlContent);
+    fs.writeFileSync(quarto_yml_path, patch.toString());
     
     this.success(`Quarto configuration updated: ${quarto_yml_path}`);
     
     return {
       success: true,
       file_path: quarto_yml_path,
-      config,
-      message: 'Quarto site configuration updated'
+      config: patch.toJS(),
+      changes: patch.changes,
+      message: patch.changes.length > 0 ? 'Quarto site configuration updated' : 'Quarto site configuration already up to date'
     };
   }
 
@@ -126,44 +141,51 @@ class QuartoConfigureSiteYml extends CopilotQuartoTool {
 class QuartoRenderLocal extends CopilotQuartoTool {
   constructor() {
     super('quarto_render_local', 
-      'Run `quarto render` on a file or whole project for local preview.');
-  }
-
-  validateParams(params) {
-    return { valid: true, errors: [] };
+      'Run `quarto render` on a file or whole project for local preview.', {
+        parameters: {
+          type: 'object',
+          properties: { qmd_file_path: { type: 'string', format: 'path', description: 'Leave empty to render whole project.' } }
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            preview_url: { type: ['string', 'null'] },
+            output: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { qmd_file_path } = params;
     
     this.log('Rendering Quarto project/file locally');
     
     try {
       // Check if quarto is available
-      execSync('quarto --version', { stdio: 'ignore' });
-      
-      let renderCommand = 'quarto render';
-      if (qmd_file_path) {
-        renderCommand += ` "${qmd_file_path}"`;
-      }
+      await context.exec('quarto', ['--version'], { readOnly: true, stream: false });
       
-      const output = execSync(renderCommand, { 
-        encoding: 'utf8',
+      const renderArgs = qmd_file_path ? ['render', qmd_file_path] : ['render'];
+      const { stdout: output } = await context.exec('quarto', renderArgs, {
         timeout: 300000 // 5 minutes timeout
       });
       
       this.success('Quarto project rendered successfully');
       
-      // Try to find the preview URL
+      // Try to find the preview URL; the server keeps running, so the
+      // command is expected to hit its timeout
       let previewUrl = null;
       try {
-        const previewOutput = execSync('quarto preview --no-browser --port 0', { 
-          encoding: 'utf8',
+        const preview = await context.exec('quarto', ['preview', '--no-browser', '--port', '0'], {
           timeout: 10000,
-          stdio: 'pipe'
+          check: false
         });
         
-        const urlMatch = previewOutput.match(/Browse at (https?:\/\/[^\s]+)/);
+        const urlMatch = `${preview.stdout}\n${preview.stderr}`.match(/Browse at (https?:\/\/[^\s]+)/);
         if (urlMatch) {
           previewUrl = urlMatch[1];
         }
@@ -181,10 +203,6 @@ class QuartoRenderLocal extends CopilotQuartoTool {
       };
       
     } catch (error) {
-      if (error.message.includes('quarto: command not found')) {
-        throw new Error('Quarto is not installed or not in PATH. Please install Quarto first.');
-      }
-      
       this.error(`Failed to render: ${error.message}`);
       throw error;
     }
@@ -197,23 +215,30 @@ class QuartoRenderLocal extends CopilotQuartoTool {
 class QuartoCreateGitignore extends CopilotQuartoTool {
   constructor() {
     super('quarto_create_gitignore', 
-      'Create or overwrite .gitignore with standard Quarto/R exclusions.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.target_folder) {
-      errors.push('target_folder is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Create or overwrite .gitignore with standard Quarto/R exclusions.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            target_folder: { type: 'string', format: 'path' },
+            gitignore_content: { type: 'string', description: 'Multi-line string; sensible default provided if empty.' }
+          },
+          required: ['target_folder']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            file_path: { type: 'string' },
+            content: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { target_folder, gitignore_content } = params;
     
     this.log(`Creating .gitignore in ${target_folder}`);
@@ -262,45 +287,49 @@ Thumbs.db`;
 class QuartoDefineOjsChunk extends CopilotQuartoTool {
   constructor() {
     super('quarto_define_ojs_chunk', 
-      'Insert an ObservableJS code chunk (```ojs) into the current .qmd.');
+      'Insert an ObservableJS code chunk (```ojs) into a .qmd, or return it.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            ojs_code_content: { type: 'string' },
+            chunk_options: {
+              type: ['object', 'string'],
+              description: 'Cell options, e.g. `{ "echo": false }` or `echo: false, output: false`'
+            },
+            ...INSERTION_PARAMETERS
+          },
+          required: ['ojs_code_content']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            chunk_content: { type: 'string' },
+            insertion: { type: ['object', 'null'] },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.ojs_code_content) {
-      errors.push('ojs_code_content is required');
-    }
+  async execute(params, context = new ExecutionContext()) {
+    const { ojs_code_content, chunk_options } = params;
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
-  }
+    const ojsChunk = formatCell('ojs', ojs_code_content, parseCellOptions(chunk_options));
+    const insertion = insertIntoQmd(context.fs, params, ojsChunk);
 
-  async execute(params) {
-    const { ojs_code_content, chunk_options } = params;
-    
-    this.log('Adding OJS chunk to current working QMD file');
-    
-    // Create the OJS chunk
-    let chunkHeader = '```{ojs}';
-    if (chunk_options) {
-      chunkHeader = `\`\`\`{ojs}\n#| ${chunk_options}`;
+    if (insertion) {
+      this.success(`OJS chunk added to ${insertion.file_path} at line ${insertion.line}`);
+    } else {
+      this.success('OJS chunk created');
     }
-    
-    const ojsChunk = `${chunkHeader}
-${ojs_code_content}
-\`\`\``;
-    
-    // For now, we'll return the chunk content - in a real implementation,
-    // this would append to the current QMD file being edited
-    this.success('OJS chunk created');
-    
+
     return {
       success: true,
       chunk_content: ojsChunk,
-      message: 'OJS chunk ready to be added to QMD file'
+      insertion,
+      message: insertion ? `OJS chunk added to ${insertion.file_path}` : 'OJS chunk ready to be added to a QMD file'
     };
   }
 }
@@ -311,66 +340,60 @@ ${ojs_code_content}
 class QuartoApplyScssTheme extends CopilotQuartoTool {
   constructor() {
     super('quarto_apply_scss_theme', 
-      'Append a custom SCSS file to the theme list in _quarto.yml.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.quarto_yml_path) {
-      errors.push('quarto_yml_path is required');
-    }
-    
-    if (!params.scss_file_path) {
-      errors.push('scss_file_path is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Append a custom SCSS file to the theme list in _quarto.yml.', {
+        parameters: {
+          type: 'object',
+          properties: { quarto_yml_path: { type: 'string', format: 'path' }, scss_file_path: { type: 'string' } },
+          required: ['quarto_yml_path', 'scss_file_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            quarto_yml_path: { type: 'string' },
+            scss_file_path: { type: 'string' },
+            theme_config: { type: ['string', 'array'] },
+            changes: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { quarto_yml_path, scss_file_path } = params;
     
     this.log(`Applying SCSS theme: ${scss_file_path}`);
     
     try {
       if (!await fs.pathExists(quarto_yml_path)) {
-        throw new Error(`Quarto YAML file not found: ${quarto_yml_path}`);
+        throw new FileNotFoundError(`Quarto YAML file not found: ${quarto_yml_path}`, {
+          hint: 'Create the project first or configure it with quarto_configure_site_yml.'
+        });
       }
 
       // Read the current configuration
       const content = await fs.readFile(quarto_yml_path, 'utf8');
-      const config = yaml.parse(content) || {};
-
-      // Ensure format.html exists
-      if (!config.format) config.format = {};
-      if (!config.format.html) config.format.html = {};
+      const patch = new YamlPatch(content, { name: quarto_yml_path });
 
       // Handle theme configuration
-      let currentTheme = config.format.html.theme;
+      ensureHtmlFormat(patch);
+      const currentTheme = patch.get(['format', 'html', 'theme']);
       
-      if (!currentTheme) {
-        // No theme set, create array with just the scss file
-        config.format.html.theme = [scss_file_path];
+      if (Array.isArray(currentTheme)) {
+        // Already an array, append if not already present
+        patch.append(['format', 'html', 'theme'], scss_file_path);
       } else if (typeof currentTheme === 'string') {
         // Single theme, convert to array and append scss
-        config.format.html.theme = [currentTheme, scss_file_path];
-      } else if (Array.isArray(currentTheme)) {
-        // Already an array, append if not already present
-        if (!currentTheme.includes(scss_file_path)) {
-          currentTheme.push(scss_file_path);
-        }
+        patch.set(['format', 'html', 'theme'], [currentTheme, scss_file_path]);
       } else {
-        // Object or other format, create new array
-        config.format.html.theme = [scss_file_path];
+        // No theme set, or an object (light/dark); create array with just the scss file
+        patch.set(['format', 'html', 'theme'], [scss_file_path]);
       }
 
       // Write back the configuration
-      const updatedContent = yaml.stringify(config);
-      await fs.writeFile(quarto_yml_path, updatedContent);
+      await fs.writeFile(quarto_yml_path, patch.toString());
 
       this.success(`SCSS theme applied: ${scss_file_path}`);
       
@@ -378,7 +401,8 @@ class QuartoApplyScssTheme extends CopilotQuartoTool {
         success: true,
         quarto_yml_path,
         scss_file_path,
-        theme_config: config.format.html.theme
+        theme_config: patch.get(['format', 'html', 'theme']),
+        changes: patch.changes
       };
     } catch (error) {
       this.error(`Failed to apply SCSS theme: ${error.message}`);
@@ -393,20 +417,31 @@ class QuartoApplyScssTheme extends CopilotQuartoTool {
 class QuartoConfigureChunkOutput extends CopilotQuartoTool {
   constructor() {
     super('quarto_configure_chunk_output', 
-      'Set echo/include for a code chunk.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.code_chunk_header) {
-      errors.push('code_chunk_header is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Set echo/include in a code chunk header string; see quarto_set_chunk_options to edit a file.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            code_chunk_header: { type: 'string' },
+            echo: { type: 'boolean' },
+            include: { type: 'boolean' }
+          },
+          required: ['code_chunk_header']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            original_header: { type: 'string' },
+            modified_header: { type: 'string' },
+            language: { type: 'string' },
+            echo: { type: 'boolean' },
+            include: { type: 'boolean' },
+            all_options: { type: 'array', items: { type: 'string' } },
+            hashpipe_options: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -459,7 +494,8 @@ class QuartoConfigureChunkOutput extends CopilotQuartoTool {
         language,
         echo,
         include,
-        all_options: newOptions
+        all_options: newOptions,
+        hashpipe_options: formatCellOptions(language, { echo, include }).join('\n')
       };
     } catch (error) {
       this.error(`Failed to configure chunk output: ${error.message}`);
@@ -474,24 +510,26 @@ class QuartoConfigureChunkOutput extends CopilotQuartoTool {
 class QuartoNameCodeChunk extends CopilotQuartoTool {
   constructor() {
     super('quarto_name_code_chunk', 
-      'Give a chunk a readable name for logs and cross-references.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.code_chunk_header) {
-      errors.push('code_chunk_header is required');
-    }
-    
-    if (!params.chunk_name) {
-      errors.push('chunk_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Give a chunk header string a readable name for logs and cross-references.', {
+        parameters: {
+          type: 'object',
+          properties: { code_chunk_header: { type: 'string' }, chunk_name: { type: 'string' } },
+          required: ['code_chunk_header', 'chunk_name']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            original_header: { type: 'string' },
+            modified_header: { type: 'string' },
+            chunk_name: { type: 'string' },
+            language: { type: 'string' },
+            existing_options: { type: 'array', items: { type: 'string' } },
+            hashpipe_options: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -526,7 +564,8 @@ class QuartoNameCodeChunk extends CopilotQuartoTool {
         modified_header: finalHeader,
         chunk_name: cleanName,
         language,
-        existing_options: existingOptions
+        existing_options: existingOptions,
+        hashpipe_options: formatCellOptions(language, { label: cleanName }).join('\n')
       };
     } catch (error) {
       this.error(`Failed to name code chunk: ${error.message}`);
@@ -536,40 +575,429 @@ class QuartoNameCodeChunk extends CopilotQuartoTool {
 }
 
 /**
- * Tool to generate RevealJS slides
+ * Normalise option names to Quarto's dashed form (`fig.cap` -> `fig-cap`)
+ * @param {Object} options
+ * @returns {Object}
  */
-class QuartoGenerateRevealJsSlides extends CopilotQuartoTool {
+function dashedOptions(options) {
+  return Object.fromEntries(Object.entries(options).map(([key, value]) => [key.replace(/\./g, '-'), value]));
+}
+
+/**
+ * .qmd and .Rmd files below a directory, skipping hidden, dependency and output directories
+ * @param {VirtualFileSystem} vfs - `context.fs`, so files a dry run created are found too
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function findQmdFiles(vfs, dir) {
+  const skip = new Set(['node_modules', 'renv', '_site', '_freeze']);
+  return vfs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && !skip.has(entry.name))
+    .flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return findQmdFiles(vfs, entryPath);
+      }
+      return /\.(qmd|rmd)$/i.test(entry.name) ? [entryPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Tool to set execution options on a chunk in a .qmd file
+ */
+class QuartoSetChunkOptions extends CopilotQuartoTool {
   constructor() {
-    super('quarto_generate_revealjs_slides', 
-      'Create a starter slides.qmd ready for RevealJS with your theme, title slide background image, and highlight style.');
+    super('quarto_set_chunk_options',
+      'Set or remove execution options (echo, include, eval, warning, fig-cap, output, cache, ...) ' +
+      'on a chunk in a .qmd, found by label or number, as `#|` comments.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            qmd_file_path: { type: 'string', format: 'path' },
+            chunk: { type: ['string', 'integer'], description: 'Chunk label, or its 1-based number among the executable chunks.' },
+            options: {
+              type: 'object',
+              additionalProperties: true,
+              description: 'Options to set, e.g. `{ "echo": false, "fig-cap": "Sales" }`'
+            },
+            remove_options: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['qmd_file_path', 'chunk']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            qmd_file_path: { type: 'string' },
+            label: { type: ['string', 'null'] },
+            line: { type: 'number' },
+            options: { type: 'object' },
+            changes: { type: 'array', items: { type: 'object' } },
+            migrated: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['success']
+        }
+      });
+  }
+
+  validateParams(params) {
+    const empty = Object.keys(params.options || {}).length === 0 && (params.remove_options || []).length === 0;
+    return empty ?
+      { valid: false, errors: [{ field: 'options', message: 'set options or remove_options, or both' }] } :
+      { valid: true, errors: [] };
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { qmd_file_path, chunk, options = {}, remove_options = [] } = params;
+
+    this.log(`Setting options on chunk ${chunk} in ${qmd_file_path}`);
+
+    const document = readQmdFile(context.fs, qmd_file_path);
+    const cell = document.resolveCell(chunk);
+    // Knitr header options would be shadowed by the new `#|` lines
+    const migration = cell.migrateHeaderOptions();
+
+    const changes = [];
+    for (const [key, value] of Object.entries(dashedOptions(options))) {
+      const from = cell.options[key];
+      if (from !== undefined && JSON.stringify(from) === JSON.stringify(value)) {
+        continue;
+      }
+      cell.setOption(key, value);
+      changes.push({ op: from === undefined ? 'add' : 'replace', key, ...(from === undefined ? {} : { from }), value });
+    }
+    for (const key of remove_options.map(name => name.replace(/\./g, '-'))) {
+      if (cell.options[key] !== undefined) {
+        changes.push({ op: 'remove', key, from: cell.options[key] });
+        cell.setOption(key, undefined);
+      }
+    }
+
+    if (changes.length > 0 || migration) {
+      context.fs.writeFileSync(qmd_file_path, document.toString());
+    }
+    this.success(changes.length > 0 ?
+      `Updated ${changes.length} option(s) on chunk ${cell.label || chunk}` :
+      `Chunk ${cell.label || chunk} already has these options`);
+
+    return {
+      success: true,
+      qmd_file_path,
+      label: cell.label,
+      line: document.lineOf(cell),
+      options: { ...cell.options },
+      changes,
+      migrated: migration ? migration.moved : []
+    };
+  }
+}
+
+/**
+ * Tool to convert knitr-style chunk header options to `#|` comments
+ */
+class QuartoMigrateChunkOptions extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_migrate_chunk_options',
+      'Convert knitr-style chunk options (```{r plot, echo=FALSE}) in every .qmd and .Rmd of a project ' +
+      'to `#|` comment options.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            project_dir: { type: 'string', format: 'path' },
+            files: {
+              type: 'array',
+              items: { type: 'string', format: 'path' },
+              description: 'Only these files instead of every .qmd and .Rmd under project_dir.'
+            }
+          },
+          required: ['project_dir']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            files_changed: { type: 'array', items: { type: 'string' } },
+            chunks_migrated: { type: 'number' },
+            conflicts: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['success']
+        }
+      });
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { project_dir, files } = params;
+
+    if (!files && !context.fs.existsSync(project_dir)) {
+      throw new FileNotFoundError(`Project directory not found: ${project_dir}`, {
+        details: { path: project_dir }
+      });
+    }
+    const targets = files || findQmdFiles(context.fs, project_dir);
+    this.log(`Migrating chunk options in ${targets.length} file(s)`);
+
+    const filesChanged = [];
+    const conflicts = [];
+    let chunksMigrated = 0;
+    for (const filePath of targets) {
+      const document = readQmdFile(context.fs, filePath);
+      let migrated = 0;
+      for (const cell of document.cells()) {
+        const migration = cell.migrateHeaderOptions();
+        if (!migration) {
+          continue;
+        }
+        migrated++;
+        if (migration.conflicts.length > 0) {
+          conflicts.push({ file_path: filePath, line: cell.line, options: migration.conflicts });
+        }
+      }
+      if (migrated > 0) {
+        context.fs.writeFileSync(filePath, document.toString());
+        filesChanged.push(filePath);
+        chunksMigrated += migrated;
+      }
+    }
+
+    conflicts.forEach(conflict => this.log(
+      `${conflict.file_path}:${conflict.line}: kept the #| value of ${conflict.options.join(', ')} over the chunk header`
+    ));
+    this.success(`Migrated ${chunksMigrated} chunk(s) in ${filesChanged.length} file(s)`);
+
+    return {
+      success: true,
+      files_changed: filesChanged,
+      chunks_migrated: chunksMigrated,
+      conflicts
+    };
+  }
+}
+
+// Quarto's column classes, without the `column-` prefix
+const PANEL_COLUMNS = ['body', 'body-outset', 'page', 'page-inset', 'screen', 'screen-inset', 'margin'];
+
+/**
+ * Heading level for panel titles at a block index: one below the section
+ * the index is in
+ * @param {QmdDocument} document
+ * @param {number} index
+ * @returns {number}
+ */
+function panelHeadingLevel(document, index) {
+  const heading = document.blocks.slice(0, index).reverse().find(block => block.type === 'heading');
+  return heading ? Math.min(heading.level + 1, 6) : 2;
+}
+
+/**
+ * Markdown for a tabset, a layout grid or column placements
+ * @param {string} layout - `tabset`, `grid` or `columns`
+ * @param {Array<{title?: string, column?: string, body: string}>} panels
+ * @param {Object} options
+ * @param {number} options.level - Heading level of panel titles
+ * @param {number} [options.ncol]
+ * @param {Array<Array<number>>} [options.grid]
+ * @returns {string}
+ */
+function formatPanelLayout(layout, panels, { level, ncol, grid }) {
+  const titled = panel => (panel.title ? `${'#'.repeat(level)} ${panel.title}\n\n${panel.body}` : panel.body);
+
+  switch (layout) {
+  case 'tabset':
+    return `::: {.panel-tabset}\n${panels.map(titled).join('\n\n')}\n:::\n`;
+  case 'grid': {
+    const attributes = grid ? { layout: JSON.stringify(grid) } : { 'layout-ncol': ncol || panels.length };
+    // Each top-level block is a cell of the grid, so panels of several blocks are grouped in a div
+    const cells = panels.map(panel =>
+      (!panel.title && /\n[ \t]*\n/.test(panel.body) ? `::: {}\n${panel.body}\n:::` : titled(panel)));
+    return `::: ${formatAttributes({ attributes })}\n${cells.join('\n\n')}\n:::\n`;
+  }
+  default:
+    return `${panels.map(panel => {
+      const column = panel.column || 'margin';
+      return column === 'body' ? titled(panel) : `::: ${formatAttributes({ classes: [`column-${column}`] })}\n${titled(panel)}\n:::`;
+    }).join('\n\n')}\n`;
+  }
+}
+
+/**
+ * Tool to lay out content and chunks as tabsets, grids or margin columns
+ */
+class QuartoCreatePanelLayout extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_create_panel_layout',
+      'Generate a `.panel-tabset`, a `layout` figure grid or margin/page column placements from a list of panels, ' +
+      'optionally moving existing labelled chunks of the target .qmd into them.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            layout: {
+              type: 'string',
+              enum: ['tabset', 'grid', 'columns'],
+              description: '`tabset` (one tab per panel), `grid` (a `layout` div) or `columns` (`.column-*` divs).'
+            },
+            panels: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string', description: 'Tab title, or a heading above the panel.' },
+                  content: { type: 'string', description: 'Markdown, including new code cells.' },
+                  chunks: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Labels (or 1-based numbers) of chunks in target_qmd to move into the panel.'
+                  },
+                  column: { type: 'string', enum: PANEL_COLUMNS, description: 'For `columns`: where the panel goes (default: margin).' }
+                }
+              }
+            },
+            ncol: { type: 'integer', minimum: 1, description: 'For `grid`: panels per row (default: all in one row).' },
+            grid: {
+              type: 'array',
+              items: { type: 'array', items: { type: 'number' } },
+              description: 'For `grid`: relative widths per row, e.g. `[[1,1],[1]]`; negative widths are spacers.'
+            },
+            heading_level: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 6,
+              description: 'Level of panel title headings (default: one below the enclosing section).'
+            },
+            ...INSERTION_PARAMETERS
+          },
+          required: ['layout', 'panels']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            layout: { type: 'string' },
+            markdown: { type: 'string' },
+            moved: { type: 'array', items: { type: 'object' } },
+            insertion: { type: ['object', 'null'] },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   validateParams(params) {
     const errors = [];
-    
-    if (!params.target_folder) {
-      errors.push('target_folder is required');
+    if (params.panels.length === 0) {
+      errors.push({ field: 'panels', message: 'must list at least one panel' });
     }
-    
-    if (!params.title) {
-      errors.push('title is required');
+    params.panels.forEach((panel, index) => {
+      if (!panel.content && (panel.chunks || []).length === 0) {
+        errors.push({ field: `panels[${index}]`, message: 'needs content or chunks' });
+      }
+      if (params.layout === 'tabset' && !panel.title) {
+        errors.push({ field: `panels[${index}].title`, message: 'is required for a tab' });
+      }
+      if ((panel.chunks || []).length > 0 && !params.target_qmd) {
+        errors.push({ field: `panels[${index}].chunks`, message: 'can only be moved within target_qmd' });
+      }
+    });
+    if (params.grid) {
+      if (params.layout !== 'grid' || params.ncol) {
+        errors.push({ field: 'grid', message: 'is only used by the grid layout, instead of ncol' });
+      }
+      const cells = params.grid.flat().filter(width => width > 0).length;
+      if (cells !== params.panels.length) {
+        errors.push({ field: 'grid', message: `has ${cells} cell(s) for ${params.panels.length} panel(s)` });
+      }
     }
-    
-    if (!params.author) {
-      errors.push('author is required');
+    return { valid: errors.length === 0, errors };
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { layout, panels, ncol, grid, heading_level, target_qmd, anchor } = params;
+    const position = params.position || 'end';
+
+    const document = target_qmd ? readQmdFile(context.fs, target_qmd) : null;
+    const cells = document ? panels.map(panel => (panel.chunks || []).map(ref => document.resolveCell(ref))) : [];
+    const duplicates = cells.flat().filter((cell, index, all) => all.indexOf(cell) !== index);
+    if (duplicates.length > 0) {
+      throw new ValidationError(`Chunk ${duplicates[0].label} is in more than one panel`, [
+        { field: 'panels', message: 'each chunk can be moved into one panel' }
+      ]);
     }
-    
-    if (!params.theme_file) {
-      errors.push('theme_file is required');
+
+    const target = document ? document.locate(position, anchor) : null;
+    const level = heading_level || (document ? panelHeadingLevel(document, target.index) : 2);
+    const markdown = formatPanelLayout(layout, panels.map((panel, index) => ({
+      ...panel,
+      body: [panel.content, ...(cells[index] || []).map(String)]
+        .filter(Boolean).map(text => text.trim()).join('\n\n')
+    })), { level, ncol, grid });
+
+    let moved = [];
+    let insertion = null;
+    if (document) {
+      moved = cells.flat().map(cell => ({ label: cell.label, from_line: document.lineOf(cell) }));
+      const replaced = document.remove(target.index, target.replace);
+      const [first] = document.insertMarkdown(target.index, markdown);
+      cells.flat().filter(cell => !replaced.includes(cell)).forEach(cell => document.extract(cell));
+      context.fs.writeFileSync(target_qmd, document.toString());
+      insertion = { file_path: target_qmd, position, anchor: anchor || null, line: document.lineOf(first) };
+      this.success(`${layout} with ${panels.length} panel(s) added to ${target_qmd} at line ${insertion.line}`);
+    } else {
+      this.success(`${layout} with ${panels.length} panel(s) created`);
     }
 
     return {
-      valid: errors.length === 0,
-      errors
+      success: true,
+      layout,
+      markdown,
+      moved,
+      insertion,
+      message: insertion ?
+        `${moved.length} chunk(s) moved into a ${layout} in ${target_qmd}` :
+        `${layout} ready to be added to a QMD file`
     };
   }
+}
 
-  async execute(params) {
+/**
+ * Tool to generate RevealJS slides
+ */
+class QuartoGenerateRevealJsSlides extends CopilotQuartoTool {
+  constructor() {
+    super('quarto_generate_revealjs_slides', 
+      'Create a starter slides.qmd ready for RevealJS with your theme, title slide background image, and highlight style.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            target_folder: { type: 'string', format: 'path' },
+            title: { type: 'string' },
+            author: { type: 'string' },
+            theme_file: { type: 'string' },
+            highlight_style: { type: 'string', default: 'atom-one' },
+            title_slide_background_image: { type: 'string' }
+          },
+          required: ['target_folder', 'title', 'author', 'theme_file']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            slides_path: { type: 'string' },
+            css_path: { type: 'string' },
+            title: { type: 'string' },
+            author: { type: 'string' },
+            theme_file: { type: 'string' },
+            highlight_style: { type: 'string' },
+            background_image: { type: ['string', 'null'] },
+            render_command: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
+  }
+
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { 
       target_folder, 
       title, 
@@ -700,5 +1128,8 @@ module.exports = {
   QuartoApplyScssTheme,
   QuartoConfigureChunkOutput,
   QuartoNameCodeChunk,
+  QuartoSetChunkOptions,
+  QuartoMigrateChunkOptions,
+  QuartoCreatePanelLayout,
   QuartoGenerateRevealJsSlides
 };
\ No newline at end of file
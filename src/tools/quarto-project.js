@@ -1,7 +1,7 @@
 const { CopilotQuartoTool } = require('../core');
-const fs = require('fs-extra');
+const { ExecutionContext } = require('../execution-context');
+const { FileConflictError } = require('../errors');
 const path = require('path');
-const { execSync } = require('child_process');
 
 /**
  * Tool to create a new Quarto project with renv and git initialization
@@ -9,31 +9,33 @@ const { execSync } = require('child_process');
 class QuartoCreateProjectWithRenvAndGit extends CopilotQuartoTool {
   constructor() {
     super('quarto_create_project_with_renv_and_git', 
-      'Scaffold a new Quarto project folder, initialise renv, git, and a GitHub-ready README.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.project_directory_name) {
-      errors.push('project_directory_name is required');
-    }
-    
-    if (typeof params.create_git_repo !== 'boolean') {
-      errors.push('create_git_repo must be a boolean');
-    }
-    
-    if (typeof params.use_renv !== 'boolean') {
-      errors.push('use_renv must be a boolean');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Scaffold a new Quarto project folder, initialise renv, git, and a GitHub-ready README.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            project_directory_name: {
+              type: 'string', format: 'path',
+              description: 'Name of the new folder (becomes repo name and part of GitHub-Pages URL).'
+            },
+            create_git_repo: { type: 'boolean', description: 'Run `git init` inside the folder.' },
+            use_renv: { type: 'boolean', description: 'Run `renv::init()` to snapshot R packages.' }
+          },
+          required: ['project_directory_name', 'create_git_repo', 'use_renv']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            project_path: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { project_directory_name, create_git_repo, use_renv } = params;
     
     this.log(`Creating Quarto project: ${project_directory_name}`);
@@ -42,19 +44,21 @@ class QuartoCreateProjectWithRenvAndGit extends CopilotQuartoTool {
     const projectPath = path.resolve(project_directory_name);
     
     if (fs.existsSync(projectPath)) {
-      throw new Error(`Directory '${project_directory_name}' already exists`);
+      throw new FileConflictError(`Directory '${project_directory_name}' already exists`, {
+        hint: 'Choose a different project_directory_name or remove the existing folder.'
+      });
     }
     
     fs.ensureDirSync(projectPath);
     
     try {
       // Create basic Quarto project structure
-      await this.createQuartoProject(projectPath);
+      await this.createQuartoProject(projectPath, context);
       
       // Initialize git if requested
       if (create_git_repo) {
         this.log('Initializing git repository');
-        execSync('git init', { cwd: projectPath, stdio: 'inherit' });
+        await context.exec('git', ['init'], { cwd: projectPath });
         
         // Create .gitignore
         const gitignoreContent = `
@@ -77,11 +81,11 @@ node_modules/
       // Initialize renv if requested
       if (use_renv) {
         this.log('Initializing renv');
-        await this.initializeRenv(projectPath);
+        await this.initializeRenv(projectPath, context);
       }
       
       // Create README
-      await this.createREADME(projectPath, project_directory_name);
+      await this.createREADME(projectPath, project_directory_name, context);
       
       this.success(`Project '${project_directory_name}' created successfully`);
       
@@ -98,7 +102,7 @@ node_modules/
     }
   }
 
-  async createQuartoProject(projectPath) {
+  async createQuartoProject(projectPath, { fs }) {
     // Create _quarto.yml
     const quartoConfig = {
       project: {
@@ -152,10 +156,10 @@ This is a Quarto project.
     fs.writeFileSync(path.join(projectPath, 'styles.css'), stylesContent);
   }
 
-  async initializeRenv(projectPath) {
+  async initializeRenv(projectPath, context) {
     try {
       // Check if R is available
-      execSync('R --version', { stdio: 'ignore' });
+      await context.exec('R', ['--version'], { readOnly: true, stream: false });
       
       // Initialize renv
       const rScript = `
@@ -165,17 +169,7 @@ This is a Quarto project.
         renv::init(restart = FALSE)
       `;
       
-      const tempScript = path.join(projectPath, '.temp_renv_init.R');
-      fs.writeFileSync(tempScript, rScript);
-      
-      try {
-        execSync(`R --slave --no-restore --file=${tempScript}`, { 
-          cwd: projectPath, 
-          stdio: 'inherit' 
-        });
-      } finally {
-        fs.removeSync(tempScript);
-      }
+      await context.exec('R', ['--slave', '--no-restore', '-e', rScript], { cwd: projectPath });
       
     } catch (error) {
       this.error('Failed to initialize renv. Make sure R is installed and available.');
@@ -183,7 +177,7 @@ This is a Quarto project.
     }
   }
 
-  async createREADME(projectPath, projectName) {
+  async createREADME(projectPath, projectName, { fs }) {
     const readmeContent = `# ${projectName}
 
 A Quarto project created with copilot-quarto.
@@ -1,43 +1,56 @@
 const { CopilotQuartoTool } = require('../core');
-const { execSync } = require('child_process');
-const fs = require('fs-extra');
+const { ExecutionContext } = require('../execution-context');
+const { INSERTION_PARAMETERS, formatCell, parseCellOptions, insertIntoQmd } = require('../qmd');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const axios = require('axios');
 
+/**
+ * Unguessable path in the temp directory, so runs never share or overwrite
+ * each other's files and other local users cannot predict the name
+ * @param {string} prefix
+ * @param {string} extension
+ * @returns {string}
+ */
+function privateTempFile(prefix, extension) {
+  return path.join(os.tmpdir(), `${prefix}-${crypto.randomBytes(12).toString('hex')}${extension}`);
+}
+
 /**
  * Tool to store local secrets in .Renviron file
  */
 class RStoreLocalSecretsRenviron extends CopilotQuartoTool {
   constructor() {
     super('r_store_local_secrets_renviron', 
-      'Append a key=value line to .Renviron (auto-restarts R session).');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.variable_name) {
-      errors.push('variable_name is required');
-    }
-    
-    if (!params.variable_value) {
-      errors.push('variable_value is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Append a key=value line to .Renviron (auto-restarts R session).', {
+        parameters: {
+          type: 'object',
+          properties: { variable_name: { type: 'string' }, variable_value: { type: 'string', writeOnly: true } },
+          required: ['variable_name', 'variable_value']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            variable_name: { type: 'string' },
+            renviron_path: { type: 'string' },
+            restart_needed: { type: 'boolean' },
+            restart_instructions: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { variable_name, variable_value } = params;
     
     this.log(`Adding ${variable_name} to .Renviron`);
     
     try {
-      const renvironPath = path.join(process.cwd(), '.Renviron');
+      const renvironPath = path.join(context.workspace ? context.workspace.root : process.cwd(), '.Renviron');
       
       // Read existing .Renviron if it exists
       let content = '';
@@ -98,20 +111,25 @@ class RStoreLocalSecretsRenviron extends CopilotQuartoTool {
 class RGetEnvironmentVariable extends CopilotQuartoTool {
   constructor() {
     super('r_get_environment_variable', 
-      'Wrapper around `Sys.getenv()` to fetch secrets locally or inside GitHub Actions.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.variable_name) {
-      errors.push('variable_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Wrapper around `Sys.getenv()` to fetch secrets locally or inside GitHub Actions.', {
+        parameters: {
+          type: 'object',
+          properties: { variable_name: { type: 'string' } },
+          required: ['variable_name']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            variable_name: { type: 'string' },
+            r_code: { type: 'string' },
+            current_value_set: { type: 'boolean' },
+            usage_example: { type: 'string' },
+            safe_usage: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -164,43 +182,48 @@ print(paste("Variable", "${variable_name}", "is",
 class ROjsDefineData extends CopilotQuartoTool {
   constructor() {
     super('r_ojs_define_data', 
-      'Send an R data-frame to ObservableJS land via `ojs_define()`.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.r_data_frame) {
-      errors.push('r_data_frame is required');
-    }
-    
-    if (!params.ojs_variable_name) {
-      errors.push('ojs_variable_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Send an R data-frame to ObservableJS land via `ojs_define()`.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            r_data_frame: { type: 'string', description: 'Variable name of the data frame.' },
+            ojs_variable_name: { type: 'string' },
+            chunk_options: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Cell options such as `echo: false` or knitr style `echo=FALSE` (default: echo false).'
+            },
+            ...INSERTION_PARAMETERS
+          },
+          required: ['r_data_frame', 'ojs_variable_name']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            r_data_frame: { type: 'string' },
+            ojs_variable_name: { type: 'string' },
+            r_chunk: { type: 'string' },
+            ojs_usage_example: { type: 'string' },
+            data_flow: { type: 'string' },
+            insertion: { type: ['object', 'null'] }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { r_data_frame, ojs_variable_name, chunk_options = [] } = params;
     
     this.log(`Defining OJS data from R data frame: ${r_data_frame}`);
     
     try {
       // Generate the R code chunk with ojs_define
-      const chunkOptionsStr = chunk_options.length > 0 ? 
-        chunk_options.join(', ') : 'echo=FALSE';
-      
-      const rChunk = `
-\`\`\`{r ${chunkOptionsStr}}
-# Send R data to ObservableJS
+      const options = chunk_options.length > 0 ? parseCellOptions(chunk_options) : { echo: false };
+      const rChunk = formatCell('r', `# Send R data to ObservableJS
 library(quarto)
-ojs_define(${ojs_variable_name} = ${r_data_frame})
-\`\`\`
-`;
+ojs_define(${ojs_variable_name} = ${r_data_frame})`, options);
 
       // Generate example OJS usage
       const ojsUsageExample = `
@@ -213,6 +236,8 @@ Inputs.table(${ojs_variable_name})
 \`\`\`
 `;
 
+      const insertion = insertIntoQmd(context.fs, params, rChunk);
+
       this.success(`Generated ojs_define code for ${ojs_variable_name}`);
       
       return {
@@ -221,7 +246,8 @@ Inputs.table(${ojs_variable_name})
         ojs_variable_name,
         r_chunk: rChunk,
         ojs_usage_example: ojsUsageExample,
-        data_flow: `R (${r_data_frame}) → OJS (${ojs_variable_name})`
+        data_flow: `R (${r_data_frame}) → OJS (${ojs_variable_name})`,
+        insertion
       };
     } catch (error) {
       this.error(`Failed to generate ojs_define code: ${error.message}`);
@@ -236,43 +262,45 @@ Inputs.table(${ojs_variable_name})
 class RPackageHttr2ApiAccess extends CopilotQuartoTool {
   constructor() {
     super('r_package_httr2_api_access', 
-      'Generic httr2 helper: build url, add bearer token, POST JSON, return parsed response.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.api_endpoint) {
-      errors.push('api_endpoint is required');
-    }
-    
-    if (!params.request_path_append) {
-      errors.push('request_path_append is required');
-    }
-    
-    if (!params.authentication_token) {
-      errors.push('authentication_token is required');
-    }
-    
-    if (!params.body_json) {
-      errors.push('body_json is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Generic httr2 helper: build url, add bearer token, POST JSON, return parsed response.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            api_endpoint: { type: 'string', description: 'Base URL, e.g. https://api.openai.com/v1' },
+            request_path_append: { type: 'string', description: 'Resource path, e.g. /chat/completions' },
+            authentication_token: { type: 'string', writeOnly: true },
+            body_json: { type: 'object' }
+          },
+          required: ['api_endpoint', 'request_path_append', 'authentication_token', 'body_json']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            api_endpoint: { type: 'string' },
+            request_path: { type: 'string' },
+            full_url: { type: 'string' },
+            r_code: { type: 'string' },
+            temp_token_file: { type: 'string' },
+            temp_json_file: { type: 'string' },
+            security_note: { type: 'string' },
+            usage_note: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { api_endpoint, request_path_append, authentication_token, body_json } = params;
     
     this.log(`Generating httr2 API call to: ${api_endpoint}${request_path_append}`);
     
     try {
       // Create temporary files for secure handling of sensitive data
-      const tempTokenFile = path.join(os.tmpdir(), 'copilot_api_token.txt');
-      const tempJsonFile = path.join(os.tmpdir(), 'copilot_api_body.json');
+      const tempTokenFile = privateTempFile('copilot_api_token', '.txt');
+      const tempJsonFile = privateTempFile('copilot_api_body', '.json');
       
       // Write token and JSON data to temporary files with restricted permissions
       await fs.writeFile(tempTokenFile, authentication_token, { mode: 0o600 });
@@ -310,10 +338,11 @@ api_call <- function(endpoint, path, token, body_data) {
 # Securely read authentication token from environment variable or file
 auth_token <- Sys.getenv("COPILOT_API_TOKEN")
 if (auth_token == "") {
-  # Fallback: read from temporary file if available
-  temp_token_file <- file.path(tempdir(), "copilot_api_token.txt")
+  # Fallback: read (and then delete) the temporary file written for this call
+  temp_token_file <- ${JSON.stringify(tempTokenFile)}
   if (file.exists(temp_token_file)) {
     auth_token <- trimws(readLines(temp_token_file, warn = FALSE)[1])
+    unlink(temp_token_file)
   } else {
     stop("No authentication token provided via environment variable or temporary file")
   }
@@ -327,7 +356,7 @@ if (body_env_var != "") {
   body_json_data <- fromJSON(body_env_var, simplifyVector = FALSE)
 } else {
   # Fallback: read from temporary file if available
-  temp_json_file <- file.path(tempdir(), "copilot_api_body.json")
+  temp_json_file <- ${JSON.stringify(tempJsonFile)}
   if (file.exists(temp_json_file)) {
     body_json_data <- fromJSON(temp_json_file, simplifyVector = FALSE)
   } else {
@@ -373,20 +402,25 @@ str(result)
 class RPackageGtCreateTable extends CopilotQuartoTool {
   constructor() {
     super('r_package_gt_create_table', 
-      'Create a gt table object with optional styling list.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.data_frame) {
-      errors.push('data_frame is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Create a gt table object with optional styling list.', {
+        parameters: {
+          type: 'object',
+          properties: { data_frame: { type: 'string' }, gt_options: { type: 'object' } },
+          required: ['data_frame']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data_frame: { type: 'string' },
+            r_code: { type: 'string' },
+            styling_examples: { type: 'string' },
+            output_variable: { type: 'string' },
+            package_required: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -471,27 +505,33 @@ gt_options <- list(
 class RDownloadFile extends CopilotQuartoTool {
   constructor() {
     super('r_download_file', 
-      'Download any file (image, zip, etc.) into the repo.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.url) {
-      errors.push('url is required');
-    }
-    
-    if (!params.local_path) {
-      errors.push('local_path is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Download any file (image, zip, etc.) into the repo.', {
+        parameters: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            local_path: { type: 'string', format: 'path' },
+            mode: { type: 'string', default: 'wb' }
+          },
+          required: ['url', 'local_path']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            url: { type: 'string' },
+            local_path: { type: 'string' },
+            mode: { type: 'string' },
+            r_code: { type: 'string' },
+            file_exists: { type: 'boolean' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { url, local_path, mode = 'wb' } = params;
     
     this.log(`Downloading file from: ${url}`);
@@ -527,25 +567,21 @@ if (download_success) {
 `;
 
       // Also attempt direct download using Node.js for immediate execution
-      try {
-        const response = await axios({
-          method: 'GET',
-          url: url,
-          responseType: 'stream'
-        });
-        
-        const writer = fs.createWriteStream(local_path);
-        response.data.pipe(writer);
-        
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
-        
-        const stats = await fs.stat(local_path);
-        this.log(`File downloaded successfully: ${stats.size} bytes`);
-      } catch (downloadError) {
-        this.log(`Direct download failed, R code will handle it: ${downloadError.message}`);
+      context.plan('http', `GET ${url} -> ${local_path}`);
+      if (!context.dryRun) {
+        try {
+          const response = await axios({
+            method: 'GET',
+            url: url,
+            responseType: 'arraybuffer'
+          });
+          
+          const data = Buffer.from(response.data);
+          await fs.writeFile(local_path, data);
+          this.log(`File downloaded successfully: ${data.length} bytes`);
+        } catch (downloadError) {
+          this.log(`Direct download failed, R code will handle it: ${downloadError.message}`);
+        }
       }
 
       this.success(`Generated download code for ${url}`);
@@ -571,28 +607,37 @@ if (download_success) {
 class RJsonParse extends CopilotQuartoTool {
   constructor() {
     super('r_json_parse', 
-      'Parse JSON text into an R list/data-frame.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.json_string) {
-      errors.push('json_string is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Parse JSON text into an R list/data-frame.', {
+        parameters: {
+          type: 'object',
+          properties: { json_string: { type: 'string' } },
+          required: ['json_string']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            json_valid: { type: 'boolean' },
+            parse_error: { type: ['string', 'null'] },
+            r_code: { type: 'string' },
+            temp_json_file: { type: 'string' },
+            security_note: { type: 'string' },
+            package_required: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
+    const { fs } = context;
     const { json_string } = params;
     
     this.log('Generating JSON parsing code');
     
     try {
+      const tempJsonFile = privateTempFile('copilot_json_data', '.json');
+
       // Generate R code for JSON parsing using secure file-based approach
       const rCode = `
 library(jsonlite)
@@ -616,7 +661,7 @@ if (json_env_var != "") {
   json_text <- json_env_var
 } else {
   # Fallback: read from temporary file if available
-  temp_json_file <- file.path(tempdir(), "copilot_json_data.json")
+  temp_json_file <- ${JSON.stringify(tempJsonFile)}
   if (file.exists(temp_json_file)) {
     json_text <- readLines(temp_json_file, warn = FALSE)
     json_text <- paste(json_text, collapse = "")
@@ -652,7 +697,6 @@ if (!is.null(parsed_data)) {
       }
 
       // Create a temporary file with the JSON data for secure handling
-      const tempJsonFile = path.join(os.tmpdir(), 'copilot_json_data.json');
       await fs.writeFile(tempJsonFile, json_string, 'utf8');
 
       this.success('Generated JSON parsing code');
@@ -679,24 +723,24 @@ if (!is.null(parsed_data)) {
 class RZipFilesForDownload extends CopilotQuartoTool {
   constructor() {
     super('r_zip_files_for_download', 
-      'Zip a folder so users can download the whole project.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.output_file_path) {
-      errors.push('output_file_path is required');
-    }
-    
-    if (!params.folder_to_zip) {
-      errors.push('folder_to_zip is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Zip a folder so users can download the whole project.', {
+        parameters: {
+          type: 'object',
+          properties: { output_file_path: { type: 'string', format: 'path' }, folder_to_zip: { type: 'string', format: 'path' } },
+          required: ['output_file_path', 'folder_to_zip']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            output_file_path: { type: 'string' },
+            folder_to_zip: { type: 'string' },
+            r_code: { type: 'string' },
+            download_ready: { type: 'boolean' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
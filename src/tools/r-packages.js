@@ -1,5 +1,5 @@
 const { CopilotQuartoTool } = require('../core');
-const { execSync } = require('child_process');
+const { ExecutionContext } = require('../execution-context');
 const path = require('path');
 
 /**
@@ -8,41 +8,38 @@ const path = require('path');
 class RPackageRenvInstallPackage extends CopilotQuartoTool {
   constructor() {
     super('r_package_renv_install_package', 
-      'Install an R package into the project renv library.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.package_name) {
-      errors.push('package_name is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Install an R package into the project renv library.', {
+        parameters: {
+          type: 'object',
+          properties: { package_name: { type: 'string' } },
+          required: ['package_name']
+        },
+        output: {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, package: { type: 'string' }, message: { type: 'string' } },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     const { package_name } = params;
     
     this.log(`Installing R package: ${package_name}`);
     
     try {
       // Check if R is available
-      execSync('R --version', { stdio: 'ignore' });
+      await context.exec('R', ['--version'], { readOnly: true, stream: false });
       
       // Install package using renv
       const rScript = `
         if (!requireNamespace("renv", quietly = TRUE)) {
           install.packages("renv")
         }
-        renv::install("${package_name}")
+        renv::install(${JSON.stringify(package_name)})
       `;
       
-      execSync(`R --slave --no-restore -e '${rScript}'`, { 
-        stdio: 'inherit',
+      await context.exec('R', ['--slave', '--no-restore', '-e', rScript], {
         timeout: 300000 // 5 minutes timeout
       });
       
@@ -67,19 +64,22 @@ class RPackageRenvInstallPackage extends CopilotQuartoTool {
 class RPackageRenvSnapshot extends CopilotQuartoTool {
   constructor() {
     super('r_package_renv_snapshot', 
-      'Update renv.lock with currently loaded packages.');
-  }
-
-  validateParams(params) {
-    return { valid: true, errors: [] };
+      'Update renv.lock with currently loaded packages.', {
+        parameters: { type: 'object' },
+        output: {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, message: { type: 'string' } },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     this.log('Creating renv snapshot');
     
     try {
       // Check if R is available
-      execSync('R --version', { stdio: 'ignore' });
+      await context.exec('R', ['--version'], { readOnly: true, stream: false });
       
       // Create snapshot
       const rScript = `
@@ -89,8 +89,7 @@ class RPackageRenvSnapshot extends CopilotQuartoTool {
         renv::snapshot()
       `;
       
-      execSync(`R --slave --no-restore -e '${rScript}'`, { 
-        stdio: 'inherit',
+      await context.exec('R', ['--slave', '--no-restore', '-e', rScript], {
         timeout: 120000 // 2 minutes timeout
       });
       
@@ -114,19 +113,22 @@ class RPackageRenvSnapshot extends CopilotQuartoTool {
 class RPackageRenvStatus extends CopilotQuartoTool {
   constructor() {
     super('r_package_renv_status', 
-      'Check if installed packages match renv.lock.');
-  }
-
-  validateParams(params) {
-    return { valid: true, errors: [] };
+      'Check if installed packages match renv.lock.', {
+        parameters: { type: 'object' },
+        output: {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, status: { type: 'string' }, message: { type: 'string' } },
+          required: ['success']
+        }
+      });
   }
 
-  async execute(params) {
+  async execute(params, context = new ExecutionContext()) {
     this.log('Checking renv status');
     
     try {
       // Check if R is available
-      execSync('R --version', { stdio: 'ignore' });
+      await context.exec('R', ['--version'], { readOnly: true, stream: false });
       
       // Check status
       const rScript = `
@@ -137,8 +139,8 @@ class RPackageRenvStatus extends CopilotQuartoTool {
         print(status)
       `;
       
-      const output = execSync(`R --slave --no-restore -e '${rScript}'`, { 
-        encoding: 'utf8',
+      const { stdout: output } = await context.exec('R', ['--slave', '--no-restore', '-e', rScript], {
+        readOnly: true,
         timeout: 60000 // 1 minute timeout
       });
       
@@ -1,4 +1,5 @@
 const { CopilotQuartoTool } = require('../core');
+const { InvalidContentError } = require('../errors');
 const axios = require('axios');
 
 /**
@@ -7,20 +8,24 @@ const axios = require('axios');
 class ChatgptGenerateCronExpression extends CopilotQuartoTool {
   constructor() {
     super('chatgpt_generate_cron_expression', 
-      'Ask ChatGPT for a cron string given plain-English schedule and time-zone.');
-  }
-
-  validateParams(params) {
-    const errors = [];
-    
-    if (!params.natural_language_time_description) {
-      errors.push('natural_language_time_description is required');
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+      'Ask ChatGPT for a cron string given plain-English schedule and time-zone.', {
+        parameters: {
+          type: 'object',
+          properties: { natural_language_time_description: { type: 'string' }, time_zone: { type: 'string' } },
+          required: ['natural_language_time_description']
+        },
+        output: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            cron_expression: { type: 'string' },
+            natural_language_time_description: { type: 'string' },
+            time_zone: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['success']
+        }
+      });
   }
 
   async execute(params) {
@@ -63,7 +68,9 @@ class ChatgptGenerateCronExpression extends CopilotQuartoTool {
         if (normalizedInput.includes('daily') || normalizedInput.includes('every day')) {
           cronExpression = '0 8 * * *'; // Default to 8 AM UTC
         } else {
-          throw new Error(`Could not determine cron expression for: ${natural_language_time_description}`);
+          throw new InvalidContentError(`Could not determine cron expression for: ${natural_language_time_description}`, {
+            hint: 'Only daily schedules are recognised so far, e.g. "every day at 8 AM".'
+          });
         }
       }
       
@@ -0,0 +1,487 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DIFF_CONTEXT_LINES = 3;
+
+// Above this many line comparisons the diff falls back to a single hunk
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Build an ENOENT error like the ones thrown by fs
+ * @param {string} syscall
+ * @param {string} filePath
+ * @returns {Error}
+ */
+function notFoundError(syscall, filePath) {
+  const error = new Error(`ENOENT: no such file or directory, ${syscall} '${filePath}'`);
+  error.code = 'ENOENT';
+  error.syscall = syscall;
+  error.path = filePath;
+  return error;
+}
+
+/**
+ * Convert data passed to a write call into a Buffer
+ * @param {string|Buffer|Uint8Array} data
+ * @param {Object|string} [options]
+ * @returns {Buffer}
+ */
+function toBuffer(data, options) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+    return Buffer.from(data);
+  }
+  const encoding = typeof options === 'string' ? options : (options && options.encoding) || 'utf8';
+  return Buffer.from(String(data), encoding);
+}
+
+/**
+ * Return the encoding requested by a read call, if any
+ * @param {Object|string} [options]
+ * @returns {string|undefined}
+ */
+function readEncoding(options) {
+  return typeof options === 'string' ? options : options && options.encoding;
+}
+
+/**
+ * Guess whether a buffer holds binary data
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Split text into lines, keeping track of a missing final newline
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute a line-level edit script between two line arrays
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {Array<{type: string, line: string}>} Entries of type ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Render a unified diff between two texts
+ * @param {string|null} before - null when the file did not exist
+ * @param {string|null} after - null when the file is deleted
+ * @param {string} displayPath - Path shown in the diff headers
+ * @returns {string} Empty string when the texts are identical
+ */
+function createUnifiedDiff(before, after, displayPath) {
+  if (before === after) {
+    return '';
+  }
+
+  const ops = diffLines(splitLines(before || ''), splitLines(after || ''));
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${displayPath}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${displayPath}`}`
+  ];
+
+  // Group changed lines into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailingContext = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') {
+      if (!current) {
+        const contextStart = Math.max(0, index - DIFF_CONTEXT_LINES);
+        const leading = ops.slice(contextStart, index);
+        current = {
+          oldStart: oldLine - leading.length,
+          newStart: newLine - leading.length,
+          lines: leading.map(entry => ` ${entry.line}`)
+        };
+        hunks.push(current);
+      }
+      current.lines.push(`${op.type}${op.line}`);
+      trailingContext = 0;
+    } else if (current) {
+      if (trailingContext < DIFF_CONTEXT_LINES) {
+        current.lines.push(` ${op.line}`);
+        trailingContext++;
+      } else {
+        // Close the hunk unless another change follows within the context window
+        const nextChange = ops.slice(index, index + DIFF_CONTEXT_LINES + 1).findIndex(entry => entry.type !== ' ');
+        if (nextChange === -1) {
+          current = null;
+        } else {
+          current.lines.push(` ${op.line}`);
+        }
+      }
+    }
+
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  const body = hunks.map(hunk => {
+    const oldCount = hunk.lines.filter(line => line[0] !== '+').length;
+    const newCount = hunk.lines.filter(line => line[0] !== '-').length;
+    const oldStart = oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+    return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...hunk.lines].join('\n');
+  });
+
+  return [...header, ...body].join('\n') + '\n';
+}
+
+/**
+ * Filesystem layer shared by every file-touching tool.
+ *
+ * In normal mode calls write through to disk. In dry-run mode writes are
+ * kept in memory and reads see those pending writes, so a tool behaves
+ * exactly as it would without touching the disk. Either way the original
+ * content of each touched file is remembered, which lets callers diff or
+ * restore what a tool did.
+ */
+class VirtualFileSystem {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Keep writes in memory
+   */
+  constructor(options = {}) {
+    this.dryRun = Boolean(options.dryRun);
+    this.files = new Map();
+    this.createdDirs = new Set();
+    this.removedDirs = new Set();
+  }
+
+  /**
+   * Resolve a path to the absolute form used as the tracking key
+   * @param {string} filePath
+   * @returns {string}
+   */
+  resolve(filePath) {
+    return path.resolve(filePath);
+  }
+
+  /**
+   * Start tracking a file, remembering its content on disk
+   * @param {string} absPath
+   * @returns {{original: Buffer|null, current: Buffer|null, mode: number|undefined}}
+   */
+  track(absPath) {
+    if (!this.files.has(absPath)) {
+      let original = null;
+      let mode;
+      if (!this.isRemoved(absPath) && fs.existsSync(absPath) && fs.statSync(absPath).isFile()) {
+        original = fs.readFileSync(absPath);
+        mode = fs.statSync(absPath).mode;
+      }
+      this.files.set(absPath, { original, current: original, mode });
+    }
+    return this.files.get(absPath);
+  }
+
+  /**
+   * Whether a path lies inside a directory removed in dry-run mode
+   * @param {string} absPath
+   * @returns {boolean}
+   */
+  isRemoved(absPath) {
+    if (!this.dryRun) {
+      return false;
+    }
+    for (const dir of this.removedDirs) {
+      if (absPath === dir || absPath.startsWith(dir + path.sep)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether a directory exists (on disk or created in memory)
+   * @param {string} absPath
+   * @returns {boolean}
+   */
+  isDirectory(absPath) {
+    if (this.dryRun && this.createdDirs.has(absPath)) {
+      return true;
+    }
+    if (this.isRemoved(absPath)) {
+      return false;
+    }
+    return fs.existsSync(absPath) && fs.statSync(absPath).isDirectory();
+  }
+
+  existsSync(filePath) {
+    const absPath = this.resolve(filePath);
+    if (this.files.has(absPath)) {
+      return this.files.get(absPath).current !== null || this.isDirectory(absPath);
+    }
+    if (this.isRemoved(absPath)) {
+      return false;
+    }
+    return (this.dryRun && this.createdDirs.has(absPath)) || fs.existsSync(absPath);
+  }
+
+  async pathExists(filePath) {
+    return this.existsSync(filePath);
+  }
+
+  readFileSync(filePath, options) {
+    const absPath = this.resolve(filePath);
+    if (this.files.has(absPath) || this.isRemoved(absPath)) {
+      const entry = this.track(absPath);
+      if (entry.current === null) {
+        throw notFoundError('open', filePath);
+      }
+      const encoding = readEncoding(options);
+      return encoding ? entry.current.toString(encoding) : Buffer.from(entry.current);
+    }
+    return fs.readFileSync(absPath, options);
+  }
+
+  async readFile(filePath, options) {
+    return this.readFileSync(filePath, options);
+  }
+
+  writeFileSync(filePath, data, options) {
+    const absPath = this.resolve(filePath);
+    const entry = this.track(absPath);
+    entry.current = toBuffer(data, options);
+    if (options && typeof options === 'object' && options.mode !== undefined) {
+      entry.mode = options.mode;
+    }
+
+    if (this.dryRun) {
+      this.markParentDirs(path.dirname(absPath));
+    } else {
+      fs.writeFileSync(absPath, data, options);
+    }
+  }
+
+  async writeFile(filePath, data, options) {
+    this.writeFileSync(filePath, data, options);
+  }
+
+  ensureDirSync(dirPath) {
+    const absPath = this.resolve(dirPath);
+    this.markParentDirs(absPath);
+    if (!this.dryRun) {
+      fs.ensureDirSync(absPath);
+    }
+  }
+
+  async ensureDir(dirPath) {
+    this.ensureDirSync(dirPath);
+  }
+
+  /**
+   * List a directory as it would be after the pending writes and removals
+   * @param {string} dirPath
+   * @param {Object} [options]
+   * @param {boolean} [options.withFileTypes] - Return `{name, isFile(), isDirectory()}` entries
+   * @returns {Array<string>|Array<Object>} Sorted by name
+   */
+  readdirSync(dirPath, options) {
+    const absPath = this.resolve(dirPath);
+    if (!this.isDirectory(absPath)) {
+      throw notFoundError('scandir', dirPath);
+    }
+
+    const onDisk = !this.isRemoved(absPath) && fs.existsSync(absPath) ? fs.readdirSync(absPath) : [];
+    const names = new Set(onDisk.filter(name => !this.isRemoved(path.join(absPath, name))));
+    for (const [file, entry] of this.files) {
+      if (path.dirname(file) !== absPath) continue;
+      if (entry.current !== null) {
+        names.add(path.basename(file));
+      } else if (!this.isDirectory(file)) {
+        names.delete(path.basename(file));
+      }
+    }
+    if (this.dryRun) {
+      for (const dir of this.createdDirs) {
+        if (path.dirname(dir) === absPath) {
+          names.add(path.basename(dir));
+        }
+      }
+    }
+
+    const sorted = Array.from(names).sort();
+    if (!(options && options.withFileTypes)) {
+      return sorted;
+    }
+    return sorted.map(name => {
+      const directory = this.isDirectory(path.join(absPath, name));
+      return { name, isFile: () => !directory, isDirectory: () => directory };
+    });
+  }
+
+  async readdir(dirPath, options) {
+    return this.readdirSync(dirPath, options);
+  }
+
+  removeSync(targetPath) {
+    const absPath = this.resolve(targetPath);
+
+    if (this.isDirectory(absPath)) {
+      // Snapshot files on disk before the directory goes away
+      if (!this.isRemoved(absPath) && fs.existsSync(absPath)) {
+        for (const file of listFiles(absPath)) {
+          this.track(file).current = null;
+        }
+      }
+      for (const [file, entry] of this.files) {
+        if (file.startsWith(absPath + path.sep)) {
+          entry.current = null;
+        }
+      }
+      for (const dir of Array.from(this.createdDirs)) {
+        if (dir === absPath || dir.startsWith(absPath + path.sep)) {
+          this.createdDirs.delete(dir);
+        }
+      }
+      if (this.dryRun) {
+        this.removedDirs.add(absPath);
+      }
+    } else if (this.existsSync(absPath)) {
+      this.track(absPath).current = null;
+    }
+
+    if (!this.dryRun) {
+      fs.removeSync(absPath);
+    }
+  }
+
+  async remove(targetPath) {
+    this.removeSync(targetPath);
+  }
+
+  /**
+   * Record directories that do not exist yet
+   * @param {string} absPath
+   */
+  markParentDirs(absPath) {
+    const missing = [];
+    let dir = absPath;
+    while (!this.isDirectory(dir) && path.dirname(dir) !== dir) {
+      missing.push(dir);
+      dir = path.dirname(dir);
+    }
+    missing.forEach(entry => {
+      this.createdDirs.add(entry);
+      if (this.dryRun) {
+        this.removedDirs.delete(entry);
+      }
+    });
+  }
+
+  /**
+   * List the files whose content differs from what was on disk
+   * @returns {Array<{path: string, action: string, before: Buffer|null, after: Buffer|null, mode: number|undefined}>}
+   */
+  getChanges() {
+    const changes = [];
+    for (const [absPath, entry] of this.files) {
+      const { original, current } = entry;
+      if (original === null && current === null) continue;
+      if (original !== null && current !== null && original.equals(current)) continue;
+
+      changes.push({
+        path: absPath,
+        action: original === null ? 'create' : current === null ? 'delete' : 'modify',
+        before: original,
+        after: current,
+        mode: entry.mode
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Render every change as a unified diff
+   * @param {string} [baseDir=process.cwd()] - Paths below this are shown relative to it
+   * @returns {string}
+   */
+  diff(baseDir = process.cwd()) {
+    return this.getChanges().map(change => {
+      const relativePath = path.relative(baseDir, change.path);
+      const displayPath = (relativePath.startsWith('..') ? change.path : relativePath).split(path.sep).join('/');
+      const binary = [change.before, change.after].some(buffer => buffer && isBinary(buffer));
+      if (binary) {
+        return `Binary files ${change.before ? `a/${displayPath}` : '/dev/null'} and ` +
+          `${change.after ? `b/${displayPath}` : '/dev/null'} differ\n`;
+      }
+      return createUnifiedDiff(
+        change.before ? change.before.toString('utf8') : null,
+        change.after ? change.after.toString('utf8') : null,
+        displayPath
+      );
+    }).join('');
+  }
+}
+
+/**
+ * List every file below a directory
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+module.exports = {
+  VirtualFileSystem,
+  createUnifiedDiff
+};
@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { PathOutsideWorkspaceError } = require('./errors');
+
+// Parameters declared with this format are resolved against the workspace
+const PATH_FORMAT = 'path';
+
+// Symlink chains longer than this are treated as loops
+const MAX_LINK_DEPTH = 40;
+
+/**
+ * Whether a path is a directory or lies inside it
+ * @param {string} candidate - Absolute path
+ * @param {string} directory - Absolute path
+ * @returns {boolean}
+ */
+function isWithin(candidate, directory) {
+  const relative = path.relative(directory, candidate);
+  return relative === '' ||
+    (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Real location of a path that may not exist yet: the nearest existing
+ * ancestor is resolved through its symlinks and the rest appended
+ * @param {string} absolute
+ * @param {number} [depth=0]
+ * @returns {string}
+ */
+function realLocation(absolute, depth = 0) {
+  const missing = [];
+  let current = absolute;
+  for (;;) {
+    let stats = null;
+    try {
+      stats = fs.lstatSync(current);
+    } catch (error) {
+      // Does not exist (yet); try the parent
+    }
+
+    if (stats) {
+      try {
+        return path.join(fs.realpathSync(current), ...missing);
+      } catch (error) {
+        // A dangling symlink still decides where a new file would be written
+        if (!stats.isSymbolicLink() || depth >= MAX_LINK_DEPTH) {
+          throw error;
+        }
+        const target = path.resolve(path.dirname(current), fs.readlinkSync(current));
+        return realLocation(path.join(target, ...missing), depth + 1);
+      }
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return absolute;
+    }
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+}
+
+/**
+ * The directory tree tools may touch.
+ *
+ * Path parameters are resolved against the root, and a path is rejected
+ * when it lies outside the root and the extra allowed directories, or when
+ * a symlink on the way leads outside them.
+ */
+class Workspace {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Workspace root
+   * @param {Array<string>} [options.allow] - Other directories tools may use, relative to the root
+   */
+  constructor(options) {
+    this.root = path.resolve(options.root);
+    this.allow = (options.allow || []).map(entry => path.resolve(this.root, entry));
+  }
+
+  /**
+   * Same allowed directories, different root (used when replaying elsewhere)
+   * @param {string} root
+   * @returns {Workspace}
+   */
+  withRoot(root) {
+    return new Workspace({ root, allow: this.allow });
+  }
+
+  /**
+   * @returns {Array<string>} The root and the allowed directories
+   */
+  directories() {
+    return [this.root, ...this.allow];
+  }
+
+  /**
+   * Resolve a path against the root and check it stays inside the workspace
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {boolean} [options.allowOutside=false] - Only resolve, do not check
+   * @param {string} [options.param] - Parameter name, for the error message
+   * @returns {string} Absolute path (symlinks are not expanded)
+   * @throws {PathOutsideWorkspaceError}
+   */
+  resolve(filePath, options = {}) {
+    const absolute = path.resolve(this.root, filePath);
+    if (options.allowOutside) {
+      return absolute;
+    }
+
+    const label = options.param ? `${options.param} '${filePath}'` : `'${filePath}'`;
+    const hint = `Use a path inside ${this.root}, add the directory to workspace.allow in the project config, ` +
+      'or pass --allow-outside-workspace.';
+    const directories = this.directories();
+
+    if (!directories.some(directory => isWithin(absolute, directory))) {
+      throw new PathOutsideWorkspaceError(`${label} is outside the workspace ${this.root}`, {
+        hint,
+        details: { param: options.param || null, path: absolute, workspace: this.root }
+      });
+    }
+
+    const real = realLocation(absolute);
+    if (!directories.some(directory => isWithin(real, realLocation(directory)))) {
+      throw new PathOutsideWorkspaceError(`${label} leads outside the workspace through a symlink (to ${real})`, {
+        code: 'SYMLINK_ESCAPE',
+        hint,
+        details: { param: options.param || null, path: absolute, realPath: real, workspace: this.root }
+      });
+    }
+
+    return absolute;
+  }
+
+  /**
+   * Resolve every parameter the schema declares with `format: 'path'`,
+   * including arrays of paths
+   * @param {Object} [schema] - Tool parameter schema
+   * @param {Object} params
+   * @param {Object} [options] - See resolve()
+   * @returns {Object} Parameters with absolute paths
+   */
+  resolveParams(schema, params, options = {}) {
+    const properties = (schema && schema.properties) || {};
+    const resolved = { ...params };
+
+    for (const [name, property] of Object.entries(properties)) {
+      const value = params[name];
+      if (typeof value === 'string' && value !== '' && property.format === PATH_FORMAT) {
+        resolved[name] = this.resolve(value, { ...options, param: name });
+      } else if (Array.isArray(value) && property.items && property.items.format === PATH_FORMAT) {
+        resolved[name] = value.map(item => this.resolve(item, { ...options, param: name }));
+      }
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = {
+  PATH_FORMAT,
+  Workspace
+};
@@ -0,0 +1,275 @@
+const yaml = require('yaml');
+const { InvalidContentError } = require('./errors');
+
+/**
+ * Serialisation options matching the indentation style of existing YAML,
+ * so regenerated lines look like their neighbours
+ * @param {string} source
+ * @returns {Object} Options for yaml's toString()
+ */
+function yamlStyle(source) {
+  const lines = source.split(/\r?\n/);
+  let indent = 2;
+  let indentSeq = true;
+
+  for (let index = 0; index < lines.length - 1; index++) {
+    const key = lines[index].match(/^(\s*)[^\s#-][^#]*:\s*(#.*)?$/);
+    const next = lines[index + 1].match(/^(\s*)(- )?\S/);
+    if (!key || !next) {
+      continue;
+    }
+    const depth = next[1].length - key[1].length;
+    if (next[2] && depth === 0) {
+      indentSeq = false;
+    } else if (depth > 0 && !next[2]) {
+      indent = depth;
+      break;
+    }
+  }
+
+  return { lineWidth: 0, nullStr: '', indent, indentSeq };
+}
+
+/**
+ * Line-level diff of two arrays (longest common subsequence)
+ * @param {Array<string>} before
+ * @param {Array<string>} after
+ * @returns {Array<{op: string, before?: number, after?: number}>} 'equal', 'delete' and 'insert' steps
+ */
+function diffLines(before, after) {
+  const table = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i][j] = before[i] === after[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      steps.push({ op: 'equal', before: i++, after: j++ });
+    } else if (j < after.length && (i === before.length || table[i][j + 1] >= table[i + 1][j])) {
+      steps.push({ op: 'insert', after: j++ });
+    } else {
+      steps.push({ op: 'delete', before: i++ });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Carry an edit over to the original text.
+ *
+ * `before` and `after` are the document serialised before and after the
+ * edit. Where `before` has one line per source line, unchanged lines are
+ * copied from the source (keeping its spacing, quoting and comments) and
+ * only changed lines come from `after`; otherwise `after` is used as is.
+ *
+ * @param {string} source - Original text
+ * @param {string} before - Serialisation of the unedited document
+ * @param {string} after - Serialisation of the edited document
+ * @returns {string}
+ */
+function rewriteMinimal(source, before, after) {
+  const eol = /\r\n/.test(source) ? '\r\n' : '\n';
+  const sourceLines = source.replace(/\r?\n$/, '').split(/\r?\n/);
+  const beforeLines = before.replace(/\n$/, '').split('\n');
+  const afterLines = after.replace(/\n$/, '').split('\n');
+
+  if (source.trim() === '' || sourceLines.length !== beforeLines.length) {
+    return after.replace(/\n/g, eol);
+  }
+
+  const lines = [];
+  for (const step of diffLines(beforeLines, afterLines)) {
+    if (step.op === 'equal') {
+      lines.push(sourceLines[step.before]);
+    } else if (step.op === 'insert') {
+      lines.push(afterLines[step.after]);
+    }
+  }
+  return lines.length > 0 ? lines.join(eol) + eol : '';
+}
+
+/**
+ * Format a path for messages: `format.html.theme`, `jobs.build.steps[0]`
+ * @param {Array<string|number>} keyPath
+ * @returns {string}
+ */
+function formatPath(keyPath) {
+  return keyPath.map((key, index) =>
+    (typeof key === 'number' ? `[${key}]` : `${index > 0 ? '.' : ''}${key}`)).join('');
+}
+
+/**
+ * Targeted, path-based edits to an existing YAML file.
+ *
+ * The file is parsed as a yaml Document, edits change only the nodes they
+ * address, and toString() keeps every line the edits did not touch exactly
+ * as it was, so comments, anchors, key order and quoting survive.
+ * `changes` lists what was actually changed; edits that set a value already
+ * present are not recorded.
+ */
+class YamlPatch {
+  /**
+   * @param {string} [source=''] - Current file content ('' for a new file)
+   * @param {Object} [options]
+   * @param {string} [options.name] - File name, for error messages
+   * @throws {InvalidContentError} When the source is not valid YAML
+   */
+  constructor(source = '', options = {}) {
+    this.source = source;
+    this.name = options.name || 'YAML';
+    // Quarto configs use anchors with `<<` merge keys
+    this.document = yaml.parseDocument(source, { merge: true });
+    if (this.document.errors.length > 0) {
+      const [error] = this.document.errors;
+      throw new InvalidContentError(`Invalid YAML in ${this.name}: ${error.message}`, {
+        hint: 'Fix the file by hand first; it is not edited while it cannot be parsed.',
+        details: { file: options.name || null },
+        cause: error
+      });
+    }
+    this.style = yamlStyle(source);
+    this.snapshot = this.document.toString(this.style);
+    this.changes = [];
+  }
+
+  /**
+   * @param {Array<string|number>} keyPath
+   * @returns {*} Plain value at the path (undefined when missing)
+   */
+  get(keyPath) {
+    const node = this.document.getIn(keyPath, true);
+    return yaml.isNode(node) ? node.toJS(this.document) : node;
+  }
+
+  /**
+   * @param {Array<string|number>} keyPath
+   * @returns {boolean}
+   */
+  has(keyPath) {
+    return this.document.hasIn(keyPath);
+  }
+
+  /**
+   * Set a value, creating missing mappings on the way. A scalar that is
+   * replaced by another scalar keeps its quoting and comment.
+   * @param {Array<string|number>} keyPath
+   * @param {*} value
+   * @returns {boolean} Whether anything changed
+   * @throws {InvalidContentError} When a parent on the path is not a mapping or sequence
+   */
+  set(keyPath, value) {
+    const previous = this.get(keyPath);
+    if (previous !== undefined && JSON.stringify(previous) === JSON.stringify(value)) {
+      return false;
+    }
+
+    this.assertContainer(keyPath);
+    const node = this.document.getIn(keyPath, true);
+    if (yaml.isScalar(node) && (value === null || typeof value !== 'object')) {
+      node.value = value;
+    } else {
+      this.document.setIn(keyPath, this.document.createNode(value));
+    }
+
+    this.changes.push({
+      op: previous === undefined ? 'add' : 'replace',
+      path: formatPath(keyPath),
+      ...(previous === undefined ? {} : { from: previous }),
+      value
+    });
+    return true;
+  }
+
+  /**
+   * Append to a sequence, creating it when missing
+   * @param {Array<string|number>} keyPath
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {boolean} [options.unique=true] - Skip values already in the sequence
+   * @returns {boolean} Whether anything changed
+   * @throws {InvalidContentError} When the path holds something other than a sequence
+   */
+  append(keyPath, value, options = {}) {
+    const node = this.document.getIn(keyPath, true);
+    if (node === undefined || node === null) {
+      return this.set(keyPath, [value]);
+    }
+    if (!yaml.isSeq(node)) {
+      throw new InvalidContentError(`${formatPath(keyPath)} in ${this.name} is not a list`, {
+        details: { path: formatPath(keyPath), value: this.get(keyPath) }
+      });
+    }
+
+    const items = node.toJS(this.document);
+    if (options.unique !== false && items.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+      return false;
+    }
+    node.add(this.document.createNode(value));
+    this.changes.push({ op: 'add', path: formatPath([...keyPath, items.length]), value });
+    return true;
+  }
+
+  /**
+   * Remove a key or sequence item
+   * @param {Array<string|number>} keyPath
+   * @returns {boolean} Whether anything changed
+   */
+  delete(keyPath) {
+    if (!this.has(keyPath)) {
+      return false;
+    }
+    const previous = this.get(keyPath);
+    this.document.deleteIn(keyPath);
+    this.changes.push({ op: 'remove', path: formatPath(keyPath), from: previous });
+    return true;
+  }
+
+  /**
+   * @returns {Object} The whole document as plain data
+   */
+  toJS() {
+    return this.document.toJS() || {};
+  }
+
+  /**
+   * Check every existing parent on the path can hold children
+   * @param {Array<string|number>} keyPath
+   * @throws {InvalidContentError}
+   */
+  assertContainer(keyPath) {
+    for (let length = 0; length < keyPath.length; length++) {
+      const parentPath = keyPath.slice(0, length);
+      const parent = length === 0 ? this.document.contents : this.document.getIn(parentPath, true);
+      if (parent !== undefined && parent !== null && !yaml.isCollection(parent) &&
+        !(yaml.isScalar(parent) && parent.value === null)) {
+        const where = length === 0 ? 'The document' : formatPath(parentPath);
+        const current = length === 0 ? this.toJS() : this.get(parentPath);
+        throw new InvalidContentError(`${where} in ${this.name} is ${JSON.stringify(current)}, ` +
+          `not a mapping, so ${formatPath(keyPath)} cannot be set`, {
+          hint: 'Change that entry to a mapping by hand, or remove it.',
+          details: { path: formatPath(keyPath), parent: formatPath(parentPath) }
+        });
+      }
+    }
+  }
+
+  /**
+   * @returns {string} The edited text; identical to the source when nothing changed
+   */
+  toString() {
+    const current = this.document.toString(this.style);
+    return current === this.snapshot ? this.source : rewriteMinimal(this.source, this.snapshot, current);
+  }
+}
+
+module.exports = {
+  YamlPatch,
+  yamlStyle,
+  rewriteMinimal,
+  formatPath
+};
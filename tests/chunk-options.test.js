@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const { VirtualFileSystem } = require('../src/vfs');
+const { useFixture } = require('./helpers/fixture');
+
+const REPORT = `---
+title: Sales
+---
+
+\`\`\`{r setup, include=FALSE, message=FALSE}
+library(dplyr)
+\`\`\`
+
+\`\`\`{r plot, fig.cap="Sales, by month", fig.width=w}
+#| echo: true
+#| fig-width: 8
+plot(sales)
+\`\`\`
+
+\`\`\`{python}
+print("unchanged")
+\`\`\`
+`;
+
+describe('Chunk options', () => {
+  const fixture = useFixture('chunk-options', { 'report.qmd': REPORT });
+  const qmdPath = fixture.path('report.qmd');
+  const { copilot } = fixture;
+
+  test('should set and remove options on a chunk found by label or number', async () => {
+    const result = await copilot.execute('quarto_set_chunk_options', {
+      qmd_file_path: qmdPath,
+      chunk: 3,
+      options: { 'echo': false, 'fig.cap': 'Output' }
+    });
+    expect(result.changes).toEqual([
+      { op: 'add', key: 'echo', value: false },
+      { op: 'add', key: 'fig-cap', value: 'Output' }
+    ]);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(REPORT.replace(
+      'print("unchanged")',
+      '#| echo: false\n#| fig-cap: Output\nprint("unchanged")'
+    ));
+
+    const plot = await copilot.execute('quarto_set_chunk_options', {
+      qmd_file_path: qmdPath,
+      chunk: 'plot',
+      options: { echo: false },
+      remove_options: ['fig-width']
+    });
+    expect(plot.migrated).toEqual(['label', 'fig-cap']);
+    expect(plot.changes).toEqual([
+      { op: 'replace', key: 'echo', from: true, value: false },
+      { op: 'remove', key: 'fig-width', from: 8 }
+    ]);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toContain(
+      '```{r}\n#| label: plot\n#| fig-cap: "Sales, by month"\n#| echo: false\nplot(sales)\n```'
+    );
+
+    await expect(copilot.execute('quarto_set_chunk_options', {
+      qmd_file_path: qmdPath,
+      chunk: 'missing',
+      options: { echo: false }
+    })).rejects.toMatchObject({ code: 'CHUNK_NOT_FOUND', details: { available: ['setup', 'plot'] } });
+    await expect(copilot.execute('quarto_set_chunk_options', { qmd_file_path: qmdPath, chunk: 'plot' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+  });
+
+  test('should migrate knitr header options across a project', async () => {
+    fs.outputFileSync(fixture.path('posts', 'intro.Rmd'), '```{r, echo=FALSE}\n1\n```\n');
+    fs.outputFileSync(fixture.path('_site', 'copy.qmd'), REPORT);
+
+    const result = await copilot.execute('quarto_migrate_chunk_options', { project_dir: fixture.dir });
+
+    expect(result.files_changed).toEqual([fixture.path('posts', 'intro.Rmd'), qmdPath]);
+    expect(result.chunks_migrated).toBe(3);
+    expect(result.conflicts).toEqual([{ file_path: qmdPath, line: 9, options: ['fig-width'] }]);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(`---
+title: Sales
+---
+
+\`\`\`{r}
+#| label: setup
+#| include: false
+#| message: false
+library(dplyr)
+\`\`\`
+
+\`\`\`{r}
+#| label: plot
+#| fig-cap: "Sales, by month"
+#| echo: true
+#| fig-width: 8
+plot(sales)
+\`\`\`
+
+\`\`\`{python}
+print("unchanged")
+\`\`\`
+`);
+    expect(fs.readFileSync(fixture.path('posts', 'intro.Rmd'), 'utf8')).toBe('```{r}\n#| echo: false\n1\n```\n');
+    expect(fs.readFileSync(fixture.path('_site', 'copy.qmd'), 'utf8')).toBe(REPORT);
+
+    const again = await copilot.execute('quarto_migrate_chunk_options', { project_dir: fixture.dir });
+    expect(again.files_changed).toEqual([]);
+  });
+
+  test('should migrate files a dry-run plan created and skip ones it removed', async () => {
+    const vfs = new VirtualFileSystem({ dryRun: true });
+    const newPath = fixture.path('posts', 'new.qmd');
+    vfs.writeFileSync(newPath, '```{r, echo=FALSE}\n1\n```\n');
+    vfs.removeSync(qmdPath);
+    expect(vfs.readdirSync(fixture.dir)).toEqual(['posts']);
+    expect(vfs.readdirSync(fixture.path('posts'), { withFileTypes: true }).map(entry => [entry.name, entry.isFile()]))
+      .toEqual([['new.qmd', true]]);
+
+    const result = await copilot.execute('quarto_migrate_chunk_options', { project_dir: fixture.dir }, { dryRun: true, fs: vfs });
+
+    expect(result.result.files_changed).toEqual([newPath]);
+    expect(result.diff).toContain('+#| echo: false');
+    expect(fs.existsSync(newPath)).toBe(false);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(REPORT);
+  });
+});
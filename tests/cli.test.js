@@ -0,0 +1,97 @@
+const { PassThrough } = require('stream');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CopilotQuarto = require('../src/index');
+const { main, parseToolArgs, promptForMissing, formatToolHelp } = require('../src/cli');
+
+/**
+ * Run the CLI against an instance and collect what it prints
+ */
+async function runCli(copilot, argv, options = {}) {
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  const chunks = { out: '', err: '' };
+  stdout.on('data', chunk => { chunks.out += chunk; });
+  stderr.on('data', chunk => { chunks.err += chunk; });
+
+  const code = await main(argv, { copilot, stdout, stderr, ...options });
+  return { code, ...chunks };
+}
+
+describe('CLI', () => {
+  let copilot;
+  const schema = {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      width: { type: 'integer' },
+      draft: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' } },
+      format: { type: 'string', enum: ['html', 'pdf'] }
+    },
+    required: ['title', 'format']
+  };
+
+  beforeEach(() => {
+    copilot = new CopilotQuarto({ journal: false, console: false });
+  });
+
+  test('should parse --param value flags into schema-typed parameters', () => {
+    expect(parseToolArgs(schema, ['--title', 'Sales', '--width=3', '--draft', '--tags', 'a,b', '--tags', 'c']))
+      .toEqual({ title: 'Sales', width: 3, draft: true, tags: ['a', 'b', 'c'] });
+    expect(parseToolArgs(schema, ['--no-draft'])).toEqual({ draft: false });
+    expect(() => parseToolArgs(schema, ['--colour', 'red'], 'demo'))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_FAILED', message: 'Unknown parameter --colour for demo' }));
+  });
+
+  test('should generate help from the tool schema', () => {
+    const help = formatToolHelp(copilot, 'github_create_repository');
+
+    expect(help).toContain('Usage: copilot-quarto run github_create_repository [options]');
+    expect(help).toMatch(/--visibility <public\|private>\s+\(required\)/);
+  });
+
+  test('should prompt for missing required parameters with type-appropriate widgets', async () => {
+    const prompt = jest.fn(async () => ({ format: 'pdf' }));
+
+    const params = await promptForMissing(schema, { title: 'Given' }, { prompt });
+
+    expect(params).toEqual({ title: 'Given', format: 'pdf' });
+    expect(prompt.mock.calls[0][0]).toEqual([expect.objectContaining({ name: 'format', type: 'list', choices: ['html', 'pdf'] })]);
+  });
+
+  test('should list, describe and run tools, keeping the legacy JSON form', async () => {
+    const listed = await runCli(copilot, ['list']);
+    expect(listed.code).toBe(0);
+    expect(listed.out).toMatch(/chatgpt_generate_cron_expression\s+\S/);
+
+    const described = await runCli(copilot, ['describe', 'chatgpt_generate_cron_expression']);
+    expect(described.out).toContain('--natural_language_time_description <string>');
+
+    const ran = await runCli(copilot, ['run', 'chatgpt_generate_cron_expression', '--natural-language-time-description', 'every day at 8 AM']);
+    expect(ran.code).toBe(0);
+    expect(ran.out).toContain('"cron_expression": "0 8 * * *"');
+
+    const legacy = await runCli(copilot, ['chatgpt_generate_cron_expression', '{"natural_language_time_description":"every day at 8 AM"}']);
+    expect(legacy.out).toContain('"cron_expression": "0 8 * * *"');
+
+    const missing = await runCli(copilot, ['describe', 'no_such_tool']);
+    expect(missing.code).toBe(1);
+    expect(missing.err).toContain('Error [TOOL_NOT_FOUND]');
+  });
+
+  test('should not create run state for commands that run no tool', async () => {
+    const originalCwd = process.cwd();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-quarto-cli-'));
+    try {
+      process.chdir(tmpDir);
+      const { code } = await runCli(undefined, ['manifest', '--check']);
+      expect(code).toBe(0);
+      expect(fs.readdirSync(tmpDir)).toEqual([]);
+    } finally {
+      process.chdir(originalCwd);
+      fs.removeSync(tmpDir);
+    }
+  });
+});
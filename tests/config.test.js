@@ -0,0 +1,73 @@
+const CopilotQuarto = require('../src/index');
+const { loadConfig, PROFILE_ENV } = require('../src/config');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Project config', () => {
+  let projectDir;
+  let nestedDir;
+
+  beforeEach(() => {
+    projectDir = path.join(__dirname, 'test-config');
+    nestedDir = path.join(projectDir, 'reports', 'weekly');
+    fs.ensureDirSync(nestedDir);
+    fs.writeFileSync(path.join(projectDir, 'index.qmd'), '---\ntitle: "Sales"\n---\n');
+    fs.writeFileSync(path.join(projectDir, '.copilot-quarto.yml'), [
+      'profile: work',
+      'defaults:',
+      `  qmd_file_path: ${path.join(projectDir, 'index.qmd')}`,
+      '  visibility: private',
+      'tools:',
+      '  chatgpt_generate_cron_expression:',
+      '    natural_language_time_description: every day at 8 AM',
+      'profiles:',
+      '  work:',
+      '    defaults:',
+      '      orientation: rows',
+      '  personal:',
+      '    defaults:',
+      '      visibility: public',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.removeSync(projectDir);
+    delete process.env[PROFILE_ENV];
+  });
+
+  test('should find the config from a nested directory and resolve the profile', () => {
+    const config = loadConfig({ cwd: nestedDir });
+
+    expect(config.path).toBe(path.join(projectDir, '.copilot-quarto.yml'));
+    expect(config.profile).toBe('work');
+    expect(config.defaults).toMatchObject({ visibility: 'private', orientation: 'rows' });
+
+    process.env[PROFILE_ENV] = 'personal';
+    expect(loadConfig({ cwd: nestedDir }).defaults.visibility).toBe('public');
+    expect(loadConfig({ cwd: nestedDir, profile: 'work' }).defaults.visibility).toBe('private');
+    expect(() => loadConfig({ cwd: nestedDir, profile: 'weekend' }))
+      .toThrow(expect.objectContaining({ code: 'PROFILE_NOT_FOUND', hint: 'Available profiles: work, personal.' }));
+  });
+
+  test('should merge config values as defaults before validation', async () => {
+    const copilot = new CopilotQuarto({ cwd: nestedDir, journal: false, console: false });
+    const started = [];
+    copilot.registry.on('tool:start', event => started.push(event.params));
+
+    const cron = await copilot.execute('chatgpt_generate_cron_expression', {});
+    expect(cron.cron_expression).toBe('0 8 * * *');
+
+    await copilot.execute('quarto_define_dashboard_format', {});
+    expect(fs.readFileSync(path.join(projectDir, 'index.qmd'), 'utf8')).toContain('format: dashboard');
+
+    const explicit = await copilot.execute('chatgpt_generate_cron_expression', {
+      natural_language_time_description: 'daily at 9 AM'
+    });
+    expect(explicit.natural_language_time_description).toBe('daily at 9 AM');
+
+    // Shared defaults only reach tools that declare the parameter
+    expect(started[0]).toEqual({ natural_language_time_description: 'every day at 8 AM' });
+    expect(started[1]).toEqual({ qmd_file_path: path.join(projectDir, 'index.qmd') });
+  });
+});
@@ -0,0 +1,113 @@
+const CopilotQuarto = require('../src/index');
+const { CopilotAgentServer, LocalCopilotClient } = require('../src/copilot-agent');
+
+describe('CopilotAgentServer', () => {
+  const keys = LocalCopilotClient.generateKeyPair();
+  let server;
+  let client;
+  let plannerCalls;
+
+  beforeEach(async () => {
+    plannerCalls = [];
+    const copilot = new CopilotQuarto({ console: false });
+
+    server = new CopilotAgentServer(copilot, {
+      publicKey: keys.publicKey,
+      planner: async (messages, tools, context) => {
+        plannerCalls.push({ messages, tools, context });
+        return {
+          content: 'I will work out the cron string.',
+          tool_calls: [{
+            id: 'call_1',
+            type: 'function',
+            function: {
+              name: 'chatgpt_generate_cron_expression',
+              arguments: JSON.stringify({ natural_language_time_description: 'every day at 8 AM' })
+            }
+          }]
+        };
+      }
+    });
+
+    const { url } = await server.listen();
+    client = new LocalCopilotClient({ url, privateKey: keys.privateKey, token: 'gh-token' });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('should stream planner text and ask to confirm tool calls', async () => {
+    const reply = await client.send([{ role: 'user', content: 'Schedule my dashboard daily at 8' }]);
+
+    expect(reply.status).toBe(200);
+    expect(reply.text).toBe('I will work out the cron string.');
+    expect(reply.confirmations).toHaveLength(1);
+    expect(reply.confirmations[0].confirmation).toEqual({
+      id: 'call_1',
+      tool: 'chatgpt_generate_cron_expression',
+      arguments: { natural_language_time_description: 'every day at 8 AM' }
+    });
+    expect(reply.events[reply.events.length - 1].data).toBe('[DONE]');
+
+    expect(plannerCalls[0].context.token).toBe('gh-token');
+    expect(plannerCalls[0].tools.map(tool => tool.function.name)).toContain('chatgpt_generate_cron_expression');
+  });
+
+  test('should run the tool once the confirmation is accepted', async () => {
+    const first = await client.send([{ role: 'user', content: 'Schedule daily at 8' }]);
+    const reply = await client.confirm(first.confirmations[0], 'accepted');
+
+    expect(reply.text).toContain('chatgpt_generate_cron_expression');
+    expect(reply.text).toContain('0 8 * * *');
+    expect(plannerCalls).toHaveLength(1);
+  });
+
+  test('should skip the tool when the confirmation is dismissed', async () => {
+    const first = await client.send([{ role: 'user', content: 'Schedule daily at 8' }]);
+    const reply = await client.confirm(first.confirmations[0], 'dismissed');
+
+    expect(reply.text).toContain('Skipped');
+    expect(reply.text).not.toContain('0 8 * * *');
+  });
+
+  test('should report tool failures as copilot_errors events', async () => {
+    const reply = await client.confirm({
+      confirmation: { id: 'call_2', tool: 'github_create_repository', arguments: { repository_name: 'demo' } }
+    });
+
+    expect(reply.errors).toHaveLength(1);
+    expect(reply.errors[0].identifier).toBe('github_create_repository');
+    expect(reply.errors[0].message).toContain('visibility is required');
+  });
+
+  test('should reject requests with an invalid signature', async () => {
+    const otherKeys = LocalCopilotClient.generateKeyPair();
+    const impostor = new LocalCopilotClient({ url: client.url, privateKey: otherKeys.privateKey });
+
+    const reply = await impostor.send([{ role: 'user', content: 'hello' }]);
+
+    expect(reply.status).toBe(401);
+    expect(plannerCalls).toHaveLength(0);
+  });
+
+  test('should refuse request bodies over the size limit', async () => {
+    const small = new CopilotAgentServer(new CopilotQuarto({ console: false }), {
+      publicKey: keys.publicKey,
+      maxBodyBytes: 1024,
+      planner: async () => ({ content: 'Hello!', tool_calls: [] })
+    });
+    const { url } = await small.listen();
+
+    try {
+      const sender = new LocalCopilotClient({ url, privateKey: keys.privateKey });
+      const reply = await sender.send([{ role: 'user', content: 'x'.repeat(4096) }]);
+      expect(reply.status).toBe(413);
+
+      const fits = await sender.send([{ role: 'user', content: 'hello' }]);
+      expect(fits.text).toContain('Hello!');
+    } finally {
+      await small.close();
+    }
+  });
+});
@@ -218,7 +218,7 @@ describe('CopilotQuarto', () => {
       expect(result.json_valid).toBe(true);
       expect(result.r_code).not.toContain('${');
       expect(result.r_code).toContain('COPILOT_JSON_DATA');
-      expect(result.r_code).toContain('tempdir()');
+      expect(result.r_code).toContain(JSON.stringify(result.temp_json_file));
       expect(result.security_note).toContain('prevent code injection');
       expect(fs.existsSync(result.temp_json_file)).toBe(true);
     });
@@ -237,8 +237,8 @@ describe('CopilotQuarto', () => {
       // But importantly, the R code should NOT contain the malicious string directly
       expect(result.r_code).not.toContain('evil_code');
       expect(result.r_code).not.toContain('exit(1)');
-      // The R code should use secure file-based approach
-      expect(result.r_code).toContain('tempdir()');
+      // The R code should read the data from the file written for this run
+      expect(result.r_code).toContain(JSON.stringify(result.temp_json_file));
     });
 
     test('should handle API calls with secure token handling', async () => {
@@ -279,6 +279,61 @@ describe('CopilotQuarto', () => {
     });
   });
 
+  describe('Schema validation', () => {
+    test('should reject parameters with the wrong type', async () => {
+      const error = await copilot.execute('github_create_repository', {
+        repository_name: 'demo',
+        visibility: 123
+      }).catch(err => err);
+
+      expect(error.message).toContain('Parameter validation failed');
+      expect(error.errors).toEqual([
+        expect.objectContaining({ field: 'visibility', message: expect.stringContaining('type string') })
+      ]);
+    });
+
+    test('should reject values outside the declared enum', () => {
+      const validation = copilot.registry.validate('github_create_repository', {
+        repository_name: 'demo',
+        visibility: 'internal'
+      });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors[0].field).toBe('visibility');
+      expect(validation.errors[0].message).toContain('"public", "private"');
+    });
+
+    test('should apply schema defaults before execution', () => {
+      const validation = copilot.registry.validate('quarto_embed_shiny_app_iframe', {
+        shiny_app_url: 'https://example.shinyapps.io/app'
+      });
+
+      expect(validation.valid).toBe(true);
+      expect(validation.params.iframe_height).toBe('600px');
+      expect(validation.params.iframe_width).toBe('100%');
+    });
+
+    test('should report every missing required field', () => {
+      const validation = copilot.registry.validate('quarto_generate_revealjs_slides', {});
+
+      expect(validation.errors.map(error => error.field)).toEqual([
+        'target_folder', 'title', 'author', 'theme_file'
+      ]);
+    });
+
+    test('should treat empty required strings as missing', () => {
+      const repository = copilot.registry.validate('github_create_repository', {
+        repository_name: '',
+        visibility: 'public'
+      });
+      expect(repository.valid).toBe(false);
+      expect(repository.errors).toEqual([{ field: 'repository_name', message: 'is required' }]);
+
+      const push = copilot.registry.validate('git_push_project', { local_project_path: '', github_repo_url: '' });
+      expect(push.errors.map(error => error.field)).toEqual(['local_project_path', 'github_repo_url']);
+    });
+  });
+
   describe('Error handling', () => {
     test('should handle unknown tools', async () => {
       await expect(
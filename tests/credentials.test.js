@@ -0,0 +1,119 @@
+const { PassThrough } = require('stream');
+const fs = require('fs-extra');
+const path = require('path');
+const CopilotQuarto = require('../src/index');
+const { CopilotQuartoTool } = require('../src/core');
+const { CredentialProvider, EncryptedCredentialStore, CREDENTIALS_KEY_ENV } = require('../src/credentials');
+const { main } = require('../src/cli');
+
+/**
+ * Logs, returns and finally throws the token it is given
+ */
+class LeakyTool extends CopilotQuartoTool {
+  constructor() {
+    super('leaky_tool', 'Echo a secret everywhere.', {
+      parameters: {
+        type: 'object',
+        properties: { api_key: { type: 'string', writeOnly: true }, fail: { type: 'boolean' } }
+      }
+    });
+  }
+
+  async execute(params, context) {
+    const token = context.secret('GITHUB_TOKEN');
+    this.log(`Using ${token} and ${params.api_key}`);
+    if (params.fail) {
+      throw new Error(`Request with ${token} failed`);
+    }
+    return { success: true, headers: { authorization: `Bearer ${token}` }, key: params.api_key };
+  }
+}
+
+describe('Credentials', () => {
+  const stateDir = path.join(__dirname, 'test-credentials');
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GH_TOKEN;
+    process.env[CREDENTIALS_KEY_ENV] = 'correct horse battery staple';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.removeSync(stateDir);
+  });
+
+  test('should look secrets up from host, environment, config and the encrypted store in that order', () => {
+    const store = new EncryptedCredentialStore({ path: path.join(stateDir, 'credentials.enc') });
+    store.set('GITHUB_TOKEN', 'from-store');
+    expect(fs.readFileSync(store.path, 'utf8')).not.toContain('from-store');
+
+    const env = { WORK_TOKEN: 'from-config-env' };
+    const provider = new CredentialProvider({ config: { GITHUB_TOKEN: { env: 'WORK_TOKEN' } }, store, env });
+    expect(provider.resolve('GITHUB_TOKEN')).toEqual({ value: 'from-config-env', source: 'config:env:WORK_TOKEN' });
+
+    env.GH_TOKEN = 'from-env';
+    expect(provider.get('GITHUB_TOKEN')).toBe('from-env');
+    provider.set('GITHUB_TOKEN', 'from-host');
+    expect(provider.get('GITHUB_TOKEN')).toBe('from-host');
+
+    expect(new CredentialProvider({ store, env: {} }).get('GITHUB_TOKEN')).toBe('from-store');
+    expect(() => new CredentialProvider({ env: {} }).require('OPENAI_API_KEY'))
+      .toThrow(expect.objectContaining({ code: 'AUTH_MISSING_TOKEN', hint: expect.stringContaining('OPENAI_API_KEY') }));
+
+    const locked = new EncryptedCredentialStore({ path: store.path, passphrase: 'wrong' });
+    expect(() => locked.list()).toThrow(expect.objectContaining({ code: 'CREDENTIAL_STORE_LOCKED' }));
+  });
+
+  test('should redact secrets from events, results and errors', async () => {
+    const copilot = new CopilotQuarto({
+      stateDir, journal: false, console: false, plugins: false,
+      credentials: { GITHUB_TOKEN: 'ghp_host_injected' }
+    });
+    copilot.registry.register(new LeakyTool());
+    const events = [];
+    ['tool:start', 'tool:log', 'tool:end', 'tool:error'].forEach(name => {
+      copilot.registry.on(name, data => events.push(data));
+    });
+
+    const result = await copilot.execute('leaky_tool', { api_key: 'sk-param-secret' });
+    const error = await copilot.execute('leaky_tool', { fail: true }).catch(e => e);
+
+    expect(result).toEqual({ success: true, headers: { authorization: 'Bearer ***' }, key: '***' });
+    expect(error.message).toBe('Request with *** failed');
+    expect(events.map(event => event.tool)).toEqual(Array(6).fill('leaky_tool'));
+    expect(JSON.stringify(events)).not.toMatch(/ghp_host_injected|sk-param-secret/);
+  });
+
+  test('should manage the encrypted store from the CLI without printing values', async () => {
+    const copilot = new CopilotQuarto({ stateDir, journal: false, console: false, plugins: false, config: false });
+    const stdout = new PassThrough();
+    let out = '';
+    stdout.on('data', chunk => { out += chunk; });
+    const prompt = jest.fn(async questions => ({ [questions[0].name]: 'sk-prompted' }));
+
+    expect(await main(['credentials', 'set', 'OPENAI_API_KEY'], { copilot, prompt, stdout })).toBe(0);
+    expect(prompt.mock.calls[0][0][0].type).toBe('password');
+    expect(await main(['credentials'], { copilot, stdout })).toBe(0);
+
+    expect(out).toMatch(/OPENAI_API_KEY\s+store/);
+    expect(out).toMatch(/GITHUB_TOKEN\s+\(not set\)/);
+    expect(out).not.toContain('sk-prompted');
+    expect(copilot.credentials.get('OPENAI_API_KEY')).toBe('sk-prompted');
+
+    const stdin = new PassThrough();
+    stdin.end('ghp_from_stdin\n');
+    expect(await main(['credentials', 'set', 'GITHUB_TOKEN', '--stdin'], { copilot, stdin, stdout })).toBe(0);
+    expect(copilot.credentials.get('GITHUB_TOKEN')).toBe('ghp_from_stdin');
+
+    const stderr = new PassThrough();
+    let err = '';
+    stderr.on('data', chunk => { err += chunk; });
+    expect(await main(['credentials', 'set', 'OPENAI_API_KEY', 'sk-positional'], { copilot, prompt, stdout, stderr })).toBe(1);
+    expect(err).toContain('does not take the value as an argument');
+    expect(err).not.toContain('sk-positional');
+    expect(copilot.credentials.get('OPENAI_API_KEY')).toBe('sk-prompted');
+  });
+});
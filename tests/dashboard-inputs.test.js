@@ -0,0 +1,113 @@
+const fs = require('fs-extra');
+const { useFixture } = require('./helpers/fixture');
+
+const DASHBOARD = `---
+title: Sales
+format: dashboard
+---
+
+# Overview
+
+## Row
+
+\`\`\`{ojs}
+//| label: table
+Inputs.table(sales)
+\`\`\`
+
+# Details
+
+## Row
+
+Text.
+`;
+
+describe('Dashboard inputs', () => {
+  const fixture = useFixture('dashboard-inputs', { 'index.qmd': DASHBOARD });
+  const qmdPath = fixture.path('index.qmd');
+  const { copilot } = fixture;
+
+  test('should add OJS inputs to a global sidebar and return their variables', async () => {
+    const result = await copilot.execute('quarto_dashboard_add_inputs', {
+      qmd_file_path: qmdPath,
+      width: '250px',
+      inputs: [
+        { name: 'region', type: 'select', label: 'Region', options: ['North', 'South'], value: 'North' },
+        { name: 'year', type: 'range', min: 2000, max: 2024, step: 1 }
+      ]
+    });
+    expect(result.scope).toBe('global');
+    expect(result.variables).toEqual({ region: 'region', year: 'year' });
+
+    // A second call adds to the same sidebar
+    await copilot.execute('quarto_dashboard_add_inputs', {
+      qmd_file_path: qmdPath,
+      inputs: [{ name: 'active', type: 'toggle', label: 'Active only', value: true }]
+    });
+
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(DASHBOARD.replace('# Overview\n', `# {.sidebar width=250px}
+
+\`\`\`{ojs}
+//| label: input-region
+viewof region = Inputs.select(["North", "South"], {label: "Region", value: "North"})
+\`\`\`
+
+\`\`\`{ojs}
+//| label: input-year
+viewof year = Inputs.range([2000, 2024], {label: "year", step: 1})
+\`\`\`
+
+\`\`\`{ojs}
+//| label: input-active
+viewof active = Inputs.toggle({label: "Active only", value: true})
+\`\`\`
+
+# Overview
+`));
+
+    await expect(copilot.execute('quarto_dashboard_add_inputs', {
+      qmd_file_path: qmdPath,
+      inputs: [{ name: 'region', type: 'text' }]
+    })).rejects.toThrow('already has input region');
+
+    // Laying the pages out again keeps the sidebar and its inputs
+    await copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      layout_structure: { pages: [{ title: 'Overview', rows: [{ cards: [{ label: 'table' }] }] }] }
+    });
+    const content = fs.readFileSync(qmdPath, 'utf8');
+    expect(content).toMatch(/^---\n[\s\S]*---\n\n# \{\.sidebar width=250px\}\n\n```\{ojs\}\n\/\/\| label: input-region\n/);
+    expect(content.match(/viewof /g)).toHaveLength(3);
+    expect(content).toContain('# Overview\n\n## Row\n\n```{ojs}\n//| label: table\n');
+    await expect(copilot.execute('quarto_dashboard_add_inputs', {
+      qmd_file_path: qmdPath,
+      inputs: [{ name: 'bad-name', type: 'text' }]
+    })).rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+  });
+
+  test('should add Shiny inputs to a page toolbar and enable the Shiny server', async () => {
+    const result = await copilot.execute('quarto_dashboard_add_inputs', {
+      qmd_file_path: qmdPath,
+      container: 'toolbar',
+      page: 'Details',
+      engine: 'r',
+      inputs: [{ name: 'category', type: 'checkbox', label: 'Category', options: 'unique(sales$category)' }]
+    });
+
+    expect(result.scope).toBe('page');
+    expect(result.inputs).toEqual([
+      { name: 'category', type: 'checkbox', label: 'input-category', reference: 'input$category' }
+    ]);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(DASHBOARD
+      .replace('format: dashboard\n', 'format: dashboard\nserver: shiny\n')
+      .replace('# Details\n', `# Details
+
+## {.toolbar}
+
+\`\`\`{r}
+#| label: input-category
+checkboxGroupInput("category", "Category", choices = unique(sales$category))
+\`\`\`
+`));
+  });
+});
@@ -0,0 +1,166 @@
+const fs = require('fs-extra');
+const { useFixture } = require('./helpers/fixture');
+
+const DASHBOARD = `---
+title: Sales
+format:
+  dashboard:
+    scrolling: true
+layout:
+  rows: []
+---
+
+## Row
+
+\`\`\`{r}
+#| label: trend
+plot(sales)
+\`\`\`
+
+\`\`\`{r}
+#| label: by-region
+#| fig-width: 8
+barplot(regions)
+\`\`\`
+
+\`\`\`{r}
+summary(sales)
+\`\`\`
+`;
+
+const LAYOUT = {
+  pages: [
+    {
+      title: 'Overview',
+      rows: [
+        { height: '30%', cards: [{ title: 'About', content: 'Monthly **sales** figures.', fill: false }] },
+        {
+          columns: [
+            { width: '60%', cards: [{ label: 'trend', title: 'Trend' }] },
+            { tabset: true, cards: [{ label: 'by-region', title: 'By region', height: '50%' }] }
+          ]
+        }
+      ]
+    },
+    { title: 'Notes', orientation: 'columns', columns: [{ cards: [{ content: 'Data from the CRM.' }] }] }
+  ]
+};
+
+describe('Dashboard layout', () => {
+  const fixture = useFixture('dashboard-layout', { 'index.qmd': DASHBOARD });
+  const qmdPath = fixture.path('index.qmd');
+  const { copilot } = fixture;
+
+  test('should write pages, rows, columns and cards into the body and keep cells by label', async () => {
+    const result = await copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      layout_structure: LAYOUT
+    });
+
+    expect(result.orientation).toBe('rows');
+    expect(result.cards.map(card => [card.page, card.label, card.title])).toEqual([
+      ['Overview', null, 'About'],
+      ['Overview', 'trend', 'Trend'],
+      ['Overview', 'by-region', 'By region'],
+      ['Notes', null, null]
+    ]);
+    expect(result.unplaced).toEqual([{ type: 'cell', label: null, line: 23 }]);
+
+    const expected = `---
+title: Sales
+format:
+  dashboard:
+    scrolling: true
+---
+
+# Overview
+
+## Row {height=30%}
+
+::: {.card .flow title=About}
+Monthly **sales** figures.
+:::
+
+## Row
+
+### Column {width=60%}
+
+\`\`\`{r}
+#| label: trend
+#| title: Trend
+plot(sales)
+\`\`\`
+
+### Column {.tabset}
+
+::: {.card height=50%}
+\`\`\`{r}
+#| label: by-region
+#| fig-width: 8
+#| title: By region
+barplot(regions)
+\`\`\`
+:::
+
+# Notes {orientation=columns}
+
+## Column
+
+::: {.card}
+Data from the CRM.
+:::
+
+## Column {#unplaced}
+
+\`\`\`{r}
+summary(sales)
+\`\`\`
+`;
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(expected);
+
+    // Rewriting with the same layout changes nothing
+    await copilot.execute('quarto_define_dashboard_layout', { qmd_file_path: qmdPath, layout_structure: LAYOUT });
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(expected);
+  });
+
+  test('should keep unplaced value box and tabset divs whole', async () => {
+    const valueBox = '::: {.valuebox icon="cash" color="primary"}\nRevenue\n\n${rev}\n:::';
+    const tabset = '::: {.panel-tabset}\n### A\n\ntext a\n\n### B\n\ntext b\n:::';
+    fs.outputFileSync(qmdPath, `---\ntitle: Sales\n---\n\n## Row\n\n${valueBox}\n\n## Row\n\n${tabset}\n\n` +
+      '::: {.card}\n```{r}\n#| label: trend\nplot(sales)\n```\n:::\n');
+
+    const result = await copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      layout_structure: { rows: [{ cards: [{ label: 'trend' }] }] }
+    });
+
+    expect(result.unplaced).toEqual([{ type: 'div', line: 7 }, { type: 'div', line: 15 }]);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toContain('## Row\n\n```{r}\n#| label: trend\nplot(sales)\n```\n\n' +
+      `## Row {#unplaced}\n\n${valueBox}\n\n${tabset}\n`);
+  });
+
+  test('should reject layouts that do not fit the document', async () => {
+    await expect(copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      layout_structure: { rows: [{ cards: [{ label: 'missing' }] }] }
+    })).rejects.toMatchObject({ code: 'CHUNK_NOT_FOUND', details: { available: ['trend', 'by-region'] } });
+
+    await expect(copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      layout_structure: { rows: [{ rows: [] }] }
+    })).rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+
+    await expect(copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      layout_structure: { rows: [{ cards: [{ label: 'trend' }] }, { cards: [{ label: 'trend' }] }] }
+    })).rejects.toThrow('Cell \'trend\' is used by more than one card');
+
+    await expect(copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      orientation: 'columns',
+      layout_structure: { rows: [] }
+    })).rejects.toThrow('The layout is laid out in rows, not columns');
+
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(DASHBOARD);
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const { useFixture } = require('./helpers/fixture');
+
+const REPORT = `---
+title: Sales
+format:
+  html:
+    toc: true
+logo: old.png
+---
+
+## Row
+`;
+
+describe('Dashboard options', () => {
+  const fixture = useFixture('dashboard-options', { 'index.qmd': REPORT });
+  const qmdPath = fixture.path('index.qmd');
+  const { copilot } = fixture;
+
+  test('should merge options into format.dashboard and keep other formats', async () => {
+    const result = await copilot.execute('quarto_dashboard_set_options', {
+      qmd_file_path: qmdPath,
+      logo: 'logo.png',
+      nav_buttons: ['github', { icon: 'linkedin', href: 'https://linkedin.com/in/me' }],
+      scrolling: true,
+      theme: { light: 'flatly', dark: 'darkly' }
+    });
+
+    expect(result.changes).toEqual([
+      { op: 'add', path: 'format.dashboard', value: 'default' },
+      { op: 'remove', path: 'logo', from: 'old.png' },
+      { op: 'add', path: 'format.dashboard.logo', value: 'old.png' },
+      { op: 'replace', path: 'format.dashboard.logo', from: 'old.png', value: 'logo.png' },
+      { op: 'add', path: 'format.dashboard.scrolling', value: true },
+      { op: 'add', path: 'format.dashboard.nav-buttons', value: ['github', { icon: 'linkedin', href: 'https://linkedin.com/in/me' }] },
+      { op: 'add', path: 'format.dashboard.theme', value: { light: 'flatly', dark: 'darkly' } }
+    ]);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(`---
+title: Sales
+format:
+  dashboard:
+    logo: logo.png
+    scrolling: true
+    nav-buttons:
+      - github
+      - icon: linkedin
+        href: https://linkedin.com/in/me
+    theme:
+      light: flatly
+      dark: darkly
+  html:
+    toc: true
+---
+
+## Row
+`);
+
+    const update = await copilot.execute('quarto_dashboard_set_options', {
+      qmd_file_path: qmdPath,
+      nav_buttons: [{ icon: 'github', href: 'https://github.com/me/sales', text: 'Code' }],
+      theme: { dark: 'slate' },
+      options: { orientation: 'rows', scrolling: true },
+      remove_options: ['logo']
+    });
+    expect(update.dashboard_options).toEqual({
+      'scrolling': true,
+      'nav-buttons': [
+        { icon: 'github', href: 'https://github.com/me/sales', text: 'Code' },
+        { icon: 'linkedin', href: 'https://linkedin.com/in/me' }
+      ],
+      'theme': { light: 'flatly', dark: 'slate' },
+      'orientation': 'rows'
+    });
+    expect(update.changes.map(change => [change.op, change.path])).toEqual([
+      ['add', 'format.dashboard.orientation'],
+      ['replace', 'format.dashboard.nav-buttons'],
+      ['replace', 'format.dashboard.theme'],
+      ['remove', 'format.dashboard.logo']
+    ]);
+  });
+
+  test('should write the logo and layout orientation under format.dashboard', async () => {
+    fs.outputFileSync(qmdPath, '---\ntitle: Sales\nformat: html\norientation: rows\n---\n\n## Row\n');
+
+    await copilot.execute('quarto_add_dashboard_logo', { qmd_file_path: qmdPath, logo_image_path: 'logo.png' });
+    await copilot.execute('quarto_define_dashboard_layout', {
+      qmd_file_path: qmdPath,
+      orientation: 'columns',
+      layout_structure: { columns: [{ cards: [{ content: 'Hello' }] }] }
+    });
+
+    const content = fs.readFileSync(qmdPath, 'utf8');
+    expect(content.slice(0, content.indexOf('---', 3) + 3)).toBe(`---
+title: Sales
+format:
+  dashboard:
+    logo: logo.png
+    orientation: columns
+  html: default
+---`);
+
+    await expect(copilot.execute('quarto_dashboard_set_options', { qmd_file_path: qmdPath }))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+    const unchanged = await copilot.execute('quarto_dashboard_set_options', { qmd_file_path: qmdPath, logo: 'logo.png' });
+    expect(unchanged.changes).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+const CopilotQuarto = require('../src/index');
+const { VirtualFileSystem } = require('../src/vfs');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Dry-run mode', () => {
+  let copilot;
+  let testDir;
+
+  beforeEach(() => {
+    copilot = new CopilotQuarto({ console: false });
+    testDir = path.join(__dirname, 'test-dry-run');
+    fs.ensureDirSync(testDir);
+  });
+
+  afterEach(() => {
+    fs.removeSync(testDir);
+  });
+
+  test('should return a unified diff without touching the file', async () => {
+    const qmdPath = path.join(testDir, 'dashboard.qmd');
+    const original = '---\ntitle: "Sales"\n---\n\n# Overview\n';
+    fs.writeFileSync(qmdPath, original);
+
+    const result = await copilot.execute('quarto_define_dashboard_format', {
+      qmd_file_path: qmdPath,
+      dashboard_title: 'Sales'
+    }, { dryRun: true });
+
+    expect(result.dry_run).toBe(true);
+    expect(result.tool).toBe('quarto_define_dashboard_format');
+    expect(result.changes).toEqual([{ path: qmdPath, action: 'modify' }]);
+    expect(result.diff).toContain('--- a/tests/test-dry-run/dashboard.qmd');
+    expect(result.diff).toContain('+format: dashboard');
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(original);
+  });
+
+  test('should plan new files and external commands', async () => {
+    const projectName = path.join(testDir, 'planned-project');
+
+    const result = await copilot.execute('quarto_create_project_with_renv_and_git', {
+      project_directory_name: projectName,
+      create_git_repo: true,
+      use_renv: false
+    }, { dryRun: true });
+
+    expect(fs.existsSync(projectName)).toBe(false);
+    expect(result.changes.map(change => path.basename(change.path))).toEqual(
+      expect.arrayContaining(['_quarto.yml', 'index.qmd', '.gitignore', 'README.md'])
+    );
+    expect(result.changes.every(change => change.action === 'create')).toBe(true);
+    expect(result.diff).toContain('--- /dev/null');
+    expect(result.planned_commands).toEqual([
+      { type: 'git', command: 'git init', cwd: path.resolve(projectName) }
+    ]);
+  });
+
+  test('should plan GitHub API calls without a token', async () => {
+    const result = await copilot.execute('github_create_repository', {
+      repository_name: 'demo',
+      visibility: 'private'
+    }, { dryRun: true });
+
+    expect(result.success).toBe(true);
+    expect(result.planned_commands[0].type).toBe('github-api');
+    expect(result.planned_commands[0].command).toContain('POST /user/repos');
+  });
+
+  test('should let later runs see earlier writes through a shared filesystem', async () => {
+    const vfs = new VirtualFileSystem({ dryRun: true });
+    const gitignorePath = path.join(testDir, '.gitignore');
+
+    await copilot.execute('quarto_create_gitignore', { target_folder: testDir }, { dryRun: true, fs: vfs });
+    expect(fs.existsSync(gitignorePath)).toBe(false);
+    expect(vfs.existsSync(gitignorePath)).toBe(true);
+    expect(vfs.readFileSync(gitignorePath, 'utf8')).toContain('_site/');
+  });
+});
@@ -0,0 +1,74 @@
+const CopilotQuarto = require('../src/index');
+const {
+  ToolError,
+  ValidationError,
+  MissingDependencyError,
+  AuthError,
+  fromExecError,
+  fromHttpError,
+  formatError
+} = require('../src/errors');
+
+describe('Error codes', () => {
+  let copilot;
+  let originalToken;
+
+  beforeEach(() => {
+    copilot = new CopilotQuarto({ journal: false, console: false });
+    originalToken = process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_TOKEN;
+  });
+
+  afterEach(() => {
+    if (originalToken !== undefined) {
+      process.env.GITHUB_TOKEN = originalToken;
+    }
+  });
+
+  test('should report unknown tools and invalid parameters with stable codes', async () => {
+    await expect(copilot.execute('no_such_tool', {})).rejects.toMatchObject({ code: 'TOOL_NOT_FOUND' });
+
+    const error = await copilot.execute('github_create_repository', { repository_name: 'demo' }).catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('VALIDATION_FAILED');
+    expect(error.errors[0].field).toBe('visibility');
+    expect(error.hint).toContain('copilot-quarto describe github_create_repository');
+  });
+
+  test('should explain a missing GitHub token and carry the code on tool:error', async () => {
+    const events = [];
+    copilot.registry.on('tool:error', data => events.push(data));
+
+    const error = await copilot.execute('github_create_repository', {
+      repository_name: 'demo',
+      visibility: 'public'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error.code).toBe('AUTH_MISSING_TOKEN');
+    expect(error.hint).toContain('GITHUB_TOKEN');
+    expect(events[0]).toMatchObject({ code: 'AUTH_MISSING_TOKEN', hint: error.hint });
+  });
+
+  test('should classify command and HTTP failures', () => {
+    const missing = fromExecError(Object.assign(new Error('/bin/sh: quarto: command not found'), { status: 127 }), 'quarto render');
+    expect(missing).toBeInstanceOf(MissingDependencyError);
+    expect(missing.details.dependency).toBe('quarto');
+    expect(missing.hint).toContain('quarto.org');
+
+    const failed = fromExecError(Object.assign(new Error('exit 1'), { status: 1, stderr: Buffer.from('boom') }), 'git push');
+    expect(failed.code).toBe('COMMAND_FAILED');
+    expect(failed.details.exitCode).toBe(1);
+
+    expect(fromHttpError(Object.assign(new Error('Bad credentials'), { status: 401 }), 'GitHub').code).toBe('AUTH_FAILED');
+    expect(fromHttpError({ message: 'Server error', response: { status: 502, data: {} } }, 'OpenAI'))
+      .toMatchObject({ code: 'REMOTE_API_ERROR', details: { service: 'OpenAI', status: 502 } });
+  });
+
+  test('should format errors with their code and hint', () => {
+    const error = new ToolError('Something broke', { code: 'EXAMPLE', hint: 'Try again.' });
+
+    expect(formatError(error)).toBe('[EXAMPLE] Something broke\nHint: Try again.');
+    expect(error.toJSON()).toMatchObject({ name: 'ToolError', code: 'EXAMPLE', hint: 'Try again.' });
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CopilotQuarto = require('../../src/index');
+
+/**
+ * CopilotQuarto for tests: no console output, plugins or project config.
+ * Without a stateDir it keeps no undo journal or history either.
+ * @param {Object} [options] - Constructor options to add or override
+ * @returns {CopilotQuarto}
+ */
+function createCopilot(options = {}) {
+  return new CopilotQuarto({ console: false, plugins: false, config: false, ...options });
+}
+
+/**
+ * Scratch directory under the system temp directory, seeded with files, and
+ * a CopilotQuarto whose workspace is that directory
+ * @param {string} name - Keeps the fixtures of different suites apart
+ * @param {Object<string, string>} [files] - Content by path relative to the directory
+ * @param {Object} [options] - Extra CopilotQuarto options
+ * @returns {{dir: string, copilot: CopilotQuarto, path: Function, reset: Function, remove: Function}}
+ */
+function createFixture(name, files = {}, options = {}) {
+  // The real path, so workspace checks agree with it when the temp directory is a symlink
+  const dir = path.join(fs.realpathSync(os.tmpdir()), `copilot-quarto-${name}-${process.pid}`);
+  const fixture = {
+    dir,
+    copilot: createCopilot({ workspace: { root: dir }, ...options }),
+
+    /**
+     * @param {...string} segments - Relative to the fixture directory
+     * @returns {string}
+     */
+    path: (...segments) => path.join(dir, ...segments),
+
+    /**
+     * Recreate the directory holding only the seed files
+     * @returns {Object} The fixture
+     */
+    reset() {
+      fs.emptyDirSync(dir);
+      for (const [file, content] of Object.entries(files)) {
+        fs.outputFileSync(path.join(dir, file), content);
+      }
+      return fixture;
+    },
+
+    remove: () => fs.removeSync(dir)
+  };
+  return fixture;
+}
+
+/**
+ * createFixture for a describe block: the seed files are written before each
+ * test and the directory removed after it
+ * @param {string} name
+ * @param {Object<string, string>} [files]
+ * @param {Object} [options]
+ * @returns {Object} The fixture
+ */
+function useFixture(name, files = {}, options = {}) {
+  const fixture = createFixture(name, files, options);
+  beforeEach(() => fixture.reset());
+  afterEach(() => fixture.remove());
+  return fixture;
+}
+
+module.exports = {
+  createCopilot,
+  createFixture,
+  useFixture
+};
@@ -0,0 +1,120 @@
+const { PassThrough } = require('stream');
+const fs = require('fs-extra');
+const path = require('path');
+const CopilotQuarto = require('../src/index');
+const { main } = require('../src/cli');
+
+describe('Execution history', () => {
+  const testDir = path.join(__dirname, 'test-history');
+  const projectDir = path.join(testDir, 'project');
+  const originalCwd = process.cwd();
+  let copilot;
+
+  beforeEach(() => {
+    fs.ensureDirSync(projectDir);
+    copilot = new CopilotQuarto({
+      stateDir: path.join(testDir, '.copilot-quarto'),
+      journal: false, console: false, plugins: false, config: false
+    });
+  });
+
+  afterEach(() => {
+    fs.removeSync(testDir);
+  });
+
+  test('should record every run with redacted params, outcome and files touched', async () => {
+    const siteDir = path.join(projectDir, 'site');
+    await copilot.execute('quarto_create_gitignore', { target_folder: siteDir });
+    await copilot.execute('quarto_create_gitignore', { target_folder: siteDir }, { dryRun: true });
+    await copilot.execute('r_package_httr2_api_access', {
+      api_endpoint: 'https://api.example.com',
+      request_path_append: '/v1',
+      authentication_token: 'tok_history_secret',
+      body_json: {}
+    });
+    await copilot.execute('github_create_repository', { repository_name: 'demo' }).catch(() => {});
+
+    const entries = copilot.history.list();
+    expect(entries.map(entry => [entry.tool, entry.status, entry.dry_run])).toEqual([
+      ['quarto_create_gitignore', 'succeeded', false],
+      ['quarto_create_gitignore', 'succeeded', true],
+      ['r_package_httr2_api_access', 'succeeded', false],
+      ['github_create_repository', 'failed', false]
+    ]);
+    expect(entries[0].files).toEqual([{ path: path.join(siteDir, '.gitignore'), action: 'create' }]);
+    expect(entries[2].params.authentication_token).toBe('***');
+    expect(entries[2].result.r_code).toMatch(/… \(\d+ chars\)$/);
+    expect(entries[3].error.code).toBe('VALIDATION_FAILED');
+    expect(fs.readFileSync(copilot.history.path, 'utf8')).not.toContain('tok_history_secret');
+
+    const stdout = new PassThrough();
+    let out = '';
+    stdout.on('data', chunk => { out += chunk; });
+    await main(['history', '--tool', 'quarto_create_gitignore'], { copilot, stdout });
+    expect(out.trim().split('\n')).toHaveLength(2);
+    expect(out).toContain(`${entries[1].id.slice(0, 8)}  `);
+    expect(out).toContain('✅ quarto_create_gitignore (dry run)');
+  });
+
+  test('should only keep a history when a state directory is chosen', () => {
+    const options = { journal: false, console: false, plugins: false, config: false };
+    expect(new CopilotQuarto(options).history).toBeNull();
+    expect(new CopilotQuarto({ ...options, history: true }).history).not.toBeNull();
+    expect(copilot.history.path).toBe(path.join(testDir, '.copilot-quarto', 'history.jsonl'));
+  });
+
+  test('should replay a sequence of runs against a fresh directory', async () => {
+    copilot = new CopilotQuarto({
+      stateDir: path.join(testDir, '.copilot-quarto'),
+      workspace: { root: projectDir },
+      journal: false, console: false, plugins: false, config: false
+    });
+    const first = await copilot.execute('quarto_create_gitignore', { target_folder: path.join(projectDir, 'site') });
+    await copilot.execute('quarto_generate_custom_scss', {
+      target_folder: 'site',
+      font_family: 'Inter',
+      primary_color: '#1f6feb',
+      secondary_color: '#0d1117',
+      accent_color: '#ff006e'
+    });
+
+    const [firstEntry] = copilot.history.list();
+    expect(firstEntry.params.target_folder).toBe(path.join(projectDir, 'site'));
+    expect(firstEntry.cwd).toBe(projectDir);
+    expect(fs.existsSync(path.join(projectDir, 'site', 'custom.scss'))).toBe(true);
+    expect(first.success).toBe(true);
+
+    const freshDir = path.join(testDir, 'fresh');
+    const replay = await copilot.replay({ from: firstEntry.id.slice(0, 8) }, { cwd: freshDir });
+
+    expect(replay.success).toBe(true);
+    expect(replay.runs.map(run => run.tool)).toEqual(['quarto_create_gitignore', 'quarto_generate_custom_scss']);
+    expect(fs.existsSync(path.join(freshDir, 'site', '.gitignore'))).toBe(true);
+    expect(fs.readFileSync(path.join(freshDir, 'site', 'custom.scss'), 'utf8')).toContain('Inter');
+    expect(process.cwd()).toBe(originalCwd);
+    expect(copilot.history.list().slice(-2).map(entry => entry.replay_of)).toEqual(
+      copilot.history.list().slice(0, 2).map(entry => entry.id)
+    );
+    expect(() => copilot.history.get('nope')).toThrow(expect.objectContaining({ code: 'HISTORY_NOT_FOUND' }));
+  });
+
+  test('should skip failed runs and dry runs when replaying a sequence', async () => {
+    const qmdPath = path.join(projectDir, 'index.qmd');
+    fs.outputFileSync(qmdPath, '---\ntitle: Sales\nformat: dashboard\n---\n\n## Row\n');
+    const box = { qmd_file_path: qmdPath, title: 'Revenue', value: 'sum(sales$amount)' };
+
+    await expect(copilot.execute('quarto_dashboard_add_value_box', { ...box, row: 'Missing' }))
+      .rejects.toMatchObject({ code: 'ANCHOR_NOT_FOUND' });
+    await copilot.execute('quarto_dashboard_add_value_box', { ...box, row: 'Row' }, { dryRun: true });
+    await copilot.execute('quarto_dashboard_add_value_box', { ...box, row: 'Row' });
+    const [failed] = copilot.history.list();
+
+    const replay = await copilot.replay({ from: failed.id }, { dryRun: true });
+    expect(replay.success).toBe(true);
+    expect(replay.runs.map(run => [run.tool, run.status])).toEqual([['quarto_dashboard_add_value_box', 'succeeded']]);
+    expect(replay.runs[0].id).toBe(copilot.history.list()[2].id);
+
+    const all = await copilot.replay({ from: failed.id }, { dryRun: true, includeAll: true });
+    expect(all.runs.map(run => [run.status, run.code])).toEqual([['failed', 'ANCHOR_NOT_FOUND']]);
+  });
+});
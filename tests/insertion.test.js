@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const { parseCellOptions, formatCell } = require('../src/qmd');
+const { createFixture } = require('./helpers/fixture');
+
+const REPORT = `---
+title: Sales
+---
+
+## Overview
+
+Intro.
+
+\`\`\`{r}
+#| label: load
+sales <- read.csv("sales.csv")
+\`\`\`
+
+## Details
+
+Text.
+`;
+
+describe('Snippet insertion', () => {
+  test('should read YAML and knitr cell options and write them as comment options', () => {
+    expect(parseCellOptions('echo: false, output: asis')).toEqual({ echo: false, output: 'asis' });
+    expect(parseCellOptions(['plot, echo=FALSE', 'fig.cap="Sales, by month"', 'fig.width=7', 'out.width=w']))
+      .toEqual({ 'label': 'plot', 'echo': false, 'fig-cap': 'Sales, by month', 'fig-width': 7, 'out-width': '!expr w' });
+
+    expect(formatCell('ojs', '\nx = 1\n', { echo: false, label: 'x' })).toBe('```{ojs}\n//| label: x\n//| echo: false\nx = 1\n```\n');
+    expect(formatCell('r', 'plot(x)', { 'fig-width': '!expr w' })).toBe('```{r}\n#| fig-width: !expr w\nplot(x)\n```\n');
+  });
+
+  test('should insert snippets into a .qmd at the requested anchor', async () => {
+    const fixture = createFixture('insertion', { 'report.qmd': REPORT }).reset();
+    const qmdPath = fixture.path('report.qmd');
+    const { copilot } = fixture;
+
+    try {
+      const data = await copilot.execute('r_ojs_define_data', {
+        r_data_frame: 'sales',
+        ojs_variable_name: 'salesData',
+        target_qmd: qmdPath,
+        position: 'after_chunk',
+        anchor: 'load'
+      });
+      expect(data.insertion).toEqual({ file_path: qmdPath, position: 'after_chunk', anchor: 'load', line: 14 });
+
+      const chunk = await copilot.execute('quarto_define_ojs_chunk', {
+        ojs_code_content: 'Inputs.table(salesData)',
+        chunk_options: { label: 'sales-table', echo: false },
+        target_qmd: qmdPath,
+        position: 'end_of_section',
+        anchor: 'Overview'
+      });
+      expect(chunk.chunk_content).toBe('```{ojs}\n//| label: sales-table\n//| echo: false\nInputs.table(salesData)\n```\n');
+
+      await copilot.execute('quarto_define_ojs_chunk', {
+        ojs_code_content: 'Plot.barY(salesData).plot()',
+        chunk_options: 'label: sales-table',
+        target_qmd: qmdPath,
+        position: 'replace_chunk',
+        anchor: 'sales-table'
+      });
+      await copilot.execute('quarto_embed_youtube_iframe', {
+        youtube_embed_code: 'https://youtu.be/abc123',
+        target_qmd: qmdPath,
+        position: 'after_heading',
+        anchor: 'Details'
+      });
+
+      const content = fs.readFileSync(qmdPath, 'utf8');
+      expect(content.slice(0, content.indexOf('## Details'))).toBe(`---
+title: Sales
+---
+
+## Overview
+
+Intro.
+
+\`\`\`{r}
+#| label: load
+sales <- read.csv("sales.csv")
+\`\`\`
+
+\`\`\`{r}
+#| echo: false
+# Send R data to ObservableJS
+library(quarto)
+ojs_define(salesData = sales)
+\`\`\`
+
+\`\`\`{ojs}
+//| label: sales-table
+Plot.barY(salesData).plot()
+\`\`\`
+
+`);
+      expect(content).toMatch(/## Details\n\n## YouTube Video\n\n<iframe[^\n]+abc123[^\n]+\n\nText\.\n$/);
+
+      await expect(copilot.execute('ojs_transpose_data', {
+        ojs_data_variable: 'salesData',
+        target_qmd: qmdPath,
+        position: 'before_chunk',
+        anchor: 'missing'
+      })).rejects.toMatchObject({ code: 'ANCHOR_NOT_FOUND', details: { available: ['load', 'sales-table'] } });
+      await expect(copilot.execute('ojs_transpose_data', {
+        ojs_data_variable: 'salesData',
+        target_qmd: qmdPath,
+        position: 'after_heading'
+      })).rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+    } finally {
+      fixture.remove();
+    }
+  });
+});
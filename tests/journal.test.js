@@ -0,0 +1,120 @@
+const CopilotQuarto = require('../src/index');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Undo journal', () => {
+  let copilot;
+  let testDir;
+  let qmdPath;
+  const original = '---\ntitle: "Sales"\n---\n\n# Overview\n';
+
+  beforeEach(() => {
+    testDir = path.join(__dirname, 'test-journal');
+    fs.ensureDirSync(testDir);
+    qmdPath = path.join(testDir, 'index.qmd');
+    fs.writeFileSync(qmdPath, original);
+
+    copilot = new CopilotQuarto({ stateDir: path.join(testDir, '.copilot-quarto'), console: false });
+  });
+
+  afterEach(() => {
+    fs.removeSync(testDir);
+  });
+
+  test('should undo the last run', async () => {
+    await copilot.execute('quarto_define_dashboard_format', { qmd_file_path: qmdPath, dashboard_title: 'Sales' });
+    expect(fs.readFileSync(qmdPath, 'utf8')).toContain('format: dashboard');
+
+    const undone = copilot.undo();
+
+    expect(undone).toHaveLength(1);
+    expect(undone[0].tool).toBe('quarto_define_dashboard_format');
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(original);
+    expect(copilot.journal.list()).toHaveLength(0);
+  });
+
+  test('should roll back a whole session, removing created files and folders', async () => {
+    const assetsDir = path.join(testDir, 'assets');
+
+    copilot.startSession('setup');
+    await copilot.execute('quarto_define_dashboard_format', { qmd_file_path: qmdPath, dashboard_title: 'Sales' });
+    await copilot.execute('quarto_create_gitignore', { target_folder: assetsDir });
+    copilot.endSession();
+    await copilot.execute('chatgpt_generate_cron_expression', { natural_language_time_description: 'every day at 8 AM' });
+
+    const undone = copilot.rollback('setup');
+
+    expect(undone.map(run => run.tool)).toEqual(['quarto_create_gitignore', 'quarto_define_dashboard_format']);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(original);
+    expect(fs.existsSync(assetsDir)).toBe(false);
+  });
+
+  test('should refuse to overwrite files edited after the run unless forced', async () => {
+    await copilot.execute('quarto_define_dashboard_format', { qmd_file_path: qmdPath, dashboard_title: 'Sales' });
+    fs.appendFileSync(qmdPath, '\nHand-written notes\n');
+
+    expect(() => copilot.undo()).toThrow('was changed after quarto_define_dashboard_format ran');
+    expect(fs.readFileSync(qmdPath, 'utf8')).toContain('Hand-written notes');
+
+    copilot.undo(1, { force: true });
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(original);
+  });
+
+  test('should not journal dry runs', async () => {
+    await copilot.execute('quarto_define_dashboard_format', {
+      qmd_file_path: qmdPath,
+      dashboard_title: 'Sales'
+    }, { dryRun: true });
+
+    expect(copilot.journal.list()).toHaveLength(0);
+  });
+
+  test('should report what external commands left behind', async () => {
+    const projectPath = path.join(testDir, 'tracker');
+    await copilot.execute('quarto_create_project_with_renv_and_git', {
+      project_directory_name: projectPath,
+      create_git_repo: true,
+      use_renv: false
+    });
+
+    const [undone] = copilot.undo();
+
+    expect(undone.commands).toEqual([{ command: 'git init', cwd: projectPath }]);
+    expect(undone.remaining).toEqual([
+      { path: path.join(projectPath, '.git'), reason: expect.stringContaining('external command') }
+    ]);
+    expect(fs.readdirSync(projectPath)).toEqual(['.git']);
+  });
+
+  test('should keep files holding secrets out of owner-only entries', async () => {
+    const renvironPath = path.join(testDir, '.Renviron');
+    fs.writeFileSync(renvironPath, 'OLD_SECRET=hunter2\n');
+    copilot = new CopilotQuarto({
+      stateDir: path.join(testDir, '.copilot-quarto'),
+      workspace: { root: testDir },
+      console: false,
+      config: false
+    });
+
+    await copilot.execute('r_store_local_secrets_renviron', { variable_name: 'API_KEY', variable_value: 's3cr3t-value' });
+    await copilot.execute('quarto_define_dashboard_format', { qmd_file_path: qmdPath, dashboard_title: 'Sales' });
+
+    const entryFiles = fs.readdirSync(copilot.journal.directory).map(name => path.join(copilot.journal.directory, name));
+    const stored = entryFiles.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+    expect(stored).not.toContain(Buffer.from('OLD_SECRET=hunter2\n').toString('base64'));
+    expect(stored).not.toContain('s3cr3t-value');
+    for (const file of entryFiles) {
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    }
+
+    const undone = copilot.undo(2);
+    expect(undone[1].remaining).toEqual([{ path: renvironPath, reason: expect.stringContaining('secret') }]);
+    expect(fs.readFileSync(renvironPath, 'utf8')).toBe('OLD_SECRET=hunter2\nAPI_KEY=s3cr3t-value\n');
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(original);
+  });
+
+  test('should only keep a journal when asked for', () => {
+    expect(new CopilotQuarto({ console: false, plugins: false, config: false }).journal).toBeNull();
+    expect(new CopilotQuarto({ journal: true, console: false, plugins: false, config: false }).journal).not.toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const { PassThrough } = require('stream');
+const CopilotQuarto = require('../src/index');
+const { CopilotQuartoTool } = require('../src/core');
+const { ConsoleRenderer, JsonLinesSink } = require('../src/logging');
+
+/**
+ * Tool that reports progress, for exercising the event stream
+ */
+class CountingTool extends CopilotQuartoTool {
+  constructor() {
+    super('test_counting_tool', 'Counts to three.');
+  }
+
+  async execute() {
+    for (let step = 1; step <= 3; step++) {
+      this.progress(step, 3, `Step ${step}`);
+    }
+    this.success('Counted');
+    return { success: true };
+  }
+}
+
+/**
+ * Collect every line written to a stream
+ */
+function captureLines(stream) {
+  const lines = [];
+  stream.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+  return lines;
+}
+
+describe('Tool events', () => {
+  let copilot;
+  let events;
+
+  beforeEach(() => {
+    copilot = new CopilotQuarto({ console: false });
+    copilot.registry.register(new CountingTool());
+    events = [];
+    ['tool:start', 'tool:log', 'tool:progress', 'tool:end', 'tool:error'].forEach(name => {
+      copilot.registry.on(name, data => events.push({ name, ...data }));
+    });
+  });
+
+  test('should emit start, log, progress and end events sharing one run id', async () => {
+    await copilot.execute('test_counting_tool', {});
+
+    expect(events.map(event => event.name)).toEqual([
+      'tool:start', 'tool:progress', 'tool:progress', 'tool:progress', 'tool:log', 'tool:end'
+    ]);
+    expect(new Set(events.map(event => event.runId)).size).toBe(1);
+    expect(events[3]).toMatchObject({ progress: 3, total: 3, message: 'Step 3' });
+    expect(events[4]).toMatchObject({ level: 'notice', message: 'Counted', tool: 'test_counting_tool' });
+    expect(events[5].result).toEqual({ success: true });
+  });
+
+  test('should emit tool:error for validation failures', async () => {
+    await expect(copilot.execute('github_create_repository', { repository_name: 'demo' })).rejects.toThrow();
+
+    expect(events.map(event => event.name)).toEqual(['tool:start', 'tool:error']);
+    expect(events[1].errors[0].field).toBe('visibility');
+  });
+
+  test('should write JSON lines and pretty console output as separate subscribers', async () => {
+    const jsonStream = new PassThrough();
+    const consoleStream = new PassThrough();
+    const jsonLines = captureLines(jsonStream);
+    const consoleLines = captureLines(consoleStream);
+
+    new JsonLinesSink(jsonStream).attach(copilot.registry);
+    const renderer = new ConsoleRenderer({ stream: consoleStream, level: 'notice' }).attach(copilot.registry);
+
+    await copilot.execute('chatgpt_generate_cron_expression', { natural_language_time_description: 'every day at 8 AM' });
+    renderer.detach();
+    await copilot.execute('chatgpt_generate_cron_expression', { natural_language_time_description: 'every day at 8 AM' });
+
+    const parsed = jsonLines.map(line => JSON.parse(line));
+    expect(parsed.map(entry => entry.event)).toEqual([
+      'tool:start', 'tool:log', 'tool:log', 'tool:end',
+      'tool:start', 'tool:log', 'tool:log', 'tool:end'
+    ]);
+    expect(consoleLines).toHaveLength(1);
+    expect(consoleLines[0]).toContain('[chatgpt_generate_cron_expression] SUCCESS:');
+  });
+});
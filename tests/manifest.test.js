@@ -0,0 +1,57 @@
+const CopilotQuarto = require('../src/index');
+const { findManifestDrift, generateManifest, readManifest } = require('../src/manifest');
+const { validateSchema } = require('../src/schema');
+
+describe('Tool manifest', () => {
+  let copilot;
+
+  beforeEach(() => {
+    copilot = new CopilotQuarto({ journal: false, console: false, plugins: false });
+  });
+
+  test('should match the schemas the tools declare in code', () => {
+    const validation = copilot.validateImplementation();
+
+    expect(validation.drift).toEqual([]);
+    expect(validation.inSync).toBe(true);
+    expect(validation.allImplemented).toBe(true);
+  });
+
+  test('should report drifted descriptions, parameters and required lists', () => {
+    const manifest = readManifest();
+    const repo = manifest.find(entry => entry.name === 'github_create_repository');
+    repo.description = 'Make a repo.';
+    repo.parameters.properties.visibility = { type: 'string' };
+    repo.parameters.properties.topics = { type: 'array' };
+    repo.parameters.required = ['repository_name'];
+
+    const drift = findManifestDrift(copilot.getToolDefinitions(), manifest);
+
+    expect(drift.map(entry => `${entry.tool} ${entry.field}`)).toEqual([
+      'github_create_repository description',
+      'github_create_repository parameters.visibility',
+      'github_create_repository parameters.topics',
+      'github_create_repository required'
+    ]);
+  });
+
+  test('should render OpenAI and Anthropic function-calling formats', () => {
+    const tool = copilot.registry.tools.get('github_create_repository');
+
+    expect(tool.outputSchema.properties.repository_url).toEqual({ type: 'string' });
+    expect(generateManifest([tool], 'openai')).toEqual([{
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }]);
+    expect(generateManifest([tool], 'anthropic')).toEqual([{
+      name: tool.name, description: tool.description, input_schema: tool.parameters
+    }]);
+  });
+
+  test('should return results matching the declared output schema', async () => {
+    const tool = copilot.registry.tools.get('chatgpt_generate_cron_expression');
+    const result = await copilot.execute(tool.name, { natural_language_time_description: 'every day at 8 AM' });
+
+    expect(validateSchema(tool.outputSchema, result).errors).toEqual([]);
+  });
+});
@@ -0,0 +1,177 @@
+const { PassThrough } = require('stream');
+const CopilotQuarto = require('../src/index');
+const { McpServer } = require('../src/mcp-server');
+
+/**
+ * Drive an McpServer with a list of requests and collect every message it writes
+ */
+async function runSession(copilot, requests) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const messages = [];
+  let buffered = '';
+
+  output.on('data', chunk => {
+    buffered += chunk.toString();
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.filter(Boolean).forEach(line => messages.push(JSON.parse(line)));
+  });
+
+  const server = new McpServer(copilot, { input, output });
+  const done = server.start();
+  requests.forEach(request => input.write(`${JSON.stringify(request)}\n`));
+  input.end();
+  await done;
+
+  return messages;
+}
+
+describe('McpServer', () => {
+  let copilot;
+
+  beforeEach(() => {
+    copilot = new CopilotQuarto({ console: false });
+  });
+
+  test('should complete the initialize handshake', async () => {
+    const messages = await runSession(copilot, [
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } },
+      { jsonrpc: '2.0', method: 'notifications/initialized' }
+    ]);
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].result.protocolVersion).toBe('2024-11-05');
+    expect(messages[0].result.capabilities).toHaveProperty('tools');
+    expect(messages[0].result.capabilities).toHaveProperty('logging');
+    expect(messages[0].result.serverInfo.name).toBe('copilot-quarto');
+  });
+
+  test('should list every registered tool with its schema', async () => {
+    const [response] = await runSession(copilot, [
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' }
+    ]);
+
+    const names = response.result.tools.map(tool => tool.name);
+    expect(names).toEqual(copilot.getAvailableTools());
+
+    const repoTool = response.result.tools.find(tool => tool.name === 'github_create_repository');
+    expect(repoTool.inputSchema.properties.visibility.enum).toEqual(['public', 'private']);
+    expect(repoTool.inputSchema.required).toContain('repository_name');
+  });
+
+  test('should call tools and forward their logs as notifications', async () => {
+    const messages = await runSession(copilot, [
+      {
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tools/call',
+        params: {
+          name: 'chatgpt_generate_cron_expression',
+          arguments: { natural_language_time_description: 'every day at 8 AM' }
+        }
+      }
+    ]);
+
+    const logs = messages.filter(message => message.method === 'notifications/message');
+    expect(logs.map(log => log.params.level)).toEqual(['info', 'notice']);
+    expect(logs[0].params.logger).toBe('chatgpt_generate_cron_expression');
+
+    const response = messages.find(message => message.id === 7);
+    expect(response.result.isError).toBe(false);
+    expect(JSON.parse(response.result.content[0].text).cron_expression).toBe('0 8 * * *');
+  });
+
+  test('should forward progress events when the call has a progress token', async () => {
+    const { CopilotQuartoTool } = require('../src/core');
+    copilot.registry.register(new (class extends CopilotQuartoTool {
+      constructor() {
+        super('test_progress_tool', 'Reports progress.');
+      }
+
+      async execute() {
+        this.progress(1, 2, 'Half way');
+        this.progress(2, 2);
+        return { success: true };
+      }
+    })());
+
+    const messages = await runSession(copilot, [
+      {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'test_progress_tool', arguments: {}, _meta: { progressToken: 'tok-1' } }
+      }
+    ]);
+
+    const progress = messages.filter(message => message.method === 'notifications/progress');
+    expect(progress.map(message => message.params)).toEqual([
+      { progressToken: 'tok-1', progress: 1, total: 2, message: 'Half way' },
+      { progressToken: 'tok-1', progress: 2, total: 2 }
+    ]);
+  });
+
+  test('should report tool failures as error results', async () => {
+    const [response] = await runSession(copilot, [
+      {
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'github_create_repository', arguments: { repository_name: 'demo' } }
+      }
+    ]);
+
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toContain('visibility is required');
+  });
+
+  test('should honour logging/setLevel', async () => {
+    const messages = await runSession(copilot, [
+      { jsonrpc: '2.0', id: 1, method: 'logging/setLevel', params: { level: 'error' } },
+      {
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: {
+          name: 'chatgpt_generate_cron_expression',
+          arguments: { natural_language_time_description: 'every day at 8 AM' }
+        }
+      }
+    ]);
+
+    expect(messages.filter(message => message.method === 'notifications/message')).toHaveLength(0);
+  });
+
+  test('should return JSON-RPC errors for unknown methods and tools', async () => {
+    const messages = await runSession(copilot, [
+      { jsonrpc: '2.0', id: 1, method: 'resources/list' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'nonexistent_tool' } }
+    ]);
+
+    expect(messages.find(message => message.id === 1).error.code).toBe(-32601);
+    expect(messages.find(message => message.id === 2).error.code).toBe(-32602);
+  });
+
+  test('should answer a batch with one array of responses', async () => {
+    const messages = await runSession(copilot, [
+      [
+        { jsonrpc: '2.0', id: 1, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 2, method: 'resources/list' }
+      ],
+      [{ jsonrpc: '2.0', method: 'notifications/initialized' }],
+      []
+    ]);
+
+    // Lines are handled concurrently, so the two answers may come in either order
+    expect(messages).toHaveLength(2);
+    expect(messages).toContainEqual([
+      { jsonrpc: '2.0', id: 1, result: {} },
+      { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Method not found: resources/list' } }
+    ]);
+    expect(messages).toContainEqual(
+      { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid JSON-RPC request: empty batch' } }
+    );
+  });
+});
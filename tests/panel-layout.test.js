@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const { useFixture } = require('./helpers/fixture');
+
+const REPORT = `---
+title: Sales
+---
+
+## Charts
+
+\`\`\`{r}
+#| label: trend
+plot(sales)
+\`\`\`
+
+Monthly totals.
+
+\`\`\`{r}
+#| label: by-region
+barplot(regions)
+\`\`\`
+
+## Notes
+
+Text.
+`;
+
+describe('Panel layouts', () => {
+  const fixture = useFixture('panel-layout', { 'report.qmd': REPORT });
+  const qmdPath = fixture.path('report.qmd');
+  const { copilot } = fixture;
+
+  test('should move labelled chunks into a tabset at the anchor', async () => {
+    const result = await copilot.execute('quarto_create_panel_layout', {
+      layout: 'tabset',
+      panels: [
+        { title: 'Trend', chunks: ['trend'] },
+        { title: 'By region', content: 'Regions since 2020.', chunks: ['by-region'] }
+      ],
+      target_qmd: qmdPath,
+      position: 'end_of_section',
+      anchor: 'Charts'
+    });
+
+    expect(result.moved).toEqual([{ label: 'trend', from_line: 7 }, { label: 'by-region', from_line: 14 }]);
+    expect(result.insertion).toEqual({ file_path: qmdPath, position: 'end_of_section', anchor: 'Charts', line: 9 });
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(`---
+title: Sales
+---
+
+## Charts
+
+Monthly totals.
+
+::: {.panel-tabset}
+### Trend
+
+\`\`\`{r}
+#| label: trend
+plot(sales)
+\`\`\`
+
+### By region
+
+Regions since 2020.
+
+\`\`\`{r}
+#| label: by-region
+barplot(regions)
+\`\`\`
+:::
+
+## Notes
+
+Text.
+`);
+
+    await expect(copilot.execute('quarto_create_panel_layout', {
+      layout: 'tabset',
+      panels: [{ title: 'Again', chunks: ['missing'] }],
+      target_qmd: qmdPath
+    })).rejects.toMatchObject({ code: 'CHUNK_NOT_FOUND', details: { available: ['trend', 'by-region'] } });
+  });
+
+  test('should write figure grids and column placements', async () => {
+    const grid = await copilot.execute('quarto_create_panel_layout', {
+      layout: 'grid',
+      grid: [[1, 1], [1]],
+      panels: [
+        { content: '![North](north.png)' },
+        { content: '![South](south.png)' },
+        { content: 'Both regions.\n\n![All](all.png)' }
+      ]
+    });
+    expect(grid.markdown).toBe('::: {layout="[[1,1],[1]]"}\n![North](north.png)\n\n![South](south.png)\n\n' +
+      '::: {}\nBoth regions.\n\n![All](all.png)\n:::\n:::\n');
+    expect(grid.insertion).toBeNull();
+
+    const columns = await copilot.execute('quarto_create_panel_layout', {
+      layout: 'columns',
+      panels: [{ chunks: ['trend'], column: 'page' }, { content: 'Source: CRM.' }],
+      target_qmd: qmdPath,
+      position: 'replace_chunk',
+      anchor: 'trend'
+    });
+    expect(columns.insertion.line).toBe(7);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toContain(
+      '## Charts\n\n::: {.column-page}\n```{r}\n#| label: trend\nplot(sales)\n```\n:::\n\n' +
+      '::: {.column-margin}\nSource: CRM.\n:::\n\nMonthly totals.\n'
+    );
+
+    await expect(copilot.execute('quarto_create_panel_layout', {
+      layout: 'grid',
+      grid: [[1, -1, 1]],
+      panels: [{ content: 'Only one' }]
+    })).rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+    await expect(copilot.execute('quarto_create_panel_layout', {
+      layout: 'tabset',
+      panels: [{ chunks: ['trend'] }]
+    })).rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+  });
+});
@@ -0,0 +1,78 @@
+const CopilotQuarto = require('../src/index');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Source of a plugin module contributing one tool
+ */
+function pluginSource(pluginName, toolName) {
+  return `
+const { CopilotQuartoTool } = require(${JSON.stringify(path.join(__dirname, '../src/core'))});
+
+class PluginTool extends CopilotQuartoTool {
+  constructor() {
+    super('${toolName}', 'Greets someone.');
+  }
+
+  async execute(params) {
+    return { success: true, greeting: 'Hello ' + params.who };
+  }
+}
+
+module.exports = {
+  name: ${JSON.stringify(pluginName)},
+  tools: [PluginTool],
+  schemas: {
+    '${toolName}': { type: 'object', properties: { who: { type: 'string' } }, required: ['who'] }
+  }
+};
+`;
+}
+
+describe('Plugins', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = path.join(__dirname, 'test-plugins');
+    fs.ensureDirSync(projectDir);
+  });
+
+  afterEach(() => {
+    fs.removeSync(projectDir);
+  });
+
+  test('should load installed packages and configured paths, recording where each tool came from', async () => {
+    const packageDir = path.join(projectDir, 'node_modules', '@acme', 'copilot-quarto-plugin-greet');
+    fs.outputFileSync(path.join(packageDir, 'index.js'), pluginSource('@acme/copilot-quarto-plugin-greet', 'acme_greet'));
+    fs.outputJsonSync(path.join(packageDir, 'package.json'), { name: '@acme/copilot-quarto-plugin-greet', main: 'index.js' });
+    fs.outputFileSync(path.join(projectDir, 'tools', 'local.js'), pluginSource('local-tools', 'local_greet'));
+    fs.outputJsonSync(path.join(projectDir, '.copilot-quarto.json'), { plugins: ['./tools/local.js'] });
+
+    const copilot = new CopilotQuarto({ cwd: projectDir, journal: false, console: false });
+
+    expect(copilot.plugins.map(plugin => plugin.name)).toEqual(['@acme/copilot-quarto-plugin-greet', 'local-tools']);
+    expect(copilot.listTools().find(tool => tool.name === 'local_greet').source).toBe('local-tools');
+    expect(copilot.listTools().find(tool => tool.name === 'quarto_create_gitignore').source).toBe('built-in');
+    expect(copilot.validateImplementation().extra).toEqual([]);
+
+    await expect(copilot.execute('acme_greet', { who: 'Ada' })).resolves.toMatchObject({ greeting: 'Hello Ada' });
+    await expect(copilot.execute('acme_greet', {})).rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+  });
+
+  test('should refuse plugins whose tool names collide', () => {
+    fs.outputFileSync(path.join(projectDir, 'clash.js'), pluginSource('clash', 'quarto_create_gitignore'));
+
+    expect(() => new CopilotQuarto({ cwd: projectDir, plugins: ['./clash.js'], journal: false, console: false }))
+      .toThrow(expect.objectContaining({
+        code: 'TOOL_NAME_COLLISION',
+        details: { tool: 'quarto_create_gitignore', source: 'clash', existing: 'built-in' }
+      }));
+  });
+
+  test('should reject modules that do not export tools', () => {
+    fs.outputFileSync(path.join(projectDir, 'empty.js'), 'module.exports = {};');
+
+    expect(() => new CopilotQuarto({ cwd: projectDir, plugins: ['./empty.js'], journal: false, console: false }))
+      .toThrow(expect.objectContaining({ code: 'PLUGIN_INVALID' }));
+  });
+});
@@ -0,0 +1,85 @@
+const { CopilotQuartoTool } = require('../src/core');
+const { runProcess } = require('../src/process-runner');
+const { createCopilot } = require('./helpers/fixture');
+
+const node = process.execPath;
+
+/**
+ * Runs a node script through context.exec, `times` times in a row
+ */
+class NodeScriptTool extends CopilotQuartoTool {
+  constructor() {
+    super('node_script', 'Run a node script.', {
+      parameters: {
+        type: 'object',
+        properties: { script: { type: 'string' }, times: { type: 'integer', default: 1 } },
+        required: ['script']
+      }
+    });
+  }
+
+  async execute(params, context) {
+    let stdout = '';
+    for (let run = 0; run < params.times; run++) {
+      stdout += (await context.exec(node, ['-e', params.script])).stdout;
+    }
+    return { success: true, stdout };
+  }
+}
+
+describe('Process runner', () => {
+  test('should pass arguments without a shell and report exit results', async () => {
+    const lines = [];
+    const result = await runProcess(node, ['-e', 'console.log(process.argv[1]); console.error("warn")', 'it\'s $HOME'], {
+      onLine: (line, stream) => lines.push([stream, line])
+    });
+
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toBe('it\'s $HOME\n');
+    expect(lines).toEqual(expect.arrayContaining([['stdout', 'it\'s $HOME'], ['stderr', 'warn']]));
+
+    const failed = await runProcess(node, ['-e', 'process.exit(3)'], { check: false });
+    expect(failed.exitCode).toBe(3);
+    await expect(runProcess(node, ['-e', 'process.exit(3)'])).rejects.toMatchObject({
+      code: 'COMMAND_FAILED',
+      details: { exitCode: 3 }
+    });
+    await expect(runProcess('copilot-quarto-no-such-program', ['--version'])).rejects.toMatchObject({
+      code: 'MISSING_DEPENDENCY'
+    });
+    await expect(runProcess(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 })).rejects.toMatchObject({
+      code: 'COMMAND_TIMEOUT'
+    });
+  });
+
+  test('should stream output as progress events and stop the command when the run is aborted', async () => {
+    const copilot = createCopilot();
+    copilot.registry.register(new NodeScriptTool());
+    const progress = [];
+    copilot.registry.on('tool:progress', event => progress.push(event));
+
+    const result = await copilot.execute('node_script', { script: 'console.log("one"); console.log("two")' });
+    expect(result.stdout).toBe('one\ntwo\n');
+    expect(progress.map(event => [event.progress, event.message, event.stream])).toEqual([
+      [1, 'one', 'stdout'],
+      [2, 'two', 'stdout']
+    ]);
+
+    // Progress keeps increasing across the commands of one run
+    progress.length = 0;
+    await copilot.execute('node_script', { script: 'console.log("one"); console.log("two")', times: 2 });
+    expect(progress.map(event => event.progress)).toEqual([1, 2, 3, 4]);
+
+    const controller = new AbortController();
+    copilot.registry.once('tool:progress', () => controller.abort());
+    const startedAt = Date.now();
+    const error = await copilot.execute('node_script', {
+      script: 'console.log("started"); setTimeout(() => {}, 10000)'
+    }, { signal: controller.signal }).catch(e => e);
+
+    expect(error.code).toBe('CANCELLED');
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+    await expect(copilot.execute('node_script', { script: 'process.exit(0)' }, { signal: controller.signal }))
+      .rejects.toMatchObject({ code: 'CANCELLED' });
+  });
+});
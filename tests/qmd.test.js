@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const { QmdDocument } = require('../src/qmd');
+const { createFixture } = require('./helpers/fixture');
+
+const SOURCE = `---
+# Shown in the browser tab
+title: 'Sales'   # single quotes on purpose
+format:
+  html:
+    toc: true
+---
+
+Intro paragraph.
+
+---
+
+## Overview {#overview .tabset}
+
+\`\`\`{r setup, include=FALSE}
+library(dplyr)
+\`\`\`
+
+### Chart
+
+\`\`\`{r}
+#| label: sales-chart
+#| fig-cap: "Sales: by month"
+#| layout-ncol: 2
+# a comment, not a heading
+---
+plot(sales)
+\`\`\`
+
+::: {.card title="Notes"}
+Plain text.
+:::
+
+## Data
+
+\`\`\`\`markdown
+\`\`\`{r}
+not a cell
+\`\`\`
+\`\`\`\`
+
+\`\`\`{ojs}
+//| echo: false
+viewof year = Inputs.range([2000, 2024])
+\`\`\`
+`;
+
+describe('QMD documents', () => {
+  test('should round-trip unchanged documents byte for byte', () => {
+    expect(QmdDocument.parse(SOURCE).toString()).toBe(SOURCE);
+
+    const crlf = `\uFEFF${SOURCE.replace(/\n/g, '\r\n')}`;
+    expect(QmdDocument.parse(crlf).toString()).toBe(crlf);
+
+    const noTrailingNewline = 'Just text\n\n```{r}\n1 + 1\n```';
+    expect(QmdDocument.parse(noTrailingNewline).toString()).toBe(noTrailingNewline);
+
+    // A leading rule followed by a blank line is not front matter
+    const rule = '---\n\nText\n---\n';
+    const document = QmdDocument.parse(rule);
+    expect(document.frontMatter).toBeNull();
+    expect(document.toString()).toBe(rule);
+  });
+
+  test('should model front matter, sections and cells with their options', () => {
+    const document = QmdDocument.parse(SOURCE);
+
+    expect(document.metadata()).toEqual({ title: 'Sales', format: { html: { toc: true } } });
+    expect(document.cells().map(cell => [cell.engine, cell.label])).toEqual([
+      ['r', 'setup'],
+      ['r', 'sales-chart'],
+      ['ojs', null]
+    ]);
+
+    const chart = document.findCell('sales-chart');
+    expect(chart.options).toEqual({ 'label': 'sales-chart', 'fig-cap': 'Sales: by month', 'layout-ncol': 2 });
+    expect(chart.code).toBe('# a comment, not a heading\n---\nplot(sales)');
+    expect(document.cells({ engine: 'ojs' })[0].options).toEqual({ echo: false });
+
+    const sections = document.sections();
+    expect(sections.map(section => [section.title, section.id, section.children.map(child => child.title)])).toEqual([
+      ['Overview', 'overview', ['Chart']],
+      ['Data', null, []]
+    ]);
+    expect(document.blocks.slice(sections[0].start, sections[0].end)).toContain(chart);
+    expect(document.findSection('Chart').heading.level).toBe(3);
+    expect(document.blocks.find(block => block.type === 'div').attributes).toEqual({ title: 'Notes' });
+  });
+
+  test('should rewrite only what was edited', () => {
+    const document = QmdDocument.parse(SOURCE);
+    document.ensureFrontMatter().set('logo', 'logo.png');
+    document.findCell('sales-chart').setOption('fig-cap', 'Monthly sales');
+    document.cells({ engine: 'ojs' })[0].setOption('panel', 'sidebar');
+
+    const expected = SOURCE
+      .replace('    toc: true\n---', '    toc: true\nlogo: logo.png\n---')
+      .replace('#| fig-cap: "Sales: by month"', '#| fig-cap: Monthly sales')
+      .replace('//| echo: false\n', '//| echo: false\n//| panel: sidebar\n');
+    expect(document.toString()).toBe(expected);
+
+    const bare = QmdDocument.parse('# Title\n');
+    bare.ensureFrontMatter().set('format', 'dashboard');
+    expect(bare.toString()).toBe('---\nformat: dashboard\n---\n# Title\n');
+  });
+
+  test('should keep comments and body rules when dashboard tools edit a file', async () => {
+    const fixture = createFixture('qmd', { 'index.qmd': SOURCE }).reset();
+    const qmdPath = fixture.path('index.qmd');
+    const { copilot } = fixture;
+
+    try {
+      await copilot.execute('quarto_add_dashboard_logo', { qmd_file_path: qmdPath, logo_image_path: 'logo.png' });
+      const content = fs.readFileSync(qmdPath, 'utf8');
+      expect(content).toContain('# Shown in the browser tab\n');
+      expect(content).toContain('format:\n  dashboard:\n    logo: logo.png\n  html:\n    toc: true\n---\n\nIntro paragraph.\n\n---\n\n## Overview');
+      expect(content.slice(content.indexOf('## Overview'))).toBe(SOURCE.slice(SOURCE.indexOf('## Overview')));
+    } finally {
+      fixture.remove();
+    }
+  });
+});
@@ -0,0 +1,90 @@
+const CopilotQuarto = require('../src/index');
+const { interpolate, loadRecipe, validateRecipe } = require('../src/recipes');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Recipe runner', () => {
+  let copilot;
+  let testDir;
+
+  beforeEach(() => {
+    testDir = path.join(__dirname, 'test-recipes');
+    fs.ensureDirSync(testDir);
+    copilot = new CopilotQuarto({ stateDir: path.join(testDir, '.copilot-quarto'), console: false });
+  });
+
+  afterEach(() => {
+    fs.removeSync(testDir);
+  });
+
+  test('should interpolate references and keep the type of whole references', () => {
+    const scope = { steps: { project: { project_path: '/tmp/demo', layout: { columns: [] } } }, inputs: { n: 3 } };
+
+    expect(interpolate('${steps.project.project_path}/index.qmd', scope)).toBe('/tmp/demo/index.qmd');
+    expect(interpolate({ count: '${inputs.n}', layout: '${steps.project.layout}' }, scope))
+      .toEqual({ count: 3, layout: { columns: [] } });
+    expect(() => interpolate('${steps.missing.value}', scope)).toThrow('Unknown reference \'${steps.missing.value}\'');
+  });
+
+  test('should reject malformed recipes', () => {
+    expect(() => validateRecipe({ steps: [] })).toThrow('non-empty steps list');
+    expect(() => validateRecipe({ steps: [{ id: 'a' }] })).toThrow('step \'a\' must name a tool');
+    expect(() => validateRecipe({ steps: [{ tool: 'x', on_error: 'ignore' }] })).toThrow('unknown on_error \'ignore\'');
+  });
+
+  test('should chain results, skip conditional steps and continue past tolerated failures', async () => {
+    const qmdPath = path.join(testDir, 'index.qmd');
+    fs.writeFileSync(qmdPath, '---\ntitle: "Demo"\n---\n');
+
+    const result = await copilot.runRecipe({
+      name: 'demo',
+      inputs: { publish: false },
+      steps: [
+        { id: 'cron', tool: 'chatgpt_generate_cron_expression', params: { natural_language_time_description: 'every day at 8 AM' } },
+        { id: 'format', tool: 'quarto_define_dashboard_format', params: { qmd_file_path: qmdPath, dashboard_title: 'Cron ${steps.cron.cron_expression}' } },
+        { id: 'repo', tool: 'github_create_repository', when: '${inputs.publish}', params: { repository_name: 'demo', visibility: 'public' } },
+        { id: 'broken', tool: 'github_create_repository', on_error: 'continue', params: { repository_name: 'demo' } }
+      ]
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.steps.map(step => step.status)).toEqual(['succeeded', 'succeeded', 'skipped', 'failed']);
+    expect(result.steps[3].error).toContain('visibility is required');
+    expect(fs.readFileSync(qmdPath, 'utf8')).toContain('format: dashboard');
+  });
+
+  test('should roll back earlier steps when a step fails with on_error: rollback', async () => {
+    const recipePath = path.join(testDir, 'recipe.yml');
+    fs.writeFileSync(recipePath, [
+      'name: failing',
+      'on_error: rollback',
+      'steps:',
+      '  - id: ignore',
+      '    tool: quarto_create_gitignore',
+      '    params:',
+      `      target_folder: ${path.join(testDir, 'site')}`,
+      '  - id: repo',
+      '    tool: github_create_repository',
+      '    params:',
+      '      repository_name: ${steps.ignore.missing_field}',
+      ''
+    ].join('\n'));
+
+    expect(loadRecipe(recipePath).steps).toHaveLength(2);
+    await expect(copilot.runRecipe(recipePath)).rejects.toThrow('Recipe \'failing\' failed at step \'repo\'');
+    expect(fs.existsSync(path.join(testDir, 'site'))).toBe(false);
+  });
+
+  test('should plan the whole recipe against one virtual filesystem in dry-run mode', async () => {
+    const result = await copilot.runRecipe(path.join(__dirname, '../examples/ai-tools-tracker.recipe.yml'), {
+      dryRun: true,
+      inputs: { project_name: path.join(testDir, 'tracker') }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.dry_run).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'tracker'))).toBe(false);
+    expect(result.diff).toContain('cron:');
+    expect(result.planned_commands.map(command => command.command)).toContain('git init');
+  });
+});
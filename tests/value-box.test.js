@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const { useFixture } = require('./helpers/fixture');
+
+const DASHBOARD = `---
+title: Sales
+format: dashboard
+---
+
+# Overview
+
+## Row {#charts}
+
+\`\`\`{r}
+#| label: trend
+plot(sales)
+\`\`\`
+
+# Details {orientation=columns}
+
+## Column
+
+Text.
+`;
+
+describe('Value boxes', () => {
+  const fixture = useFixture('value-box', { 'index.qmd': DASHBOARD });
+  const qmdPath = fixture.path('index.qmd');
+  const { copilot } = fixture;
+
+  test('should add a value box cell to the end of a row', async () => {
+    const result = await copilot.execute('quarto_dashboard_add_value_box', {
+      qmd_file_path: qmdPath,
+      row: 'charts',
+      title: 'Revenue',
+      value: 'scales::dollar(sum(sales$amount))',
+      icon: 'bi-currency-dollar',
+      color: 'success'
+    });
+
+    expect(result.label).toBe('valuebox-revenue');
+    expect(result.line).toBe(15);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(DASHBOARD.replace('plot(sales)\n```\n', `plot(sales)
+\`\`\`
+
+\`\`\`{r}
+#| label: valuebox-revenue
+#| content: valuebox
+#| title: Revenue
+#| icon: currency-dollar
+#| color: success
+list(
+  value = scales::dollar(sum(sales$amount))
+)
+\`\`\`
+`));
+
+    await expect(copilot.execute('quarto_dashboard_add_value_box', {
+      qmd_file_path: qmdPath, row: 'Overview', title: 'Orders', value: 'nrow(orders)'
+    })).rejects.toThrow('\'Overview\' is a page, not a row or column');
+    await expect(copilot.execute('quarto_dashboard_add_value_box', {
+      qmd_file_path: qmdPath, row: 'missing', title: 'Orders', value: 'nrow(orders)'
+    })).rejects.toMatchObject({ code: 'ANCHOR_NOT_FOUND' });
+  });
+
+  test('should lay out a KPI strip at the top of a page', async () => {
+    const result = await copilot.execute('quarto_dashboard_add_kpi_strip', {
+      qmd_file_path: qmdPath,
+      page: 'Details',
+      size: '20%',
+      engine: 'ojs',
+      value_boxes: [
+        { title: 'Users', value: 'users.length', icon: 'people', color: 'primary' },
+        { title: 'Users', value: 'users.filter(u => u.active).length' },
+        { title: 'Orders', value: 'len(orders)', engine: 'python' }
+      ]
+    });
+
+    expect(result.labels).toEqual(['valuebox-users', 'valuebox-users-2', 'valuebox-orders']);
+    expect(fs.readFileSync(qmdPath, 'utf8')).toBe(DASHBOARD.replace('# Details {orientation=columns}\n', `# Details {orientation=columns}
+
+## Column {width=20%}
+
+::: {#valuebox-users .valuebox icon=people color=primary}
+Users
+
+\${users.length}
+:::
+
+::: {#valuebox-users-2 .valuebox}
+Users
+
+\${users.filter(u => u.active).length}
+:::
+
+\`\`\`{python}
+#| label: valuebox-orders
+#| content: valuebox
+#| title: Orders
+dict(
+  value = len(orders)
+)
+\`\`\`
+`));
+
+    await expect(copilot.execute('quarto_dashboard_add_kpi_strip', { qmd_file_path: qmdPath, value_boxes: [] }))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+  });
+});
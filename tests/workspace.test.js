@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Workspace } = require('../src/workspace');
+const { createCopilot, useFixture } = require('./helpers/fixture');
+
+describe('Workspace sandbox', () => {
+  const fixture = useFixture('workspace');
+  const projectDir = fixture.path('project');
+  const outsideDir = fixture.path('outside');
+  const copilot = createCopilot({ workspace: { root: projectDir } });
+
+  beforeEach(() => {
+    fs.ensureDirSync(projectDir);
+    fs.ensureDirSync(outsideDir);
+  });
+
+  test('should resolve path parameters against the root and reject traversal', async () => {
+    const result = await copilot.execute('quarto_create_gitignore', { target_folder: 'site' });
+    expect(result.file_path).toBe(path.join(projectDir, 'site', '.gitignore'));
+
+    const error = await copilot.execute('quarto_create_gitignore', { target_folder: '../outside' }).catch(e => e);
+    expect(error.code).toBe('PATH_OUTSIDE_WORKSPACE');
+    expect(error.message).toBe(`target_folder '../outside' is outside the workspace ${projectDir}`);
+    expect(error.hint).toContain('--allow-outside-workspace');
+    expect(fs.existsSync(path.join(outsideDir, '.gitignore'))).toBe(false);
+
+    await copilot.execute('quarto_create_gitignore', { target_folder: '../outside' }, { allowOutsideWorkspace: true });
+    expect(fs.existsSync(path.join(outsideDir, '.gitignore'))).toBe(true);
+
+    const allowed = new Workspace({ root: projectDir, allow: ['../outside'] });
+    expect(allowed.resolve('../outside/assets')).toBe(path.join(outsideDir, 'assets'));
+    expect(() => allowed.resolve('../elsewhere')).toThrow(expect.objectContaining({ code: 'PATH_OUTSIDE_WORKSPACE' }));
+  });
+
+  test('should detect symlinks that lead outside the workspace', async () => {
+    fs.symlinkSync(outsideDir, path.join(projectDir, 'escape'));
+    fs.symlinkSync(path.join(outsideDir, 'missing'), path.join(projectDir, 'dangling'));
+    fs.ensureDirSync(path.join(projectDir, 'real'));
+    fs.symlinkSync(path.join(projectDir, 'real'), path.join(projectDir, 'inside'));
+
+    const error = await copilot.execute('quarto_create_gitignore', { target_folder: 'escape/site' }).catch(e => e);
+    expect(error.code).toBe('SYMLINK_ESCAPE');
+    expect(error.details.realPath).toBe(path.join(fs.realpathSync(outsideDir), 'site'));
+    expect(fs.existsSync(path.join(outsideDir, 'site'))).toBe(false);
+
+    const workspace = new Workspace({ root: projectDir });
+    expect(() => workspace.resolve('dangling/file.txt')).toThrow(expect.objectContaining({ code: 'SYMLINK_ESCAPE' }));
+    expect(workspace.resolve('inside/file.txt')).toBe(path.join(projectDir, 'inside', 'file.txt'));
+  });
+});
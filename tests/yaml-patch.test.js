@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const { YamlPatch } = require('../src/yaml-patch');
+const { createFixture } = require('./helpers/fixture');
+
+const QUARTO_YML = `# Hand-maintained site config
+project:
+    type: website   # rendered by CI
+    output-dir: _site
+
+defaults: &defaults
+    toc: true
+
+format:
+    html:
+        <<: *defaults
+        theme: 'cosmo'  # base theme
+`;
+
+const WORKFLOW = `name: Publish
+on: push   # deploy every push
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      # check out first
+      - uses: actions/checkout@v4
+`;
+
+describe('YAML patches', () => {
+  test('should change only the lines an edit touches and report the change', () => {
+    const patch = new YamlPatch(QUARTO_YML, { name: '_quarto.yml' });
+
+    expect(patch.set(['project', 'type'], 'website')).toBe(false);
+    expect(patch.toString()).toBe(QUARTO_YML);
+
+    patch.set(['project', 'output-dir'], 'docs');
+    patch.set(['website', 'title'], 'Sales');
+    patch.append(['website', 'navbar', 'left'], 'index.qmd');
+    patch.append(['website', 'navbar', 'left'], 'index.qmd');
+
+    expect(patch.toString()).toBe(QUARTO_YML
+      .replace('output-dir: _site', 'output-dir: docs') +
+      'website:\n    title: Sales\n    navbar:\n        left:\n            - index.qmd\n');
+    expect(patch.changes).toEqual([
+      { op: 'replace', path: 'project.output-dir', from: '_site', value: 'docs' },
+      { op: 'add', path: 'website.title', value: 'Sales' },
+      { op: 'add', path: 'website.navbar.left', value: ['index.qmd'] }
+    ]);
+    expect(patch.toJS().format.html).toEqual({ toc: true, theme: 'cosmo' });
+
+    expect(() => patch.set(['project', 'type', 'name'], 'x')).toThrow(expect.objectContaining({
+      code: 'INVALID_CONTENT',
+      message: 'project.type in _quarto.yml is "website", not a mapping, so project.type.name cannot be set'
+    }));
+    expect(() => new YamlPatch('a: [1, 2', { name: 'broken.yml' })).toThrow(/Invalid YAML in broken.yml/);
+  });
+
+  test('should keep comments and anchors when tools edit _quarto.yml and workflows', async () => {
+    const fixture = createFixture('yaml-patch', {
+      '_quarto.yml': QUARTO_YML,
+      '.github/workflows/publish.yml': WORKFLOW
+    }).reset();
+    const quartoYml = fixture.path('_quarto.yml');
+    const workflowYml = fixture.path('.github', 'workflows', 'publish.yml');
+    const { copilot } = fixture;
+
+    try {
+      const theme = await copilot.execute('quarto_apply_scss_theme', {
+        quarto_yml_path: quartoYml,
+        scss_file_path: 'custom.scss'
+      });
+      expect(theme.theme_config).toEqual(['cosmo', 'custom.scss']);
+      expect(fs.readFileSync(quartoYml, 'utf8')).toBe(QUARTO_YML.replace(
+        '        theme: \'cosmo\'  # base theme\n',
+        '        theme:\n            - cosmo\n            - custom.scss\n'
+      ));
+
+      await copilot.execute('github_actions_schedule_workflow', {
+        workflow_yml_path: workflowYml,
+        cron_expression: '0 8 * * *'
+      });
+      const env = await copilot.execute('github_actions_define_workflow_env', {
+        workflow_yml_path: workflowYml,
+        r_script_env_name: 'API_KEY',
+        github_secret_name: 'TRACKER_API_KEY'
+      });
+      expect(env.changes).toEqual([
+        { op: 'add', path: 'jobs.build.env.API_KEY', value: '${{ secrets.TRACKER_API_KEY }}' }
+      ]);
+      expect(fs.readFileSync(workflowYml, 'utf8')).toBe(`name: Publish
+on:
+  push:
+  schedule:
+    - cron: 0 8 * * *
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      # check out first
+      - uses: actions/checkout@v4
+    env:
+      API_KEY: \${{ secrets.TRACKER_API_KEY }}
+`);
+    } finally {
+      fixture.remove();
+    }
+  });
+});